@@ -1,29 +1,62 @@
 const express = require("express");
 
-const app = express();
-
-// Middleware para leer JSON
-app.use(express.json());
-
-// Importar rutas de autenticación
-const authRoutes = require("./routes/auth.routes");
-const driverRoutes = require("./routes/driver.routes");
-const tripRoutes = require("./routes/trip.routes");
-const testRoutes = require("./routes/test.routes");
-
-
-// Rutas de autenticación con prefijo /auth
-app.use("/auth", authRoutes);
-app.use("/driver", driverRoutes);
-app.use("/trip", tripRoutes);
-app.use("/test", testRoutes);
-
-// Ruta de prueba
-app.get("/", (req, res) => {
-  res.json({ message: "API Mototaxi funcionando" });
-});
-
-
-
-module.exports = app;
-
+const { createServices } = require("./services");
+const { createVerifyToken } = require("./middlewares/auth.middleware");
+const createRequirePhoneVerified = require("./middlewares/phoneVerified.middleware");
+const { createAuthController } = require("./controllers/auth.controller");
+const { createDriverController } = require("./controllers/driver.controller");
+const { createTripController } = require("./controllers/trip.controller");
+const { createMeController } = require("./controllers/me.controller");
+const { createAdminController } = require("./controllers/admin.controller");
+const { createVehicleController } = require("./controllers/vehicle.controller");
+const { createEventsController } = require("./controllers/events.controller");
+
+// Importar rutas
+const createAuthRoutes = require("./routes/auth.routes");
+const createDriverRoutes = require("./routes/driver.routes");
+const createTripRoutes = require("./routes/trip.routes");
+const createMeRoutes = require("./routes/me.routes");
+const createAdminRoutes = require("./routes/admin.routes");
+const createVehicleRoutes = require("./routes/vehicle.routes");
+const createEventsRoutes = require("./routes/events.routes");
+const createTestRoutes = require("./routes/test.routes");
+
+/**
+ * Crea la aplicación Express sobre los repositorios indicados.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.repositories - createSupabaseRepositories o createMemoryRepositories (src/repositories)
+ * @param {Object} [deps.services] - Servicios ya creados (por defecto createServices(repositories))
+ */
+const createApp = ({ repositories, services = createServices(repositories) }) => {
+  const app = express();
+
+  // Middleware para leer JSON
+  app.use(express.json());
+
+  // Valida el access token y que su sesión no esté revocada
+  const verifyToken = createVerifyToken({ authTokens: services.authTokens });
+  const middlewares = {
+    authMiddleware: verifyToken,
+    requirePhoneVerified: createRequirePhoneVerified({ phoneVerification: services.phoneVerification })
+  };
+
+  // Rutas de autenticación con prefijo /auth
+  app.use("/auth", createAuthRoutes(createAuthController({ repositories, services }), middlewares));
+  app.use("/driver/vehicles", createVehicleRoutes(createVehicleController({ services }), middlewares));
+  app.use("/driver", createDriverRoutes(createDriverController({ repositories, services }), middlewares));
+  app.use("/trip", createTripRoutes(createTripController({ repositories, services }), middlewares));
+  app.use("/me", createMeRoutes(createMeController({ services }), middlewares));
+  app.use("/admin", createAdminRoutes(createAdminController({ services }), middlewares));
+  app.use("/events", createEventsRoutes(createEventsController({ services }), middlewares));
+  app.use("/test", createTestRoutes({ verifyToken }));
+
+  // Ruta de prueba
+  app.get("/", (req, res) => {
+    res.json({ message: "API Mototaxi funcionando" });
+  });
+
+  return app;
+};
+
+module.exports = createApp;
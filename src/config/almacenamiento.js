@@ -0,0 +1,15 @@
+/**
+ * Configuración del almacenamiento de archivos (documentos de conductores)
+ *
+ * STORAGE_ADAPTER elige el adaptador de src/services/storage:
+ * - "local": guarda los archivos en disco, en STORAGE_LOCAL_DIR (desarrollo local)
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  adapter: process.env.STORAGE_ADAPTER || "local",
+  directorio: process.env.STORAGE_LOCAL_DIR || "uploads",
+  // Tamaño máximo de cada documento subido (por defecto 5 MB)
+  documentoMaxBytes: numeroEnv("DOCUMENTO_MAX_BYTES", 5 * 1024 * 1024)
+};
@@ -0,0 +1,32 @@
+/**
+ * Configuración de sesiones y tokens
+ *
+ * Valores usados por authTokenService, passwordResetService y phoneVerificationService. Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Segundos de vida del access token (JWT enviado en Authorization: Bearer)
+  accessTokenTtlSeg: numeroEnv("ACCESS_TOKEN_TTL_SEG", 900),
+  // Días de vida de cada refresh token; cada renovación emite uno nuevo con el plazo completo
+  refreshTokenTtlDias: numeroEnv("REFRESH_TOKEN_TTL_DIAS", 30),
+  // Dígitos del código de recuperación de contraseña
+  resetCodigoLongitud: numeroEnv("RESET_CODIGO_LONGITUD", 6),
+  // Minutos de vigencia del código de recuperación
+  resetCodigoTtlMin: numeroEnv("RESET_CODIGO_TTL_MIN", 15),
+  // Intentos fallidos permitidos antes de invalidar el código
+  resetMaxIntentos: numeroEnv("RESET_MAX_INTENTOS", 5),
+  // Códigos de recuperación que un usuario puede pedir por ventana (RESET_VENTANA_MIN)
+  resetMaxCodigosPorVentana: numeroEnv("RESET_MAX_CODIGOS_POR_VENTANA", 5),
+  // Minutos de la ventana del límite de códigos de recuperación
+  resetVentanaMin: numeroEnv("RESET_VENTANA_MIN", 60),
+  // Dígitos del código OTP de verificación de teléfono
+  otpLongitud: numeroEnv("OTP_LONGITUD", 6),
+  // Minutos de vigencia del código OTP
+  otpTtlMin: numeroEnv("OTP_TTL_MIN", 10),
+  // Intentos fallidos permitidos antes de invalidar el código OTP
+  otpMaxIntentos: numeroEnv("OTP_MAX_INTENTOS", 5),
+  // Segundos de espera obligatoria entre dos envíos de código OTP o de recuperación
+  otpReenvioSeg: numeroEnv("OTP_REENVIO_SEG", 60)
+};
@@ -0,0 +1,18 @@
+/**
+ * Calificaciones entre pasajero y conductor después del viaje
+ *
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Horas desde finished_at durante las que se puede calificar el viaje
+  ventanaHoras: numeroEnv("CALIFICACION_VENTANA_HORAS", 72),
+  // Calificaciones recientes que entran en el promedio móvil
+  promedioUltimas: numeroEnv("CALIFICACION_PROMEDIO_ULTIMAS", 100),
+  // Calificaciones mínimas para mostrar el promedio y para marcar a un conductor
+  minimoParaPromedio: numeroEnv("CALIFICACION_MINIMO", 5),
+  // Promedio por debajo del cual el conductor queda marcado para revisión del admin
+  umbralRevisionConductor: numeroEnv("CALIFICACION_UMBRAL_REVISION", 4.2)
+};
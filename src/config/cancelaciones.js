@@ -0,0 +1,23 @@
+/**
+ * Cancelaciones: cargos al pasajero, pasajero no presentado y revisión por tasa de cancelación
+ *
+ * Valores usados por cancellationService. Los cargos van en la moneda de TARIFA_MONEDA.
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Minutos desde accepted_at en los que el pasajero cancela un viaje asignado sin cargo
+  graciaPasajeroMin: numeroEnv("CANCELACION_GRACIA_MIN", 2),
+  // Cargo al pasajero que cancela un viaje asignado después de la gracia
+  cargoPasajero: numeroEnv("CANCELACION_CARGO", 3),
+  // Cargo al pasajero que no se presentó en la recogida
+  cargoNoPresentado: numeroEnv("CANCELACION_CARGO_NO_PRESENTADO", 5),
+  // Minutos desde arrived_at que el conductor espera antes de marcar al pasajero como no presentado
+  esperaNoPresentadoMin: numeroEnv("CANCELACION_ESPERA_NO_PRESENTADO_MIN", 5),
+  // Viajes cerrados mínimos para revisar la tasa de cancelación de un usuario
+  revisionMinViajes: numeroEnv("CANCELACION_REVISION_MIN_VIAJES", 10),
+  // Tasa de cancelación (0 a 1) desde la que el usuario aparece en GET /admin/cancellations
+  revisionTasa: numeroEnv("CANCELACION_REVISION_TASA", 0.3)
+};
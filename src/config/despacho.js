@@ -0,0 +1,27 @@
+/**
+ * Configuración del despacho secuencial de viajes
+ *
+ * Valores usados por dispatchService, tripExpirationService, driverReconciliationService y
+ * driverHeartbeatService. Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Segundos que tiene un conductor para aceptar o rechazar una oferta
+  ventanaOfertaSeg: numeroEnv("DESPACHO_VENTANA_SEG", 15),
+  // Cantidad de conductores cercanos a consultar en cada paso
+  maxCandidatos: numeroEnv("DESPACHO_MAX_CANDIDATOS", 20),
+  // Segundos de espera antes de volver a buscar candidatos si no hay ninguno libre
+  reintentoSinCandidatosSeg: numeroEnv("DESPACHO_REINTENTO_SEG", 10),
+  // Segundos que un viaje puede quedar en "buscando" antes de pasar a "expirado"
+  busquedaTimeoutSeg: numeroEnv("BUSQUEDA_TIMEOUT_SEG", 300),
+  // Cada cuántos segundos corre el barrido de viajes expirados
+  barridoExpiracionSeg: numeroEnv("BARRIDO_EXPIRACION_SEG", 30),
+  // Cada cuántos segundos se reparan conductores "ocupado" sin viaje activo
+  reconciliacionConductoresSeg: numeroEnv("RECONCILIACION_CONDUCTORES_SEG", 60),
+  // Segundos sin ubicación tras los que un conductor deja de recibir ofertas y se desconecta
+  sinSenalTimeoutSeg: numeroEnv("CONDUCTOR_SIN_SENAL_SEG", 180),
+  // Cada cuántos segundos se buscan conductores sin señal
+  barridoSinSenalSeg: numeroEnv("BARRIDO_SIN_SENAL_SEG", 60)
+};
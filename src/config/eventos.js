@@ -0,0 +1,22 @@
+/**
+ * Gateway de notificaciones en tiempo real (GET /events, Server-Sent Events)
+ *
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Segundos entre comentarios de keepalive (evita que proxies cierren la conexión inactiva)
+  keepaliveSeg: numeroEnv("EVENTOS_KEEPALIVE_SEG", 25),
+  // Segundos entre lecturas de los eventos publicados por otras instancias del servidor
+  sondeoSeg: numeroEnv("EVENTOS_SONDEO_SEG", 2),
+  // Segundos que el sondeo vuelve a leer: un evento puede confirmarse después de otro con id mayor
+  ventanaSondeoSeg: numeroEnv("EVENTOS_VENTANA_SONDEO_SEG", 10),
+  // Minutos que se conservan los eventos para reproducirlos al reconectar
+  retencionMin: numeroEnv("EVENTOS_RETENCION_MIN", 60),
+  // Eventos máximos que se reproducen al reconectar; si hay más, el cliente debe resincronizar
+  reproduccionMaxEventos: numeroEnv("EVENTOS_REPRODUCCION_MAX", 200),
+  // Milisegundos que el cliente espera antes de reconectar (campo "retry" de SSE)
+  reintentoClienteMs: numeroEnv("EVENTOS_REINTENTO_CLIENTE_MS", 3000)
+};
@@ -0,0 +1,14 @@
+/**
+ * Llegada del conductor al punto de recogida
+ *
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Radio (metros) alrededor de la recogida dentro del cual el conductor puede marcar su llegada
+  radioRecogidaM: numeroEnv("LLEGADA_RADIO_RECOGIDA_M", 100),
+  // Antigüedad máxima (segundos) de la ubicación del conductor para validar que está en la recogida
+  ubicacionMaximaSeg: numeroEnv("LLEGADA_UBICACION_MAXIMA_SEG", 60)
+};
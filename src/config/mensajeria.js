@@ -0,0 +1,12 @@
+/**
+ * Configuración del envío de códigos (recuperación de contraseña, verificación)
+ *
+ * CODE_SENDER elige el adaptador de src/services/senders:
+ * - "console": escribe el mensaje en los logs (desarrollo local)
+ * - "file": agrega cada mensaje como una línea JSON en CODE_SENDER_FILE
+ */
+
+module.exports = {
+  sender: process.env.CODE_SENDER || "console",
+  archivo: process.env.CODE_SENDER_FILE || "mensajes.log"
+};
@@ -0,0 +1,28 @@
+/**
+ * Registro del recorrido de los viajes (historial de ubicaciones del conductor)
+ *
+ * Valores usados por tripRouteService para decidir qué puntos se guardan, para validar
+ * los lotes de POST /driver/location/batch y para reintentar la tarifa final.
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Segundos mínimos entre dos puntos guardados del mismo viaje
+  intervaloMinimoSeg: numeroEnv("RECORRIDO_INTERVALO_SEG", 5),
+  // Metros mínimos respecto del último punto guardado (descarta el ruido con el vehículo detenido)
+  distanciaMinimaM: numeroEnv("RECORRIDO_DISTANCIA_MINIMA_M", 10),
+  // Precisión (metros) a partir de la cual el punto se descarta
+  precisionMaximaM: numeroEnv("RECORRIDO_PRECISION_MAXIMA_M", 50),
+  // Puntos máximos por lote capturado sin conexión
+  loteMaximoPuntos: numeroEnv("RECORRIDO_LOTE_MAXIMO", 500),
+  // Velocidad (km/h) entre dos puntos a partir de la cual el salto se considera imposible
+  velocidadMaximaKmh: numeroEnv("RECORRIDO_VELOCIDAD_MAXIMA_KMH", 120),
+  // Segundos de adelanto aceptados en recordedAt por diferencias de reloj del teléfono
+  toleranciaRelojSeg: numeroEnv("RECORRIDO_TOLERANCIA_RELOJ_SEG", 60),
+  // Segundos entre reintentos de la tarifa final de viajes finalizados que quedaron sin liquidar
+  reintentoLiquidacionSeg: numeroEnv("RECORRIDO_REINTENTO_LIQUIDACION_SEG", 60),
+  // Viajes sin liquidar que se procesan en cada reintento
+  loteLiquidacion: numeroEnv("RECORRIDO_LOTE_LIQUIDACION", 50)
+};
@@ -0,0 +1,12 @@
+/**
+ * Seguimiento del viaje en tiempo real (ubicación del conductor y ETA para el pasajero)
+ *
+ * Se puede sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Vigencia (segundos) del token para unirse al canal privado del viaje en Realtime
+  tokenRealtimeTtlSeg: numeroEnv("SEGUIMIENTO_TOKEN_TTL_SEG", 900)
+};
@@ -0,0 +1,35 @@
+/**
+ * Configuración de tarifas
+ *
+ * Valores usados por fareService para cotizar y calcular el precio de un viaje.
+ * Todos se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Moneda local (ISO 4217)
+  moneda: process.env.TARIFA_MONEDA || "PEN",
+  // Tarifa base (banderazo)
+  base: numeroEnv("TARIFA_BASE", 2),
+  // Precio por km recorrido
+  porKm: numeroEnv("TARIFA_POR_KM", 1),
+  // Precio por minuto de viaje
+  porMinuto: numeroEnv("TARIFA_POR_MINUTO", 0.2),
+  // Tarifa mínima de cualquier viaje
+  minima: numeroEnv("TARIFA_MINIMA", 4),
+  // Minutos de espera gratis desde que el conductor llega a la recogida (arrived_at)
+  esperaGratisMin: numeroEnv("TARIFA_ESPERA_GRATIS_MIN", 3),
+  // Precio por minuto de espera después de la espera gratis
+  porMinutoEspera: numeroEnv("TARIFA_POR_MINUTO_ESPERA", 0.3),
+  // Minutos de espera cobrables como máximo (después corresponde marcar al pasajero como no presentado)
+  esperaMaximaCobrableMin: numeroEnv("TARIFA_ESPERA_MAXIMA_MIN", 15),
+  // Redondeo a la fracción más pequeña de la moneda local (ej: 0.1 = 10 céntimos)
+  redondeo: numeroEnv("TARIFA_REDONDEO", 0.1),
+  // Velocidad promedio de una mototaxi en ciudad, para estimar la duración
+  velocidadPromedioKmh: numeroEnv("TARIFA_VELOCIDAD_KMH", 20),
+  // Factor de ruta: la distancia en calles es mayor que la distancia en línea recta
+  factorRuta: numeroEnv("TARIFA_FACTOR_RUTA", 1.3),
+  // Vigencia de una cotización en segundos
+  vigenciaCotizacionSeg: numeroEnv("COTIZACION_VIGENCIA_SEG", 300)
+};
@@ -0,0 +1,15 @@
+/**
+ * Reglas de los vehículos de los conductores (rutas /driver/vehicles)
+ *
+ * Se pueden sobreescribir con variables de entorno.
+ */
+
+const { numeroEnv } = require("../utils/env");
+
+module.exports = {
+  // Año de fabricación más antiguo aceptado
+  anioMinimo: numeroEnv("VEHICULO_ANIO_MINIMO", 2000),
+  // Cascos que debe llevar el vehículo (conductor + pasajeros)
+  cascosMinimos: numeroEnv("VEHICULO_CASCOS_MINIMOS", 2),
+  cascosMaximos: numeroEnv("VEHICULO_CASCOS_MAXIMOS", 4)
+};
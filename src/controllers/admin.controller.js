@@ -0,0 +1,486 @@
+/**
+ * Controlador de Administración (/admin)
+ *
+ * Operaciones del equipo de operaciones: usuarios, conductores (y sus documentos) y viajes trabados.
+ * Todas las rutas exigen el rol admin (ver routes/admin.routes.js).
+ */
+
+const ROLES = ["pasajero", "conductor", "admin"];
+/** Roles con tasa de cancelación (GET /admin/cancellations) */
+const ROLES_CANCELACION = ["pasajero", "conductor"];
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+const LONGITUD_MAXIMA_MOTIVO = 255;
+
+/**
+ * Lee el motivo del body: texto no vacío, recortado a LONGITUD_MAXIMA_MOTIVO.
+ *
+ * @returns {string|null} null si falta o no es texto
+ */
+const leerMotivo = (body) => {
+  const motivo = body && body.motivo;
+  if (typeof motivo !== "string" || !motivo.trim()) {
+    return null;
+  }
+  return motivo.trim().slice(0, LONGITUD_MAXIMA_MOTIVO);
+};
+
+/**
+ * Entero no negativo de la query string; null si no es válido.
+ */
+const leerEntero = (valor, porDefecto) => {
+  if (valor === undefined) {
+    return porDefecto;
+  }
+  const numero = Number(valor);
+  return Number.isInteger(numero) && numero >= 0 ? numero : null;
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.services - Servicios (src/services)
+ */
+const createAdminController = ({ services }) => {
+  const { admin, driverDocuments } = services;
+
+  /**
+   * Responde con un error de servicio ({ status, code?, message }).
+   */
+  const responderError = (res, error) =>
+    res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+
+  const errorInterno = (res, contexto, error) => {
+    console.error(`Error en ${contexto}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: "Error interno del servidor"
+    });
+  };
+
+  /**
+   * Lista y busca usuarios.
+   *
+   * Query: q (email, nombre o teléfono), rol, suspendido (true|false), limit, offset
+   */
+  const listUsers = async (req, res) => {
+    try {
+      const { q, rol, suspendido } = req.query;
+      const limit = leerEntero(req.query.limit, LIMITE_POR_DEFECTO);
+      const offset = leerEntero(req.query.offset, 0);
+
+      if (limit === null || limit === 0 || limit > LIMITE_MAXIMO || offset === null) {
+        return res.status(400).json({
+          success: false,
+          message: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO} y offset un entero no negativo`
+        });
+      }
+
+      if (rol !== undefined && !ROLES.includes(rol)) {
+        return res.status(400).json({
+          success: false,
+          message: `rol no válido. Valores permitidos: ${ROLES.join(", ")}`
+        });
+      }
+
+      if (suspendido !== undefined && suspendido !== "true" && suspendido !== "false") {
+        return res.status(400).json({
+          success: false,
+          message: "suspendido debe ser true o false"
+        });
+      }
+
+      const { data } = await admin.listarUsuarios({
+        q: typeof q === "string" && q.trim() ? q.trim() : null,
+        rol: rol || null,
+        suspendido: suspendido === undefined ? null : suspendido === "true",
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          usuarios: data.usuarios,
+          total: data.total,
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      return errorInterno(res, "listUsers", error);
+    }
+  };
+
+  /**
+   * Detalle de un usuario con su registro de conductor.
+   */
+  const getUser = async (req, res) => {
+    try {
+      const { data: user, error } = await admin.obtenerUsuario(req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      return errorInterno(res, "getUser", error);
+    }
+  };
+
+  /**
+   * Suspende una cuenta. Body: { motivo }
+   */
+  const suspendUser = async (req, res) => {
+    try {
+      const motivo = leerMotivo(req.body);
+
+      if (!motivo) {
+        return res.status(400).json({
+          success: false,
+          message: "motivo es requerido"
+        });
+      }
+
+      const { data: suspension, error } = await admin.suspenderUsuario(req.user, req.params.id, motivo);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Cuenta suspendida",
+        data: suspension
+      });
+    } catch (error) {
+      return errorInterno(res, "suspendUser", error);
+    }
+  };
+
+  /**
+   * Reactiva una cuenta suspendida.
+   */
+  const reactivateUser = async (req, res) => {
+    try {
+      const { data: user, error } = await admin.reactivarUsuario(req.user, req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Cuenta reactivada",
+        data: user
+      });
+    } catch (error) {
+      return errorInterno(res, "reactivateUser", error);
+    }
+  };
+
+  /**
+   * Pasa a un conductor disponible a offline. Body opcional: { motivo }
+   */
+  const forceDriverOffline = async (req, res) => {
+    try {
+      const { data: driver, error } = await admin.forzarConductorOffline(req.user, req.params.id, leerMotivo(req.body));
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Conductor offline",
+        data: driver
+      });
+    } catch (error) {
+      return errorInterno(res, "forceDriverOffline", error);
+    }
+  };
+
+  /**
+   * Conductores marcados por perder la señal durante un viaje.
+   */
+  const listFlaggedDrivers = async (req, res) => {
+    try {
+      const { data } = await admin.listarConductoresSinSenal();
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "listFlaggedDrivers", error);
+    }
+  };
+
+  /**
+   * Pasajeros o conductores con tasa de cancelación alta, mayor tasa primero.
+   * Query: rol (pasajero|conductor)
+   */
+  const listHighCancellation = async (req, res) => {
+    try {
+      const { rol } = req.query;
+
+      if (!ROLES_CANCELACION.includes(rol)) {
+        return res.status(400).json({
+          success: false,
+          message: `rol es requerido. Valores permitidos: ${ROLES_CANCELACION.join(", ")}`
+        });
+      }
+
+      const { data } = await admin.listarCancelacionesAltas(rol);
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "listHighCancellation", error);
+    }
+  };
+
+  /**
+   * Conductores marcados por calificación baja, peor promedio primero.
+   */
+  const listLowRatedDrivers = async (req, res) => {
+    try {
+      const { data } = await admin.listarConductoresMalCalificados();
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "listLowRatedDrivers", error);
+    }
+  };
+
+  /**
+   * Cualquier viaje con su historial de transiciones.
+   */
+  const getTrip = async (req, res) => {
+    try {
+      const { data: viaje, error } = await admin.obtenerViaje(req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: viaje
+      });
+    } catch (error) {
+      return errorInterno(res, "getTrip", error);
+    }
+  };
+
+  /**
+   * Cancela un viaje activo. Body: { motivo }
+   */
+  const forceCancelTrip = async (req, res) => {
+    try {
+      const motivo = leerMotivo(req.body);
+
+      if (!motivo) {
+        return res.status(400).json({
+          success: false,
+          message: "motivo es requerido"
+        });
+      }
+
+      const { data: viaje, error } = await admin.forzarCancelacion(req.user, req.params.id, motivo);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Viaje cancelado",
+        data: viaje
+      });
+    } catch (error) {
+      return errorInterno(res, "forceCancelTrip", error);
+    }
+  };
+
+  /**
+   * Finaliza un viaje en progreso. Body: { motivo }
+   */
+  const forceFinishTrip = async (req, res) => {
+    try {
+      const motivo = leerMotivo(req.body);
+
+      if (!motivo) {
+        return res.status(400).json({
+          success: false,
+          message: "motivo es requerido"
+        });
+      }
+
+      const { data: viaje, error } = await admin.forzarFinalizacion(req.user, req.params.id, motivo);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Viaje finalizado",
+        data: viaje
+      });
+    } catch (error) {
+      return errorInterno(res, "forceFinishTrip", error);
+    }
+  };
+
+  /**
+   * Cola de documentos pendientes de revisión. Query: limit
+   */
+  const listPendingDocuments = async (req, res) => {
+    try {
+      const limit = leerEntero(req.query.limit, LIMITE_POR_DEFECTO);
+
+      if (limit === null || limit === 0 || limit > LIMITE_MAXIMO) {
+        return res.status(400).json({
+          success: false,
+          message: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}`
+        });
+      }
+
+      const { data: documentos } = await driverDocuments.listarPendientes(limit);
+
+      return res.status(200).json({
+        success: true,
+        data: documentos
+      });
+    } catch (error) {
+      return errorInterno(res, "listPendingDocuments", error);
+    }
+  };
+
+  /**
+   * Documentos de un conductor y su estado de aprobación.
+   */
+  const getDriverDocuments = async (req, res) => {
+    try {
+      const { data } = await driverDocuments.listarDocumentos(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "getDriverDocuments", error);
+    }
+  };
+
+  /**
+   * Descarga el archivo de un documento.
+   */
+  const getDocumentFile = async (req, res) => {
+    try {
+      const { data, error } = await driverDocuments.obtenerArchivo(req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      res.set("Content-Type", data.documento.content_type);
+      res.set("Cache-Control", "no-store");
+      return res.status(200).send(data.contenido);
+    } catch (error) {
+      return errorInterno(res, "getDocumentFile", error);
+    }
+  };
+
+  /**
+   * Aprueba un documento pendiente.
+   */
+  const approveDocument = async (req, res) => {
+    try {
+      const { data: documento, error } = await driverDocuments.revisarDocumento(req.user, req.params.id, {
+        aprobar: true
+      });
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Documento aprobado",
+        data: documento
+      });
+    } catch (error) {
+      return errorInterno(res, "approveDocument", error);
+    }
+  };
+
+  /**
+   * Rechaza un documento pendiente. Body: { motivo } (lo ve el conductor)
+   */
+  const rejectDocument = async (req, res) => {
+    try {
+      const motivo = leerMotivo(req.body);
+
+      if (!motivo) {
+        return res.status(400).json({
+          success: false,
+          message: "motivo es requerido"
+        });
+      }
+
+      const { data: documento, error } = await driverDocuments.revisarDocumento(req.user, req.params.id, {
+        aprobar: false,
+        motivo
+      });
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Documento rechazado",
+        data: documento
+      });
+    } catch (error) {
+      return errorInterno(res, "rejectDocument", error);
+    }
+  };
+
+  return {
+    listUsers,
+    getUser,
+    suspendUser,
+    reactivateUser,
+    forceDriverOffline,
+    listFlaggedDrivers,
+    listLowRatedDrivers,
+    listHighCancellation,
+    listPendingDocuments,
+    getDriverDocuments,
+    getDocumentFile,
+    approveDocument,
+    rejectDocument,
+    getTrip,
+    forceCancelTrip,
+    forceFinishTrip
+  };
+};
+
+module.exports = {
+  createAdminController
+};
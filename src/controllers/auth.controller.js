@@ -2,296 +2,554 @@
  * Controlador de Autenticación
  *
  * Implementación lista para producción usando:
- * - Supabase como base de datos (tabla users)
+ * - Repositorio de usuarios (tabla users en Supabase o en memoria)
  * - Bcrypt para hash de contraseñas
- * - JWT para autenticación basada en tokens
+ * - JWT de corta duración + refresh tokens rotativos (authTokenService)
  */
 
-const supabase = require("../config/supabase");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { LONGITUD_MINIMA_PASSWORD, esEmailValido } = require("../utils/validacion");
 
+// Roles que se pueden elegir al registrarse; "admin" solo se asigna a mano (supabase/admin.sql)
 const ROLES_PERMITIDOS = ["pasajero", "conductor"];
 
 /**
- * Registra un nuevo usuario en el sistema (tabla users en Supabase).
- *
- * @param {Object} req - Objeto de petición de Express
- * @param {Object} req.body - Datos del usuario (email, password, nombre, telefono, roles)
- * @param {Object} res - Objeto de respuesta de Express
+ * @param {Object} deps
+ * @param {Object} deps.repositories - Repositorios (src/repositories)
+ * @param {Object} deps.services - Servicios (src/services)
  */
-const register = async (req, res) => {
-  try {
-    const { email, password, nombre, telefono, roles } = req.body || {};
+const createAuthController = ({ repositories, services }) => {
+  const { users, drivers } = repositories;
+  const { authTokens, passwordReset, phoneVerification, profile } = services;
+
+  /**
+   * Registra un nuevo usuario en el sistema (tabla users).
+   *
+   * @param {Object} req - Objeto de petición de Express
+   * @param {Object} req.body - Datos del usuario (email, password, nombre, telefono, roles)
+   * @param {Object} res - Objeto de respuesta de Express
+   */
+  const register = async (req, res) => {
+    try {
+      const { email, password, nombre, telefono, roles } = req.body || {};
+
+      if (!email || !password || !nombre || !telefono) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: email, password, nombre, telefono"
+        });
+      }
 
-    if (!email || !password || !nombre || !telefono) {
-      return res.status(400).json({
-        success: false,
-        message: "Faltan datos requeridos. Necesitas: email, password, nombre, telefono"
-      });
-    }
+      if (roles === undefined || roles === null) {
+        return res.status(400).json({
+          success: false,
+          message: "El campo 'roles' es obligatorio"
+        });
+      }
 
-    if (roles === undefined || roles === null) {
-      return res.status(400).json({
-        success: false,
-        message: "El campo 'roles' es obligatorio"
-      });
-    }
+      if (!Array.isArray(roles)) {
+        return res.status(400).json({
+          success: false,
+          message: "El campo 'roles' debe ser un array"
+        });
+      }
 
-    if (!Array.isArray(roles)) {
-      return res.status(400).json({
-        success: false,
-        message: "El campo 'roles' debe ser un array"
-      });
-    }
+      if (roles.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "El array 'roles' no puede estar vacío"
+        });
+      }
 
-    if (roles.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "El array 'roles' no puede estar vacío"
-      });
-    }
+      const rolesInvalidos = roles.filter((role) => !ROLES_PERMITIDOS.includes(role));
+      if (rolesInvalidos.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Roles no permitidos: ${rolesInvalidos.join(
+            ", "
+          )}. Valores permitidos: ${ROLES_PERMITIDOS.join(", ")}`
+        });
+      }
 
-    const rolesInvalidos = roles.filter((role) => !ROLES_PERMITIDOS.includes(role));
-    if (rolesInvalidos.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Roles no permitidos: ${rolesInvalidos.join(
-          ", "
-        )}. Valores permitidos: ${ROLES_PERMITIDOS.join(", ")}`
-      });
-    }
+      if (!esEmailValido(email)) {
+        return res.status(400).json({
+          success: false,
+          message: "El formato del email no es válido"
+        });
+      }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: "El formato del email no es válido"
+      if (password.length < LONGITUD_MINIMA_PASSWORD) {
+        return res.status(400).json({
+          success: false,
+          message: `La contraseña debe tener al menos ${LONGITUD_MINIMA_PASSWORD} caracteres`
+        });
+      }
+
+      // Verificar que el email y el teléfono no estén registrados
+      const { error: errorDisponibilidad } = await profile.verificarDisponibilidad({ email, telefono });
+
+      if (errorDisponibilidad) {
+        return res.status(errorDisponibilidad.status).json({
+          success: false,
+          code: errorDisponibilidad.code,
+          message: errorDisponibilidad.message
+        });
+      }
+
+      // Hashear contraseña
+      const passwordHasheada = await bcrypt.hash(password, 10);
+
+      // Insertar usuario
+      const { data: nuevoUsuario, error: errorInsert } = await users.create({
+        email,
+        password: passwordHasheada,
+        nombre,
+        telefono,
+        roles
       });
-    }
 
-    if (password.length < 6) {
-      return res.status(400).json({
+      if (errorInsert) {
+        // Manejo explícito de posibles violaciones de unicidad
+        if (errorInsert.code === "23505") {
+          return res.status(409).json({
+            success: false,
+            message: "Email o teléfono ya registrado"
+          });
+        }
+
+        console.error("Error al registrar usuario:", errorInsert);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
+
+      if (!nuevoUsuario) {
+        return res.status(500).json({
+          success: false,
+          message: "No se pudo crear el usuario"
+        });
+      }
+
+      if (roles.includes("conductor")) {
+        const { error: errorDriver } = await drivers.create({
+          user_id: nuevoUsuario.id,
+          estado: "offline"
+        });
+
+        if (errorDriver) {
+          console.error("Error al crear registro en drivers:", errorDriver);
+          return res.status(500).json({
+            success: false,
+            message: "Error interno del servidor"
+          });
+        }
+      }
+
+      // Primer código de verificación del teléfono; si falla, el usuario puede pedir otro
+      try {
+        const { error: errorCodigo } = await phoneVerification.enviarCodigo(nuevoUsuario.id);
+        if (errorCodigo) {
+          console.error("No se pudo enviar el código de verificación:", errorCodigo);
+        }
+      } catch (errorEnvio) {
+        console.error("Error al enviar el código de verificación:", errorEnvio);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Usuario registrado correctamente. Te enviamos un código para verificar tu teléfono",
+        data: {
+          id: nuevoUsuario.id,
+          email: nuevoUsuario.email,
+          nombre: nuevoUsuario.nombre,
+          telefono: nuevoUsuario.telefono,
+          telefono_verificado: Boolean(nuevoUsuario.telefono_verificado),
+          roles: nuevoUsuario.roles,
+          created_at: nuevoUsuario.created_at
+        }
+      });
+    } catch (error) {
+      console.error("Error en register:", error);
+      return res.status(500).json({
         success: false,
-        message: "La contraseña debe tener al menos 6 caracteres"
+        message: "Error interno del servidor"
       });
     }
+  };
+
+  /**
+   * Autentica un usuario existente (login).
+   *
+   * @param {Object} req - Objeto de petición de Express
+   * @param {Object} req.body - Credenciales del usuario (email, password)
+   * @param {Object} res - Objeto de respuesta de Express
+   */
+  const login = async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: email, password"
+        });
+      }
+
+      // Buscar usuario por email
+      const { data: user, error: errorUser } = await users.findByEmail(email);
+
+      if (errorUser) {
+        console.error("Error al buscar usuario:", errorUser);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
 
-    // Verificar si el email ya existe
-    const { data: usersByEmail, error: errorEmail } = await supabase
-      .from("users")
-      .select("id")
-      .eq("email", email);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Credenciales inválidas"
+        });
+      }
 
-    if (errorEmail) {
-      console.error("Error al verificar email en Supabase:", errorEmail);
+      const passwordValida = await bcrypt.compare(password, user.password);
+      if (!passwordValida) {
+        return res.status(401).json({
+          success: false,
+          message: "Credenciales inválidas"
+        });
+      }
+
+      if (user.suspended_at) {
+        return res.status(403).json({
+          success: false,
+          code: "ACCOUNT_SUSPENDED",
+          message: "Tu cuenta está suspendida. Contacta a soporte"
+        });
+      }
+
+      // Nueva sesión: access token corto + refresh token rotativo
+      const sesion = await authTokens.iniciarSesion(user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Login exitoso",
+        data: {
+          id: user.id,
+          email: user.email,
+          nombre: user.nombre,
+          telefono: user.telefono,
+          telefono_verificado: Boolean(user.telefono_verificado),
+          roles: user.roles || [],
+          token: sesion.token,
+          expiresIn: sesion.expiresIn,
+          refreshToken: sesion.refreshToken,
+          refreshExpiresAt: sesion.refreshExpiresAt
+        }
+      });
+    } catch (error) {
+      console.error("Error en login:", error);
       return res.status(500).json({
         success: false,
         message: "Error interno del servidor"
       });
     }
+  };
+
+
+  /**
+   * Renueva el access token (rotación del refresh token).
+   *
+   * @param {Object} req - Objeto de petición de Express
+   * @param {Object} req.body - { refreshToken }
+   * @param {Object} res - Objeto de respuesta de Express
+   */
+  const refresh = async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "refreshToken es requerido"
+        });
+      }
+
+      const { data: renovado, error: errorRenovacion } = await authTokens.renovar(refreshToken);
+
+      if (errorRenovacion) {
+        return res.status(errorRenovacion.status).json({
+          success: false,
+          code: errorRenovacion.code,
+          message: errorRenovacion.message
+        });
+      }
 
-    if (usersByEmail && usersByEmail.length > 0) {
-      return res.status(409).json({
+      return res.status(200).json({
+        success: true,
+        message: "Token renovado",
+        data: {
+          id: renovado.user.id,
+          roles: renovado.user.roles || [],
+          token: renovado.token,
+          expiresIn: renovado.expiresIn,
+          refreshToken: renovado.refreshToken,
+          refreshExpiresAt: renovado.refreshExpiresAt
+        }
+      });
+    } catch (error) {
+      console.error("Error en refresh:", error);
+      return res.status(500).json({
         success: false,
-        message: "Este email ya está registrado"
+        message: "Error interno del servidor"
       });
     }
-
-    // Verificar si el teléfono ya existe
-    const { data: usersByPhone, error: errorPhone } = await supabase
-      .from("users")
-      .select("id")
-      .eq("telefono", telefono);
-
-    if (errorPhone) {
-      console.error("Error al verificar teléfono en Supabase:", errorPhone);
+  };
+
+  /**
+   * Cierra la sesión actual (la del access token). Sus refresh tokens dejan de servir.
+   */
+  const logout = async (req, res) => {
+    try {
+      await authTokens.cerrarSesion(req.user.sessionId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Sesión cerrada"
+      });
+    } catch (error) {
+      console.error("Error en logout:", error);
       return res.status(500).json({
         success: false,
         message: "Error interno del servidor"
       });
     }
-
-    if (usersByPhone && usersByPhone.length > 0) {
-      return res.status(409).json({
+  };
+
+  /**
+   * Cierra todas las sesiones del usuario en todos sus dispositivos.
+   */
+  const logoutAll = async (req, res) => {
+    try {
+      const sesionesCerradas = await authTokens.cerrarTodas(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Todas las sesiones fueron cerradas",
+        data: {
+          sesionesCerradas
+        }
+      });
+    } catch (error) {
+      console.error("Error en logoutAll:", error);
+      return res.status(500).json({
         success: false,
-        message: "Este teléfono ya está registrado"
+        message: "Error interno del servidor"
       });
     }
+  };
+
+
+  /**
+   * Solicita un código para restablecer la contraseña.
+   * Responde lo mismo exista o no la cuenta, y también cuando se omite el envío por el límite
+   * de códigos, para no revelar qué emails o teléfonos están registrados.
+   *
+   * @param {Object} req - Objeto de petición de Express
+   * @param {Object} req.body - { email } o { telefono }
+   * @param {Object} res - Objeto de respuesta de Express
+   */
+  const forgotPassword = async (req, res) => {
+    try {
+      const { email, telefono } = req.body || {};
+
+      if (!email && !telefono) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: email o telefono"
+        });
+      }
 
-    // Hashear contraseña
-    const passwordHasheada = await bcrypt.hash(password, 10);
-
-    // Insertar usuario en Supabase
-    const { data: nuevoUsuario, error: errorInsert } = await supabase
-      .from("users")
-      .insert({
-        email,
-        password: passwordHasheada,
-        nombre,
-        telefono,
-        roles
-      })
-      .select("id, email, nombre, telefono, roles, created_at")
-      .single();
-
-    if (errorInsert) {
-      // Manejo explícito de posibles violaciones de unicidad
-      if (errorInsert.code === "23505") {
-        return res.status(409).json({
+      if ((email && typeof email !== "string") || (telefono && typeof telefono !== "string")) {
+        return res.status(400).json({
           success: false,
-          message: "Email o teléfono ya registrado"
+          message: "email y telefono deben ser texto"
         });
       }
 
-      console.error("Error al registrar usuario en Supabase:", errorInsert);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno del servidor"
-      });
-    }
+      await passwordReset.solicitarCodigo(email ? { email } : { telefono });
 
-    if (!nuevoUsuario) {
+      return res.status(200).json({
+        success: true,
+        message: "Si la cuenta existe, enviamos un código para restablecer la contraseña"
+      });
+    } catch (error) {
+      console.error("Error en forgotPassword:", error);
       return res.status(500).json({
         success: false,
-        message: "No se pudo crear el usuario"
+        message: "Error interno del servidor"
       });
     }
-
-    if (roles.includes("conductor")) {
-      const { error: errorDriver } = await supabase
-        .from("drivers")
-        .insert({
-          user_id: nuevoUsuario.id,
-          estado: "offline"
+  };
+
+  /**
+   * Restablece la contraseña con el código recibido. Cierra todas las sesiones abiertas.
+   *
+   * @param {Object} req - Objeto de petición de Express
+   * @param {Object} req.body - { email o telefono, code, password }
+   * @param {Object} res - Objeto de respuesta de Express
+   */
+  const resetPassword = async (req, res) => {
+    try {
+      const { email, telefono, code, password } = req.body || {};
+
+      if ((!email && !telefono) || !code || !password) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: email o telefono, code, password"
         });
+      }
 
-      if (errorDriver) {
-        console.error("Error al crear registro en drivers:", errorDriver);
-        return res.status(500).json({
+      if (
+        (email && typeof email !== "string") ||
+        (telefono && typeof telefono !== "string") ||
+        typeof code !== "string" ||
+        typeof password !== "string"
+      ) {
+        return res.status(400).json({
           success: false,
-          message: "Error interno del servidor"
+          message: "email, telefono, code y password deben ser texto"
         });
       }
-    }
 
-    return res.status(201).json({
-      success: true,
-      message: "Usuario registrado correctamente",
-      data: {
-        id: nuevoUsuario.id,
-        email: nuevoUsuario.email,
-        nombre: nuevoUsuario.nombre,
-        telefono: nuevoUsuario.telefono,
-        roles: nuevoUsuario.roles,
-        created_at: nuevoUsuario.created_at
+      if (password.length < LONGITUD_MINIMA_PASSWORD) {
+        return res.status(400).json({
+          success: false,
+          message: `La contraseña debe tener al menos ${LONGITUD_MINIMA_PASSWORD} caracteres`
+        });
       }
-    });
-  } catch (error) {
-    console.error("Error en register:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error interno del servidor"
-    });
-  }
-};
 
-/**
- * Autentica un usuario existente (login).
- *
- * @param {Object} req - Objeto de petición de Express
- * @param {Object} req.body - Credenciales del usuario (email, password)
- * @param {Object} res - Objeto de respuesta de Express
- */
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
+      const { error: errorReset } = await passwordReset.restablecer({
+        email: email || null,
+        telefono: email ? null : telefono,
+        codigo: code,
+        password
+      });
 
-    if (!email || !password) {
-      return res.status(400).json({
+      if (errorReset) {
+        return res.status(errorReset.status).json({
+          success: false,
+          code: errorReset.code,
+          message: errorReset.message
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Contraseña actualizada. Inicia sesión nuevamente"
+      });
+    } catch (error) {
+      console.error("Error en resetPassword:", error);
+      return res.status(500).json({
         success: false,
-        message: "Faltan datos requeridos. Necesitas: email, password"
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    // Buscar usuario por email en Supabase
-    const { data: user, error: errorUser } = await supabase
-      .from("users")
-      .select("id, email, password, nombre, telefono, roles")
-      .eq("email", email)
-      .single();
 
-    if (errorUser) {
-      // PGRST116 → no se encontraron filas
-      if (errorUser.code === "PGRST116") {
-        return res.status(401).json({
+  /**
+   * Envía (o reenvía) el código OTP para verificar el teléfono del usuario autenticado.
+   */
+  const sendPhoneCode = async (req, res) => {
+    try {
+      const { data: envio, error: errorEnvio } = await phoneVerification.enviarCodigo(req.user.userId);
+
+      if (errorEnvio) {
+        if (errorEnvio.retryAfterSeg) {
+          res.set("Retry-After", String(errorEnvio.retryAfterSeg));
+        }
+        return res.status(errorEnvio.status).json({
           success: false,
-          message: "Credenciales inválidas"
+          code: errorEnvio.code,
+          message: errorEnvio.message,
+          ...(errorEnvio.retryAfterSeg ? { retryAfterSeg: errorEnvio.retryAfterSeg } : {})
         });
       }
 
-      console.error("Error al buscar usuario en Supabase:", errorUser);
+      return res.status(200).json({
+        success: true,
+        message: "Código de verificación enviado",
+        data: envio
+      });
+    } catch (error) {
+      console.error("Error en sendPhoneCode:", error);
       return res.status(500).json({
         success: false,
         message: "Error interno del servidor"
       });
     }
+  };
+
+  /**
+   * Verifica el teléfono del usuario autenticado con el código OTP.
+   *
+   * @param {Object} req.body - { code }
+   */
+  const verifyPhone = async (req, res) => {
+    try {
+      const { code } = req.body || {};
+
+      if (!code || typeof code !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "code es requerido"
+        });
+      }
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Credenciales inválidas"
-      });
-    }
+      const { data: user, error: errorVerificacion } = await phoneVerification.verificarCodigo(req.user.userId, code);
+
+      if (errorVerificacion) {
+        return res.status(errorVerificacion.status).json({
+          success: false,
+          code: errorVerificacion.code,
+          message: errorVerificacion.message
+        });
+      }
 
-    const passwordValida = await bcrypt.compare(password, user.password);
-    if (!passwordValida) {
-      return res.status(401).json({
+      return res.status(200).json({
+        success: true,
+        message: "Teléfono verificado",
+        data: {
+          id: user.id,
+          telefono: user.telefono,
+          telefono_verificado: true
+        }
+      });
+    } catch (error) {
+      console.error("Error en verifyPhone:", error);
+      return res.status(500).json({
         success: false,
-        message: "Credenciales inválidas"
+        message: "Error interno del servidor"
       });
     }
-
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      throw new Error("JWT_SECRET no está definido en las variables de entorno");
-    }
-
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        roles: user.roles || []
-      },
-      jwtSecret,
-      {
-        expiresIn: "24h"
-      }
-    );
-
-    return res.status(200).json({
-      success: true,
-      message: "Login exitoso",
-      data: {
-        id: user.id,
-        email: user.email,
-        nombre: user.nombre,
-        telefono: user.telefono,
-        roles: user.roles || [],
-        token
-      }
-    });
-  } catch (error) {
-    console.error("Error en login:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error interno del servidor"
-    });
-  }
+  };
+
+  return {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    sendPhoneCode,
+    verifyPhone
+  };
 };
 
 module.exports = {
-  register,
-  login
+  createAuthController
 };
-
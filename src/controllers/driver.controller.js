@@ -1,211 +1,541 @@
-const supabase = require("../config/supabase");
+const { TIPOS_DOCUMENTO, EXTENSIONES } = require("../services/driverDocumentService");
+const { validarLote } = require("../services/tripRouteService");
+const recorrido = require("../config/recorrido");
 
 const ESTADOS_PERMITIDOS = ["disponible", "ocupado", "offline"];
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Datos opcionales del GPS en POST /driver/location y su rango válido */
+const MEDICIONES_GPS = {
+  accuracy: { min: 0, max: Infinity, descripcion: "precisión en metros, >= 0" },
+  speed: { min: 0, max: Infinity, descripcion: "velocidad en m/s, >= 0" },
+  heading: { min: 0, max: 360, descripcion: "rumbo en grados, entre 0 y 360" }
+};
 
 /**
- * Registra un nuevo conductor en la tabla drivers (Supabase).
+ * Lee accuracy, speed y heading del body (los ausentes quedan en null).
+ *
+ * @returns {{ mediciones: Object|null, mensaje: string|null }}
  */
-const registerDriver = async (req, res) => {
-  try {
-    const userId = req.user?.userId;
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no identificado"
-      });
+const leerMedicionesGps = (body) => {
+  const mediciones = {};
+  for (const [campo, { min, max, descripcion }] of Object.entries(MEDICIONES_GPS)) {
+    const valor = body[campo];
+    if (valor === undefined || valor === null) {
+      mediciones[campo] = null;
+      continue;
+    }
+    if (typeof valor !== "number" || !Number.isFinite(valor) || valor < min || valor > max) {
+      return { mediciones: null, mensaje: `${campo} debe ser un número (${descripcion})` };
     }
+    mediciones[campo] = valor;
+  }
+  return { mediciones, mensaje: null };
+};
 
-    const { data: existing, error: errorFind } = await supabase
-      .from("drivers")
-      .select("user_id")
-      .eq("user_id", userId)
-      .maybeSingle();
+const esCoordenada = (valor, limite) => typeof valor === "number" && Number.isFinite(valor) && Math.abs(valor) <= limite;
 
-    if (errorFind) {
-      console.error("Error al verificar conductor:", errorFind);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno del servidor"
-      });
-    }
+/**
+ * Lee los puntos de POST /driver/location/batch: [{ lat, lng, recordedAt, accuracy?, speed?, heading? }].
+ *
+ * @returns {{ puntos: Array<Object>|null, mensaje: string|null }}
+ */
+const leerLote = (body) => {
+  const { points } = body || {};
 
-    if (existing) {
-      return res.status(409).json({
-        success: false,
-        message: "Ya existe un conductor registrado con ese userId"
-      });
+  if (!Array.isArray(points) || points.length === 0 || points.length > recorrido.loteMaximoPuntos) {
+    return { puntos: null, mensaje: `points debe ser un arreglo de 1 a ${recorrido.loteMaximoPuntos} puntos` };
+  }
+
+  const puntos = [];
+  for (const [indice, punto] of points.entries()) {
+    if (!punto || typeof punto !== "object" || !esCoordenada(punto.lat, 90) || !esCoordenada(punto.lng, 180)) {
+      return { puntos: null, mensaje: `Punto ${indice}: lat y lng deben ser números válidos` };
     }
 
-    const { data: created, error: errorInsert } = await supabase
-      .from("drivers")
-      .insert({ user_id: userId, estado: "disponible" })
-      .select()
-      .single();
+    if (typeof punto.recordedAt !== "string" || Number.isNaN(Date.parse(punto.recordedAt))) {
+      return { puntos: null, mensaje: `Punto ${indice}: recordedAt es requerido (fecha ISO 8601)` };
+    }
 
-    if (errorInsert) {
-      console.error("Error al registrar conductor:", errorInsert);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno del servidor"
-      });
+    const { mediciones, mensaje } = leerMedicionesGps(punto);
+    if (!mediciones) {
+      return { puntos: null, mensaje: `Punto ${indice}: ${mensaje}` };
     }
 
-    return res.status(201).json({
-      success: true,
-      message: "Conductor registrado correctamente",
-      data: created
-    });
-  } catch (error) {
-    console.error("Error en registerDriver:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error interno del servidor"
+    puntos.push({
+      lat: punto.lat,
+      lng: punto.lng,
+      recordedAt: new Date(punto.recordedAt).toISOString(),
+      ...mediciones
     });
   }
+
+  return { puntos, mensaje: null };
 };
 
 /**
- * Actualiza el estado del conductor. Si no existe registro, lo crea.
+ * @param {Object} deps
+ * @param {Object} deps.repositories - Repositorios (src/repositories)
+ * @param {Object} deps.services - Servicios (src/services)
  */
-const updateStatus = async (req, res) => {
-  try {
-    const userId = req.user?.userId;
-    const { estado } = req.body || {};
+const createDriverController = ({ repositories, services }) => {
+  const { drivers } = repositories;
+  const { driverDocuments, vehicles, tripRoute, tripTracking } = services;
 
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no identificado"
-      });
-    }
+  /**
+   * Registra un nuevo conductor en la tabla drivers.
+   * Empieza offline: para pasar a "disponible" necesita sus documentos aprobados.
+   */
+  const registerDriver = async (req, res) => {
+    try {
+      const userId = req.user?.userId;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no identificado"
+        });
+      }
+
+      const { data: existing, error: errorFind } = await drivers.findByUserId(userId);
+
+      if (errorFind) {
+        console.error("Error al verificar conductor:", errorFind);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: "Ya existe un conductor registrado con ese userId"
+        });
+      }
+
+      const { data: created, error: errorInsert } = await drivers.create({ user_id: userId, estado: "offline" });
+
+      if (errorInsert) {
+        console.error("Error al registrar conductor:", errorInsert);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
 
-    if (!estado) {
-      return res.status(400).json({
+      return res.status(201).json({
+        success: true,
+        message: "Conductor registrado correctamente",
+        data: created
+      });
+    } catch (error) {
+      console.error("Error en registerDriver:", error);
+      return res.status(500).json({
         success: false,
-        message: "Estado es requerido"
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    if (!ESTADOS_PERMITIDOS.includes(estado)) {
-      return res.status(400).json({
-        success: false,
-        message: "Estado no válido. Valores permitidos: disponible, ocupado, offline"
+  /**
+   * Actualiza el estado del conductor. Si no existe registro, lo crea.
+   * "disponible" exige todos los documentos aprobados y vigentes y un vehículo activo.
+   */
+  const updateStatus = async (req, res) => {
+    try {
+      const userId = req.user?.userId;
+      const { estado } = req.body || {};
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no identificado"
+        });
+      }
+
+      if (!estado) {
+        return res.status(400).json({
+          success: false,
+          message: "Estado es requerido"
+        });
+      }
+
+      if (!ESTADOS_PERMITIDOS.includes(estado)) {
+        return res.status(400).json({
+          success: false,
+          message: "Estado no válido. Valores permitidos: disponible, ocupado, offline"
+        });
+      }
+
+      if (estado === "disponible") {
+        const verificacion = await driverDocuments.estadoVerificacion(userId);
+
+        if (!verificacion.aprobado) {
+          return res.status(403).json({
+            success: false,
+            code: "DRIVER_NOT_APPROVED",
+            message: "Necesitas todos tus documentos aprobados y vigentes para recibir viajes",
+            data: {
+              requisitos: verificacion.requisitos.filter((r) => r.estado !== "aprobado")
+            }
+          });
+        }
+
+        if (!(await vehicles.vehiculoActivo(userId))) {
+          return res.status(403).json({
+            success: false,
+            code: "VEHICLE_REQUIRED",
+            message: "Registra un vehículo en /driver/vehicles y actívalo para recibir viajes"
+          });
+        }
+      }
+
+      // Cambiar de estado también cuenta como señal de vida (last_seen_at)
+      const { data: updateData, error: updateError } = await drivers.updateByUserId(userId, {
+        estado,
+        last_seen_at: new Date().toISOString()
       });
-    }
 
-    const { data: updateData, error: updateError } = await supabase
-      .from("drivers")
-      .update({ estado })
-      .eq("user_id", userId)
-      .select();
+      if (updateError) {
+        console.error("Error al actualizar estado del conductor:", updateError);
+        return res.status(500).json({
+          success: false,
+          message: "Error al actualizar el estado del conductor"
+        });
+      }
+
+      if (!updateData) {
+        const { data: insertData, error: insertError } = await drivers.create({ user_id: userId, estado });
 
-    if (updateError) {
-      console.error("Error al actualizar estado del conductor:", updateError);
+        if (insertError) {
+          console.error("Error al crear registro del conductor:", insertError);
+          return res.status(500).json({
+            success: false,
+            message: "Error al crear el registro del conductor"
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: "Estado del conductor registrado",
+          data: insertData
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: "Estado del conductor actualizado",
+        data: updateData
+      });
+    } catch (error) {
+      console.error("Error en updateStatus:", error);
       return res.status(500).json({
         success: false,
-        message: "Error al actualizar el estado del conductor"
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    const updatedRows = updateData == null ? 0 : (Array.isArray(updateData) ? updateData.length : 1);
+  /**
+   * Actualiza la ubicación actual del conductor (lat, lng) en la tabla drivers.
+   * Es también su señal de vida: actualiza last_seen_at y borra la marca por falta de señal.
+   * Si tiene un viaje activo, el punto (con accuracy, speed y heading opcionales) se guarda
+   * en el recorrido del viaje y se publica, con su ETA, en el canal de seguimiento del viaje.
+   */
+  const updateLocation = async (req, res) => {
+    try {
+      const userId = req.user?.userId;
+      const { lat, lng } = req.body || {};
 
-    if (updatedRows === 0) {
-      const { data: insertData, error: insertError } = await supabase
-        .from("drivers")
-        .insert({ user_id: userId, estado })
-        .select()
-        .single();
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no identificado"
+        });
+      }
 
-      if (insertError) {
-        console.error("Error al crear registro del conductor:", insertError);
+      if (lat === undefined || lng === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "lat y lng son requeridos"
+        });
+      }
+
+      if (typeof lat !== "number" || typeof lng !== "number" || Number.isNaN(lat) || Number.isNaN(lng)) {
+        return res.status(400).json({
+          success: false,
+          message: "lat y lng deben ser números"
+        });
+      }
+
+      const { mediciones, mensaje } = leerMedicionesGps(req.body);
+
+      if (!mediciones) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
+
+      const ahora = new Date().toISOString();
+      const { error: updateError } = await drivers.updateByUserId(userId, {
+        lat,
+        lng,
+        location_recorded_at: ahora,
+        last_seen_at: ahora,
+        heartbeat_flagged_at: null
+      });
+
+      if (updateError) {
+        console.error("Error al actualizar ubicación del conductor:", updateError);
         return res.status(500).json({
           success: false,
-          message: "Error al crear el registro del conductor"
+          message: "Error al actualizar la ubicación del conductor"
+        });
+      }
+
+      // El recorrido no debe impedir que se actualice la posición actual
+      try {
+        await tripRoute.registrarUbicacion(userId, { lat, lng, ...mediciones });
+      } catch (errorRecorrido) {
+        console.error("Error al guardar la ubicación en el recorrido del viaje:", errorRecorrido);
+      }
+
+      try {
+        await tripTracking.publicarUbicacion(userId, {
+          lat,
+          lng,
+          speed: mediciones.speed,
+          heading: mediciones.heading,
+          recordedAt: ahora
         });
+      } catch (errorSeguimiento) {
+        console.error("Error al publicar la ubicación en el seguimiento del viaje:", errorSeguimiento);
       }
 
       return res.json({
         success: true,
-        message: "Estado del conductor registrado",
-        data: insertData
+        message: "Ubicación actualizada"
+      });
+    } catch (error) {
+      console.error("Error en updateLocation:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    return res.json({
-      success: true,
-      message: "Estado del conductor actualizado",
-      data: updateData
-    });
-  } catch (error) {
-    console.error("Error en updateStatus:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error interno del servidor"
-    });
-  }
-};
+  /**
+   * Recibe los puntos capturados sin conexión y los agrega al recorrido de sus viajes.
+   * La ubicación actual solo se actualiza (y se publica en el seguimiento del viaje) con el
+   * último punto, y solo si es más reciente que la guardada. Los saltos imposibles se descartan y se informan en "rechazados".
+   *
+   * Body: { points: [{ lat, lng, recordedAt, accuracy?, speed?, heading? }] } en orden cronológico
+   */
+  const updateLocationBatch = async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { puntos, mensaje } = leerLote(req.body);
 
-/**
- * Actualiza la ubicación actual del conductor (lat, lng) en la tabla drivers.
- */
-const updateLocation = async (req, res) => {
-  try {
-    const userId = req.user?.userId;
-    const { lat, lng } = req.body || {};
+      if (!puntos) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
 
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no identificado"
+      const { data: lote, error: errorLote } = validarLote(puntos);
+
+      if (errorLote) {
+        return res.status(errorLote.status).json({
+          success: false,
+          code: errorLote.code,
+          message: errorLote.message
+        });
+      }
+
+      // Subir el lote también cuenta como señal de vida
+      const { data: driver, error: errorDriver } = await drivers.updateByUserId(userId, {
+        last_seen_at: new Date().toISOString(),
+        heartbeat_flagged_at: null
       });
-    }
 
-    if (lat === undefined || lng === undefined) {
-      return res.status(400).json({
+      if (errorDriver) {
+        console.error("Error al actualizar el conductor:", errorDriver);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
+
+      if (!driver) {
+        return res.status(404).json({
+          success: false,
+          message: "Conductor no encontrado en el sistema. Regístrate primero con POST /driver/register"
+        });
+      }
+
+      let guardados = 0;
+      let ubicacionActualizada = false;
+
+      if (lote.aceptados.length > 0) {
+        const { data: registrados } = await tripRoute.registrarLote(userId, lote.aceptados);
+        guardados = registrados.guardados;
+
+        const ultimo = lote.aceptados[lote.aceptados.length - 1];
+        const { data: actualizado, error: errorUbicacion } = await drivers.updateLocationIfNewer(userId, {
+          lat: ultimo.lat,
+          lng: ultimo.lng,
+          location_recorded_at: ultimo.recordedAt
+        });
+
+        if (errorUbicacion) {
+          console.error("Error al actualizar ubicación del conductor:", errorUbicacion);
+          return res.status(500).json({
+            success: false,
+            message: "Error al actualizar la ubicación del conductor"
+          });
+        }
+
+        ubicacionActualizada = Boolean(actualizado);
+
+        // Solo se publica si el último punto es la posición más reciente del conductor
+        if (ubicacionActualizada) {
+          try {
+            await tripTracking.publicarUbicacion(userId, ultimo);
+          } catch (errorSeguimiento) {
+            console.error("Error al publicar la ubicación en el seguimiento del viaje:", errorSeguimiento);
+          }
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: "Lote de ubicaciones recibido",
+        data: {
+          recibidos: puntos.length,
+          guardados,
+          rechazados: lote.rechazados,
+          ubicacionActualizada
+        }
+      });
+    } catch (error) {
+      console.error("Error en updateLocationBatch:", error);
+      return res.status(500).json({
         success: false,
-        message: "lat y lng son requeridos"
+        message: "Error interno del servidor"
       });
     }
+  };
+
+  /**
+   * Documentos del conductor y qué le falta para quedar aprobado.
+   */
+  const getDocuments = async (req, res) => {
+    try {
+      const { data } = await driverDocuments.listarDocumentos(req.user.userId);
 
-    if (typeof lat !== "number" || typeof lng !== "number" || Number.isNaN(lat) || Number.isNaN(lng)) {
-      return res.status(400).json({
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error("Error en getDocuments:", error);
+      return res.status(500).json({
         success: false,
-        message: "lat y lng deben ser números"
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    const { error: updateError } = await supabase
-      .from("drivers")
-      .update({
-        lat,
-        lng
-      })
-      .eq("user_id", userId);
+  /**
+   * Sube un documento (el archivo va en el body, con su Content-Type).
+   * Queda pendiente hasta que un admin lo revise.
+   *
+   * @param {string} req.params.tipo - licencia, soat, tarjeta_propiedad o dni
+   * @param {string} req.query.expiresAt - Fecha de vencimiento (YYYY-MM-DD)
+   */
+  const uploadDocument = async (req, res) => {
+    try {
+      const { tipo } = req.params;
+      const { expiresAt } = req.query;
+
+      if (!TIPOS_DOCUMENTO.includes(tipo)) {
+        return res.status(400).json({
+          success: false,
+          message: `Tipo de documento no válido. Valores permitidos: ${TIPOS_DOCUMENTO.join(", ")}`
+        });
+      }
+
+      if (
+        typeof expiresAt !== "string" ||
+        !FECHA_REGEX.test(expiresAt) ||
+        Number.isNaN(Date.parse(expiresAt)) ||
+        new Date(expiresAt).toISOString().slice(0, 10) !== expiresAt
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresAt es requerido con formato YYYY-MM-DD"
+        });
+      }
+
+      if (expiresAt <= new Date().toISOString().slice(0, 10)) {
+        return res.status(400).json({
+          success: false,
+          message: "El documento ya está vencido"
+        });
+      }
 
-    if (updateError) {
-      console.error("Error al actualizar ubicación del conductor:", updateError);
+      const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+
+      if (!EXTENSIONES[contentType] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Envía el archivo en el body con Content-Type: ${Object.keys(EXTENSIONES).join(", ")}`
+        });
+      }
+
+      const { data: documento, error } = await driverDocuments.subirDocumento(req.user.userId, {
+        tipo,
+        expiresAt,
+        contenido: req.body,
+        contentType
+      });
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Documento recibido. Queda pendiente de revisión",
+        data: documento
+      });
+    } catch (error) {
+      console.error("Error en uploadDocument:", error);
       return res.status(500).json({
         success: false,
-        message: "Error al actualizar la ubicación del conductor"
+        message: "Error interno del servidor"
       });
     }
+  };
 
-    return res.json({
-      success: true,
-      message: "Ubicación actualizada"
-    });
-  } catch (error) {
-    console.error("Error en updateLocation:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error interno del servidor"
-    });
-  }
+  return {
+    registerDriver,
+    updateStatus,
+    updateLocation,
+    updateLocationBatch,
+    getDocuments,
+    uploadDocument
+  };
 };
 
 module.exports = {
-  registerDriver,
-  updateStatus,
-  updateLocation
+  createDriverController
 };
@@ -0,0 +1,149 @@
+/**
+ * Controlador del gateway de notificaciones (GET /events)
+ *
+ * Mantiene abierta una conexión Server-Sent Events por la que el usuario recibe solo los
+ * eventos dirigidos a él (pushGatewayService): ofertas si es conductor y cambios de sus
+ * viajes si es pasajero. Al reconectar, el cliente envía el header Last-Event-ID.
+ */
+
+const eventos = require("../config/eventos");
+const { EVENTO_SESION_CERRADA } = require("../services/pushGatewayService");
+
+const ID_EVENTO_REGEX = /^\d+$/;
+
+/**
+ * Lee el último id recibido por el cliente (header Last-Event-ID o query lastEventId).
+ *
+ * @returns {{ ultimoId: number|null, mensaje: string|null }}
+ */
+const leerUltimoId = (req) => {
+  const valor = req.get("Last-Event-ID") ?? req.query.lastEventId;
+  if (valor === undefined || valor === "") {
+    return { ultimoId: null, mensaje: null };
+  }
+  if (typeof valor !== "string" || !ID_EVENTO_REGEX.test(valor)) {
+    return { ultimoId: null, mensaje: "Last-Event-ID debe ser el id numérico del último evento recibido" };
+  }
+  return { ultimoId: Number(valor), mensaje: null };
+};
+
+/**
+ * Formato de un evento SSE. Sin id, el evento no cambia el Last-Event-ID del cliente.
+ */
+const formatearEvento = (id, evento, payload) =>
+  `${id !== null ? `id: ${id}\n` : ""}event: ${evento}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.services - Servicios (src/services)
+ */
+const createEventsController = ({ services }) => {
+  const { pushGateway, authTokens } = services;
+
+  /**
+   * Abre el stream de eventos del usuario autenticado.
+   * Se cierra cuando vence el access token (evento "token_expired"): el cliente renueva el
+   * token con POST /auth/refresh y reconecta con Last-Event-ID sin perder eventos.
+   * También se cierra con "session_closed" si la sesión se revoca (logout, cambio de
+   * contraseña o suspensión de la cuenta); en ese caso el cliente debe iniciar sesión.
+   */
+  const streamEvents = async (req, res) => {
+    const { ultimoId, mensaje } = leerUltimoId(req);
+
+    if (mensaje) {
+      return res.status(400).json({
+        success: false,
+        message: mensaje
+      });
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Evita que nginx u otros proxies acumulen los eventos
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write(`retry: ${eventos.reintentoClienteMs}\n\n`);
+
+    let cerrada = false;
+    let quitarConexion = null;
+    let vencimiento = null;
+
+    const liberar = () => {
+      if (cerrada) {
+        return;
+      }
+      cerrada = true;
+      clearTimeout(vencimiento);
+      if (quitarConexion) {
+        quitarConexion();
+      }
+    };
+
+    const cerrar = () => {
+      liberar();
+      res.end();
+    };
+
+    res.on("close", liberar);
+
+    try {
+      quitarConexion = await pushGateway.conectar(req.user.userId, {
+        sesionId: req.user.sessionId,
+        ultimoId,
+        enviar: ({ id, evento, payload }) => {
+          if (!cerrada) {
+            res.write(formatearEvento(id, evento, payload));
+          }
+        },
+        // La sesión pudo revocarse en otra instancia: se verifica en cada keepalive
+        mantener: async () => {
+          if (cerrada) {
+            return;
+          }
+          try {
+            const { data: sesion, error } = await authTokens.verificarSesion(req.user.sessionId, req.user.userId);
+            if (!cerrada && !error && (!sesion.activa || sesion.suspendida)) {
+              res.write(formatearEvento(null, EVENTO_SESION_CERRADA, {}));
+              return cerrar();
+            }
+          } catch (error) {
+            console.error("Error al verificar la sesión del stream de eventos:", error);
+          }
+          if (!cerrada) {
+            res.write(": keepalive\n\n");
+          }
+        },
+        cerrar
+      });
+    } catch (error) {
+      console.error("Error en streamEvents:", error);
+      // El cliente reintenta solo tras "retry"
+      return cerrar();
+    }
+
+    // El cliente se desconectó mientras se reproducían los eventos
+    if (cerrada) {
+      quitarConexion();
+      return;
+    }
+
+    if (req.user.tokenExpiresAt) {
+      vencimiento = setTimeout(() => {
+        res.write(formatearEvento(null, "token_expired", {}));
+        cerrar();
+      }, req.user.tokenExpiresAt * 1000 - Date.now());
+      vencimiento.unref();
+    }
+  };
+
+  return {
+    streamEvents
+  };
+};
+
+module.exports = {
+  createEventsController
+};
@@ -0,0 +1,348 @@
+/**
+ * Controlador del perfil del usuario autenticado (/me)
+ *
+ * Datos, contraseña y cambios de email y teléfono verificados con código (profileService).
+ */
+
+const { LONGITUD_MINIMA_PASSWORD, esEmailValido, esUrlValida } = require("../utils/validacion");
+
+const LONGITUD_MAXIMA_NOMBRE = 100;
+
+/**
+ * Datos del perfil que se devuelven al cliente.
+ */
+const construirPerfil = (perfil) => ({
+  id: perfil.id,
+  email: perfil.email,
+  nombre: perfil.nombre,
+  telefono: perfil.telefono,
+  telefono_verificado: Boolean(perfil.telefono_verificado),
+  foto_url: perfil.foto_url || null,
+  roles: perfil.roles,
+  conductor: perfil.conductor,
+  created_at: perfil.created_at
+});
+
+/**
+ * Responde con un error de servicio ({ status, code, message, retryAfterSeg? }).
+ */
+const responderError = (res, error) => {
+  if (error.retryAfterSeg) {
+    res.set("Retry-After", String(error.retryAfterSeg));
+  }
+  return res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.retryAfterSeg ? { retryAfterSeg: error.retryAfterSeg } : {})
+  });
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.services - Servicios (src/services)
+ */
+const createMeController = ({ services }) => {
+  const { profile, phoneVerification } = services;
+
+  /**
+   * Devuelve el perfil, los roles y el estado de conductor (si lo es).
+   */
+  const getMe = async (req, res) => {
+    try {
+      const { data: perfil, error } = await profile.obtenerPerfil(req.user.userId);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Perfil obtenido",
+        data: construirPerfil(perfil)
+      });
+    } catch (error) {
+      console.error("Error en getMe:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Actualiza nombre y/o foto de perfil.
+   *
+   * @param {Object} req.body - { nombre?, foto_url? } (foto_url null la elimina)
+   */
+  const updateMe = async (req, res) => {
+    try {
+      const { nombre, foto_url: fotoUrl } = req.body || {};
+      const cambios = {};
+
+      if (nombre !== undefined) {
+        if (typeof nombre !== "string" || !nombre.trim() || nombre.trim().length > LONGITUD_MAXIMA_NOMBRE) {
+          return res.status(400).json({
+            success: false,
+            message: `nombre debe ser un texto de 1 a ${LONGITUD_MAXIMA_NOMBRE} caracteres`
+          });
+        }
+        cambios.nombre = nombre.trim();
+      }
+
+      if (fotoUrl !== undefined) {
+        if (fotoUrl !== null && !esUrlValida(fotoUrl)) {
+          return res.status(400).json({
+            success: false,
+            message: "foto_url debe ser una URL http(s) válida o null"
+          });
+        }
+        cambios.foto_url = fotoUrl;
+      }
+
+      if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Nada que actualizar. Campos editables: nombre, foto_url"
+        });
+      }
+
+      const { data: perfil, error } = await profile.actualizarPerfil(req.user.userId, cambios);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Perfil actualizado",
+        data: construirPerfil(perfil)
+      });
+    } catch (error) {
+      console.error("Error en updateMe:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Cambia la contraseña. Cierra las demás sesiones; la actual sigue abierta.
+   *
+   * @param {Object} req.body - { currentPassword, newPassword }
+   */
+  const changePassword = async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+
+      if (typeof currentPassword !== "string" || typeof newPassword !== "string" || !currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: currentPassword, newPassword"
+        });
+      }
+
+      if (newPassword.length < LONGITUD_MINIMA_PASSWORD) {
+        return res.status(400).json({
+          success: false,
+          message: `La contraseña debe tener al menos ${LONGITUD_MINIMA_PASSWORD} caracteres`
+        });
+      }
+
+      const { data: cambio, error } = await profile.cambiarPassword(
+        req.user.userId,
+        req.user.sessionId,
+        currentPassword,
+        newPassword
+      );
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Contraseña actualizada. Se cerraron las demás sesiones",
+        data: cambio
+      });
+    } catch (error) {
+      console.error("Error en changePassword:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Solicita el cambio de email: envía un código al email nuevo.
+   *
+   * @param {Object} req.body - { email, currentPassword }
+   */
+  const requestEmailChange = async (req, res) => {
+    try {
+      const { email, currentPassword } = req.body || {};
+
+      if (!email || typeof currentPassword !== "string" || !currentPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: email, currentPassword"
+        });
+      }
+
+      if (!esEmailValido(email)) {
+        return res.status(400).json({
+          success: false,
+          message: "El formato del email no es válido"
+        });
+      }
+
+      const { data: envio, error } = await profile.solicitarCambioEmail(req.user.userId, email, currentPassword);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Te enviamos un código al nuevo email",
+        data: envio
+      });
+    } catch (error) {
+      console.error("Error en requestEmailChange:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Confirma el email nuevo con el código recibido.
+   *
+   * @param {Object} req.body - { code }
+   */
+  const verifyEmailChange = async (req, res) => {
+    try {
+      const { code } = req.body || {};
+
+      if (!code || typeof code !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "code es requerido"
+        });
+      }
+
+      const { data: perfil, error } = await profile.confirmarCambioEmail(req.user.userId, code);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Email actualizado",
+        data: construirPerfil(perfil)
+      });
+    } catch (error) {
+      console.error("Error en verifyEmailChange:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Solicita el cambio de teléfono: envía un código OTP al número nuevo.
+   *
+   * @param {Object} req.body - { telefono, currentPassword }
+   */
+  const requestPhoneChange = async (req, res) => {
+    try {
+      const { telefono, currentPassword } = req.body || {};
+
+      if (!telefono || typeof telefono !== "string" || typeof currentPassword !== "string" || !currentPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Faltan datos requeridos. Necesitas: telefono, currentPassword"
+        });
+      }
+
+      const { data: envio, error } = await profile.solicitarCambioTelefono(req.user.userId, telefono, currentPassword);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Te enviamos un código al nuevo teléfono",
+        data: envio
+      });
+    } catch (error) {
+      console.error("Error en requestPhoneChange:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  /**
+   * Confirma el teléfono nuevo con el código OTP.
+   *
+   * @param {Object} req.body - { code }
+   */
+  const verifyPhoneChange = async (req, res) => {
+    try {
+      const { code } = req.body || {};
+
+      if (!code || typeof code !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "code es requerido"
+        });
+      }
+
+      const { error } = await phoneVerification.verificarCodigo(req.user.userId, code);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      const { data: perfil, error: errorPerfil } = await profile.obtenerPerfil(req.user.userId);
+
+      if (errorPerfil) {
+        return responderError(res, errorPerfil);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Teléfono actualizado",
+        data: construirPerfil(perfil)
+      });
+    } catch (error) {
+      console.error("Error en verifyPhoneChange:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+  };
+
+  return {
+    getMe,
+    updateMe,
+    changePassword,
+    requestEmailChange,
+    verifyEmailChange,
+    requestPhoneChange,
+    verifyPhoneChange
+  };
+};
+
+module.exports = {
+  createMeController
+};
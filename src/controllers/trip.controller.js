@@ -1,800 +1,991 @@
-const supabase = require("../config/supabase");
+const { parseLocation, haversineKm } = require("../utils/geo");
+const { crearCotizacion, verificarCotizacion } = require("../services/fareService");
+const { ESTADOS_ACTIVOS } = require("../services/tripStateMachine");
+const { ACCESOS } = require("../services/tripAccessService");
+const { leerFiltrosHistorial } = require("../services/tripHistoryService");
+const { leerCalificacion } = require("../services/ratingService");
+const { leerMotivo } = require("../services/cancellationService");
+const despacho = require("../config/despacho");
 
-/** Estados válidos del viaje */
-const ESTADOS_VIAJE = ["buscando", "asignado", "en_progreso", "finalizado", "cancelado"];
+/** Distancia máxima (km) entre el punto enviado y el cotizado para aceptar la cotización */
+const TOLERANCIA_COTIZACION_KM = 0.05;
+
+/** Quiénes pueden leer el historial y el recorrido de un viaje */
+const ACCESOS_HISTORIAL = [ACCESOS.PASAJERO, ACCESOS.CONDUCTOR, ACCESOS.ADMIN];
+
+/** Solo los participantes siguen el viaje en tiempo real (como en supabase/trip_tracking.sql) */
+const ACCESOS_SEGUIMIENTO = [ACCESOS.PASAJERO, ACCESOS.CONDUCTOR];
 
 /**
- * Pasajero solicita un viaje (solo rol pasajero, validado por middleware).
+ * Controlador de viajes.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.repositories - Repositorios (src/repositories)
+ * @param {Object} deps.services - Servicios (src/services)
  */
-const requestTrip = async (req, res) => {
-  try {
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
-      });
-    }
+const createTripController = ({ repositories, services }) => {
+  const { trips, drivers } = repositories;
+  const {
+    dispatch,
+    tripStateMachine,
+    tripAccess,
+    tripHistory,
+    tripRoute,
+    tripTracking,
+    ratings,
+    cancellations,
+    tripArrival,
+    passengerNotification
+  } = services;
+
+  /**
+   * Pasajero cotiza un viaje antes de solicitarlo (solo rol pasajero, validado por middleware).
+   * Body: { pickup: { lat, lng }, destination: { lat, lng } }
+   * Devuelve distancia, duración estimada, desglose de tarifa y un quoteId firmado con vencimiento.
+   */
+  const quoteTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    const pasajeroId = req.user.userId;
-    const { lat, lng } = req.body || {};
+      const { pickup, destination } = req.body || {};
 
-    if (lat === undefined || lat === null || lng === undefined || lng === null) {
-      return res.status(400).json({
-        success: false,
-        message: "Ubicación requerida"
-      });
-    }
+      const { value: origen, error: errorOrigen } = parseLocation(pickup, "pickup");
+      if (errorOrigen) {
+        return res.status(400).json({
+          success: false,
+          message: errorOrigen
+        });
+      }
 
-    const latNum = Number(lat);
-    const lngNum = Number(lng);
-    if (Number.isNaN(latNum) || Number.isNaN(lngNum)) {
-      return res.status(400).json({
-        success: false,
-        message: "Ubicación requerida"
-      });
-    }
+      const { value: destino, error: errorDestino } = parseLocation(destination, "destination");
+      if (errorDestino) {
+        return res.status(400).json({
+          success: false,
+          message: errorDestino
+        });
+      }
+
+      const cotizacion = crearCotizacion(req.user.userId, origen, destino);
 
-    // Verificar si el pasajero ya tiene un viaje activo (excluyendo cancelado y finalizado)
-    const estadosActivos = ["buscando", "asignado", "en_progreso"];
-    const { data: viajesActivos, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("id")
-      .eq("pasajero_id", pasajeroId)
-      .in("estado", estadosActivos);
-
-    if (errorConsulta) {
-      console.error("Error al consultar viajes activos:", errorConsulta);
-      return res.status(500).json({
+      res.status(200).json({
+        success: true,
+        data: cotizacion
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (viajesActivos && viajesActivos.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: "Ya tienes un viaje activo"
-      });
-    }
+  /**
+   * Pasajero solicita un viaje (solo rol pasajero, validado por middleware).
+   * Body: { pickup: { lat, lng, address, reference }, destination?: { lat, lng, address }, quoteId? }
+   * Con quoteId (de POST /trip/quote) el precio cotizado queda fijado en el viaje.
+   */
+  const requestTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    // Conductores cercanos por Haversine (RPC get_nearby_drivers)
-    const { data: conductoresCercanos, error: errorConductores } = await supabase.rpc("get_nearby_drivers", {
-      passenger_lat: latNum,
-      passenger_lng: lngNum
-    });
+      const pasajeroId = req.user.userId;
+      const { pickup, destination, lat, lng, address, reference, quoteId } = req.body || {};
 
-    if (errorConductores) {
-      console.error("Error al consultar conductores cercanos:", errorConductores);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
-      });
-    }
+      // Punto de recogida: objeto "pickup" o, por compatibilidad, lat/lng en el body
+      const pickupInput = pickup !== undefined ? pickup : { lat, lng, address, reference };
+      const { value: origen, error: errorOrigen } = parseLocation(pickupInput, "pickup");
 
-    const hayConductores = conductoresCercanos && conductoresCercanos.length > 0;
-    if (!hayConductores) {
-      return res.status(503).json({
-        success: false,
-        message: "No hay conductores disponibles"
-      });
-    }
+      if (errorOrigen) {
+        return res.status(400).json({
+          success: false,
+          message: errorOrigen
+        });
+      }
 
-    // Crear viaje en Supabase con pasajero_id como UUID
-    const { data: nuevoViaje, error: errorCreacion } = await supabase
-      .from("trips")
-      .insert({
-        pasajero_id: pasajeroId,
-        estado: "buscando"
-      })
-      .select()
-      .single();
-
-    if (errorCreacion) {
-      console.error("Error al crear viaje:", errorCreacion);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
-      });
-    }
+      // Destino opcional
+      let destino = null;
+      if (destination !== undefined && destination !== null) {
+        const { value, error: errorDestino } = parseLocation(destination, "destination");
+        if (errorDestino) {
+          return res.status(400).json({
+            success: false,
+            message: errorDestino
+          });
+        }
+        destino = value;
+      }
 
-    res.status(201).json({
-      success: true,
-      message: "Viaje creado, buscando conductor",
-      data: {
-        trip: nuevoViaje,
-        conductoresCercanos: conductoresCercanos || []
-      }
-    });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+      // Cotización opcional: debe estar vigente, ser del pasajero y coincidir con origen/destino
+      let cotizacion = null;
+      if (quoteId !== undefined && quoteId !== null) {
+        const { cotizacion: verificada, error: errorCotizacion } = verificarCotizacion(quoteId, pasajeroId);
+        if (errorCotizacion) {
+          return res.status(400).json({
+            success: false,
+            message: errorCotizacion
+          });
+        }
+
+        if (!destino) {
+          destino = { lat: verificada.destination.lat, lng: verificada.destination.lng, address: null };
+        }
+
+        const origenCoincide =
+          haversineKm(origen.lat, origen.lng, verificada.pickup.lat, verificada.pickup.lng) <= TOLERANCIA_COTIZACION_KM;
+        const destinoCoincide =
+          haversineKm(destino.lat, destino.lng, verificada.destination.lat, verificada.destination.lng) <=
+          TOLERANCIA_COTIZACION_KM;
+
+        if (!origenCoincide || !destinoCoincide) {
+          return res.status(400).json({
+            success: false,
+            message: "La ubicación no coincide con la cotización"
+          });
+        }
+
+        cotizacion = verificada;
+      }
 
-/**
- * Conductor acepta un viaje.
- * Reglas: solo rol conductor, sin viaje activo, viaje en "buscando".
- * Transición: buscando → asignado; conductor_id y accepted_at; conductor → ocupado.
- */
-const acceptTrip = async (req, res) => {
-  try {
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
-      });
-    }
+      // Verificar si el pasajero ya tiene un viaje activo (excluyendo estados terminales)
+      const { data: viajesActivos, error: errorConsulta } = await trips.findByPasajeroAndEstados(
+        pasajeroId,
+        ESTADOS_ACTIVOS
+      );
 
-    // Solo conductores pueden aceptar viajes (403 si no tiene rol)
-    const roles = req.user.roles || [];
-    if (!roles.includes("conductor")) {
-      return res.status(403).json({
-        success: false,
-        message: "Solo los conductores pueden aceptar viajes"
-      });
-    }
+      if (errorConsulta) {
+        console.error("Error al consultar viajes activos:", errorConsulta);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno"
+        });
+      }
 
-    const { tripId } = req.body;
-    const conductorId = req.user.userId;
+      if (viajesActivos && viajesActivos.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Ya tienes un viaje activo"
+        });
+      }
 
-    if (!tripId) {
-      return res.status(400).json({
-        success: false,
-        message: "tripId es requerido"
-      });
-    }
+      // Conductores cercanos por Haversine (RPC get_nearby_drivers), con señal reciente
+      const { data: conductoresCercanos, error: errorConductores } = await drivers.findNearby(
+        origen.lat,
+        origen.lng,
+        undefined,
+        { vistoDesde: new Date(Date.now() - despacho.sinSenalTimeoutSeg * 1000).toISOString() }
+      );
+
+      if (errorConductores) {
+        console.error("Error al consultar conductores cercanos:", errorConductores);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno"
+        });
+      }
 
-    // Validar que el conductor exista en tabla drivers y esté disponible
-    const { data: driver, error: errorDriverConsulta } = await supabase
-      .from("drivers")
-      .select("user_id, estado")
-      .eq("user_id", conductorId)
-      .single();
+      const hayConductores = conductoresCercanos && conductoresCercanos.length > 0;
+      if (!hayConductores) {
+        return res.status(503).json({
+          success: false,
+          message: "No hay conductores disponibles"
+        });
+      }
 
-    if (errorDriverConsulta || !driver) {
-      return res.status(404).json({
-        success: false,
-        message: "Conductor no encontrado en el sistema"
-      });
-    }
+      // Crear viaje con pasajero_id como UUID
+      const { data: nuevoViaje, error: errorCreacion } = await trips.create({
+        pasajero_id: pasajeroId,
+        estado: "buscando",
+        pickup_lat: origen.lat,
+        pickup_lng: origen.lng,
+        pickup_address: origen.address,
+        pickup_reference: origen.reference,
+        destination_lat: destino ? destino.lat : null,
+        destination_lng: destino ? destino.lng : null,
+        destination_address: destino ? destino.address : null,
+        quote_id: cotizacion ? cotizacion.id : null,
+        quoted_fare: cotizacion ? cotizacion.tarifa.total : null,
+        fare_currency: cotizacion ? cotizacion.tarifa.moneda : null,
+        fare_breakdown: cotizacion ? cotizacion.tarifa : null,
+        estimated_distance_km: cotizacion ? cotizacion.distancia_km : null,
+        estimated_duration_min: cotizacion ? cotizacion.duracion_min : null
+      });
+
+      if (errorCreacion) {
+        // quote_id es único: una cotización solo puede usarse en un viaje
+        if (errorCreacion.code === "23505") {
+          return res.status(409).json({
+            success: false,
+            message: "La cotización ya fue utilizada"
+          });
+        }
+        console.error("Error al crear viaje:", errorCreacion);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno"
+        });
+      }
 
-    if (driver.estado !== "disponible") {
-      return res.status(400).json({
-        success: false,
-        message: "El conductor no está disponible. Estado actual: " + (driver.estado || "desconocido")
+      // Primer evento de la línea de tiempo del viaje
+      await tripStateMachine.registrarEvento({
+        tripId: nuevoViaje.id,
+        accion: "solicitar",
+        estadoAnterior: null,
+        estadoNuevo: nuevoViaje.estado,
+        actor: "pasajero",
+        actorId: pasajeroId
+      });
+
+      // Ofrecer el viaje al conductor más cercano (despacho secuencial)
+      try {
+        await dispatch.ofrecerSiguiente(nuevoViaje.id);
+      } catch (errorDespacho) {
+        console.error("Error al iniciar el despacho del viaje:", errorDespacho);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Viaje creado, buscando conductor",
+        data: {
+          trip: nuevoViaje,
+          conductoresCercanos: conductoresCercanos || []
+        }
       });
-    }
 
-    // El conductor NO puede tener otro viaje activo (asignado o en_progreso) → 409
-    const estadosActivosConductor = ["asignado", "en_progreso"];
-    const { data: viajesActivosConductor, error: errorConsultaConductor } = await supabase
-      .from("trips")
-      .select("id")
-      .eq("conductor_id", conductorId)
-      .in("estado", estadosActivosConductor);
-
-    if (errorConsultaConductor) {
-      console.error("Error al consultar viajes activos del conductor:", errorConsultaConductor);
-      return res.status(500).json({
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (viajesActivosConductor && viajesActivosConductor.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: "Ya tienes un viaje activo. No puedes aceptar otro."
-      });
-    }
+  /**
+   * Conductor acepta un viaje.
+   * Reglas: solo rol conductor, sin viaje activo, viaje en "buscando", oferta vigente para el conductor.
+   * Transición: buscando → asignado; conductor_id y accepted_at; conductor → ocupado.
+   */
+  const acceptTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    // Obtener el viaje (UUID tal cual; 404 si no existe)
-    const { data: viajeActual, error: errorConsultaViaje } = await supabase
-      .from("trips")
-      .select("id, estado")
-      .eq("id", tripId)
-      .single();
+      // Solo conductores pueden aceptar viajes (403 si no tiene rol)
+      const roles = req.user.roles || [];
+      if (!roles.includes("conductor")) {
+        return res.status(403).json({
+          success: false,
+          message: "Solo los conductores pueden aceptar viajes"
+        });
+      }
 
-    if (errorConsultaViaje) {
-      if (errorConsultaViaje.code === "PGRST116") {
-        return res.status(404).json({
+      const { tripId } = req.body;
+
+      if (!tripId) {
+        return res.status(400).json({
           success: false,
-          message: "Viaje no encontrado"
+          message: "tripId es requerido"
         });
       }
-      console.error("Error al consultar viaje:", errorConsultaViaje);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
-      });
-    }
 
-    if (!viajeActual) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
+      // buscando → asignado en una sola transacción (accept_trip): valida que el conductor esté
+      // disponible y sin viaje activo, consume su oferta vigente y lo pasa a "ocupado".
+      // Si otro conductor lo tomó primero responde 409 con code TRIP_ALREADY_TAKEN.
+      // El viaje queda con una copia del vehículo activo del conductor (trip.vehiculo).
+      const { data: viajeActualizado, error: errorTransicion } = await tripStateMachine.aplicarTransicion({
+        tripId,
+        accion: "aceptar",
+        user: req.user
       });
-    }
 
-    // El viaje DEBE estar en estado "buscando" → 400 si transición inválida
-    if (viajeActual.estado !== "buscando") {
-      return res.status(400).json({
-        success: false,
-        message: "Transición de estado no válida. El viaje debe estar en estado 'buscando'."
-      });
-    }
+      if (errorTransicion) {
+        return res.status(errorTransicion.status).json({
+          success: false,
+          code: errorTransicion.code,
+          message: errorTransicion.message
+        });
+      }
 
-    // Actualizar viaje: buscando → asignado, conductor_id, accepted_at (solo si sigue en buscando, evita carreras)
-    const { data: viajeActualizado, error: errorActualizacion } = await supabase
-      .from("trips")
-      .update({
-        conductor_id: conductorId,
-        estado: "asignado",
-        accepted_at: new Date().toISOString()
-      })
-      .eq("id", tripId)
-      .eq("estado", "buscando")
-      .select()
-      .single();
-
-    if (errorActualizacion) {
-      console.error("Error al actualizar viaje:", errorActualizacion);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
-      });
-    }
+      let calificacionConductor = null;
+      try {
+        calificacionConductor = await ratings.calificacionConductor(viajeActualizado.conductor_id);
+      } catch (errorCalificacion) {
+        console.error("Error al leer la calificación del conductor:", errorCalificacion);
+      }
 
-    if (!viajeActualizado) {
-      return res.status(400).json({
-        success: false,
-        message: "El viaje ya no está disponible (estado cambió)"
+      passengerNotification.notifyPassenger(viajeActualizado.pasajero_id, "trip_accepted", {
+        tripId: viajeActualizado.id,
+        conductorId: viajeActualizado.conductor_id,
+        vehiculo: viajeActualizado.vehiculo,
+        calificacionConductor
       });
-    }
-
-    // Conductor pasa a estado ocupado en la tabla drivers
-    const { error: errorDriver } = await supabase
-      .from("drivers")
-      .update({ estado: "ocupado" })
-      .eq("user_id", conductorId);
 
-    if (errorDriver) {
-      console.error("Error al actualizar estado del conductor:", errorDriver);
-      return res.status(500).json({
+      res.json({
+        success: true,
+        message: "Viaje aceptado",
+        data: viajeActualizado
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    res.json({
-      success: true,
-      message: "Viaje aceptado",
-      data: viajeActualizado
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+  /**
+   * Conductor rechaza la oferta de un viaje; el despacho pasa al siguiente candidato.
+   * Body: { tripId, motivo? }
+   */
+  const rejectTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-/**
- * Conductor inicia un viaje (solo conductor asignado, estado asignado → en_progreso).
- */
-const startTrip = async (req, res) => {
-  try {
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
-      });
-    }
+      const { tripId, motivo } = req.body || {};
+      const conductorId = req.user.userId;
 
-    const { tripId } = req.body;
-    const conductorId = req.user.userId;
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
+      }
 
-    if (!tripId) {
-      return res.status(400).json({
-        success: false,
-        message: "tripId es requerido"
-      });
-    }
+      if (motivo !== undefined && motivo !== null && typeof motivo !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "motivo debe ser texto"
+        });
+      }
 
-    const { data: viajeActual, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("id, estado, conductor_id")
-      .eq("id", tripId)
-      .single();
+      const ofertaRechazada = await dispatch.rechazarOferta(tripId, conductorId, motivo ? motivo.slice(0, 255) : null);
 
-    if (errorConsulta) {
-      if (errorConsulta.code === "PGRST116") {
-        return res.status(404).json({
+      if (!ofertaRechazada) {
+        return res.status(409).json({
           success: false,
-          message: "Viaje no encontrado"
+          message: "No tienes una oferta vigente para este viaje"
         });
       }
-      console.error("Error al consultar viaje:", errorConsulta);
-      return res.status(500).json({
+
+      res.status(200).json({
+        success: true,
+        message: "Oferta rechazada",
+        data: ofertaRechazada
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (!viajeActual) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
-      });
-    }
+  /**
+   * Conductor llega al punto de recogida (solo conductor asignado, viaje asignado).
+   * Body: { tripId }
+   * Su ubicación actual debe estar dentro del radio de la recogida. Guarda arrived_at, avisa
+   * al pasajero y empieza la espera gratis; la espera cobrada se suma en finishTrip.
+   */
+  const driverArrived = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    if (viajeActual.conductor_id !== conductorId) {
-      return res.status(403).json({
-        success: false,
-        message: "Solo el conductor asignado puede iniciar este viaje"
-      });
-    }
+      const { tripId } = req.body;
 
-    if (viajeActual.estado !== "asignado") {
-      return res.status(400).json({
-        success: false,
-        message: "Transición de estado no válida. El viaje debe estar en estado 'asignado'."
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
+      }
+
+      const { data, error } = await tripArrival.marcarLlegada(req.user, tripId);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      const { viaje, esperaGratisHasta } = data;
+
+      passengerNotification.notifyPassenger(viaje.pasajero_id, "driver_arrived", {
+        tripId: viaje.id,
+        arrivedAt: viaje.arrived_at,
+        esperaGratisHasta
       });
-    }
 
-    const { data: viajeActualizado, error: errorActualizacion } = await supabase
-      .from("trips")
-      .update({
-        estado: "en_progreso",
-        started_at: new Date().toISOString()
-      })
-      .eq("id", tripId)
-      .select()
-      .single();
-
-    if (errorActualizacion) {
-      console.error("Error al iniciar viaje:", errorActualizacion);
-      return res.status(500).json({
+      res.status(200).json({
+        success: true,
+        message: "Llegada registrada",
+        data: { ...viaje, espera_gratis_hasta: esperaGratisHasta }
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (!viajeActualizado) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
-      });
-    }
+  /**
+   * Conductor inicia un viaje (solo conductor asignado, estado asignado → en_progreso).
+   */
+  const startTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    res.json({
-      success: true,
-      message: "Viaje iniciado",
-      data: viajeActualizado
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+      const { tripId } = req.body;
 
-/**
- * Obtener viajes de un pasajero
- */
-const getTripsByPasajero = async (req, res) => {
-  try {
-    // Validar que req.user y req.user.userId existan
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
-      });
-    }
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
+      }
 
-    const pasajeroId = req.user.userId;
+      const { data: viajeActualizado, error: errorTransicion } = await tripStateMachine.aplicarTransicion({
+        tripId,
+        accion: "iniciar",
+        user: req.user
+      });
 
-    // Consultar viajes en Supabase usando pasajero_id como UUID
-    const { data: pasajeroTrips, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("*")
-      .eq("pasajero_id", pasajeroId)
-      .order("created_at", { ascending: false });
+      if (errorTransicion) {
+        return res.status(errorTransicion.status).json({
+          success: false,
+          code: errorTransicion.code,
+          message: errorTransicion.message
+        });
+      }
 
-    if (errorConsulta) {
-      console.error("Error al consultar viajes:", errorConsulta);
-      return res.status(500).json({
+      res.json({
+        success: true,
+        message: "Viaje iniciado",
+        data: viajeActualizado
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    res.status(200).json({
-      success: true,
-      data: pasajeroTrips || []
-    });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+  /**
+   * Historial del usuario como pasajero o como conductor. Ambos endpoints comparten el
+   * contrato de leerFiltrosHistorial (limit, cursor, estado, desde, hasta, cancelado_por).
+   *
+   * @param {string} participante - "pasajeroId" o "conductorId"
+   */
+  const listarHistorial = (participante) => async (req, res) => {
+    try {
+      // Validar que req.user y req.user.userId existan
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-/**
- * Obtener viajes de un conductor
- */
-const getTripsByConductor = async (req, res) => {
-  try {
-    // Validar que req.user y req.user.userId existan
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
-      });
-    }
+      const { filtros, mensaje } = leerFiltrosHistorial(req.query);
+
+      if (!filtros) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
 
-    const conductorId = req.user.userId;
+      const { data: historial } = await tripHistory.listarHistorial({ [participante]: req.user.userId }, filtros);
 
-    // Consultar viajes en Supabase usando conductor_id como UUID
-    const { data: conductorTrips, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("*")
-      .eq("conductor_id", conductorId)
-      .order("created_at", { ascending: false });
+      res.status(200).json({
+        success: true,
+        data: historial
+      });
 
-    if (errorConsulta) {
-      console.error("Error al consultar viajes:", errorConsulta);
-      return res.status(500).json({
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    res.status(200).json({
-      success: true,
-      data: conductorTrips || []
-    });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+  /**
+   * Obtener viajes de un pasajero
+   */
+  const getTripsByPasajero = listarHistorial("pasajeroId");
 
-/**
- * Obtener un viaje por ID
- */
-const getTripById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Consultar viaje en Supabase por ID (UUID)
-    const { data: trip, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("*")
-      .eq("id", id)
-      .single();
-
-    if (errorConsulta) {
-      console.error("Error al consultar viaje:", errorConsulta);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
+  /**
+   * Obtener viajes de un conductor
+   */
+  const getTripsByConductor = listarHistorial("conductorId");
+
+  /**
+   * Obtener un viaje por ID.
+   * Lo ven su pasajero, su conductor, los conductores con una oferta vigente del viaje y los
+   * admins; la respuesta depende de ese acceso (tripAccessService).
+   */
+  const getTripById = async (req, res) => {
+    try {
+      const { data: lectura, error } = await tripAccess.leerViaje(req.params.id, req.user);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: await tripAccess.proyectarViaje(lectura)
       });
-    }
 
-    if (!trip) {
-      return res.status(404).json({
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
-        message: "Viaje no encontrado"
+        message: "Error interno"
       });
     }
+  };
 
-    res.status(200).json({
-      success: true,
-      data: trip
-    });
-
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+  /**
+   * Historial de transiciones de un viaje (pasajero o conductor del viaje y admins).
+   */
+  const getTripEvents = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-/**
- * Finalizar un viaje (solo el conductor asignado; rol conductor validado por middleware).
- */
-const finishTrip = async (req, res) => {
-  try {
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
+      const { id } = req.params;
+
+      const { data: lectura, error: errorViaje } = await tripAccess.leerViaje(id, req.user, {
+        permitidos: ACCESOS_HISTORIAL
       });
-    }
 
-    const { tripId } = req.body;
-    const conductorId = req.user.userId;
+      if (errorViaje) {
+        return res.status(errorViaje.status).json({
+          success: false,
+          message: errorViaje.message
+        });
+      }
 
-    if (!tripId) {
-      return res.status(400).json({
-        success: false,
-        message: "tripId es requerido"
-      });
-    }
+      const { viaje } = lectura;
 
-    const { data: viajeActual, error: errorConsultaViaje } = await supabase
-      .from("trips")
-      .select("id, estado, conductor_id")
-      .eq("id", tripId)
-      .single();
+      const { data: eventos, error: errorEventos } = await tripStateMachine.obtenerEventos(id);
 
-    if (errorConsultaViaje) {
-      if (errorConsultaViaje.code === "PGRST116") {
-        return res.status(404).json({
+      if (errorEventos) {
+        console.error("Error al consultar eventos del viaje:", errorEventos);
+        return res.status(500).json({
           success: false,
-          message: "Viaje no encontrado"
+          message: "Error interno"
         });
       }
-      console.error("Error al consultar viaje:", errorConsultaViaje);
-      return res.status(500).json({
+
+      res.status(200).json({
+        success: true,
+        data: {
+          tripId: viaje.id,
+          estado: viaje.estado,
+          eventos: eventos || []
+        }
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (!viajeActual) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
-      });
-    }
+  /**
+   * Recorrido del viaje con el pasajero como GeoJSON LineString y distancia recorrida.
+   * Para el pasajero o el conductor del viaje y los admins.
+   */
+  const getTripRoute = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    if (viajeActual.conductor_id !== conductorId) {
-      return res.status(403).json({
-        success: false,
-        message: "Solo el conductor asignado puede finalizar este viaje"
-      });
-    }
+      const { id } = req.params;
 
-    if (viajeActual.estado !== "en_progreso") {
-      return res.status(400).json({
-        success: false,
-        message: "Transición de estado no válida. El viaje debe estar en estado 'en_progreso'."
+      const { data: lectura, error: errorViaje } = await tripAccess.leerViaje(id, req.user, {
+        permitidos: ACCESOS_HISTORIAL
       });
-    }
 
-    const { data: viajeActualizado, error: errorActualizacion } = await supabase
-      .from("trips")
-      .update({
-        estado: "finalizado",
-        finished_at: new Date().toISOString()
-      })
-      .eq("id", tripId)
-      .eq("estado", "en_progreso")
-      .select()
-      .single();
-
-    if (errorActualizacion) {
-      console.error("Error al finalizar viaje:", errorActualizacion);
-      return res.status(500).json({
-        success: false,
-        message: "Error interno"
-      });
-    }
+      if (errorViaje) {
+        return res.status(errorViaje.status).json({
+          success: false,
+          message: errorViaje.message
+        });
+      }
 
-    if (!viajeActualizado) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
-      });
-    }
+      const { viaje } = lectura;
 
-    const { error: errorDriver } = await supabase
-      .from("drivers")
-      .update({ estado: "disponible" })
-      .eq("user_id", conductorId);
+      const { ruta, distancia_km, puntos } = await tripRoute.obtenerRecorrido(viaje.id);
 
-    if (errorDriver) {
-      console.error("Error al actualizar estado del conductor:", errorDriver);
-      return res.status(500).json({
+      res.status(200).json({
+        success: true,
+        data: {
+          tripId: viaje.id,
+          estado: viaje.estado,
+          distancia_km,
+          puntos,
+          ruta
+        }
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    res.status(200).json({
-      success: true,
-      data: viajeActualizado
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
-};
+  /**
+   * Seguimiento en tiempo real del viaje (solo su pasajero y su conductor), mientras está
+   * asignado o en progreso. Devuelve el canal privado de Realtime donde se publica cada
+   * ubicación del conductor (evento "driver_location"), un token para unirse a él, la última
+   * ubicación conocida y la ETA a la recogida o, con el viaje en progreso, al destino.
+   */
+  const getTripTracking = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-/**
- * Cancelar un viaje.
- * Buscando: solo actualizar trip a cancelado.
- * Asignado: actualizar trip y liberar conductor.
- * En progreso: solo el conductor puede cancelar; actualizar trip y liberar conductor.
- */
-const cancelTrip = async (req, res) => {
-  try {
-    if (!req.user || !req.user.userId) {
-      return res.status(401).json({
-        success: false,
-        message: "No autorizado: usuario no autenticado"
+      const { id } = req.params;
+
+      const { data: lectura, error: errorViaje } = await tripAccess.leerViaje(id, req.user, {
+        permitidos: ACCESOS_SEGUIMIENTO
       });
-    }
 
-    const { tripId } = req.body;
-    const userId = req.user.userId;
-    const roles = req.user.roles || [];
+      if (errorViaje) {
+        return res.status(errorViaje.status).json({
+          success: false,
+          message: errorViaje.message
+        });
+      }
 
-    if (!tripId) {
-      return res.status(400).json({
-        success: false,
-        message: "tripId es requerido"
-      });
-    }
+      const { viaje } = lectura;
 
-    const { data: viajeActual, error: errorConsulta } = await supabase
-      .from("trips")
-      .select("id, estado, pasajero_id, conductor_id")
-      .eq("id", tripId)
-      .single();
+      const { data: seguimiento, error } = await tripTracking.obtenerSeguimiento(viaje, req.user.userId);
 
-    if (errorConsulta) {
-      if (errorConsulta.code === "PGRST116") {
-        return res.status(404).json({
+      if (error) {
+        return res.status(error.status).json({
           success: false,
-          message: "Viaje no encontrado"
+          code: error.code,
+          message: error.message
         });
       }
-      console.error("Error al consultar viaje:", errorConsulta);
-      return res.status(500).json({
+
+      res.status(200).json({
+        success: true,
+        data: seguimiento
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
 
-    if (!viajeActual) {
-      return res.status(404).json({
-        success: false,
-        message: "Viaje no encontrado"
-      });
-    }
+  /**
+   * Finalizar un viaje (solo el conductor asignado; rol conductor validado por middleware).
+   * La tarifa final se calcula con la distancia recorrida y suma la espera cobrada en la
+   * recogida (ver tripRouteService.liquidarViaje).
+   */
+  const finishTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    if (viajeActual.estado === "finalizado") {
-      return res.status(400).json({
-        success: false,
-        message: "No se puede cancelar un viaje finalizado"
-      });
-    }
+      const { tripId } = req.body;
 
-    if (viajeActual.estado === "cancelado") {
-      return res.status(400).json({
-        success: false,
-        message: "El viaje ya está cancelado"
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
+      }
+
+      // en_progreso → finalizado y conductor → disponible en una sola transacción (finish_trip)
+      const { data: viajeActualizado, error: errorTransicion } = await tripStateMachine.aplicarTransicion({
+        tripId,
+        accion: "finalizar",
+        user: req.user
       });
-    }
 
-    const esPasajero = roles.includes("pasajero") && viajeActual.pasajero_id === userId;
-    const esConductor = roles.includes("conductor") && viajeActual.conductor_id === userId;
+      if (errorTransicion) {
+        return res.status(errorTransicion.status).json({
+          success: false,
+          code: errorTransicion.code,
+          message: errorTransicion.message
+        });
+      }
+
+      const viajeLiquidado = await tripRoute.liquidarViaje(viajeActualizado);
 
-    if (!esPasajero && !esConductor) {
-      return res.status(403).json({
+      res.status(200).json({
+        success: true,
+        data: viajeLiquidado
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
-        message: "No tienes permisos para cancelar este viaje"
+        message: "Error interno"
       });
     }
+  };
 
-    // En 'en_progreso' solo el conductor puede cancelar
-    if (viajeActual.estado === "en_progreso") {
-      if (!esConductor) {
-        return res.status(403).json({
+  /**
+   * Calificar a la otra parte de un viaje finalizado (pasajero al conductor y viceversa).
+   * Body: { estrellas: 1-5, tags?: [...], comentario?: "..." }
+   * Una vez por viaje y dentro de la ventana desde finished_at (ver ratingService).
+   */
+  const rateTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
           success: false,
-          message: "Solo el conductor puede cancelar un viaje en progreso"
+          message: "No autorizado: usuario no autenticado"
         });
       }
-      // esConductor: se permite cancelar; más abajo se actualiza trip y se libera conductor
-    }
 
-    if (esPasajero && viajeActual.estado !== "buscando" && viajeActual.estado !== "asignado") {
-      return res.status(400).json({
-        success: false,
-        message: "Transición de estado no válida"
-      });
-    }
+      const { calificacion, mensaje } = leerCalificacion(req.body);
 
-    if (esConductor && viajeActual.estado === "asignado") {
-      // Conductor puede cancelar en asignado; permitido, sigue el flujo
-    } else if (esConductor && viajeActual.estado !== "en_progreso") {
-      return res.status(400).json({
-        success: false,
-        message: "El conductor solo puede cancelar viajes en estado 'asignado' o 'en_progreso'"
-      });
-    }
+      if (mensaje) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
+
+      const { data, error } = await ratings.calificarViaje(req.user, req.params.id, calificacion);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
 
-    const cancelledBy = esPasajero ? "pasajero" : "conductor";
-
-    const { data: viajeActualizado, error: errorActualizacion } = await supabase
-      .from("trips")
-      .update({
-        estado: "cancelado",
-        cancelled_at: new Date().toISOString(),
-        cancelled_by: cancelledBy
-      })
-      .eq("id", tripId)
-      .select()
-      .single();
-
-    if (errorActualizacion) {
-      console.error("Error al cancelar viaje:", errorActualizacion);
-      return res.status(500).json({
+      res.status(201).json({
+        success: true,
+        message: "Calificación registrada",
+        data
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
         message: "Error interno"
       });
     }
+  };
+
+  /**
+   * Cancelar un viaje.
+   * Body: { tripId, motivo, detalle? } (motivos por rol en cancellationService.MOTIVOS_CANCELACION)
+   * Buscando: solo actualizar trip a cancelado.
+   * Asignado: actualizar trip y liberar conductor; el pasajero paga cargo pasada la gracia.
+   * En progreso: solo el conductor puede cancelar; actualizar trip y liberar conductor.
+   * Las reglas viven en tripStateMachine (transición "cancelar") y cancellationService.
+   */
+  const cancelTrip = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
+
+      const { tripId } = req.body;
 
-    if (!viajeActualizado) {
-      return res.status(404).json({
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
+      }
+
+      const { motivo, mensaje } = leerMotivo(req.body);
+
+      if (mensaje) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
+
+      // Pasajero: desde buscando o asignado. Conductor asignado: desde asignado o en_progreso.
+      // cancelled_by lo define la máquina de estados según el actor; el conductor (si lo hay)
+      // vuelve a "disponible" en la misma transacción (cancel_trip), que guarda motivo y cargo.
+      const { data: viajeActualizado, error: errorTransicion } = await cancellations.cancelarViaje(
+        req.user,
+        tripId,
+        motivo
+      );
+
+      if (errorTransicion) {
+        return res.status(errorTransicion.status).json({
+          success: false,
+          code: errorTransicion.code,
+          message: errorTransicion.message
+        });
+      }
+
+      try {
+        await dispatch.cancelarOfertasPendientes(tripId);
+      } catch (errorOfertas) {
+        console.error("Error al cancelar ofertas pendientes:", errorOfertas);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: viajeActualizado
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
-        message: "Viaje no encontrado"
+        message: "Error interno"
       });
     }
+  };
+
+  /**
+   * El conductor marca al pasajero como no presentado (cancela con cargo al pasajero).
+   * Body: { tripId }
+   * Solo en un viaje asignado, en la recogida y después de la espera configurada.
+   */
+  const reportNoShow = async (req, res) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({
+          success: false,
+          message: "No autorizado: usuario no autenticado"
+        });
+      }
 
-    if (viajeActual.conductor_id) {
-      const { error: errorDriver } = await supabase
-        .from("drivers")
-        .update({ estado: "disponible" })
-        .eq("user_id", viajeActual.conductor_id);
+      const { tripId } = req.body;
 
-      if (errorDriver) {
-        console.error("Error al actualizar estado del conductor:", errorDriver);
+      if (!tripId) {
+        return res.status(400).json({
+          success: false,
+          message: "tripId es requerido"
+        });
       }
-    }
 
-    res.status(200).json({
-      success: true,
-      data: viajeActualizado
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Error interno"
-    });
-  }
+      const { data: viajeActualizado, error } = await cancellations.marcarNoPresentado(req.user, tripId);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      passengerNotification.notifyPassenger(viajeActualizado.pasajero_id, "trip_no_show", {
+        tripId: viajeActualizado.id,
+        cargo: viajeActualizado.cancellation_fee
+      });
+
+      res.status(200).json({
+        success: true,
+        data: viajeActualizado
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: "Error interno"
+      });
+    }
+  };
+
+  return {
+    quoteTrip,
+    requestTrip,
+    acceptTrip,
+    rejectTrip,
+    driverArrived,
+    startTrip,
+    getTripsByPasajero,
+    getTripsByConductor,
+    getTripById,
+    getTripEvents,
+    getTripRoute,
+    getTripTracking,
+    finishTrip,
+    rateTrip,
+    cancelTrip,
+    reportNoShow
+  };
 };
 
 module.exports = {
-  requestTrip,
-  acceptTrip,
-  startTrip,
-  getTripsByPasajero,
-  getTripsByConductor,
-  getTripById,
-  finishTrip,
-  cancelTrip
+  createTripController
 };
@@ -0,0 +1,228 @@
+/**
+ * Controlador de Vehículos (/driver/vehicles)
+ *
+ * Cada conductor registra sus vehículos y elige uno activo, que es el que se
+ * asigna al viaje al aceptarlo.
+ */
+
+const vehiculos = require("../config/vehiculos");
+const { normalizarPlaca, esPlacaValida } = require("../utils/validacion");
+
+const CAMPOS_TEXTO = ["marca", "modelo", "color"];
+const LONGITUD_MAXIMA_TEXTO = 50;
+
+/**
+ * Valida los datos del vehículo del body.
+ *
+ * @param {Object} body
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.parcial] - true en PATCH: solo se validan los campos presentes
+ * @returns {{ datos: Object|null, mensaje: string|null }}
+ */
+const leerVehiculo = (body, { parcial = false } = {}) => {
+  const entrada = body || {};
+  const datos = {};
+  const anioMaximo = new Date().getUTCFullYear() + 1;
+
+  if (entrada.placa !== undefined || !parcial) {
+    const placa = normalizarPlaca(entrada.placa);
+    if (!esPlacaValida(placa)) {
+      return { datos: null, mensaje: "placa no válida: 5 a 7 letras y dígitos, con al menos una letra y un dígito (p. ej. 1234-AB)" };
+    }
+    datos.placa = placa;
+  }
+
+  for (const campo of CAMPOS_TEXTO) {
+    if (entrada[campo] === undefined && parcial) {
+      continue;
+    }
+    const valor = typeof entrada[campo] === "string" ? entrada[campo].trim() : "";
+    if (!valor || valor.length > LONGITUD_MAXIMA_TEXTO) {
+      return { datos: null, mensaje: `${campo} es requerido (máximo ${LONGITUD_MAXIMA_TEXTO} caracteres)` };
+    }
+    datos[campo] = valor;
+  }
+
+  if (entrada.anio !== undefined || !parcial) {
+    if (!Number.isInteger(entrada.anio) || entrada.anio < vehiculos.anioMinimo || entrada.anio > anioMaximo) {
+      return { datos: null, mensaje: `anio debe ser un entero entre ${vehiculos.anioMinimo} y ${anioMaximo}` };
+    }
+    datos.anio = entrada.anio;
+  }
+
+  if (entrada.cascos !== undefined || !parcial) {
+    if (
+      !Number.isInteger(entrada.cascos) ||
+      entrada.cascos < vehiculos.cascosMinimos ||
+      entrada.cascos > vehiculos.cascosMaximos
+    ) {
+      return {
+        datos: null,
+        mensaje: `cascos debe ser un entero entre ${vehiculos.cascosMinimos} y ${vehiculos.cascosMaximos}`
+      };
+    }
+    datos.cascos = entrada.cascos;
+  }
+
+  if (parcial && Object.keys(datos).length === 0) {
+    return { datos: null, mensaje: "Envía al menos un campo: placa, marca, modelo, color, anio, cascos" };
+  }
+
+  return { datos, mensaje: null };
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.services - Servicios (src/services)
+ */
+const createVehicleController = ({ services }) => {
+  const { vehicles } = services;
+
+  /**
+   * Responde con un error de servicio ({ status, code?, message }).
+   */
+  const responderError = (res, error) =>
+    res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+
+  const errorInterno = (res, contexto, error) => {
+    console.error(`Error en ${contexto}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: "Error interno del servidor"
+    });
+  };
+
+  /**
+   * Vehículos del conductor.
+   */
+  const listVehicles = async (req, res) => {
+    try {
+      const { data } = await vehicles.listarVehiculos(req.user.userId);
+
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "listVehicles", error);
+    }
+  };
+
+  /**
+   * Registra un vehículo. El primero queda como activo.
+   */
+  const createVehicle = async (req, res) => {
+    try {
+      const { datos, mensaje } = leerVehiculo(req.body);
+
+      if (!datos) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
+
+      const { data, error } = await vehicles.registrarVehiculo(req.user.userId, datos);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Vehículo registrado",
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "createVehicle", error);
+    }
+  };
+
+  /**
+   * Actualiza los campos enviados de un vehículo.
+   */
+  const updateVehicle = async (req, res) => {
+    try {
+      const { datos, mensaje } = leerVehiculo(req.body, { parcial: true });
+
+      if (!datos) {
+        return res.status(400).json({
+          success: false,
+          message: mensaje
+        });
+      }
+
+      const { data, error } = await vehicles.actualizarVehiculo(req.user.userId, req.params.id, datos);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.json({
+        success: true,
+        message: "Vehículo actualizado",
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "updateVehicle", error);
+    }
+  };
+
+  /**
+   * Marca el vehículo como activo (el conductor debe estar offline).
+   */
+  const activateVehicle = async (req, res) => {
+    try {
+      const { data, error } = await vehicles.activarVehiculo(req.user.userId, req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.json({
+        success: true,
+        message: "Vehículo activo actualizado",
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "activateVehicle", error);
+    }
+  };
+
+  /**
+   * Elimina un vehículo (el activo solo estando offline).
+   */
+  const deleteVehicle = async (req, res) => {
+    try {
+      const { data, error } = await vehicles.eliminarVehiculo(req.user.userId, req.params.id);
+
+      if (error) {
+        return responderError(res, error);
+      }
+
+      return res.json({
+        success: true,
+        message: "Vehículo eliminado",
+        data
+      });
+    } catch (error) {
+      return errorInterno(res, "deleteVehicle", error);
+    }
+  };
+
+  return {
+    listVehicles,
+    createVehicle,
+    updateVehicle,
+    activateVehicle,
+    deleteVehicle
+  };
+};
+
+module.exports = {
+  createVehicleController
+};
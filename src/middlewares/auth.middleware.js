@@ -4,24 +4,30 @@
  * Este archivo contiene middlewares para validar tokens JWT y verificar roles de usuario.
  * 
  * Middlewares:
- * - verifyToken: Valida el token JWT y adjunta el payload en req.user
+ * - createVerifyToken: Crea verifyToken, que valida el token JWT y su sesión y adjunta el payload en req.user
  * - requireRole: Verifica que el usuario tenga un rol específico
  */
 
 const jwt = require("jsonwebtoken");
 
 /**
- * Middleware para verificar y validar el token JWT
+ * Crea el middleware que verifica y valida el token JWT
  * 
  * Lee el token desde el header Authorization: Bearer <token>
- * Valida el JWT con JWT_SECRET
+ * Valida el JWT con JWT_SECRET y que su sesión (claim "sid") siga activa
  * Si es válido, adjunta el payload decodificado en req.user
  * 
  * Maneja errores:
  * - Token ausente → 401
  * - Token inválido o expirado → 401
+ * - Sesión revocada (logout, logout-all, reutilización de refresh token) → 401
+ * - Cuenta suspendida por un admin → 403
+ *
+ * @param {Object} deps
+ * @param {Object} deps.authTokens - Servicio de sesiones (authTokenService)
+ * @returns {Function} Middleware de Express
  */
-const verifyToken = (req, res, next) => {
+const createVerifyToken = ({ authTokens }) => async (req, res, next) => {
   try {
     // Extraer el token del header Authorization
     // Formato esperado: Authorization: Bearer <token>
@@ -61,12 +67,48 @@ const verifyToken = (req, res, next) => {
     // Verificar y decodificar el token usando JWT_SECRET
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Los tokens sin sesión (emitidos antes de los refresh tokens) ya no son válidos
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: "Sesión inválida. Por favor, inicia sesión nuevamente"
+      });
+    }
+
+    const { data: sesion, error: errorSesion } = await authTokens.verificarSesion(decoded.sid, decoded.userId);
+
+    if (errorSesion) {
+      console.error("Error al verificar sesión:", errorSesion);
+      return res.status(500).json({
+        success: false,
+        message: "Error interno del servidor"
+      });
+    }
+
+    if (!sesion.activa) {
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_REVOKED",
+        message: "Sesión cerrada. Por favor, inicia sesión nuevamente"
+      });
+    }
+
+    if (sesion.suspendida) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_SUSPENDED",
+        message: "Tu cuenta está suspendida. Contacta a soporte"
+      });
+    }
+
     // Adjuntar el payload decodificado en req.user
-    // El payload contiene: userId, email, roles
+    // El payload contiene: userId, email, roles, el id de la sesión y el vencimiento (segundos epoch)
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
-      roles: decoded.roles || []
+      roles: decoded.roles || [],
+      sessionId: decoded.sid,
+      tokenExpiresAt: decoded.exp
     };
 
     // Continuar con el siguiente middleware o controlador
@@ -148,8 +190,8 @@ const requireRole = (role) => {
   };
 };
 
-// Exportar ambos middlewares
-// También exportar verifyToken como función directa para mantener compatibilidad con código existente
-module.exports = verifyToken;
-module.exports.verifyToken = verifyToken;
-module.exports.requireRole = requireRole;
+// Exportar la fábrica de verifyToken (necesita el servicio de sesiones) y requireRole
+module.exports = {
+  createVerifyToken,
+  requireRole
+};
@@ -0,0 +1,58 @@
+/**
+ * Middleware de Teléfono Verificado
+ * 
+ * Bloquea acciones que requieren poder contactar al usuario (solicitar o aceptar viajes)
+ * hasta que verifique su teléfono con POST /auth/phone/verify.
+ * 
+ * Uso: router.post("/ruta", authMiddleware, requirePhoneVerified, controller.function)
+ */
+
+/**
+ * Crea el middleware que exige users.telefono_verificado = true
+ * 
+ * @param {Object} deps
+ * @param {Object} deps.phoneVerification - Servicio de verificación de teléfono
+ * @returns {Function} Middleware de Express
+ */
+const createRequirePhoneVerified = ({ phoneVerification }) => {
+  return async (req, res, next) => {
+    try {
+      // Verificar que req.user existe (debe ser inyectado por authMiddleware primero)
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Usuario no autenticado. Usa authMiddleware antes de requirePhoneVerified"
+        });
+      }
+
+      const { data: verificado, error } = await phoneVerification.telefonoVerificado(req.user.userId);
+
+      if (error) {
+        console.error("Error al verificar teléfono del usuario:", error);
+        return res.status(500).json({
+          success: false,
+          message: "Error interno del servidor"
+        });
+      }
+
+      if (!verificado) {
+        return res.status(403).json({
+          success: false,
+          code: "PHONE_NOT_VERIFIED",
+          message: "Debes verificar tu teléfono antes de continuar. Usa POST /auth/phone/send-code"
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      console.error("Error en requirePhoneVerified:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error al verificar el teléfono"
+      });
+    }
+  };
+};
+
+module.exports = createRequirePhoneVerified;
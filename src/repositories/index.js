@@ -0,0 +1,90 @@
+/**
+ * Capa de acceso a datos
+ *
+ * Dos implementaciones con la misma interfaz:
+ * - createSupabaseRepositories: producción, sobre el cliente de Supabase
+ * - createMemoryRepositories: en memoria, para pruebas y desarrollo sin red
+ *
+ * app.js recibe el objeto de repositorios y lo inyecta en servicios y controladores.
+ */
+
+const createSupabaseUsersRepository = require("./supabase/users.repository");
+const createSupabaseDriversRepository = require("./supabase/drivers.repository");
+const createSupabaseTripsRepository = require("./supabase/trips.repository");
+const createSupabaseTripOffersRepository = require("./supabase/tripOffers.repository");
+const createSupabaseTripEventsRepository = require("./supabase/tripEvents.repository");
+const createSupabaseAuthSessionsRepository = require("./supabase/authSessions.repository");
+const createSupabaseRefreshTokensRepository = require("./supabase/refreshTokens.repository");
+const createSupabasePasswordResetCodesRepository = require("./supabase/passwordResetCodes.repository");
+const createSupabasePhoneVerificationCodesRepository = require("./supabase/phoneVerificationCodes.repository");
+const createSupabaseEmailChangeCodesRepository = require("./supabase/emailChangeCodes.repository");
+const createSupabaseDriverDocumentsRepository = require("./supabase/driverDocuments.repository");
+const createSupabaseVehiclesRepository = require("./supabase/vehicles.repository");
+const createSupabaseDriverLocationsRepository = require("./supabase/driverLocations.repository");
+const createSupabasePushEventsRepository = require("./supabase/pushEvents.repository");
+const createSupabaseTripRatingsRepository = require("./supabase/tripRatings.repository");
+
+const { createMemoryStore } = require("./memory/store");
+const createMemoryUsersRepository = require("./memory/users.repository");
+const createMemoryDriversRepository = require("./memory/drivers.repository");
+const createMemoryTripsRepository = require("./memory/trips.repository");
+const createMemoryTripOffersRepository = require("./memory/tripOffers.repository");
+const createMemoryTripEventsRepository = require("./memory/tripEvents.repository");
+const createMemoryAuthSessionsRepository = require("./memory/authSessions.repository");
+const createMemoryRefreshTokensRepository = require("./memory/refreshTokens.repository");
+const createMemoryPasswordResetCodesRepository = require("./memory/passwordResetCodes.repository");
+const createMemoryPhoneVerificationCodesRepository = require("./memory/phoneVerificationCodes.repository");
+const createMemoryEmailChangeCodesRepository = require("./memory/emailChangeCodes.repository");
+const createMemoryDriverDocumentsRepository = require("./memory/driverDocuments.repository");
+const createMemoryVehiclesRepository = require("./memory/vehicles.repository");
+const createMemoryDriverLocationsRepository = require("./memory/driverLocations.repository");
+const createMemoryPushEventsRepository = require("./memory/pushEvents.repository");
+const createMemoryTripRatingsRepository = require("./memory/tripRatings.repository");
+
+/**
+ * @param {Object} supabase - Cliente de Supabase (src/config/supabase.js)
+ */
+const createSupabaseRepositories = (supabase) => ({
+  users: createSupabaseUsersRepository(supabase),
+  drivers: createSupabaseDriversRepository(supabase),
+  trips: createSupabaseTripsRepository(supabase),
+  tripOffers: createSupabaseTripOffersRepository(supabase),
+  tripEvents: createSupabaseTripEventsRepository(supabase),
+  authSessions: createSupabaseAuthSessionsRepository(supabase),
+  refreshTokens: createSupabaseRefreshTokensRepository(supabase),
+  passwordResetCodes: createSupabasePasswordResetCodesRepository(supabase),
+  phoneVerificationCodes: createSupabasePhoneVerificationCodesRepository(supabase),
+  emailChangeCodes: createSupabaseEmailChangeCodesRepository(supabase),
+  driverDocuments: createSupabaseDriverDocumentsRepository(supabase),
+  vehicles: createSupabaseVehiclesRepository(supabase),
+  driverLocations: createSupabaseDriverLocationsRepository(supabase),
+  pushEvents: createSupabasePushEventsRepository(supabase),
+  tripRatings: createSupabaseTripRatingsRepository(supabase)
+});
+
+/**
+ * @param {Object} [store] - Almacenamiento compartido (por defecto uno vacío)
+ */
+const createMemoryRepositories = (store = createMemoryStore()) => ({
+  store,
+  users: createMemoryUsersRepository(store),
+  drivers: createMemoryDriversRepository(store),
+  trips: createMemoryTripsRepository(store),
+  tripOffers: createMemoryTripOffersRepository(store),
+  tripEvents: createMemoryTripEventsRepository(store),
+  authSessions: createMemoryAuthSessionsRepository(store),
+  refreshTokens: createMemoryRefreshTokensRepository(store),
+  passwordResetCodes: createMemoryPasswordResetCodesRepository(store),
+  phoneVerificationCodes: createMemoryPhoneVerificationCodesRepository(store),
+  emailChangeCodes: createMemoryEmailChangeCodesRepository(store),
+  driverDocuments: createMemoryDriverDocumentsRepository(store),
+  vehicles: createMemoryVehiclesRepository(store),
+  driverLocations: createMemoryDriverLocationsRepository(store),
+  pushEvents: createMemoryPushEventsRepository(store),
+  tripRatings: createMemoryTripRatingsRepository(store)
+});
+
+module.exports = {
+  createSupabaseRepositories,
+  createMemoryRepositories
+};
@@ -0,0 +1,34 @@
+/**
+ * Repositorio de sesiones en memoria (misma interfaz que supabase/authSessions.repository.js).
+ */
+
+const { copiar, ok, nuevoId, ahora } = require("./store");
+
+const createAuthSessionsRepository = (store) => ({
+  async create(fields) {
+    const sesion = { id: nuevoId(), created_at: ahora(), revoked_at: null, revoked_reason: null, ...fields };
+    store.auth_sessions.push(sesion);
+    return ok(copiar(sesion));
+  },
+
+  async findById(id) {
+    return ok(copiar(store.auth_sessions.find((s) => s.id === id)));
+  },
+
+  async revoke(id, motivo) {
+    const sesion = store.auth_sessions.find((s) => s.id === id && !s.revoked_at);
+    if (!sesion) {
+      return ok(null);
+    }
+    Object.assign(sesion, { revoked_at: ahora(), revoked_reason: motivo });
+    return ok(copiar(sesion));
+  },
+
+  async revokeAllByUser(userId, motivo, exceptoId = null) {
+    const activas = store.auth_sessions.filter((s) => s.user_id === userId && !s.revoked_at && s.id !== exceptoId);
+    activas.forEach((s) => Object.assign(s, { revoked_at: ahora(), revoked_reason: motivo }));
+    return ok(activas.map(copiar));
+  }
+});
+
+module.exports = createAuthSessionsRepository;
@@ -0,0 +1,60 @@
+/**
+ * Repositorio de documentos de conductores en memoria (misma interfaz que supabase/driverDocuments.repository.js).
+ */
+
+const { copiar, ok, nuevoId, ahora, porCreacionDesc } = require("./store");
+
+const createDriverDocumentsRepository = (store) => ({
+  async create(fields) {
+    const documento = {
+      id: nuevoId(),
+      created_at: ahora(),
+      estado: "pendiente",
+      motivo_rechazo: null,
+      revisado_por: null,
+      revisado_at: null,
+      ...fields
+    };
+    store.driver_documents.push(documento);
+    return ok(copiar(documento));
+  },
+
+  async findById(id) {
+    return ok(copiar(store.driver_documents.find((d) => d.id === id)));
+  },
+
+  async listByDriver(driverId) {
+    return ok(store.driver_documents.filter((d) => d.driver_id === driverId).sort(porCreacionDesc).map(copiar));
+  },
+
+  async listPending(limit) {
+    return ok(
+      store.driver_documents
+        .filter((d) => d.estado === "pendiente")
+        .sort((a, b) => porCreacionDesc(b, a))
+        .slice(0, limit)
+        .map(copiar)
+    );
+  },
+
+  async replacePending(driverId, tipo) {
+    const reemplazados = store.driver_documents.filter(
+      (d) => d.driver_id === driverId && d.tipo === tipo && d.estado === "pendiente"
+    );
+    reemplazados.forEach((d) => {
+      d.estado = "reemplazado";
+    });
+    return ok(reemplazados.map(copiar));
+  },
+
+  async reviewIfPending(id, cambios) {
+    const documento = store.driver_documents.find((d) => d.id === id && d.estado === "pendiente");
+    if (!documento) {
+      return ok(null);
+    }
+    Object.assign(documento, cambios);
+    return ok(copiar(documento));
+  }
+});
+
+module.exports = createDriverDocumentsRepository;
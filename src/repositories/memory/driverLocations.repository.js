@@ -0,0 +1,54 @@
+/**
+ * Repositorio del historial de ubicaciones en memoria (misma interfaz que supabase/driverLocations.repository.js).
+ */
+
+const { copiar, ok, ahora } = require("./store");
+
+const porRegistroAsc = (a, b) => (a.recorded_at < b.recorded_at ? -1 : a.recorded_at > b.recorded_at ? 1 : a.id - b.id);
+
+const guardar = (store, fields) => {
+  const punto = {
+    id: store.driver_locations.length + 1,
+    accuracy_m: null,
+    speed_mps: null,
+    heading: null,
+    recorded_at: ahora(),
+    ...fields
+  };
+  store.driver_locations.push(punto);
+  return copiar(punto);
+};
+
+const createDriverLocationsRepository = (store) => ({
+  async create(fields) {
+    return ok(guardar(store, fields));
+  },
+
+  async createMany(filas) {
+    return ok(filas.map((fila) => guardar(store, fila)));
+  },
+
+  async findLastByTrip(tripId) {
+    const puntos = store.driver_locations.filter((p) => p.trip_id === tripId).sort(porRegistroAsc);
+    return ok(copiar(puntos[puntos.length - 1]));
+  },
+
+  async listByTrip(tripId, { estadoViaje } = {}) {
+    return ok(
+      store.driver_locations
+        .filter((p) => p.trip_id === tripId && (!estadoViaje || p.estado_viaje === estadoViaje))
+        .sort(porRegistroAsc)
+        .map(({ lat, lng, accuracy_m, speed_mps, heading, estado_viaje, recorded_at }) => ({
+          lat,
+          lng,
+          accuracy_m,
+          speed_mps,
+          heading,
+          estado_viaje,
+          recorded_at
+        }))
+    );
+  }
+});
+
+module.exports = createDriverLocationsRepository;
@@ -0,0 +1,157 @@
+/**
+ * Repositorio de conductores en memoria (misma interfaz que supabase/drivers.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, ahora } = require("./store");
+const { haversineKm } = require("../../utils/geo");
+
+// Mismo límite por defecto que supabase/get_nearby_drivers.sql
+const MAX_RESULTADOS_POR_DEFECTO = 5;
+
+const createDriversRepository = (store) => ({
+  async findByUserId(userId) {
+    return ok(copiar(store.drivers.find((d) => d.user_id === userId)));
+  },
+
+  async create(fields) {
+    if (store.drivers.some((d) => d.user_id === fields.user_id)) {
+      return violacionUnica("drivers_pkey");
+    }
+    const driver = {
+      lat: null,
+      lng: null,
+      last_seen_at: ahora(),
+      heartbeat_flagged_at: null,
+      location_recorded_at: null,
+      rating_promedio: null,
+      rating_cantidad: 0,
+      rating_flagged_at: null,
+      viajes_cerrados: 0,
+      cancelaciones: 0,
+      tasa_cancelacion: null,
+      ...fields
+    };
+    store.drivers.push(driver);
+    return ok(copiar(driver));
+  },
+
+  async updateByUserId(userId, cambios) {
+    const driver = store.drivers.find((d) => d.user_id === userId);
+    if (!driver) {
+      return ok(null);
+    }
+    Object.assign(driver, cambios);
+    return ok(copiar(driver));
+  },
+
+  async updateByUserIdIfEstado(userId, estados, cambios) {
+    const driver = store.drivers.find((d) => d.user_id === userId && estados.includes(d.estado));
+    if (!driver) {
+      return ok(null);
+    }
+    Object.assign(driver, cambios);
+    return ok(copiar(driver));
+  },
+
+  async updateLocationIfNewer(userId, { lat, lng, location_recorded_at }) {
+    const driver = store.drivers.find(
+      (d) => d.user_id === userId && (!d.location_recorded_at || d.location_recorded_at < location_recorded_at)
+    );
+    if (!driver) {
+      return ok(null);
+    }
+    Object.assign(driver, { lat, lng, location_recorded_at });
+    return ok(copiar(driver));
+  },
+
+  /**
+   * Emula get_nearby_drivers: disponibles con ubicación, con señal reciente y sin cuenta
+   * suspendida, ordenados por distancia Haversine.
+   */
+  async findNearby(lat, lng, maxResults = MAX_RESULTADOS_POR_DEFECTO, { vistoDesde } = {}) {
+    const suspendidos = new Set(store.users.filter((u) => u.suspended_at).map((u) => u.id));
+    const cercanos = store.drivers
+      .filter(
+        (d) =>
+          d.estado === "disponible" &&
+          d.lat != null &&
+          d.lng != null &&
+          !suspendidos.has(d.user_id) &&
+          (!vistoDesde || d.last_seen_at >= vistoDesde)
+      )
+      .map((d) => ({
+        user_id: d.user_id,
+        lat: d.lat,
+        lng: d.lng,
+        distancia_km: haversineKm(lat, lng, d.lat, d.lng)
+      }))
+      .sort((a, b) => a.distancia_km - b.distancia_km)
+      .slice(0, maxResults);
+
+    return ok(cercanos);
+  },
+
+  async markStaleOffline(limite) {
+    const desconectados = store.drivers.filter((d) => d.estado === "disponible" && d.last_seen_at < limite);
+    desconectados.forEach((d) => {
+      d.estado = "offline";
+    });
+    return ok(desconectados.map((d) => ({ user_id: d.user_id })));
+  },
+
+  async flagStaleBusy(limite) {
+    const marcados = store.drivers.filter(
+      (d) => d.estado === "ocupado" && d.last_seen_at < limite && !d.heartbeat_flagged_at
+    );
+    marcados.forEach((d) => {
+      d.heartbeat_flagged_at = ahora();
+    });
+    return ok(marcados.map((d) => ({ user_id: d.user_id, last_seen_at: d.last_seen_at })));
+  },
+
+  async listFlagged() {
+    return ok(
+      store.drivers
+        .filter((d) => d.heartbeat_flagged_at)
+        .sort((a, b) => (a.heartbeat_flagged_at < b.heartbeat_flagged_at ? -1 : 1))
+        .map(copiar)
+    );
+  },
+
+  async listLowRated() {
+    return ok(
+      store.drivers
+        .filter((d) => d.rating_flagged_at)
+        .sort((a, b) => a.rating_promedio - b.rating_promedio)
+        .map(copiar)
+    );
+  },
+
+  async listHighCancellation({ minViajes, tasaMinima }) {
+    return ok(
+      store.drivers
+        .filter((d) => d.viajes_cerrados >= minViajes && d.tasa_cancelacion >= tasaMinima)
+        .sort((a, b) => b.tasa_cancelacion - a.tasa_cancelacion)
+        .map(copiar)
+    );
+  },
+
+  /**
+   * Emula reconcile_busy_drivers.
+   */
+  async reconcileBusy() {
+    const reparados = [];
+    for (const driver of store.drivers) {
+      const tieneViajeActivo = store.trips.some(
+        (t) => t.conductor_id === driver.user_id && ["asignado", "en_progreso"].includes(t.estado)
+      );
+      if (driver.estado === "ocupado" && !tieneViajeActivo) {
+        driver.estado = "disponible";
+        reparados.push({ user_id: driver.user_id });
+      }
+    }
+    return ok(reparados);
+  }
+});
+
+module.exports = createDriversRepository;
@@ -0,0 +1,66 @@
+/**
+ * Repositorio de códigos de cambio de email en memoria (misma interfaz que supabase/emailChangeCodes.repository.js).
+ */
+
+const { copiar, ok, nuevoId, ahora, porCreacionDesc } = require("./store");
+
+const activo = (c) => !c.used_at && !c.invalidated_at;
+
+const createEmailChangeCodesRepository = (store) => ({
+  async create(fields) {
+    const codigo = {
+      id: nuevoId(),
+      created_at: ahora(),
+      attempts: 0,
+      used_at: null,
+      invalidated_at: null,
+      ...fields
+    };
+    store.email_change_codes.push(codigo);
+    return ok(copiar(codigo));
+  },
+
+  async findLatestByUser(userId) {
+    const [codigo] = store.email_change_codes.filter((c) => c.user_id === userId).sort(porCreacionDesc);
+    return ok(copiar(codigo));
+  },
+
+  async findActiveByUser(userId, vigenteHasta) {
+    const [codigo] = store.email_change_codes
+      .filter((c) => c.user_id === userId && activo(c) && c.expires_at > vigenteHasta)
+      .sort(porCreacionDesc);
+    return ok(copiar(codigo));
+  },
+
+  async invalidateActiveByUser(userId) {
+    store.email_change_codes
+      .filter((c) => c.user_id === userId && activo(c))
+      .forEach((c) => {
+        c.invalidated_at = ahora();
+      });
+    return ok(null);
+  },
+
+  async registerFailedAttempt(id, intentosPrevios, invalidar) {
+    const codigo = store.email_change_codes.find((c) => c.id === id && c.attempts === intentosPrevios);
+    if (!codigo) {
+      return ok(null);
+    }
+    codigo.attempts = intentosPrevios + 1;
+    if (invalidar) {
+      codigo.invalidated_at = ahora();
+    }
+    return ok(copiar(codigo));
+  },
+
+  async markUsed(id) {
+    const codigo = store.email_change_codes.find((c) => c.id === id && activo(c));
+    if (!codigo) {
+      return ok(null);
+    }
+    codigo.used_at = ahora();
+    return ok(copiar(codigo));
+  }
+});
+
+module.exports = createEmailChangeCodesRepository;
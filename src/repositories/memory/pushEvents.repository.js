@@ -0,0 +1,41 @@
+/**
+ * Repositorio de eventos del gateway en memoria (misma interfaz que supabase/pushEvents.repository.js).
+ */
+
+const { copiar, ok, ahora } = require("./store");
+
+const createPushEventsRepository = (store) => {
+  // Emula la secuencia bigserial: los ids no se reutilizan aunque se borren eventos
+  let secuencia = 0;
+
+  return {
+    async create(fields) {
+      secuencia += 1;
+      const evento = { id: secuencia, payload: {}, created_at: ahora(), ...fields };
+      store.push_events.push(evento);
+      return ok(copiar(evento));
+    },
+
+    async listByUserAfter(userId, afterId, limit) {
+      return ok(
+        store.push_events.filter((e) => e.user_id === userId && e.id > afterId).slice(0, limit).map(copiar)
+      );
+    },
+
+    async listAfter(afterId, limit) {
+      return ok(store.push_events.filter((e) => e.id > afterId).slice(0, limit).map(copiar));
+    },
+
+    async findLastId({ userId } = {}) {
+      const eventos = store.push_events.filter((e) => !userId || e.user_id === userId);
+      return ok(eventos.length > 0 ? eventos[eventos.length - 1].id : null);
+    },
+
+    async deleteCreatedBefore(fecha) {
+      store.push_events = store.push_events.filter((e) => e.created_at >= fecha);
+      return ok(null);
+    }
+  };
+};
+
+module.exports = createPushEventsRepository;
@@ -0,0 +1,31 @@
+/**
+ * Repositorio de refresh tokens en memoria (misma interfaz que supabase/refreshTokens.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora } = require("./store");
+
+const createRefreshTokensRepository = (store) => ({
+  async create(fields) {
+    if (store.refresh_tokens.some((t) => t.token_hash === fields.token_hash)) {
+      return violacionUnica("refresh_tokens_token_hash_key");
+    }
+    const token = { id: nuevoId(), created_at: ahora(), used_at: null, ...fields };
+    store.refresh_tokens.push(token);
+    return ok(copiar(token));
+  },
+
+  async findByHash(tokenHash) {
+    return ok(copiar(store.refresh_tokens.find((t) => t.token_hash === tokenHash)));
+  },
+
+  async markUsed(id, fecha) {
+    const token = store.refresh_tokens.find((t) => t.id === id && !t.used_at);
+    if (!token) {
+      return ok(null);
+    }
+    token.used_at = fecha;
+    return ok(copiar(token));
+  }
+});
+
+module.exports = createRefreshTokensRepository;
@@ -0,0 +1,56 @@
+/**
+ * Almacenamiento en memoria para los repositorios de prueba.
+ *
+ * Emula las tablas de Supabase como arrays de filas y las restricciones
+ * que el código necesita (unicidad → error 23505, igual que Postgres).
+ */
+
+const crypto = require("crypto");
+
+const createMemoryStore = () => ({
+  users: [],
+  drivers: [],
+  trips: [],
+  trip_offers: [],
+  trip_events: [],
+  auth_sessions: [],
+  refresh_tokens: [],
+  password_reset_codes: [],
+  phone_verification_codes: [],
+  email_change_codes: [],
+  driver_documents: [],
+  vehicles: [],
+  driver_locations: [],
+  push_events: [],
+  trip_ratings: []
+});
+
+/** Copia profunda para que quien llama no modifique las filas guardadas */
+const copiar = (fila) => (fila ? structuredClone(fila) : null);
+
+const ok = (data) => ({ data, error: null });
+
+const violacionUnica = (restriccion) => ({
+  data: null,
+  error: {
+    code: "23505",
+    message: `duplicate key value violates unique constraint "${restriccion}"`
+  }
+});
+
+const nuevoId = () => crypto.randomUUID();
+
+const ahora = () => new Date().toISOString();
+
+/** Orden por created_at descendente (más recientes primero) */
+const porCreacionDesc = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0);
+
+module.exports = {
+  createMemoryStore,
+  copiar,
+  ok,
+  violacionUnica,
+  nuevoId,
+  ahora,
+  porCreacionDesc
+};
@@ -0,0 +1,28 @@
+/**
+ * Repositorio del historial de viajes en memoria (misma interfaz que supabase/tripEvents.repository.js).
+ */
+
+const { copiar, ok, nuevoId, ahora } = require("./store");
+
+const createTripEventsRepository = (store) => ({
+  async create(fields) {
+    store.trip_events.push({
+      id: nuevoId(),
+      created_at: ahora(),
+      actor_id: null,
+      motivo: null,
+      metadata: null,
+      ...fields
+    });
+    return ok(null);
+  },
+
+  async listByTrip(tripId) {
+    const eventos = store.trip_events
+      .filter((e) => e.trip_id === tripId)
+      .map(({ trip_id, ...evento }) => copiar(evento));
+    return ok(eventos);
+  }
+});
+
+module.exports = createTripEventsRepository;
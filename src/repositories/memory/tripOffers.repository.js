@@ -0,0 +1,64 @@
+/**
+ * Repositorio de ofertas de viaje en memoria (misma interfaz que supabase/tripOffers.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora } = require("./store");
+
+const createTripOffersRepository = (store) => ({
+  async listByTrip(tripId) {
+    return ok(store.trip_offers.filter((o) => o.trip_id === tripId).map(copiar));
+  },
+
+  async create(fields) {
+    const existentes = store.trip_offers.filter((o) => o.trip_id === fields.trip_id);
+    if (fields.estado === "pendiente" && existentes.some((o) => o.estado === "pendiente")) {
+      return violacionUnica("trip_offers_una_pendiente_por_viaje");
+    }
+    if (existentes.some((o) => o.driver_id === fields.driver_id)) {
+      return violacionUnica("trip_offers_trip_driver_key");
+    }
+
+    const oferta = {
+      id: nuevoId(),
+      offered_at: ahora(),
+      responded_at: null,
+      motivo: null,
+      ...fields
+    };
+    store.trip_offers.push(oferta);
+    return ok(copiar(oferta));
+  },
+
+  async closeIfPending(id, cambios) {
+    const oferta = store.trip_offers.find((o) => o.id === id && o.estado === "pendiente");
+    if (!oferta) {
+      return ok(null);
+    }
+    Object.assign(oferta, cambios);
+    return ok(copiar(oferta));
+  },
+
+  async findPending(tripId, driverId, vigenteHasta) {
+    const oferta = store.trip_offers.find(
+      (o) =>
+        o.trip_id === tripId && o.driver_id === driverId && o.estado === "pendiente" && o.expires_at > vigenteHasta
+    );
+    return ok(copiar(oferta));
+  },
+
+  async listPendingByTrip(tripId) {
+    return ok(store.trip_offers.filter((o) => o.trip_id === tripId && o.estado === "pendiente").map(copiar));
+  },
+
+  async listPendingByDriver(driverId) {
+    return ok(store.trip_offers.filter((o) => o.driver_id === driverId && o.estado === "pendiente").map(copiar));
+  },
+
+  async listExpiredPending(vencidaAntesDe) {
+    return ok(
+      store.trip_offers.filter((o) => o.estado === "pendiente" && o.expires_at < vencidaAntesDe).map(copiar)
+    );
+  }
+});
+
+module.exports = createTripOffersRepository;
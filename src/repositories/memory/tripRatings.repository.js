@@ -0,0 +1,37 @@
+/**
+ * Repositorio de calificaciones en memoria (misma interfaz que supabase/tripRatings.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora, porCreacionDesc } = require("./store");
+
+const createTripRatingsRepository = (store) => ({
+  async create(fields) {
+    if (store.trip_ratings.some((r) => r.trip_id === fields.trip_id && r.rater_id === fields.rater_id)) {
+      return violacionUnica("trip_ratings_trip_rater_key");
+    }
+    const calificacion = { id: nuevoId(), tags: [], comentario: null, created_at: ahora(), ...fields };
+    store.trip_ratings.push(calificacion);
+    return ok(copiar(calificacion));
+  },
+
+  async listRecentByRatee(rateeId, rolCalificado, limit) {
+    return ok(
+      store.trip_ratings
+        .filter((r) => r.ratee_id === rateeId && r.rol_calificado === rolCalificado)
+        .sort(porCreacionDesc)
+        .slice(0, limit)
+        .map(({ estrellas }) => ({ estrellas }))
+    );
+  },
+
+  async countByRatee(rateeId, rolCalificado) {
+    const count = store.trip_ratings.filter((r) => r.ratee_id === rateeId && r.rol_calificado === rolCalificado).length;
+    return { ...ok(null), count };
+  },
+
+  async listByTrip(tripId) {
+    return ok(store.trip_ratings.filter((r) => r.trip_id === tripId).map(copiar));
+  }
+});
+
+module.exports = createTripRatingsRepository;
@@ -0,0 +1,326 @@
+/**
+ * Repositorio de viajes en memoria (misma interfaz que supabase/trips.repository.js).
+ *
+ * runTransition emula las funciones de supabase/trip_transitions.sql. Node ejecuta cada
+ * transición sin ceder el hilo (no hay await dentro), así que es atómica igual que en Postgres.
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora } = require("./store");
+
+const ESTADOS_CON_CONDUCTOR = ["asignado", "en_progreso"];
+
+const registrarEvento = (store, params, accion, estadoNuevo) => {
+  store.trip_events.push({
+    id: nuevoId(),
+    trip_id: params.p_trip_id,
+    accion,
+    estado_anterior: params.p_estado_esperado,
+    estado_nuevo: estadoNuevo,
+    actor_tipo: params.p_actor_tipo,
+    actor_id: params.p_actor_id || null,
+    motivo: params.p_motivo || null,
+    metadata: null,
+    created_at: ahora()
+  });
+};
+
+/** Copia del vehículo que se guarda en el viaje (como jsonb_build_object en accept_trip) */
+const datosVehiculo = ({ placa, marca, modelo, color, anio, cascos }) => ({ placa, marca, modelo, color, anio, cascos });
+
+/** Emula contar_viaje_cerrado (tasa de cancelación de trip_cancellations.sql) */
+const contarViajeCerrado = (store, { pasajeroId, conductorId, cancelaPasajero, cancelaConductor }) => {
+  const contar = (fila, cancelo) => {
+    if (!fila) {
+      return;
+    }
+    fila.viajes_cerrados += 1;
+    fila.cancelaciones += cancelo ? 1 : 0;
+    fila.tasa_cancelacion = Math.round((fila.cancelaciones / fila.viajes_cerrados) * 1000) / 1000;
+  };
+  contar(store.users.find((u) => u.id === pasajeroId), cancelaPasajero);
+  contar(store.drivers.find((d) => d.user_id === conductorId), cancelaConductor);
+};
+
+const liberarConductor = (store, conductorId) => {
+  const driver = store.drivers.find((d) => d.user_id === conductorId);
+  if (driver && driver.estado === "ocupado") {
+    driver.estado = "disponible";
+  }
+};
+
+const transiciones = {
+  accept_trip(store, params) {
+    const driver = store.drivers.find((d) => d.user_id === params.p_actor_id);
+    if (!driver) {
+      return { codigo: "DRIVER_NOT_FOUND" };
+    }
+    if (driver.estado !== "disponible") {
+      return { codigo: "DRIVER_NOT_AVAILABLE", estado_conductor: driver.estado };
+    }
+    if (store.trips.some((t) => t.conductor_id === params.p_actor_id && ESTADOS_CON_CONDUCTOR.includes(t.estado))) {
+      return { codigo: "DRIVER_HAS_ACTIVE_TRIP" };
+    }
+
+    const vehiculo = store.vehicles.find((v) => v.driver_id === params.p_actor_id && v.activo);
+    if (!vehiculo) {
+      return { codigo: "VEHICLE_REQUIRED" };
+    }
+
+    const trip = store.trips.find((t) => t.id === params.p_trip_id);
+    if (!trip) {
+      return { codigo: "TRIP_NOT_FOUND" };
+    }
+    if (trip.estado !== params.p_estado_esperado) {
+      if (trip.conductor_id && trip.conductor_id !== params.p_actor_id) {
+        return { codigo: "TRIP_ALREADY_TAKEN" };
+      }
+      return { codigo: "TRIP_STATE_CHANGED", estado: trip.estado };
+    }
+
+    const oferta = store.trip_offers.find(
+      (o) =>
+        o.trip_id === trip.id &&
+        o.driver_id === params.p_actor_id &&
+        o.estado === "pendiente" &&
+        o.expires_at > ahora()
+    );
+    if (!oferta) {
+      return { codigo: "OFFER_NOT_AVAILABLE" };
+    }
+
+    oferta.estado = "aceptada";
+    oferta.responded_at = ahora();
+    Object.assign(trip, {
+      estado: "asignado",
+      conductor_id: params.p_actor_id,
+      accepted_at: ahora(),
+      vehicle_id: vehiculo.id,
+      vehiculo: datosVehiculo(vehiculo)
+    });
+    driver.estado = "ocupado";
+    registrarEvento(store, params, "aceptar", "asignado");
+
+    return { codigo: "OK", trip: copiar(trip) };
+  },
+
+  finish_trip(store, params) {
+    const trip = store.trips.find((t) => t.id === params.p_trip_id);
+    if (!trip) {
+      return { codigo: "TRIP_NOT_FOUND" };
+    }
+    if (params.p_actor_tipo === "conductor" && trip.conductor_id !== params.p_actor_id) {
+      return { codigo: "NOT_TRIP_DRIVER" };
+    }
+    if (trip.estado !== params.p_estado_esperado) {
+      return { codigo: "TRIP_STATE_CHANGED", estado: trip.estado };
+    }
+
+    Object.assign(trip, { estado: "finalizado", finished_at: ahora() });
+    liberarConductor(store, trip.conductor_id);
+    contarViajeCerrado(store, {
+      pasajeroId: trip.pasajero_id,
+      conductorId: trip.conductor_id,
+      cancelaPasajero: false,
+      cancelaConductor: false
+    });
+    registrarEvento(store, params, "finalizar", "finalizado");
+
+    return { codigo: "OK", trip: copiar(trip) };
+  },
+
+  cancel_trip(store, params) {
+    const trip = store.trips.find((t) => t.id === params.p_trip_id);
+    if (!trip) {
+      return { codigo: "TRIP_NOT_FOUND" };
+    }
+    if (trip.estado !== params.p_estado_esperado) {
+      return { codigo: "TRIP_STATE_CHANGED", estado: trip.estado };
+    }
+
+    Object.assign(trip, {
+      estado: "cancelado",
+      cancelled_at: ahora(),
+      cancelled_by: params.p_actor_tipo,
+      cancel_reason: params.p_motivo_codigo || null,
+      cancellation_fee: params.p_cargo || 0
+    });
+    if (trip.conductor_id) {
+      liberarConductor(store, trip.conductor_id);
+      const noPresentado = params.p_motivo_codigo === "pasajero_no_se_presento";
+      contarViajeCerrado(store, {
+        pasajeroId: trip.pasajero_id,
+        conductorId: trip.conductor_id,
+        cancelaPasajero: params.p_actor_tipo === "pasajero" || noPresentado,
+        cancelaConductor: params.p_actor_tipo === "conductor" && !noPresentado
+      });
+    }
+    registrarEvento(store, params, "cancelar", "cancelado");
+
+    return { codigo: "OK", trip: copiar(trip) };
+  }
+};
+
+/** Mismos filtros que filtrarHistorial en supabase/trips.repository.js */
+const enHistorial = (t, { pasajeroId = null, conductorId = null, estados, desde, hasta, canceladoPor }) =>
+  (!pasajeroId || t.pasajero_id === pasajeroId) &&
+  (!conductorId || t.conductor_id === conductorId) &&
+  (!estados || estados.includes(t.estado)) &&
+  (!desde || t.created_at >= desde) &&
+  (!hasta || t.created_at < hasta) &&
+  (!canceladoPor || t.cancelled_by === canceladoPor);
+
+const porHistorialDesc = (a, b) =>
+  a.created_at !== b.created_at ? (a.created_at < b.created_at ? 1 : -1) : a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+
+const proyeccionHistorial = (t) => ({
+  id: t.id,
+  estado: t.estado,
+  pickup_address: t.pickup_address ?? null,
+  destination_address: t.destination_address ?? null,
+  quoted_fare: t.quoted_fare ?? null,
+  final_fare: t.final_fare,
+  fare_currency: t.fare_currency ?? null,
+  driven_distance_km: t.driven_distance_km,
+  created_at: t.created_at,
+  accepted_at: t.accepted_at,
+  finished_at: t.finished_at,
+  cancelled_at: t.cancelled_at,
+  cancelled_by: t.cancelled_by,
+  cancel_reason: t.cancel_reason,
+  cancellation_fee: t.cancellation_fee
+});
+
+const createTripsRepository = (store) => ({
+  async findById(id) {
+    return ok(copiar(store.trips.find((t) => t.id === id)));
+  },
+
+  async findByPasajeroAndEstados(pasajeroId, estados) {
+    return ok(
+      store.trips.filter((t) => t.pasajero_id === pasajeroId && estados.includes(t.estado)).map((t) => ({ id: t.id }))
+    );
+  },
+
+  async findByConductorAndEstados(conductorId, estados) {
+    return ok(
+      store.trips
+        .filter((t) => t.conductor_id === conductorId && estados.includes(t.estado))
+        .map((t) => ({
+          id: t.id,
+          estado: t.estado,
+          pickup_lat: t.pickup_lat ?? null,
+          pickup_lng: t.pickup_lng ?? null,
+          destination_lat: t.destination_lat ?? null,
+          destination_lng: t.destination_lng ?? null
+        }))
+    );
+  },
+
+  async listAcceptedByConductorBefore(conductorId, hasta, limit) {
+    return ok(
+      store.trips
+        .filter((t) => t.conductor_id === conductorId && t.accepted_at && t.accepted_at <= hasta)
+        .sort((a, b) => (a.accepted_at < b.accepted_at ? 1 : -1))
+        .slice(0, limit)
+        .map(({ id, estado, accepted_at, started_at, finished_at, cancelled_at }) => ({
+          id,
+          estado,
+          accepted_at,
+          started_at,
+          finished_at,
+          cancelled_at
+        }))
+    );
+  },
+
+  async listHistory({ cursor, limit, ...filtros }) {
+    return ok(
+      store.trips
+        .filter((t) => enHistorial(t, filtros))
+        .filter((t) => !cursor || t.created_at < cursor.created_at || (t.created_at === cursor.created_at && t.id < cursor.id))
+        .sort(porHistorialDesc)
+        .slice(0, limit)
+        .map(proyeccionHistorial)
+    );
+  },
+
+  async summarizeHistory(filtros) {
+    const totales = new Map();
+    for (const t of store.trips.filter((t) => enHistorial(t, filtros))) {
+      totales.set(t.estado, (totales.get(t.estado) || 0) + 1);
+    }
+    return ok([...totales].map(([estado, total]) => ({ estado, total })));
+  },
+
+  async create(fields) {
+    if (fields.quote_id && store.trips.some((t) => t.quote_id === fields.quote_id)) {
+      return violacionUnica("trips_quote_id_key");
+    }
+
+    const trip = {
+      id: nuevoId(),
+      created_at: ahora(),
+      conductor_id: null,
+      vehicle_id: null,
+      vehiculo: null,
+      accepted_at: null,
+      arrived_at: null,
+      started_at: null,
+      finished_at: null,
+      cancelled_at: null,
+      cancelled_by: null,
+      cancel_reason: null,
+      cancellation_fee: null,
+      driven_distance_km: null,
+      final_fare: null,
+      final_fare_breakdown: null,
+      ...fields
+    };
+    store.trips.push(trip);
+    return ok(copiar(trip));
+  },
+
+  async updateIfEstado(id, estadoEsperado, cambios) {
+    const trip = store.trips.find((t) => t.id === id && t.estado === estadoEsperado);
+    if (!trip) {
+      return ok(null);
+    }
+    Object.assign(trip, cambios);
+    return ok(copiar(trip));
+  },
+
+  async markArrived(id, fecha) {
+    const trip = store.trips.find((t) => t.id === id && t.estado === "asignado" && !t.arrived_at);
+    if (!trip) {
+      return ok(null);
+    }
+    trip.arrived_at = fecha;
+    return ok(copiar(trip));
+  },
+
+  async listUnsettled(finalizadoAntesDe, limit) {
+    return ok(
+      store.trips
+        .filter((t) => t.estado === "finalizado" && t.final_fare == null && t.finished_at < finalizadoAntesDe)
+        .sort((a, b) => (a.finished_at < b.finished_at ? -1 : a.finished_at > b.finished_at ? 1 : 0))
+        .slice(0, limit)
+        .map(copiar)
+    );
+  },
+
+  async updateStaleByEstado(estado, creadoAntesDe, cambios) {
+    const afectados = store.trips.filter((t) => t.estado === estado && t.created_at < creadoAntesDe);
+    afectados.forEach((t) => Object.assign(t, cambios));
+    return ok(afectados.map(copiar));
+  },
+
+  async runTransition(nombre, params) {
+    const transicion = transiciones[nombre];
+    if (!transicion) {
+      throw new Error("Transición RPC desconocida: " + nombre);
+    }
+    return ok(transicion(store, params));
+  }
+});
+
+module.exports = createTripsRepository;
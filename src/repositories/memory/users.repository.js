@@ -0,0 +1,99 @@
+/**
+ * Repositorio de usuarios en memoria (misma interfaz que supabase/users.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora, porCreacionDesc } = require("./store");
+
+const sinPassword = (user) => {
+  if (!user) {
+    return null;
+  }
+  const { password, ...publico } = copiar(user);
+  return publico;
+};
+
+const createUsersRepository = (store) => ({
+  async findById(id) {
+    return ok(sinPassword(store.users.find((u) => u.id === id)));
+  },
+
+  async findByEmail(email) {
+    return ok(copiar(store.users.find((u) => u.email === email)));
+  },
+
+  async findCredentialsById(id) {
+    const user = store.users.find((u) => u.id === id);
+    return ok(user ? { id: user.id, password: user.password } : null);
+  },
+
+  async findByTelefono(telefono) {
+    return ok(sinPassword(store.users.find((u) => u.telefono === telefono)));
+  },
+
+  async updateById(id, cambios) {
+    const user = store.users.find((u) => u.id === id);
+    if (!user) {
+      return ok(null);
+    }
+    if (cambios.email && store.users.some((u) => u.id !== id && u.email === cambios.email)) {
+      return violacionUnica("users_email_key");
+    }
+    if (cambios.telefono && store.users.some((u) => u.id !== id && u.telefono === cambios.telefono)) {
+      return violacionUnica("users_telefono_key");
+    }
+    Object.assign(user, cambios);
+    return ok(sinPassword(user));
+  },
+
+  async search({ q = null, rol = null, suspendido = null, limit, offset }) {
+    const texto = q ? q.toLowerCase() : "";
+    const coincidencias = store.users
+      .filter(
+        (u) =>
+          (!texto || [u.email, u.nombre, u.telefono].some((campo) => (campo || "").toLowerCase().includes(texto))) &&
+          (!rol || (u.roles || []).includes(rol)) &&
+          (suspendido === null || Boolean(u.suspended_at) === suspendido)
+      )
+      .sort(porCreacionDesc);
+
+    return { ...ok(coincidencias.slice(offset, offset + limit).map(sinPassword)), count: coincidencias.length };
+  },
+
+  async listHighCancellation({ minViajes, tasaMinima }) {
+    return ok(
+      store.users
+        .filter((u) => u.viajes_cerrados >= minViajes && u.tasa_cancelacion >= tasaMinima)
+        .sort((a, b) => b.tasa_cancelacion - a.tasa_cancelacion)
+        .map(sinPassword)
+    );
+  },
+
+  async create(fields) {
+    if (store.users.some((u) => u.email === fields.email)) {
+      return violacionUnica("users_email_key");
+    }
+    if (store.users.some((u) => u.telefono === fields.telefono)) {
+      return violacionUnica("users_telefono_key");
+    }
+
+    const user = {
+      id: nuevoId(),
+      created_at: ahora(),
+      telefono_verificado: false,
+      telefono_verificado_at: null,
+      foto_url: null,
+      suspended_at: null,
+      suspended_reason: null,
+      rating_promedio: null,
+      rating_cantidad: 0,
+      viajes_cerrados: 0,
+      cancelaciones: 0,
+      tasa_cancelacion: null,
+      ...fields
+    };
+    store.users.push(user);
+    return ok(sinPassword(user));
+  }
+});
+
+module.exports = createUsersRepository;
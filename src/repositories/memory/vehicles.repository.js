@@ -0,0 +1,99 @@
+/**
+ * Repositorio de vehículos en memoria (misma interfaz que supabase/vehicles.repository.js).
+ */
+
+const { copiar, ok, violacionUnica, nuevoId, ahora } = require("./store");
+
+/**
+ * Emula las restricciones de vehicles.sql: placa única y un solo vehículo activo por conductor.
+ */
+const violaRestriccion = (store, vehiculo) => {
+  if (store.vehicles.some((v) => v.id !== vehiculo.id && v.placa === vehiculo.placa)) {
+    return violacionUnica("vehicles_placa_key");
+  }
+  if (vehiculo.activo && store.vehicles.some((v) => v.id !== vehiculo.id && v.driver_id === vehiculo.driver_id && v.activo)) {
+    return violacionUnica("vehicles_un_activo_por_conductor");
+  }
+  return null;
+};
+
+const createVehiclesRepository = (store) => ({
+  async create(fields) {
+    const vehiculo = { id: nuevoId(), activo: false, created_at: ahora(), updated_at: ahora(), ...fields };
+    const violacion = violaRestriccion(store, vehiculo);
+    if (violacion) {
+      return violacion;
+    }
+    store.vehicles.push(vehiculo);
+    return ok(copiar(vehiculo));
+  },
+
+  async findByIdAndDriver(id, driverId) {
+    return ok(copiar(store.vehicles.find((v) => v.id === id && v.driver_id === driverId)));
+  },
+
+  async findByPlaca(placa) {
+    return ok(copiar(store.vehicles.find((v) => v.placa === placa)));
+  },
+
+  async findActiveByDriver(driverId) {
+    return ok(copiar(store.vehicles.find((v) => v.driver_id === driverId && v.activo)));
+  },
+
+  async listByDriver(driverId) {
+    return ok(store.vehicles.filter((v) => v.driver_id === driverId).map(copiar));
+  },
+
+  async updateByIdAndDriver(id, driverId, cambios) {
+    const vehiculo = store.vehicles.find((v) => v.id === id && v.driver_id === driverId);
+    if (!vehiculo) {
+      return ok(null);
+    }
+    const violacion = violaRestriccion(store, { ...vehiculo, ...cambios });
+    if (violacion) {
+      return violacion;
+    }
+    Object.assign(vehiculo, cambios, { updated_at: ahora() });
+    return ok(copiar(vehiculo));
+  },
+
+  /**
+   * Emula activate_vehicle: sin await en el medio, el cambio es atómico igual que en Postgres.
+   */
+  async activateForDriver(id, driverId) {
+    const vehiculo = store.vehicles.find((v) => v.id === id && v.driver_id === driverId);
+    if (!vehiculo) {
+      return ok({ codigo: "VEHICLE_NOT_FOUND" });
+    }
+    if (vehiculo.activo) {
+      return ok({ codigo: "OK", vehicle: copiar(vehiculo) });
+    }
+    const driver = store.drivers.find((d) => d.user_id === driverId);
+    if (driver && driver.estado !== "offline") {
+      return ok({ codigo: "VEHICLE_IN_USE" });
+    }
+    store.vehicles
+      .filter((v) => v.driver_id === driverId && v.activo)
+      .forEach((v) => {
+        v.activo = false;
+        v.updated_at = ahora();
+      });
+    Object.assign(vehiculo, { activo: true, updated_at: ahora() });
+    return ok({ codigo: "OK", vehicle: copiar(vehiculo) });
+  },
+
+  async deleteByIdAndDriver(id, driverId) {
+    const indice = store.vehicles.findIndex((v) => v.id === id && v.driver_id === driverId);
+    if (indice === -1) {
+      return ok(null);
+    }
+    const [eliminado] = store.vehicles.splice(indice, 1);
+    // trips.vehicle_id ON DELETE SET NULL (el viaje conserva la copia en vehiculo)
+    store.trips.filter((t) => t.vehicle_id === id).forEach((t) => {
+      t.vehicle_id = null;
+    });
+    return ok(copiar(eliminado));
+  }
+});
+
+module.exports = createVehiclesRepository;
@@ -0,0 +1,46 @@
+/**
+ * Repositorio de sesiones de login (tabla auth_sessions) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createAuthSessionsRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("auth_sessions").insert(fields).select().single();
+  },
+
+  findById(id) {
+    return supabase.from("auth_sessions").select("*").eq("id", id).maybeSingle();
+  },
+
+  /**
+   * Revoca la sesión si sigue activa; data es null si ya estaba revocada o no existe.
+   */
+  revoke(id, motivo) {
+    return supabase
+      .from("auth_sessions")
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: motivo })
+      .eq("id", id)
+      .is("revoked_at", null)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Revoca todas las sesiones activas del usuario, salvo exceptoId si se indica.
+   * data: sesiones revocadas.
+   */
+  revokeAllByUser(userId, motivo, exceptoId = null) {
+    let query = supabase
+      .from("auth_sessions")
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: motivo })
+      .eq("user_id", userId)
+      .is("revoked_at", null);
+    if (exceptoId) {
+      query = query.neq("id", exceptoId);
+    }
+    return query.select();
+  }
+});
+
+module.exports = createAuthSessionsRepository;
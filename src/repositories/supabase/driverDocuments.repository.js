@@ -0,0 +1,66 @@
+/**
+ * Repositorio de documentos de conductores (tabla driver_documents) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createDriverDocumentsRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("driver_documents").insert(fields).select().single();
+  },
+
+  findById(id) {
+    return supabase.from("driver_documents").select("*").eq("id", id).maybeSingle();
+  },
+
+  /**
+   * Documentos del conductor, más recientes primero.
+   */
+  listByDriver(driverId) {
+    return supabase
+      .from("driver_documents")
+      .select("*")
+      .eq("driver_id", driverId)
+      .order("created_at", { ascending: false });
+  },
+
+  /**
+   * Documentos pendientes de revisión, más antiguos primero.
+   */
+  listPending(limit) {
+    return supabase
+      .from("driver_documents")
+      .select("*")
+      .eq("estado", "pendiente")
+      .order("created_at", { ascending: true })
+      .limit(limit);
+  },
+
+  /**
+   * Marca como reemplazados los documentos pendientes de ese tipo.
+   */
+  replacePending(driverId, tipo) {
+    return supabase
+      .from("driver_documents")
+      .update({ estado: "reemplazado" })
+      .eq("driver_id", driverId)
+      .eq("tipo", tipo)
+      .eq("estado", "pendiente")
+      .select();
+  },
+
+  /**
+   * Registra la revisión si el documento sigue pendiente; data es null si ya no lo estaba.
+   */
+  reviewIfPending(id, cambios) {
+    return supabase
+      .from("driver_documents")
+      .update(cambios)
+      .eq("id", id)
+      .eq("estado", "pendiente")
+      .select()
+      .maybeSingle();
+  }
+});
+
+module.exports = createDriverDocumentsRepository;
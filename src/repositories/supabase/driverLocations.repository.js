@@ -0,0 +1,47 @@
+/**
+ * Repositorio del historial de ubicaciones (tabla driver_locations) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createDriverLocationsRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("driver_locations").insert(fields).select().single();
+  },
+
+  /**
+   * Inserta varios puntos (lote capturado sin conexión).
+   */
+  createMany(filas) {
+    return supabase.from("driver_locations").insert(filas).select();
+  },
+
+  /**
+   * Último punto guardado del viaje (null si no hay ninguno).
+   */
+  findLastByTrip(tripId) {
+    return supabase
+      .from("driver_locations")
+      .select("*")
+      .eq("trip_id", tripId)
+      .order("recorded_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  /**
+   * Puntos del viaje en orden cronológico, opcionalmente de un solo estado del viaje.
+   */
+  listByTrip(tripId, { estadoViaje } = {}) {
+    let query = supabase
+      .from("driver_locations")
+      .select("lat, lng, accuracy_m, speed_mps, heading, estado_viaje, recorded_at")
+      .eq("trip_id", tripId);
+    if (estadoViaje) {
+      query = query.eq("estado_viaje", estadoViaje);
+    }
+    return query.order("recorded_at", { ascending: true });
+  }
+});
+
+module.exports = createDriverLocationsRepository;
@@ -0,0 +1,138 @@
+/**
+ * Repositorio de conductores (tabla drivers) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createDriversRepository = (supabase) => ({
+  findByUserId(userId) {
+    return supabase.from("drivers").select("*").eq("user_id", userId).maybeSingle();
+  },
+
+  create(fields) {
+    return supabase.from("drivers").insert(fields).select().single();
+  },
+
+  /**
+   * Actualiza el conductor; data es null si no existe registro para userId.
+   */
+  updateByUserId(userId, cambios) {
+    return supabase.from("drivers").update(cambios).eq("user_id", userId).select().maybeSingle();
+  },
+
+  /**
+   * Actualiza el conductor solo si su estado actual es uno de "estados";
+   * data es null si no existe o estaba en otro estado.
+   */
+  updateByUserIdIfEstado(userId, estados, cambios) {
+    return supabase
+      .from("drivers")
+      .update(cambios)
+      .eq("user_id", userId)
+      .in("estado", estados)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Actualiza la ubicación actual solo si es más reciente que la guardada
+   * (location_recorded_at); data es null si no se actualizó.
+   */
+  updateLocationIfNewer(userId, { lat, lng, location_recorded_at }) {
+    return supabase
+      .from("drivers")
+      .update({ lat, lng, location_recorded_at })
+      .eq("user_id", userId)
+      .or(`location_recorded_at.is.null,location_recorded_at.lt."${location_recorded_at}"`)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Conductores disponibles más cercanos (RPC get_nearby_drivers, Haversine).
+   *
+   * @param {Object} [opciones]
+   * @param {string} [opciones.vistoDesde] - ISO; descarta a los conductores sin señal desde entonces
+   */
+  findNearby(lat, lng, maxResults, { vistoDesde } = {}) {
+    const params = { passenger_lat: lat, passenger_lng: lng };
+    if (maxResults !== undefined) {
+      params.max_results = maxResults;
+    }
+    if (vistoDesde) {
+      params.seen_since = vistoDesde;
+    }
+    return supabase.rpc("get_nearby_drivers", params);
+  },
+
+  /**
+   * Conductores "disponible" sin señal desde "limite" pasan a "offline".
+   * data: [{ user_id }]
+   */
+  markStaleOffline(limite) {
+    return supabase
+      .from("drivers")
+      .update({ estado: "offline" })
+      .eq("estado", "disponible")
+      .lt("last_seen_at", limite)
+      .select("user_id");
+  },
+
+  /**
+   * Marca para revisión a los conductores "ocupado" sin señal desde "limite"
+   * (solo a los que aún no estaban marcados). data: [{ user_id, last_seen_at }]
+   */
+  flagStaleBusy(limite) {
+    return supabase
+      .from("drivers")
+      .update({ heartbeat_flagged_at: new Date().toISOString() })
+      .eq("estado", "ocupado")
+      .lt("last_seen_at", limite)
+      .is("heartbeat_flagged_at", null)
+      .select("user_id, last_seen_at");
+  },
+
+  /**
+   * Conductores marcados por falta de señal, más antiguos primero.
+   */
+  listFlagged() {
+    return supabase
+      .from("drivers")
+      .select("*")
+      .not("heartbeat_flagged_at", "is", null)
+      .order("heartbeat_flagged_at", { ascending: true });
+  },
+
+  /**
+   * Conductores marcados por calificación baja, peor promedio primero.
+   */
+  listLowRated() {
+    return supabase
+      .from("drivers")
+      .select("*")
+      .not("rating_flagged_at", "is", null)
+      .order("rating_promedio", { ascending: true });
+  },
+
+  /**
+   * Conductores con tasa de cancelación alta (ver supabase/trip_cancellations.sql), mayor primero.
+   */
+  listHighCancellation({ minViajes, tasaMinima }) {
+    return supabase
+      .from("drivers")
+      .select("*")
+      .gte("viajes_cerrados", minViajes)
+      .gte("tasa_cancelacion", tasaMinima)
+      .order("tasa_cancelacion", { ascending: false });
+  },
+
+  /**
+   * Conductores "ocupado" sin viaje activo pasan a "disponible" (RPC reconcile_busy_drivers).
+   * data: [{ user_id }]
+   */
+  reconcileBusy() {
+    return supabase.rpc("reconcile_busy_drivers");
+  }
+});
+
+module.exports = createDriversRepository;
@@ -0,0 +1,83 @@
+/**
+ * Repositorio de códigos OTP de verificación de teléfono (tabla phone_verification_codes) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createPhoneVerificationCodesRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("phone_verification_codes").insert(fields).select().single();
+  },
+
+  /**
+   * Último código enviado al usuario, en cualquier estado (para el tiempo de espera entre envíos).
+   */
+  findLatestByUser(userId) {
+    return supabase
+      .from("phone_verification_codes")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  /**
+   * Código más reciente del usuario sin usar, sin invalidar y que vence después de vigenteHasta.
+   */
+  findActiveByUser(userId, vigenteHasta) {
+    return supabase
+      .from("phone_verification_codes")
+      .select("*")
+      .eq("user_id", userId)
+      .is("used_at", null)
+      .is("invalidated_at", null)
+      .gt("expires_at", vigenteHasta)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  invalidateActiveByUser(userId) {
+    return supabase
+      .from("phone_verification_codes")
+      .update({ invalidated_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("used_at", null)
+      .is("invalidated_at", null);
+  },
+
+  /**
+   * Suma un intento fallido solo si attempts sigue valiendo intentosPrevios.
+   * Con invalidar=true el código deja de servir. data es null si otro intento se adelantó.
+   */
+  registerFailedAttempt(id, intentosPrevios, invalidar) {
+    const cambios = { attempts: intentosPrevios + 1 };
+    if (invalidar) {
+      cambios.invalidated_at = new Date().toISOString();
+    }
+    return supabase
+      .from("phone_verification_codes")
+      .update(cambios)
+      .eq("id", id)
+      .eq("attempts", intentosPrevios)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Consume el código si sigue activo; data es null si ya se usó o fue invalidado.
+   */
+  markUsed(id) {
+    return supabase
+      .from("phone_verification_codes")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", id)
+      .is("used_at", null)
+      .is("invalidated_at", null)
+      .select()
+      .maybeSingle();
+  }
+});
+
+module.exports = createPhoneVerificationCodesRepository;
@@ -0,0 +1,56 @@
+/**
+ * Repositorio de eventos del gateway de notificaciones (tabla push_events) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const COLUMNAS = "id, user_id, evento, payload, created_at";
+
+const createPushEventsRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("push_events").insert(fields).select(COLUMNAS).single();
+  },
+
+  /**
+   * Eventos de un usuario posteriores a un id, en orden (reproducción al reconectar).
+   */
+  listByUserAfter(userId, afterId, limit) {
+    return supabase
+      .from("push_events")
+      .select(COLUMNAS)
+      .eq("user_id", userId)
+      .gt("id", afterId)
+      .order("id", { ascending: true })
+      .limit(limit);
+  },
+
+  /**
+   * Eventos de todos los usuarios posteriores a un id, en orden (eventos publicados por otras instancias).
+   */
+  listAfter(afterId, limit) {
+    return supabase
+      .from("push_events")
+      .select(COLUMNAS)
+      .gt("id", afterId)
+      .order("id", { ascending: true })
+      .limit(limit);
+  },
+
+  /**
+   * Id del último evento publicado, de todos o de un usuario (null si no hay ninguno).
+   */
+  async findLastId({ userId } = {}) {
+    let query = supabase.from("push_events").select("id");
+    if (userId) {
+      query = query.eq("user_id", userId);
+    }
+    const { data, error } = await query.order("id", { ascending: false }).limit(1).maybeSingle();
+    return { data: data ? data.id : null, error };
+  },
+
+  deleteCreatedBefore(fecha) {
+    return supabase.from("push_events").delete().lt("created_at", fecha);
+  }
+});
+
+module.exports = createPushEventsRepository;
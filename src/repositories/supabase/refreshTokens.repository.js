@@ -0,0 +1,31 @@
+/**
+ * Repositorio de refresh tokens (tabla refresh_tokens) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createRefreshTokensRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("refresh_tokens").insert(fields).select().single();
+  },
+
+  findByHash(tokenHash) {
+    return supabase.from("refresh_tokens").select("*").eq("token_hash", tokenHash).maybeSingle();
+  },
+
+  /**
+   * Marca el token como usado solo si no se había usado; data es null en otro caso
+   * (otra petición lo usó primero).
+   */
+  markUsed(id, fecha) {
+    return supabase
+      .from("refresh_tokens")
+      .update({ used_at: fecha })
+      .eq("id", id)
+      .is("used_at", null)
+      .select()
+      .maybeSingle();
+  }
+});
+
+module.exports = createRefreshTokensRepository;
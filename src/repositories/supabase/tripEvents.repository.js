@@ -0,0 +1,21 @@
+/**
+ * Repositorio del historial de viajes (tabla trip_events) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createTripEventsRepository = (supabase) => ({
+  create(fields) {
+    return supabase.from("trip_events").insert(fields);
+  },
+
+  listByTrip(tripId) {
+    return supabase
+      .from("trip_events")
+      .select("id, accion, estado_anterior, estado_nuevo, actor_tipo, actor_id, motivo, metadata, created_at")
+      .eq("trip_id", tripId)
+      .order("created_at", { ascending: true });
+  }
+});
+
+module.exports = createTripEventsRepository;
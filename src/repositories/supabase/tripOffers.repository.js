@@ -0,0 +1,60 @@
+/**
+ * Repositorio de ofertas de viaje (tabla trip_offers) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createTripOffersRepository = (supabase) => ({
+  listByTrip(tripId) {
+    return supabase.from("trip_offers").select("*").eq("trip_id", tripId);
+  },
+
+  /**
+   * Inserta una oferta. error.code 23505 si el viaje ya tiene una oferta pendiente
+   * o si el conductor ya recibió este viaje.
+   */
+  create(fields) {
+    return supabase.from("trip_offers").insert(fields).select().single();
+  },
+
+  /**
+   * Cierra la oferta solo si sigue pendiente; data es null en otro caso.
+   */
+  closeIfPending(id, cambios) {
+    return supabase
+      .from("trip_offers")
+      .update(cambios)
+      .eq("id", id)
+      .eq("estado", "pendiente")
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Oferta pendiente de un viaje para un conductor que vence después de vigenteHasta.
+   */
+  findPending(tripId, driverId, vigenteHasta) {
+    return supabase
+      .from("trip_offers")
+      .select("*")
+      .eq("trip_id", tripId)
+      .eq("driver_id", driverId)
+      .eq("estado", "pendiente")
+      .gt("expires_at", vigenteHasta)
+      .maybeSingle();
+  },
+
+  listPendingByTrip(tripId) {
+    return supabase.from("trip_offers").select("*").eq("trip_id", tripId).eq("estado", "pendiente");
+  },
+
+  listPendingByDriver(driverId) {
+    return supabase.from("trip_offers").select("*").eq("driver_id", driverId).eq("estado", "pendiente");
+  },
+
+  listExpiredPending(vencidaAntesDe) {
+    return supabase.from("trip_offers").select("*").eq("estado", "pendiente").lt("expires_at", vencidaAntesDe);
+  }
+});
+
+module.exports = createTripOffersRepository;
@@ -0,0 +1,48 @@
+/**
+ * Repositorio de calificaciones (tabla trip_ratings) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createTripRatingsRepository = (supabase) => ({
+  /**
+   * Inserta una calificación. error.code 23505 si el usuario ya calificó el viaje.
+   */
+  create(fields) {
+    return supabase.from("trip_ratings").insert(fields).select().single();
+  },
+
+  /**
+   * Estrellas de las últimas calificaciones recibidas por un usuario en un rol.
+   */
+  listRecentByRatee(rateeId, rolCalificado, limit) {
+    return supabase
+      .from("trip_ratings")
+      .select("estrellas")
+      .eq("ratee_id", rateeId)
+      .eq("rol_calificado", rolCalificado)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+  },
+
+  /**
+   * Total de calificaciones recibidas por un usuario en un rol. count: total.
+   */
+  countByRatee(rateeId, rolCalificado) {
+    return supabase
+      .from("trip_ratings")
+      .select("id", { count: "exact", head: true })
+      .eq("ratee_id", rateeId)
+      .eq("rol_calificado", rolCalificado);
+  },
+
+  listByTrip(tripId) {
+    return supabase
+      .from("trip_ratings")
+      .select("*")
+      .eq("trip_id", tripId)
+      .order("created_at", { ascending: true });
+  }
+});
+
+module.exports = createTripRatingsRepository;
@@ -0,0 +1,188 @@
+/**
+ * Repositorio de viajes (tabla trips) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+// Funciones transaccionales de supabase/trip_transitions.sql
+const TRANSICIONES_RPC = ["accept_trip", "finish_trip", "cancel_trip"];
+
+// Proyección compacta del historial (GET /trip/pasajero y /trip/conductor)
+const COLUMNAS_HISTORIAL =
+  "id, estado, pickup_address, destination_address, quoted_fare, final_fare, fare_currency, " +
+  "driven_distance_km, created_at, accepted_at, finished_at, cancelled_at, cancelled_by, cancel_reason, " +
+  "cancellation_fee";
+
+/**
+ * Filtros del historial; los que vienen en null no se aplican. hasta es exclusivo.
+ */
+const filtrarHistorial = (query, { pasajeroId, conductorId, estados, desde, hasta, canceladoPor }) => {
+  let filtrada = query;
+  if (pasajeroId) {
+    filtrada = filtrada.eq("pasajero_id", pasajeroId);
+  }
+  if (conductorId) {
+    filtrada = filtrada.eq("conductor_id", conductorId);
+  }
+  if (estados) {
+    filtrada = filtrada.in("estado", estados);
+  }
+  if (desde) {
+    filtrada = filtrada.gte("created_at", desde);
+  }
+  if (hasta) {
+    filtrada = filtrada.lt("created_at", hasta);
+  }
+  if (canceladoPor) {
+    filtrada = filtrada.eq("cancelled_by", canceladoPor);
+  }
+  return filtrada;
+};
+
+const createTripsRepository = (supabase) => ({
+  /**
+   * Viaje por id o null si no existe (un id que no es UUID también cuenta como inexistente).
+   */
+  async findById(id) {
+    const { data, error } = await supabase.from("trips").select("*").eq("id", id).maybeSingle();
+    if (error && error.code === "22P02") {
+      return { data: null, error: null };
+    }
+    return { data, error };
+  },
+
+  findByPasajeroAndEstados(pasajeroId, estados) {
+    return supabase.from("trips").select("id").eq("pasajero_id", pasajeroId).in("estado", estados);
+  },
+
+  /**
+   * Viajes del conductor en los estados dados, con las coordenadas de recogida y destino
+   * (lo que necesitan el recorrido y el seguimiento en vivo).
+   */
+  findByConductorAndEstados(conductorId, estados) {
+    return supabase
+      .from("trips")
+      .select("id, estado, pickup_lat, pickup_lng, destination_lat, destination_lng")
+      .eq("conductor_id", conductorId)
+      .in("estado", estados);
+  },
+
+  /**
+   * Últimos viajes aceptados por el conductor hasta una fecha, más recientes primero
+   * (solo las columnas de fechas, para ubicar puntos del recorrido en su viaje).
+   */
+  listAcceptedByConductorBefore(conductorId, hasta, limit) {
+    return supabase
+      .from("trips")
+      .select("id, estado, accepted_at, started_at, finished_at, cancelled_at")
+      .eq("conductor_id", conductorId)
+      .lte("accepted_at", hasta)
+      .order("accepted_at", { ascending: false })
+      .limit(limit);
+  },
+
+  /**
+   * Una página del historial de un pasajero o un conductor, de más reciente a más antiguo.
+   * El cursor es el (created_at, id) del último viaje de la página anterior.
+   */
+  listHistory({ pasajeroId = null, conductorId = null, estados, desde, hasta, canceladoPor, cursor, limit }) {
+    let query = filtrarHistorial(supabase.from("trips").select(COLUMNAS_HISTORIAL), {
+      pasajeroId,
+      conductorId,
+      estados,
+      desde,
+      hasta,
+      canceladoPor
+    });
+    if (cursor) {
+      query = query.or(`created_at.lt.${cursor.created_at},and(created_at.eq.${cursor.created_at},id.lt.${cursor.id})`);
+    }
+    return query.order("created_at", { ascending: false }).order("id", { ascending: false }).limit(limit);
+  },
+
+  /**
+   * Totales por estado del historial con los mismos filtros (trip_history_summary en supabase/trip_history.sql).
+   */
+  summarizeHistory({ pasajeroId = null, conductorId = null, estados, desde, hasta, canceladoPor }) {
+    return supabase.rpc("trip_history_summary", {
+      p_pasajero_id: pasajeroId,
+      p_conductor_id: conductorId,
+      p_estados: estados || null,
+      p_desde: desde || null,
+      p_hasta: hasta || null,
+      p_cancelled_by: canceladoPor || null
+    });
+  },
+
+  create(fields) {
+    return supabase.from("trips").insert(fields).select().single();
+  },
+
+  /**
+   * Actualiza el viaje solo si sigue en estadoEsperado (concurrencia optimista).
+   * data es null si el estado ya cambió.
+   */
+  updateIfEstado(id, estadoEsperado, cambios) {
+    return supabase
+      .from("trips")
+      .update(cambios)
+      .eq("id", id)
+      .eq("estado", estadoEsperado)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Marca la llegada del conductor a la recogida: solo una vez y con el viaje asignado.
+   * data es null si el viaje ya no está asignado o ya tenía arrived_at.
+   */
+  markArrived(id, fecha) {
+    return supabase
+      .from("trips")
+      .update({ arrived_at: fecha })
+      .eq("id", id)
+      .eq("estado", "asignado")
+      .is("arrived_at", null)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Viajes finalizados antes de una fecha que quedaron sin tarifa final, más antiguos primero.
+   */
+  listUnsettled(finalizadoAntesDe, limit) {
+    return supabase
+      .from("trips")
+      .select("*")
+      .eq("estado", "finalizado")
+      .is("final_fare", null)
+      .lt("finished_at", finalizadoAntesDe)
+      .order("finished_at", { ascending: true })
+      .limit(limit);
+  },
+
+  /**
+   * Actualiza todos los viajes en un estado creados antes de una fecha y devuelve los afectados.
+   */
+  updateStaleByEstado(estado, creadoAntesDe, cambios) {
+    return supabase
+      .from("trips")
+      .update(cambios)
+      .eq("estado", estado)
+      .lt("created_at", creadoAntesDe)
+      .select();
+  },
+
+  /**
+   * Ejecuta una transición transaccional (accept_trip, finish_trip, cancel_trip).
+   * data: { codigo, trip? }
+   */
+  runTransition(nombre, params) {
+    if (!TRANSICIONES_RPC.includes(nombre)) {
+      throw new Error("Transición RPC desconocida: " + nombre);
+    }
+    return supabase.rpc(nombre, params);
+  }
+});
+
+module.exports = createTripsRepository;
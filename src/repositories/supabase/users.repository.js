@@ -0,0 +1,91 @@
+/**
+ * Repositorio de usuarios (tabla users) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+// Columnas públicas del usuario (nunca incluye el hash de la contraseña)
+const COLUMNAS_PUBLICAS =
+  "id, email, nombre, telefono, telefono_verificado, foto_url, roles, suspended_at, suspended_reason, " +
+  "rating_promedio, rating_cantidad, viajes_cerrados, cancelaciones, tasa_cancelacion, created_at";
+
+// Caracteres con significado en los filtros de PostgREST (or=, ilike)
+const CARACTERES_FILTRO = /[,()%*\\]/g;
+
+const createUsersRepository = (supabase) => ({
+  findById(id) {
+    return supabase.from("users").select(COLUMNAS_PUBLICAS).eq("id", id).maybeSingle();
+  },
+
+  /**
+   * Usuario por email, incluye el hash de la contraseña para el login.
+   */
+  findByEmail(email) {
+    return supabase.from("users").select(`${COLUMNAS_PUBLICAS}, password`).eq("email", email).maybeSingle();
+  },
+
+  /**
+   * Id y hash de la contraseña, para verificar la contraseña actual.
+   */
+  findCredentialsById(id) {
+    return supabase.from("users").select("id, password").eq("id", id).maybeSingle();
+  },
+
+  findByTelefono(telefono) {
+    return supabase.from("users").select(COLUMNAS_PUBLICAS).eq("telefono", telefono).maybeSingle();
+  },
+
+  /**
+   * Actualiza columnas del usuario; data es null si no existe.
+   * error.code 23505 si el email o teléfono nuevos ya pertenecen a otro usuario.
+   */
+  updateById(id, cambios) {
+    return supabase.from("users").update(cambios).eq("id", id).select(COLUMNAS_PUBLICAS).maybeSingle();
+  },
+
+  /**
+   * Búsqueda paginada para el panel de administración, más recientes primero.
+   * q busca en email, nombre y teléfono. count: total de coincidencias.
+   *
+   * @param {Object} filtros - { q, rol, suspendido, limit, offset }
+   */
+  search({ q = null, rol = null, suspendido = null, limit, offset }) {
+    let query = supabase.from("users").select(COLUMNAS_PUBLICAS, { count: "exact" });
+
+    const texto = q ? q.replace(CARACTERES_FILTRO, " ").trim() : "";
+    if (texto) {
+      query = query.or(`email.ilike.%${texto}%,nombre.ilike.%${texto}%,telefono.ilike.%${texto}%`);
+    }
+    if (rol) {
+      query = query.contains("roles", [rol]);
+    }
+    if (suspendido === true) {
+      query = query.not("suspended_at", "is", null);
+    } else if (suspendido === false) {
+      query = query.is("suspended_at", null);
+    }
+
+    return query.order("created_at", { ascending: false }).range(offset, offset + limit - 1);
+  },
+
+  /**
+   * Pasajeros con tasa de cancelación alta (ver supabase/trip_cancellations.sql), mayor primero.
+   */
+  listHighCancellation({ minViajes, tasaMinima }) {
+    return supabase
+      .from("users")
+      .select(COLUMNAS_PUBLICAS)
+      .gte("viajes_cerrados", minViajes)
+      .gte("tasa_cancelacion", tasaMinima)
+      .order("tasa_cancelacion", { ascending: false });
+  },
+
+  /**
+   * Inserta un usuario. error.code 23505 si el email o teléfono ya existen.
+   */
+  create(fields) {
+    return supabase.from("users").insert(fields).select(COLUMNAS_PUBLICAS).single();
+  }
+});
+
+module.exports = createUsersRepository;
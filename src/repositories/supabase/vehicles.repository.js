@@ -0,0 +1,65 @@
+/**
+ * Repositorio de vehículos (tabla vehicles) sobre Supabase.
+ *
+ * Todos los métodos devuelven { data, error } igual que el cliente de Supabase.
+ */
+
+const createVehiclesRepository = (supabase) => ({
+  /**
+   * error.code 23505 si la placa ya existe o si ya hay otro vehículo activo.
+   */
+  create(fields) {
+    return supabase.from("vehicles").insert(fields).select().single();
+  },
+
+  /**
+   * Vehículo del conductor; null si no existe o es de otro conductor.
+   */
+  findByIdAndDriver(id, driverId) {
+    return supabase.from("vehicles").select("*").eq("id", id).eq("driver_id", driverId).maybeSingle();
+  },
+
+  findByPlaca(placa) {
+    return supabase.from("vehicles").select("*").eq("placa", placa).maybeSingle();
+  },
+
+  findActiveByDriver(driverId) {
+    return supabase.from("vehicles").select("*").eq("driver_id", driverId).eq("activo", true).maybeSingle();
+  },
+
+  listByDriver(driverId) {
+    return supabase
+      .from("vehicles")
+      .select("*")
+      .eq("driver_id", driverId)
+      .order("created_at", { ascending: true });
+  },
+
+  /**
+   * Actualiza el vehículo del conductor; data es null si no existe.
+   * error.code 23505 si la placa nueva ya existe o si ya hay otro vehículo activo.
+   */
+  updateByIdAndDriver(id, driverId, cambios) {
+    return supabase
+      .from("vehicles")
+      .update({ ...cambios, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("driver_id", driverId)
+      .select()
+      .maybeSingle();
+  },
+
+  /**
+   * Cambia el vehículo activo del conductor en una transacción (activate_vehicle en supabase/vehicles.sql).
+   * data: { codigo, vehicle? }
+   */
+  activateForDriver(id, driverId) {
+    return supabase.rpc("activate_vehicle", { p_driver_id: driverId, p_vehicle_id: id });
+  },
+
+  deleteByIdAndDriver(id, driverId) {
+    return supabase.from("vehicles").delete().eq("id", id).eq("driver_id", driverId).select().maybeSingle();
+  }
+});
+
+module.exports = createVehiclesRepository;
@@ -0,0 +1,82 @@
+/**
+ * Rutas de Administración
+ * 
+ * Todas las rutas tienen el prefijo /admin y exigen un token con el rol admin.
+ * 
+ * Rutas disponibles:
+ * - GET /admin/users - Lista y busca usuarios (?q=&rol=&suspendido=&limit=&offset=)
+ * - GET /admin/users/:id - Detalle de un usuario y su registro de conductor
+ * - POST /admin/users/:id/suspend - Suspende la cuenta y cierra sus sesiones
+ * - POST /admin/users/:id/reactivate - Reactiva una cuenta suspendida
+ * - GET /admin/drivers/flagged - Conductores ocupados que perdieron la señal durante un viaje
+ * - GET /admin/drivers/low-rated - Conductores con calificación por debajo del umbral de revisión
+ * - GET /admin/cancellations - Pasajeros o conductores con tasa de cancelación alta (?rol=)
+ * - POST /admin/drivers/:id/offline - Pasa a un conductor disponible a offline
+ * - GET /admin/drivers/:id/documents - Documentos de un conductor y su estado de aprobación
+ * - GET /admin/documents/pending - Documentos pendientes de revisión
+ * - GET /admin/documents/:id/file - Descarga el archivo de un documento
+ * - POST /admin/documents/:id/approve - Aprueba un documento
+ * - POST /admin/documents/:id/reject - Rechaza un documento con motivo
+ * - GET /admin/trips/:id - Cualquier viaje con su historial
+ * - POST /admin/trips/:id/cancel - Cancela un viaje activo
+ * - POST /admin/trips/:id/finish - Finaliza un viaje en progreso
+ */
+
+const express = require("express");
+
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * @param {Object} adminController - Resultado de createAdminController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ */
+const createAdminRoutes = (adminController, { authMiddleware }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware, roleMiddleware(["admin"]));
+
+  router.get("/users", adminController.listUsers);
+  router.get("/users/:id", adminController.getUser);
+
+  /**
+   * POST /admin/users/:id/suspend
+   * 
+   * Body esperado:
+   * {
+   *   "motivo": "Reportes de conducta"
+   * }
+   */
+  router.post("/users/:id/suspend", adminController.suspendUser);
+  router.post("/users/:id/reactivate", adminController.reactivateUser);
+
+  router.get("/drivers/flagged", adminController.listFlaggedDrivers);
+  router.get("/drivers/low-rated", adminController.listLowRatedDrivers);
+  router.get("/cancellations", adminController.listHighCancellation);
+  router.post("/drivers/:id/offline", adminController.forceDriverOffline);
+  router.get("/drivers/:id/documents", adminController.getDriverDocuments);
+
+  router.get("/documents/pending", adminController.listPendingDocuments);
+  router.get("/documents/:id/file", adminController.getDocumentFile);
+  router.post("/documents/:id/approve", adminController.approveDocument);
+  router.post("/documents/:id/reject", adminController.rejectDocument);
+
+  router.get("/trips/:id", adminController.getTrip);
+
+  /**
+   * POST /admin/trips/:id/cancel y POST /admin/trips/:id/finish
+   * 
+   * El motivo queda en el historial del viaje (trip_events) junto al admin.
+   * 
+   * Body esperado:
+   * {
+   *   "motivo": "El conductor reportó falla del vehículo"
+   * }
+   */
+  router.post("/trips/:id/cancel", adminController.forceCancelTrip);
+  router.post("/trips/:id/finish", adminController.forceFinishTrip);
+
+  return router;
+};
+
+module.exports = createAdminRoutes;
@@ -7,55 +7,136 @@
  * Rutas disponibles:
  * - POST /auth/register - Registra un nuevo usuario
  * - POST /auth/login - Autentica un usuario existente
+ * - POST /auth/refresh - Renueva el access token con un refresh token
+ * - POST /auth/logout - Cierra la sesión actual
+ * - POST /auth/logout-all - Cierra todas las sesiones del usuario
+ * - POST /auth/password/forgot - Envía un código para restablecer la contraseña
+ * - POST /auth/password/reset - Restablece la contraseña con el código
+ * - POST /auth/phone/send-code - Envía un código OTP para verificar el teléfono
+ * - POST /auth/phone/verify - Verifica el teléfono con el código OTP
  */
 
 const express = require("express");
-const router = express.Router();
-
-// Importar controlador de autenticación
-const authController = require("../controllers/auth.controller");
-
-/**
- * POST /auth/register
- * 
- * Registra un nuevo usuario en el sistema.
- * 
- * Body esperado:
- * {
- *   "email": "usuario@ejemplo.com",
- *   "password": "contraseña123",
- *   "nombre": "Juan Pérez",
- *   "telefono": "1234567890"
- * }
- */
-router.post("/register", authController.register);
 
 /**
- * POST /auth/login
- * 
- * Autentica un usuario existente.
- * 
- * Body esperado:
- * {
- *   "email": "usuario@ejemplo.com",
- *   "password": "contraseña123"
- * }
+ * @param {Object} authController - Resultado de createAuthController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
  */
-router.post("/login", authController.login);
-
-// Exportar el router para usarlo en app.js
-module.exports = router;
-
-
-
-
-
-
-
-
-
-
-
-
-
-
+const createAuthRoutes = (authController, { authMiddleware }) => {
+  const router = express.Router();
+
+  /**
+   * POST /auth/register
+   * 
+   * Registra un nuevo usuario en el sistema.
+   * 
+   * Body esperado:
+   * {
+   *   "email": "usuario@ejemplo.com",
+   *   "password": "contraseña123",
+   *   "nombre": "Juan Pérez",
+   *   "telefono": "1234567890"
+   * }
+   */
+  router.post("/register", authController.register);
+
+  /**
+   * POST /auth/login
+   * 
+   * Autentica un usuario existente.
+   * 
+   * Body esperado:
+   * {
+   *   "email": "usuario@ejemplo.com",
+   *   "password": "contraseña123"
+   * }
+   */
+  router.post("/login", authController.login);
+
+  /**
+   * POST /auth/refresh
+   * 
+   * Cambia un refresh token por un access token nuevo y otro refresh token.
+   * Cada refresh token sirve una sola vez; reutilizarlo cierra la sesión.
+   * 
+   * Body esperado:
+   * {
+   *   "refreshToken": "..."
+   * }
+   */
+  router.post("/refresh", authController.refresh);
+
+  /**
+   * POST /auth/logout
+   * 
+   * Cierra la sesión del token enviado en Authorization: Bearer <token>.
+   */
+  router.post("/logout", authMiddleware, authController.logout);
+
+  /**
+   * POST /auth/logout-all
+   * 
+   * Cierra todas las sesiones del usuario (todos los dispositivos).
+   */
+  router.post("/logout-all", authMiddleware, authController.logoutAll);
+
+  /**
+   * POST /auth/password/forgot
+   * 
+   * Envía un código de un solo uso por el canal configurado (CODE_SENDER).
+   * Responde 200 aunque la cuenta no exista.
+   * No envía otro código si no pasaron OTP_REENVIO_SEG desde el anterior o si la cuenta ya
+   * recibió RESET_MAX_CODIGOS_POR_VENTANA en RESET_VENTANA_MIN (responde el mismo 200).
+   * 
+   * Body esperado:
+   * {
+   *   "email": "usuario@ejemplo.com"
+   * }
+   * o
+   * {
+   *   "telefono": "1234567890"
+   * }
+   */
+  router.post("/password/forgot", authController.forgotPassword);
+
+  /**
+   * POST /auth/password/reset
+   * 
+   * Verifica el código y guarda la nueva contraseña. Cierra todas las sesiones.
+   * 
+   * Body esperado:
+   * {
+   *   "email": "usuario@ejemplo.com",
+   *   "code": "123456",
+   *   "password": "nuevaContraseña"
+   * }
+   */
+  router.post("/password/reset", authController.resetPassword);
+
+  /**
+   * POST /auth/phone/send-code
+   * 
+   * Envía por SMS un código OTP al teléfono del usuario autenticado.
+   * Hay que esperar OTP_REENVIO_SEG segundos entre envíos (429 con Retry-After).
+   * El registro ya envía el primer código.
+   */
+  router.post("/phone/send-code", authMiddleware, authController.sendPhoneCode);
+
+  /**
+   * POST /auth/phone/verify
+   * 
+   * Marca el teléfono como verificado. Necesario para solicitar o aceptar viajes.
+   * 
+   * Body esperado:
+   * {
+   *   "code": "123456"
+   * }
+   */
+  router.post("/phone/verify", authMiddleware, authController.verifyPhone);
+
+  return router;
+};
+
+// Exportar la fábrica del router para usarla en app.js
+module.exports = createAuthRoutes;
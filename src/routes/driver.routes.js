@@ -1,11 +1,53 @@
 const express = require("express");
-const router = express.Router();
 
-const authMiddleware = require("../middlewares/auth.middleware");
-const { registerDriver, updateStatus, updateLocation } = require("../controllers/driver.controller");
+const roleMiddleware = require("../middlewares/role.middleware");
+const almacenamiento = require("../config/almacenamiento");
+const { EXTENSIONES } = require("../services/driverDocumentService");
 
-router.post("/register", authMiddleware, registerDriver);
-router.post("/status", authMiddleware, updateStatus);
-router.post("/location", authMiddleware, updateLocation);
+// El archivo del documento llega como body binario (sin multipart)
+const parserArchivo = express.raw({ type: Object.keys(EXTENSIONES), limit: almacenamiento.documentoMaxBytes });
 
-module.exports = router;
+/**
+ * Lee el archivo del body y responde en JSON si excede DOCUMENTO_MAX_BYTES.
+ */
+const leerArchivo = (req, res, next) => {
+  parserArchivo(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message:
+          error.type === "entity.too.large"
+            ? `El archivo supera el máximo de ${almacenamiento.documentoMaxBytes} bytes`
+            : "No se pudo leer el archivo"
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @param {Object} driverController - Resultado de createDriverController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ */
+const createDriverRoutes = (
+  { registerDriver, updateStatus, updateLocation, updateLocationBatch, getDocuments, uploadDocument },
+  { authMiddleware }
+) => {
+  const router = express.Router();
+
+  router.post("/register", authMiddleware, registerDriver);
+  router.post("/status", authMiddleware, updateStatus);
+  router.post("/location", authMiddleware, updateLocation);
+  // Puntos capturados sin conexión: { points: [{ lat, lng, recordedAt, accuracy?, speed?, heading? }] }
+  router.post("/location/batch", authMiddleware, roleMiddleware(["conductor"]), updateLocationBatch);
+
+  // Documentos: licencia, soat, tarjeta_propiedad, dni
+  // PUT /driver/documents/licencia?expiresAt=2027-03-31 con el archivo en el body (Content-Type: application/pdf, image/jpeg o image/png)
+  router.get("/documents", authMiddleware, roleMiddleware(["conductor"]), getDocuments);
+  router.put("/documents/:tipo", authMiddleware, roleMiddleware(["conductor"]), leerArchivo, uploadDocument);
+
+  return router;
+};
+
+module.exports = createDriverRoutes;
@@ -0,0 +1,24 @@
+/**
+ * Rutas del gateway de notificaciones
+ *
+ * Rutas disponibles:
+ * - GET /events - Stream Server-Sent Events con los eventos del usuario autenticado
+ *   (Authorization: Bearer <token>; al reconectar, header Last-Event-ID)
+ */
+
+const express = require("express");
+
+/**
+ * @param {Object} eventsController - Resultado de createEventsController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ */
+const createEventsRoutes = (eventsController, { authMiddleware }) => {
+  const router = express.Router();
+
+  router.get("/", authMiddleware, eventsController.streamEvents);
+
+  return router;
+};
+
+module.exports = createEventsRoutes;
@@ -0,0 +1,85 @@
+/**
+ * Rutas del perfil del usuario autenticado
+ * 
+ * Todas las rutas tienen el prefijo /me y requieren Authorization: Bearer <token>.
+ * 
+ * Rutas disponibles:
+ * - GET /me - Perfil, roles y estado de conductor
+ * - PATCH /me - Actualiza nombre y/o foto_url
+ * - POST /me/password - Cambia la contraseña (requiere la actual)
+ * - POST /me/email - Envía un código al email nuevo
+ * - POST /me/email/verify - Confirma el email nuevo con el código
+ * - POST /me/phone - Envía un código OTP al teléfono nuevo
+ * - POST /me/phone/verify - Confirma el teléfono nuevo con el código
+ */
+
+const express = require("express");
+
+/**
+ * @param {Object} meController - Resultado de createMeController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ */
+const createMeRoutes = (meController, { authMiddleware }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware);
+
+  router.get("/", meController.getMe);
+
+  /**
+   * PATCH /me
+   * 
+   * Body esperado (al menos un campo):
+   * {
+   *   "nombre": "Juan Pérez",
+   *   "foto_url": "https://cdn.ejemplo.com/foto.jpg"
+   * }
+   */
+  router.patch("/", meController.updateMe);
+
+  /**
+   * POST /me/password
+   * 
+   * Cierra las demás sesiones del usuario; la del token usado sigue abierta.
+   * 
+   * Body esperado:
+   * {
+   *   "currentPassword": "contraseña123",
+   *   "newPassword": "nuevaContraseña"
+   * }
+   */
+  router.post("/password", meController.changePassword);
+
+  /**
+   * POST /me/email
+   * 
+   * El email no cambia hasta confirmar el código en POST /me/email/verify.
+   * 
+   * Body esperado:
+   * {
+   *   "email": "nuevo@ejemplo.com",
+   *   "currentPassword": "contraseña123"
+   * }
+   */
+  router.post("/email", meController.requestEmailChange);
+  router.post("/email/verify", meController.verifyEmailChange);
+
+  /**
+   * POST /me/phone
+   * 
+   * El teléfono no cambia hasta confirmar el código en POST /me/phone/verify.
+   * 
+   * Body esperado:
+   * {
+   *   "telefono": "1234567890",
+   *   "currentPassword": "contraseña123"
+   * }
+   */
+  router.post("/phone", meController.requestPhoneChange);
+  router.post("/phone/verify", meController.verifyPhoneChange);
+
+  return router;
+};
+
+module.exports = createMeRoutes;
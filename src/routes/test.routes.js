@@ -6,31 +6,39 @@
  */
 
 const express = require("express");
-const router = express.Router();
 
-// Importar middlewares de autenticación y autorización
-const { verifyToken, requireRole } = require("../middlewares/auth.middleware");
+// Importar middleware de autorización por rol
+const { requireRole } = require("../middlewares/auth.middleware");
 
 /**
- * GET /test/conductor
- * 
- * Ruta de prueba que requiere:
- * - Token JWT válido (verifyToken)
- * - Rol de conductor (requireRole('conductor'))
- * 
- * Responde con un JSON simple confirmando acceso autorizado
+ * @param {Object} middlewares
+ * @param {Function} middlewares.verifyToken - Valida el token JWT y agrega req.user
  */
-router.get("/conductor", verifyToken, requireRole("conductor"), (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Acceso autorizado para conductores",
-    data: {
-      userId: req.user.userId,
-      email: req.user.email,
-      roles: req.user.roles
-    }
+const createTestRoutes = ({ verifyToken }) => {
+  const router = express.Router();
+
+  /**
+   * GET /test/conductor
+   * 
+   * Ruta de prueba que requiere:
+   * - Token JWT válido (verifyToken)
+   * - Rol de conductor (requireRole('conductor'))
+   * 
+   * Responde con un JSON simple confirmando acceso autorizado
+   */
+  router.get("/conductor", verifyToken, requireRole("conductor"), (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: "Acceso autorizado para conductores",
+      data: {
+        userId: req.user.userId,
+        email: req.user.email,
+        roles: req.user.roles
+      }
+    });
   });
-});
 
-module.exports = router;
+  return router;
+};
 
+module.exports = createTestRoutes;
@@ -1,27 +1,40 @@
 const express = require("express");
-const router = express.Router();
-
-const tripController = require("../controllers/trip.controller");
-
-// Importar middleware de autenticación
-// Este middleware valida el token JWT y agrega req.user con los datos del usuario
-const authMiddleware = require("../middlewares/auth.middleware");
 
 // Importar middleware de roles para control de acceso por tipo de usuario
 const roleMiddleware = require("../middlewares/role.middleware");
 
-// Todas las rutas están protegidas con autenticación JWT
-// El middleware valida el token desde el header Authorization: Bearer <token>
-//
-// IMPORTANTE: estas rutas específicas deben ir ANTES de "/:id" para no chocar con params.
-router.get("/pasajero", authMiddleware, roleMiddleware(["pasajero"]), tripController.getTripsByPasajero);
-router.get("/conductor", authMiddleware, roleMiddleware(["conductor"]), tripController.getTripsByConductor);
+/**
+ * @param {Object} tripController - Resultado de createTripController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ * @param {Function} middlewares.requirePhoneVerified - Exige el teléfono verificado
+ */
+const createTripRoutes = (tripController, { authMiddleware, requirePhoneVerified }) => {
+  const router = express.Router();
+
+  // Todas las rutas están protegidas con autenticación JWT
+  // El middleware valida el token desde el header Authorization: Bearer <token>
+  //
+  // IMPORTANTE: estas rutas específicas deben ir ANTES de "/:id" para no chocar con params.
+  router.get("/pasajero", authMiddleware, roleMiddleware(["pasajero"]), tripController.getTripsByPasajero);
+  router.get("/conductor", authMiddleware, roleMiddleware(["conductor"]), tripController.getTripsByConductor);
+
+  router.get("/:id", authMiddleware, tripController.getTripById);
+  router.get("/:id/events", authMiddleware, tripController.getTripEvents);
+  router.get("/:id/route", authMiddleware, tripController.getTripRoute);
+  router.get("/:id/tracking", authMiddleware, tripController.getTripTracking);
+  router.post("/:id/rating", authMiddleware, roleMiddleware(["pasajero", "conductor"]), tripController.rateTrip);
+  router.post("/quote", authMiddleware, roleMiddleware(["pasajero"]), tripController.quoteTrip);
+  router.post("/request", authMiddleware, roleMiddleware(["pasajero"]), requirePhoneVerified, tripController.requestTrip);
+  router.post("/accept", authMiddleware, roleMiddleware(["conductor"]), requirePhoneVerified, tripController.acceptTrip);
+  router.post("/reject", authMiddleware, roleMiddleware(["conductor"]), tripController.rejectTrip);
+  router.post("/arrived", authMiddleware, roleMiddleware(["conductor"]), tripController.driverArrived);
+  router.post("/start", authMiddleware, roleMiddleware(["conductor"]), tripController.startTrip);
+  router.post("/finish", authMiddleware, roleMiddleware(["conductor"]), tripController.finishTrip);
+  router.post("/cancel", authMiddleware, roleMiddleware(["pasajero", "conductor"]), tripController.cancelTrip);
+  router.post("/no-show", authMiddleware, roleMiddleware(["conductor"]), tripController.reportNoShow);
 
-router.get("/:id", authMiddleware, tripController.getTripById);
-router.post("/request", authMiddleware, roleMiddleware(["pasajero"]), tripController.requestTrip);
-router.post("/accept", authMiddleware, roleMiddleware(["conductor"]), tripController.acceptTrip);
-router.post("/start", authMiddleware, roleMiddleware(["conductor"]), tripController.startTrip);
-router.post("/finish", authMiddleware, roleMiddleware(["conductor"]), tripController.finishTrip);
-router.post("/cancel", authMiddleware, roleMiddleware(["pasajero", "conductor"]), tripController.cancelTrip);
+  return router;
+};
 
-module.exports = router;
+module.exports = createTripRoutes;
@@ -0,0 +1,51 @@
+/**
+ * Rutas de Vehículos del conductor
+ * 
+ * Todas las rutas tienen el prefijo /driver/vehicles y exigen un token con el rol conductor.
+ * 
+ * Rutas disponibles:
+ * - GET /driver/vehicles - Vehículos del conductor
+ * - POST /driver/vehicles - Registra un vehículo (el primero queda activo)
+ * - PATCH /driver/vehicles/:id - Actualiza los datos de un vehículo
+ * - POST /driver/vehicles/:id/activate - Lo marca como vehículo activo (estando offline)
+ * - DELETE /driver/vehicles/:id - Elimina un vehículo
+ */
+
+const express = require("express");
+
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * @param {Object} vehicleController - Resultado de createVehicleController
+ * @param {Object} middlewares
+ * @param {Function} middlewares.authMiddleware - verifyToken: valida el token JWT y agrega req.user
+ */
+const createVehicleRoutes = (vehicleController, { authMiddleware }) => {
+  const router = express.Router();
+
+  router.use(authMiddleware, roleMiddleware(["conductor"]));
+
+  router.get("/", vehicleController.listVehicles);
+
+  /**
+   * POST /driver/vehicles
+   * 
+   * Body esperado (en PATCH, cualquier subconjunto):
+   * {
+   *   "placa": "1234-AB",
+   *   "marca": "Bajaj",
+   *   "modelo": "RE 4S",
+   *   "color": "Rojo",
+   *   "anio": 2021,
+   *   "cascos": 2
+   * }
+   */
+  router.post("/", vehicleController.createVehicle);
+  router.patch("/:id", vehicleController.updateVehicle);
+  router.post("/:id/activate", vehicleController.activateVehicle);
+  router.delete("/:id", vehicleController.deleteVehicle);
+
+  return router;
+};
+
+module.exports = createVehicleRoutes;
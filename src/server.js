@@ -1,6 +1,9 @@
+
 require("dotenv").config();
-const app = require("./app");
-const { startDriverNotificationService } = require("./services/driverNotificationService");
+const supabase = require("./config/supabase");
+const createApp = require("./app");
+const { createSupabaseRepositories } = require("./repositories");
+const { createServices } = require("./services");
 
 const PORT = process.env.PORT || 3000;
 
@@ -9,8 +12,16 @@ console.log("SUPABASE_URL:", process.env.SUPABASE_URL ? "OK" : "NO DEFINIDO");
 console.log("JWT_SECRET:", process.env.JWT_SECRET ? "OK" : "NO DEFINIDO");
 console.log("Servidor iniciando...");
 
+const repositories = createSupabaseRepositories(supabase);
+const services = createServices(repositories, { realtime: supabase });
+const app = createApp({ repositories, services });
+
 app.listen(PORT, () => {
   console.log(`Servidor corriendo en puerto ${PORT}`);
-  startDriverNotificationService();
+  services.pushGateway.start();
+  services.dispatch.start();
+  services.tripExpiration.start();
+  services.driverReconciliation.start();
+  services.driverHeartbeat.start();
+  services.tripRoute.start();
 });
-
@@ -0,0 +1,360 @@
+const cancelaciones = require("../config/cancelaciones");
+const { MOTIVO_ADMIN } = require("./cancellationService");
+
+const ERRORES = {
+  USER_NOT_FOUND: { status: 404, message: "Usuario no encontrado" },
+  CANNOT_SUSPEND_SELF: { status: 400, message: "No puedes suspender tu propia cuenta" },
+  ALREADY_SUSPENDED: { status: 409, message: "La cuenta ya está suspendida" },
+  NOT_SUSPENDED: { status: 409, message: "La cuenta no está suspendida" },
+  DRIVER_NOT_FOUND: { status: 404, message: "Conductor no encontrado en el sistema" },
+  DRIVER_HAS_ACTIVE_TRIP: {
+    status: 409,
+    message: "El conductor tiene un viaje activo. Cancélalo o finalízalo antes de pasarlo a offline"
+  }
+};
+
+const errorAdmin = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/**
+ * Operaciones del panel de administración (rutas /admin).
+ *
+ * Las transiciones forzadas de viajes pasan por tripStateMachine con el actor "admin",
+ * así que quedan en trip_events con el admin y el motivo.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.authTokens - Servicio de sesiones
+ * @param {Object} deps.tripStateMachine - Máquina de estados de viajes
+ * @param {Object} deps.tripRoute - Recorrido y tarifa final de los viajes
+ * @param {Object} deps.dispatch - Despacho (ofertas pendientes)
+ * @param {Object} deps.driverNotification - Notificaciones a conductores
+ * @param {Object} deps.passengerNotification - Notificaciones a pasajeros
+ */
+function createAdminService({
+  users,
+  drivers,
+  authTokens,
+  tripStateMachine,
+  tripRoute,
+  dispatch,
+  driverNotification,
+  passengerNotification
+}) {
+  /**
+   * El admin actúa solo como admin en las transiciones, aunque tenga otros roles.
+   */
+  const actorAdmin = (admin) => ({ ...admin, comoAdmin: true });
+
+  /**
+   * Búsqueda paginada de usuarios.
+   *
+   * @param {Object} filtros - { q, rol, suspendido, limit, offset } ya validados
+   * @returns {Promise<{ data: { usuarios, total }, error: null }>}
+   */
+  async function listarUsuarios(filtros) {
+    const { data: usuarios, count, error } = await users.search(filtros);
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: { usuarios: usuarios || [], total: count ?? (usuarios || []).length }, error: null };
+  }
+
+  /**
+   * Usuario con su registro de conductor (si lo tiene).
+   */
+  async function obtenerUsuario(userId) {
+    const { data: user, error } = await users.findById(userId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!user) {
+      return errorAdmin("USER_NOT_FOUND");
+    }
+
+    const { data: driver, error: errorDriver } = await drivers.findByUserId(userId);
+
+    if (errorDriver) {
+      throw errorDriver;
+    }
+
+    return { data: { ...user, conductor: driver || null }, error: null };
+  }
+
+  /**
+   * Pasa al conductor a offline si no está en un viaje y retira sus ofertas pendientes.
+   *
+   * @returns {Promise<Object|null>} Conductor actualizado o null si no estaba disponible
+   */
+  const desconectarConductor = async (driverId, motivo) => {
+    const { data: desconectado, error } = await drivers.updateByUserIdIfEstado(driverId, ["disponible"], {
+      estado: "offline"
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (desconectado) {
+      await dispatch.retirarOfertasConductor(driverId, motivo);
+      driverNotification.notifyDriver(driverId, "forced_offline", { reason: motivo });
+    }
+
+    return desconectado;
+  };
+
+  /**
+   * Suspende la cuenta: cierra todas sus sesiones y, si es conductor disponible, lo pasa a offline.
+   * Un conductor en viaje lo conserva hasta que se cancele o finalice.
+   */
+  async function suspenderUsuario(admin, userId, motivo) {
+    if (admin.userId === userId) {
+      return errorAdmin("CANNOT_SUSPEND_SELF");
+    }
+
+    const { data: user, error } = await users.findById(userId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!user) {
+      return errorAdmin("USER_NOT_FOUND");
+    }
+
+    if (user.suspended_at) {
+      return errorAdmin("ALREADY_SUSPENDED");
+    }
+
+    const { data: suspendido, error: errorUpdate } = await users.updateById(userId, {
+      suspended_at: new Date().toISOString(),
+      suspended_reason: motivo,
+      suspended_by: admin.userId
+    });
+
+    if (errorUpdate) {
+      throw errorUpdate;
+    }
+
+    const sesionesCerradas = await authTokens.cerrarTodas(userId, "cuenta_suspendida");
+
+    if ((user.roles || []).includes("conductor")) {
+      await desconectarConductor(userId, "cuenta_suspendida");
+    }
+
+    console.log("[admin] Cuenta suspendida:", userId, "por:", admin.userId, "motivo:", motivo);
+
+    return { data: { user: suspendido, sesionesCerradas }, error: null };
+  }
+
+  /**
+   * Reactiva una cuenta suspendida. El usuario debe iniciar sesión de nuevo.
+   */
+  async function reactivarUsuario(admin, userId) {
+    const { data: user, error } = await users.findById(userId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!user) {
+      return errorAdmin("USER_NOT_FOUND");
+    }
+
+    if (!user.suspended_at) {
+      return errorAdmin("NOT_SUSPENDED");
+    }
+
+    const { data: reactivado, error: errorUpdate } = await users.updateById(userId, {
+      suspended_at: null,
+      suspended_reason: null,
+      suspended_by: null
+    });
+
+    if (errorUpdate) {
+      throw errorUpdate;
+    }
+
+    console.log("[admin] Cuenta reactivada:", userId, "por:", admin.userId);
+
+    return { data: reactivado, error: null };
+  }
+
+  /**
+   * Fuerza a un conductor disponible a offline (p. ej. dejó la app abierta sin atender ofertas).
+   */
+  async function forzarConductorOffline(admin, driverId, motivo) {
+    const { data: driver, error } = await drivers.findByUserId(driverId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!driver) {
+      return errorAdmin("DRIVER_NOT_FOUND");
+    }
+
+    if (driver.estado === "offline") {
+      return { data: driver, error: null };
+    }
+
+    const desconectado = await desconectarConductor(driverId, motivo || "forzado_por_admin");
+
+    if (!desconectado) {
+      return errorAdmin("DRIVER_HAS_ACTIVE_TRIP");
+    }
+
+    console.log("[admin] Conductor pasado a offline:", driverId, "por:", admin.userId);
+
+    return { data: desconectado, error: null };
+  }
+
+  /**
+   * Conductores ocupados que perdieron la señal durante un viaje (driverHeartbeatService),
+   * pendientes de revisión. La marca se borra cuando vuelven a enviar su ubicación.
+   */
+  async function listarConductoresSinSenal() {
+    const { data, error } = await drivers.listFlagged();
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: data || [], error: null };
+  }
+
+  /**
+   * Conductores con promedio por debajo del umbral de calificación (ratingService),
+   * pendientes de revisión. La marca se borra si el promedio vuelve a superarlo.
+   */
+  async function listarConductoresMalCalificados() {
+    const { data, error } = await drivers.listLowRated();
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: data || [], error: null };
+  }
+
+  /**
+   * Pasajeros o conductores con tasa de cancelación alta, para revisión. Solo cuentan los
+   * viajes cerrados con conductor asignado (ver supabase/trip_cancellations.sql).
+   *
+   * @param {string} rol - "pasajero" o "conductor"
+   */
+  async function listarCancelacionesAltas(rol) {
+    const repositorio = rol === "conductor" ? drivers : users;
+    const { data, error } = await repositorio.listHighCancellation({
+      minViajes: cancelaciones.revisionMinViajes,
+      tasaMinima: cancelaciones.revisionTasa
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: data || [], error: null };
+  }
+
+  /**
+   * Viaje con su historial de transiciones.
+   */
+  async function obtenerViaje(tripId) {
+    const { data: viaje, error } = await tripStateMachine.obtenerViaje(tripId);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    const { data: eventos, error: errorEventos } = await tripStateMachine.obtenerEventos(tripId);
+
+    if (errorEventos) {
+      throw errorEventos;
+    }
+
+    return { data: { ...viaje, eventos: eventos || [] }, error: null };
+  }
+
+  /**
+   * Avisa al pasajero y al conductor que un admin cerró su viaje.
+   */
+  const notificarCierre = (viaje, evento, motivo) => {
+    const payload = { tripId: viaje.id, estado: viaje.estado, reason: motivo };
+    passengerNotification.notifyPassenger(viaje.pasajero_id, evento, payload);
+    if (viaje.conductor_id) {
+      driverNotification.notifyDriver(viaje.conductor_id, evento, payload);
+    }
+  };
+
+  /**
+   * Cancela un viaje activo (buscando, asignado o en_progreso). El conductor vuelve a disponible.
+   */
+  async function forzarCancelacion(admin, tripId, motivo) {
+    const { data: viaje, error } = await tripStateMachine.aplicarTransicion({
+      tripId,
+      accion: "cancelar",
+      user: actorAdmin(admin),
+      motivo,
+      parametrosRpc: { p_motivo_codigo: MOTIVO_ADMIN }
+    });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    try {
+      await dispatch.cancelarOfertasPendientes(tripId);
+    } catch (errorOfertas) {
+      console.error("[admin] Error al cancelar ofertas pendientes:", errorOfertas);
+    }
+
+    notificarCierre(viaje, "trip_cancelled_by_admin", motivo);
+
+    return { data: viaje, error: null };
+  }
+
+  /**
+   * Finaliza un viaje en progreso que el conductor no cerró.
+   */
+  async function forzarFinalizacion(admin, tripId, motivo) {
+    const { data: viaje, error } = await tripStateMachine.aplicarTransicion({
+      tripId,
+      accion: "finalizar",
+      user: actorAdmin(admin),
+      motivo
+    });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    const liquidado = await tripRoute.liquidarViaje(viaje);
+
+    notificarCierre(liquidado, "trip_finished_by_admin", motivo);
+
+    return { data: liquidado, error: null };
+  }
+
+  return {
+    listarUsuarios,
+    obtenerUsuario,
+    suspenderUsuario,
+    reactivarUsuario,
+    forzarConductorOffline,
+    listarConductoresSinSenal,
+    listarConductoresMalCalificados,
+    listarCancelacionesAltas,
+    obtenerViaje,
+    forzarCancelacion,
+    forzarFinalizacion
+  };
+}
+
+module.exports = {
+  createAdminService
+};
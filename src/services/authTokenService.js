@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const authConfig = require("../config/auth");
+
+const obtenerJwtSecret = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET no está definido en las variables de entorno");
+  }
+  return jwtSecret;
+};
+
+/** Solo se guarda el hash SHA-256 del refresh token, nunca el valor */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const ERRORES = {
+  REFRESH_TOKEN_INVALID: { status: 401, message: "Refresh token inválido" },
+  REFRESH_TOKEN_EXPIRED: { status: 401, message: "Refresh token expirado. Por favor, inicia sesión nuevamente" },
+  REFRESH_TOKEN_REUSED: {
+    status: 401,
+    message: "Refresh token ya utilizado. La sesión fue cerrada por seguridad, inicia sesión nuevamente"
+  },
+  SESSION_REVOKED: { status: 401, message: "Sesión cerrada. Por favor, inicia sesión nuevamente" },
+  ACCOUNT_SUSPENDED: { status: 403, message: "Tu cuenta está suspendida. Contacta a soporte" },
+  USER_NOT_FOUND: { status: 401, message: "Usuario no encontrado" }
+};
+
+const errorAuth = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/**
+ * Sesiones de login con access tokens cortos y refresh tokens rotativos.
+ *
+ * Cada login abre una sesión (familia de refresh tokens, tabla auth_sessions). El access token
+ * lleva el id de la sesión en el claim "sid" para que verifyToken pueda rechazar sesiones revocadas.
+ * Cada refresh token se usa una sola vez: al renovar se marca como usado y se emite otro de la
+ * misma sesión. Presentar uno ya usado indica que fue robado y revoca toda la sesión.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.authSessions - Repositorio de sesiones
+ * @param {Object} deps.refreshTokens - Repositorio de refresh tokens
+ * @param {Object} deps.pushGateway - Gateway de eventos (cierra los streams de las sesiones revocadas)
+ */
+function createAuthTokenService({ users, authSessions, refreshTokens, pushGateway }) {
+  const emitirAccessToken = (user, sessionId) =>
+    jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        roles: user.roles || [],
+        sid: sessionId
+      },
+      obtenerJwtSecret(),
+      {
+        expiresIn: authConfig.accessTokenTtlSeg
+      }
+    );
+
+  const emitirRefreshToken = async (sessionId, userId) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + authConfig.refreshTokenTtlDias * 24 * 60 * 60 * 1000).toISOString();
+
+    const { error } = await refreshTokens.create({
+      session_id: sessionId,
+      user_id: userId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return { token, expiresAt };
+  };
+
+  const emitirTokens = async (user, sessionId) => {
+    const refresh = await emitirRefreshToken(sessionId, user.id);
+    return {
+      token: emitirAccessToken(user, sessionId),
+      expiresIn: authConfig.accessTokenTtlSeg,
+      refreshToken: refresh.token,
+      refreshExpiresAt: refresh.expiresAt
+    };
+  };
+
+  /**
+   * Revoca una sesión y cierra sus conexiones a GET /events.
+   */
+  const revocar = async (sessionId, motivo) => {
+    const { data: revocada, error } = await authSessions.revoke(sessionId, motivo);
+    if (revocada) {
+      pushGateway.cerrarSesiones(revocada.user_id, [revocada.id]);
+    }
+    return { data: revocada, error };
+  };
+
+  /**
+   * Abre una sesión nueva para el usuario (login).
+   *
+   * @param {Object} user - { id, email, roles }
+   * @returns {Promise<{ token, expiresIn, refreshToken, refreshExpiresAt, sessionId }>}
+   */
+  async function iniciarSesion(user) {
+    const { data: sesion, error } = await authSessions.create({ user_id: user.id });
+
+    if (error) {
+      throw error;
+    }
+
+    return { ...(await emitirTokens(user, sesion.id)), sessionId: sesion.id };
+  }
+
+  /**
+   * Cambia un refresh token por un access token nuevo y otro refresh token (rotación).
+   *
+   * @returns {Promise<{ data: Object|null, error: { status, code, message }|null }>}
+   */
+  async function renovar(refreshToken) {
+    const { data: guardado, error } = await refreshTokens.findByHash(hashToken(refreshToken));
+
+    if (error) {
+      throw error;
+    }
+
+    if (!guardado) {
+      return errorAuth("REFRESH_TOKEN_INVALID");
+    }
+
+    const { data: sesion, error: errorSesion } = await authSessions.findById(guardado.session_id);
+
+    if (errorSesion) {
+      throw errorSesion;
+    }
+
+    if (!sesion || sesion.revoked_at) {
+      return errorAuth("SESSION_REVOKED");
+    }
+
+    if (guardado.used_at) {
+      await revocar(sesion.id, "reutilizacion_refresh_token");
+      console.log("[authTokens] Refresh token reutilizado, sesión revocada:", sesion.id);
+      return errorAuth("REFRESH_TOKEN_REUSED");
+    }
+
+    if (guardado.expires_at <= new Date().toISOString()) {
+      return errorAuth("REFRESH_TOKEN_EXPIRED");
+    }
+
+    // Solo una petición puede consumir el token; si otra ganó, se trata como reutilización
+    const { data: consumido, error: errorConsumo } = await refreshTokens.markUsed(guardado.id, new Date().toISOString());
+
+    if (errorConsumo) {
+      throw errorConsumo;
+    }
+
+    if (!consumido) {
+      await revocar(sesion.id, "reutilizacion_refresh_token");
+      console.log("[authTokens] Refresh token reutilizado, sesión revocada:", sesion.id);
+      return errorAuth("REFRESH_TOKEN_REUSED");
+    }
+
+    // Roles y email actuales del usuario, no los del login original
+    const { data: user, error: errorUser } = await users.findById(guardado.user_id);
+
+    if (errorUser) {
+      throw errorUser;
+    }
+
+    if (!user) {
+      await revocar(sesion.id, "usuario_no_encontrado");
+      return errorAuth("USER_NOT_FOUND");
+    }
+
+    if (user.suspended_at) {
+      await revocar(sesion.id, "cuenta_suspendida");
+      return errorAuth("ACCOUNT_SUSPENDED");
+    }
+
+    return { data: { ...(await emitirTokens(user, sesion.id)), user }, error: null };
+  }
+
+  /**
+   * Indica si la sesión del access token sigue activa y si la cuenta está suspendida.
+   *
+   * @returns {Promise<{ data: { activa: boolean, suspendida: boolean }, error: Object|null }>}
+   */
+  async function verificarSesion(sessionId, userId) {
+    const { data: sesion, error } = await authSessions.findById(sessionId);
+
+    if (error) {
+      return { data: { activa: false, suspendida: false }, error };
+    }
+
+    if (!sesion || sesion.revoked_at || sesion.user_id !== userId) {
+      return { data: { activa: false, suspendida: false }, error: null };
+    }
+
+    const { data: user, error: errorUser } = await users.findById(userId);
+
+    if (errorUser) {
+      return { data: { activa: false, suspendida: false }, error: errorUser };
+    }
+
+    return { data: { activa: Boolean(user), suspendida: Boolean(user && user.suspended_at) }, error: null };
+  }
+
+  /**
+   * Revoca una sesión (logout del dispositivo actual).
+   */
+  async function cerrarSesion(sessionId, motivo = "logout") {
+    const { error } = await revocar(sessionId, motivo);
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca todas las sesiones del usuario, salvo la indicada en excepto (p. ej. la actual).
+   *
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  async function cerrarTodas(userId, motivo = "logout_all", { excepto = null } = {}) {
+    const { data: revocadas, error } = await authSessions.revokeAllByUser(userId, motivo, excepto);
+    if (error) {
+      throw error;
+    }
+    pushGateway.cerrarSesiones(userId, (revocadas || []).map((sesion) => sesion.id));
+    return (revocadas || []).length;
+  }
+
+  return {
+    iniciarSesion,
+    renovar,
+    verificarSesion,
+    cerrarSesion,
+    cerrarTodas
+  };
+}
+
+module.exports = {
+  createAuthTokenService
+};
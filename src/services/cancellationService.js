@@ -0,0 +1,210 @@
+const cancelaciones = require("../config/cancelaciones");
+const { validarTransicion } = require("./tripStateMachine");
+const { conductorEnRecogida } = require("./tripArrivalService");
+
+/** Motivos que cada parte puede elegir al cancelar (trips.cancel_reason) */
+const MOTIVOS_CANCELACION = {
+  pasajero: [
+    "cambio_de_planes",
+    "conductor_demora",
+    "conductor_pidio_cancelar",
+    "ubicacion_incorrecta",
+    "encontre_otro_transporte",
+    "otro"
+  ],
+  conductor: [
+    "pasajero_no_responde",
+    "pasajero_pidio_cancelar",
+    "problema_vehiculo",
+    "ubicacion_inaccesible",
+    "emergencia",
+    "otro"
+  ]
+};
+
+/** Motivo de POST /trip/no-show; no se puede elegir al cancelar */
+const MOTIVO_NO_PRESENTADO = "pasajero_no_se_presento";
+
+/** Motivo de las cancelaciones forzadas desde /admin (el texto del admin va al historial) */
+const MOTIVO_ADMIN = "admin";
+
+const DETALLE_MAX = 300;
+
+const ERRORES = {
+  INVALID_CANCEL_REASON: { status: 400, message: "motivo no válido" },
+  NOT_TRIP_DRIVER: { status: 403, message: "Solo el conductor asignado puede marcar al pasajero como no presentado" },
+  TRIP_NOT_ASSIGNED: { status: 409, message: "Solo se puede marcar como no presentado un viaje asignado" },
+  DRIVER_NOT_ARRIVED: { status: 409, message: "Marca tu llegada a la recogida (POST /trip/arrived) antes" },
+  DRIVER_NOT_AT_PICKUP: {
+    status: 409,
+    message: "Debes estar en el punto de recogida con tu ubicación actualizada"
+  },
+  NO_SHOW_TOO_EARLY: { status: 409, message: "Aún no terminó la espera en el punto de recogida" }
+};
+
+const errorCancelacion = (code, message = ERRORES[code].message) => ({
+  data: null,
+  error: { status: ERRORES[code].status, code, message }
+});
+
+/**
+ * Lee el body de POST /trip/cancel.
+ * Body: { tripId, motivo (código de MOTIVOS_CANCELACION), detalle (obligatorio con "otro") }
+ *
+ * @returns {{ motivo: { codigo, detalle }|null, mensaje: string|null }}
+ */
+const leerMotivo = (body) => {
+  const { motivo, detalle = null } = body || {};
+
+  if (typeof motivo !== "string" || !motivo) {
+    return { motivo: null, mensaje: "motivo es requerido" };
+  }
+
+  if (detalle !== null && (typeof detalle !== "string" || detalle.length > DETALLE_MAX)) {
+    return { motivo: null, mensaje: `detalle debe ser un texto de hasta ${DETALLE_MAX} caracteres` };
+  }
+
+  const texto = detalle?.trim() || null;
+  if (motivo === "otro" && !texto) {
+    return { motivo: null, mensaje: "detalle es requerido cuando el motivo es otro" };
+  }
+
+  return { motivo: { codigo: motivo, detalle: texto }, mensaje: null };
+};
+
+/**
+ * Cargo al pasajero por cancelar: solo cuando él cancela un viaje asignado y ya pasó la gracia
+ * desde accepted_at (el conductor ya iba en camino). Conductor y admin cancelan sin cargo.
+ *
+ * @param {Object} viaje - Viaje antes de cancelar
+ * @param {string} actor - Tipo de actor que cancela
+ * @param {number} [ahora] - Fecha de la cancelación (ms)
+ * @returns {number}
+ */
+const calcularCargo = (viaje, actor, ahora = Date.now()) => {
+  if (actor !== "pasajero" || viaje.estado !== "asignado" || !viaje.accepted_at) {
+    return 0;
+  }
+  const minutos = (ahora - Date.parse(viaje.accepted_at)) / 60000;
+  return minutos > cancelaciones.graciaPasajeroMin ? cancelaciones.cargoPasajero : 0;
+};
+
+/**
+ * Cancelaciones de pasajeros y conductores con motivo y cargo, y pasajero no presentado.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.tripStateMachine - Máquina de estados de viajes
+ * @param {Object} deps.drivers - Repositorio de conductores (ubicación actual)
+ */
+function createCancellationService({ tripStateMachine, drivers }) {
+  const cancelar = (viaje, user, { codigo, detalle, cargo }) =>
+    tripStateMachine.aplicarTransicion({
+      tripId: viaje.id,
+      accion: "cancelar",
+      user,
+      viaje,
+      motivo: detalle ? `${codigo}: ${detalle}` : codigo,
+      parametrosRpc: { p_motivo_codigo: codigo, p_cargo: cargo }
+    });
+
+  /**
+   * Cancela un viaje con un motivo válido para quien cancela y el cargo que corresponda.
+   *
+   * @param {Object} user - req.user (pasajero o conductor del viaje)
+   * @param {string} tripId
+   * @param {Object} motivo - Resultado de leerMotivo
+   * @returns {Promise<{ data: Object|null, error: { status, code?, message }|null }>}
+   */
+  async function cancelarViaje(user, tripId, { codigo, detalle }) {
+    const { data: viaje, error } = await tripStateMachine.obtenerViaje(tripId);
+    if (error) {
+      return { data: null, error };
+    }
+
+    const { actor, error: errorValidacion } = validarTransicion("cancelar", viaje, user);
+    if (errorValidacion) {
+      return { data: null, error: errorValidacion };
+    }
+
+    const permitidos = MOTIVOS_CANCELACION[actor] || [];
+    if (!permitidos.includes(codigo)) {
+      return errorCancelacion(
+        "INVALID_CANCEL_REASON",
+        `motivo no válido. Valores permitidos: ${permitidos.join(", ")}`
+      );
+    }
+
+    const { data, error: errorTransicion } = await cancelar(viaje, user, {
+      codigo,
+      detalle,
+      cargo: calcularCargo(viaje, actor)
+    });
+    return { data, error: errorTransicion };
+  }
+
+  /**
+   * El conductor cancela porque el pasajero no se presentó. Solo en un viaje asignado, estando
+   * en la recogida (con una ubicación reciente, ver conductorEnRecogida) y después de esperar
+   * allí el tiempo configurado desde su llegada (arrived_at, POST /trip/arrived). El pasajero paga el cargo
+   * de no presentado y la cancelación cuenta en su tasa, no en la del conductor.
+   *
+   * @param {Object} user - req.user (conductor del viaje)
+   * @param {string} tripId
+   * @returns {Promise<{ data: Object|null, error: { status, code?, message }|null }>}
+   */
+  async function marcarNoPresentado(user, tripId) {
+    const { data: viaje, error } = await tripStateMachine.obtenerViaje(tripId);
+    if (error) {
+      return { data: null, error };
+    }
+
+    if (!viaje.conductor_id || viaje.conductor_id !== user.userId) {
+      return errorCancelacion("NOT_TRIP_DRIVER");
+    }
+    if (viaje.estado !== "asignado") {
+      return errorCancelacion("TRIP_NOT_ASSIGNED");
+    }
+    if (!viaje.arrived_at) {
+      return errorCancelacion("DRIVER_NOT_ARRIVED");
+    }
+
+    const { data: conductor, error: errorConductor } = await drivers.findByUserId(user.userId);
+    if (errorConductor) {
+      throw errorConductor;
+    }
+    if (!conductorEnRecogida(viaje, conductor)) {
+      return errorCancelacion("DRIVER_NOT_AT_PICKUP");
+    }
+
+    const esperaMs = cancelaciones.esperaNoPresentadoMin * 60 * 1000;
+    const esperado = Date.now() - Date.parse(viaje.arrived_at);
+    if (esperado < esperaMs) {
+      const restanteMin = Math.ceil((esperaMs - esperado) / 60000);
+      return errorCancelacion(
+        "NO_SHOW_TOO_EARLY",
+        `Espera al pasajero ${restanteMin} minuto(s) más en el punto de recogida`
+      );
+    }
+
+    const { data, error: errorTransicion } = await cancelar(viaje, user, {
+      codigo: MOTIVO_NO_PRESENTADO,
+      detalle: null,
+      cargo: cancelaciones.cargoNoPresentado
+    });
+    return { data, error: errorTransicion };
+  }
+
+  return {
+    cancelarViaje,
+    marcarNoPresentado
+  };
+}
+
+module.exports = {
+  MOTIVOS_CANCELACION,
+  MOTIVO_NO_PRESENTADO,
+  MOTIVO_ADMIN,
+  leerMotivo,
+  calcularCargo,
+  createCancellationService
+};
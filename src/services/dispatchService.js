@@ -0,0 +1,353 @@
+const despacho = require("../config/despacho");
+
+/**
+ * Datos del viaje que recibe el conductor en cada oferta.
+ */
+const construirPayloadOferta = (trip, oferta) => ({
+  tripId: trip.id,
+  offerId: oferta.id,
+  expiresAt: oferta.expires_at,
+  distancia_km: oferta.distancia_km,
+  pickup_lat: trip.pickup_lat,
+  pickup_lng: trip.pickup_lng,
+  pickup_address: trip.pickup_address || null,
+  pickup_reference: trip.pickup_reference || null,
+  destination_lat: trip.destination_lat ?? null,
+  destination_lng: trip.destination_lng ?? null,
+  destination_address: trip.destination_address || null,
+  quoted_fare: trip.quoted_fare ?? null,
+  fare_currency: trip.fare_currency || null
+});
+
+/**
+ * Despacho secuencial: ofrece cada viaje a un conductor a la vez, en orden de distancia,
+ * con una ventana de aceptación por oferta.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.tripOffers - Repositorio de ofertas
+ * @param {Object} deps.driverNotification - Servicio de notificaciones a conductores
+ */
+function createDispatchService({ trips, drivers, tripOffers, driverNotification }) {
+  let barridoInterval = null;
+
+  // Temporizadores locales (offerId → timeout de la oferta, tripId → timeout de reintento)
+  const temporizadores = new Map();
+  const reintentos = new Map();
+
+  const limpiarTemporizador = (offerId) => {
+    const timeout = temporizadores.get(offerId);
+    if (timeout) {
+      clearTimeout(timeout);
+      temporizadores.delete(offerId);
+    }
+  };
+
+  const limpiarReintento = (tripId) => {
+    const timeout = reintentos.get(tripId);
+    if (timeout) {
+      clearTimeout(timeout);
+      reintentos.delete(tripId);
+    }
+  };
+
+  const programar = (ms, fn) => {
+    const timeout = setTimeout(() => {
+      fn().catch((error) => {
+        console.error("[dispatch] Error en tarea programada:", error);
+      });
+    }, ms);
+    // No mantener vivo el proceso solo por temporizadores de despacho
+    if (typeof timeout.unref === "function") {
+      timeout.unref();
+    }
+    return timeout;
+  };
+
+  /**
+   * Ofrece el viaje al siguiente conductor disponible más cercano que aún no lo haya recibido.
+   * Si no hay candidatos, vuelve a intentarlo más tarde mientras el viaje siga en "buscando" y no
+   * haya pasado el timeout de búsqueda (después lo expira tripExpirationService).
+   *
+   * @param {string} tripId
+   * @returns {Promise<Object|null>} Oferta creada o null
+   */
+  async function ofrecerSiguiente(tripId) {
+    limpiarReintento(tripId);
+
+    const { data: trip, error: errorTrip } = await trips.findById(tripId);
+
+    if (errorTrip || !trip) {
+      console.error("[dispatch] No se pudo leer el viaje:", tripId, errorTrip);
+      return null;
+    }
+
+    if (trip.estado !== "buscando") {
+      return null;
+    }
+
+    if (trip.pickup_lat == null || trip.pickup_lng == null) {
+      console.log("[dispatch] Viaje sin pickup_lat/pickup_lng, se ignora:", trip.id);
+      return null;
+    }
+
+    const { data: ofertasPrevias, error: errorOfertas } = await tripOffers.listByTrip(trip.id);
+
+    if (errorOfertas) {
+      console.error("[dispatch] Error al consultar ofertas previas:", errorOfertas);
+      return null;
+    }
+
+    const ofertas = ofertasPrevias || [];
+
+    // Ya hay una oferta pendiente (otra instancia o un paso anterior); no duplicar
+    if (ofertas.some((o) => o.estado === "pendiente")) {
+      return null;
+    }
+
+    const yaOfrecidos = new Set(ofertas.map((o) => o.driver_id));
+
+    // Solo conductores con señal reciente: los demás no responderían la oferta
+    const { data: conductoresCercanos, error: errorCercanos } = await drivers.findNearby(
+      trip.pickup_lat,
+      trip.pickup_lng,
+      despacho.maxCandidatos,
+      { vistoDesde: new Date(Date.now() - despacho.sinSenalTimeoutSeg * 1000).toISOString() }
+    );
+
+    if (errorCercanos) {
+      console.error("[dispatch] Error al obtener conductores cercanos:", errorCercanos);
+      return null;
+    }
+
+    const candidato = (conductoresCercanos || []).find((c) => !yaOfrecidos.has(c.user_id));
+
+    if (!candidato) {
+      const buscandoMs = Date.now() - Date.parse(trip.created_at);
+      if (buscandoMs >= despacho.busquedaTimeoutSeg * 1000) {
+        console.log("[dispatch] Sin candidatos para viaje:", trip.id, "búsqueda vencida, no se reintenta");
+        return null;
+      }
+      console.log("[dispatch] Sin candidatos para viaje:", trip.id, "reintento en", despacho.reintentoSinCandidatosSeg, "s");
+      reintentos.set(
+        trip.id,
+        programar(despacho.reintentoSinCandidatosSeg * 1000, () => ofrecerSiguiente(trip.id))
+      );
+      return null;
+    }
+
+    const expiresAt = new Date(Date.now() + despacho.ventanaOfertaSeg * 1000).toISOString();
+
+    const { data: oferta, error: errorInsert } = await tripOffers.create({
+      trip_id: trip.id,
+      driver_id: candidato.user_id,
+      estado: "pendiente",
+      orden: ofertas.length + 1,
+      distancia_km: candidato.distancia_km,
+      expires_at: expiresAt
+    });
+
+    if (errorInsert) {
+      // 23505: otra instancia ya creó la oferta pendiente de este viaje
+      if (errorInsert.code === "23505") {
+        return null;
+      }
+      console.error("[dispatch] Error al registrar oferta:", errorInsert);
+      return null;
+    }
+
+    driverNotification.notifyDriver(candidato.user_id, "new_trip_request", construirPayloadOferta(trip, oferta));
+
+    temporizadores.set(
+      oferta.id,
+      programar(despacho.ventanaOfertaSeg * 1000, () => expirarOferta(oferta.id))
+    );
+
+    return oferta;
+  }
+
+  /**
+   * Cierra una oferta pendiente con el estado indicado.
+   * Solo tiene efecto si la oferta sigue pendiente (evita carreras entre timeout, rechazo y aceptación).
+   *
+   * @returns {Promise<Object|null>} Oferta actualizada o null si ya no estaba pendiente
+   */
+  async function cerrarOferta(offerId, estado, motivo) {
+    limpiarTemporizador(offerId);
+
+    const { data: oferta, error } = await tripOffers.closeIfPending(offerId, {
+      estado,
+      motivo: motivo || null,
+      responded_at: new Date().toISOString()
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return oferta;
+  }
+
+  /**
+   * Timeout de la ventana de aceptación: marca la oferta como expirada y pasa al siguiente candidato.
+   */
+  async function expirarOferta(offerId) {
+    const oferta = await cerrarOferta(offerId, "expirada");
+    if (!oferta) {
+      return;
+    }
+
+    console.log("[dispatch] Oferta expirada:", offerId, "conductor:", oferta.driver_id);
+    driverNotification.notifyDriver(oferta.driver_id, "trip_offer_expired", { tripId: oferta.trip_id, offerId });
+    await ofrecerSiguiente(oferta.trip_id);
+  }
+
+  /**
+   * Busca la oferta pendiente y vigente de un viaje para un conductor.
+   *
+   * @returns {Promise<{ oferta: Object|null, error: Object|null }>}
+   */
+  async function obtenerOfertaVigente(tripId, driverId) {
+    const { data: oferta, error } = await tripOffers.findPending(tripId, driverId, new Date().toISOString());
+
+    return { oferta: oferta || null, error: error || null };
+  }
+
+  /**
+   * El conductor rechaza explícitamente la oferta; se ofrece al siguiente candidato.
+   *
+   * @returns {Promise<Object|null>} Oferta rechazada o null si no tenía oferta pendiente
+   */
+  async function rechazarOferta(tripId, driverId, motivo) {
+    const { oferta, error } = await obtenerOfertaVigente(tripId, driverId);
+    if (error) {
+      throw error;
+    }
+    if (!oferta) {
+      return null;
+    }
+
+    const rechazada = await cerrarOferta(oferta.id, "rechazada", motivo);
+    if (!rechazada) {
+      return null;
+    }
+
+    await ofrecerSiguiente(tripId);
+    return rechazada;
+  }
+
+  /**
+   * Cancela la oferta pendiente de un viaje y su reintento local (p. ej. cuando el pasajero cancela).
+   */
+  async function cancelarOfertasPendientes(tripId) {
+    limpiarReintento(tripId);
+
+    const { data: pendientes, error } = await tripOffers.listPendingByTrip(tripId);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const pendiente of pendientes || []) {
+      const cancelada = await cerrarOferta(pendiente.id, "cancelada");
+      if (cancelada) {
+        driverNotification.notifyDriver(cancelada.driver_id, "trip_offer_cancelled", {
+          tripId,
+          offerId: cancelada.id
+        });
+      }
+    }
+  }
+
+  /**
+   * Retira las ofertas pendientes de un conductor que dejó de estar disponible
+   * (p. ej. un admin lo pasó a offline) y ofrece cada viaje al siguiente candidato.
+   */
+  async function retirarOfertasConductor(driverId, motivo) {
+    const { data: pendientes, error } = await tripOffers.listPendingByDriver(driverId);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const pendiente of pendientes || []) {
+      const cancelada = await cerrarOferta(pendiente.id, "cancelada", motivo);
+      if (cancelada) {
+        driverNotification.notifyDriver(driverId, "trip_offer_cancelled", {
+          tripId: cancelada.trip_id,
+          offerId: cancelada.id
+        });
+        await ofrecerSiguiente(cancelada.trip_id);
+      }
+    }
+  }
+
+  /**
+   * Expira las ofertas vencidas que no tienen temporizador local
+   * (p. ej. creadas por otra instancia o antes de un reinicio del servidor).
+   */
+  async function expirarOfertasVencidas() {
+    const { data: vencidas, error } = await tripOffers.listExpiredPending(new Date().toISOString());
+
+    if (error) {
+      console.error("[dispatch] Error al consultar ofertas vencidas:", error);
+      return;
+    }
+
+    for (const vencida of vencidas || []) {
+      if (!temporizadores.has(vencida.id)) {
+        await expirarOferta(vencida.id);
+      }
+    }
+  }
+
+  /**
+   * Inicia el barrido periódico de ofertas vencidas.
+   * Los viajes nuevos entran al despacho desde requestTrip (ofrecerSiguiente).
+   */
+  function start() {
+    if (barridoInterval) {
+      console.log("[dispatch] Servicio ya iniciado.");
+      return;
+    }
+
+    barridoInterval = setInterval(() => {
+      expirarOfertasVencidas().catch((error) => {
+        console.error("[dispatch] Error al expirar ofertas vencidas:", error);
+      });
+    }, despacho.ventanaOfertaSeg * 1000);
+    barridoInterval.unref();
+  }
+
+  /**
+   * Detiene el barrido y descarta los temporizadores locales.
+   */
+  function stop() {
+    if (barridoInterval) {
+      clearInterval(barridoInterval);
+      barridoInterval = null;
+    }
+    for (const timeout of [...temporizadores.values(), ...reintentos.values()]) {
+      clearTimeout(timeout);
+    }
+    temporizadores.clear();
+    reintentos.clear();
+  }
+
+  return {
+    start,
+    stop,
+    ofrecerSiguiente,
+    obtenerOfertaVigente,
+    rechazarOferta,
+    cancelarOfertasPendientes,
+    retirarOfertasConductor,
+    expirarOferta,
+    expirarOfertasVencidas
+  };
+}
+
+module.exports = {
+  createDispatchService
+};
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+
+/** Documentos que todo conductor debe tener aprobados y vigentes */
+const TIPOS_DOCUMENTO = ["licencia", "soat", "tarjeta_propiedad", "dni"];
+
+/** Formatos aceptados y la extensión con la que se guardan */
+const EXTENSIONES = {
+  "application/pdf": "pdf",
+  "image/jpeg": "jpg",
+  "image/png": "png"
+};
+
+const ERRORES = {
+  DRIVER_NOT_FOUND: {
+    status: 404,
+    message: "Conductor no encontrado en el sistema. Regístrate primero con POST /driver/register"
+  },
+  DOCUMENT_NOT_FOUND: { status: 404, message: "Documento no encontrado" },
+  DOCUMENT_NOT_PENDING: { status: 409, message: "El documento ya fue revisado o reemplazado" },
+  DOCUMENT_EXPIRED: { status: 409, message: "El documento está vencido; no se puede aprobar" }
+};
+
+const errorDocumento = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/** Fecha de hoy (UTC) como YYYY-MM-DD, el formato de expires_at */
+const hoy = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Estado de cada documento requerido y si el conductor está aprobado.
+ *
+ * Por tipo vale el documento aprobado que vence más tarde; si no hay uno vigente,
+ * se informa el estado del documento más reciente (pendiente, rechazado) o "vencido".
+ *
+ * @param {Array<Object>} documentos - Documentos del conductor, más recientes primero
+ * @returns {{ aprobado: boolean, requisitos: Array<{ tipo, estado, documentId, expires_at }> }}
+ */
+const evaluarDocumentos = (documentos) => {
+  const fecha = hoy();
+
+  const requisitos = TIPOS_DOCUMENTO.map((tipo) => {
+    const delTipo = documentos.filter((d) => d.tipo === tipo && d.estado !== "reemplazado");
+    const aprobados = delTipo
+      .filter((d) => d.estado === "aprobado")
+      .sort((a, b) => (a.expires_at < b.expires_at ? 1 : -1));
+    const vigente = aprobados.find((d) => d.expires_at >= fecha);
+    const ultimo = delTipo[0];
+
+    if (vigente) {
+      return { tipo, estado: "aprobado", documentId: vigente.id, expires_at: vigente.expires_at };
+    }
+    if (ultimo && ultimo.estado === "pendiente") {
+      return { tipo, estado: "pendiente", documentId: ultimo.id, expires_at: ultimo.expires_at };
+    }
+    if (aprobados.length > 0) {
+      return { tipo, estado: "vencido", documentId: aprobados[0].id, expires_at: aprobados[0].expires_at };
+    }
+    if (ultimo) {
+      return { tipo, estado: ultimo.estado, documentId: ultimo.id, expires_at: ultimo.expires_at };
+    }
+    return { tipo, estado: "faltante", documentId: null, expires_at: null };
+  });
+
+  return { aprobado: requisitos.every((r) => r.estado === "aprobado"), requisitos };
+};
+
+/**
+ * Documentos de conductores: carga, revisión por admins y aprobación para trabajar.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.driverDocuments - Repositorio de documentos
+ * @param {Object} deps.storage - Adaptador de almacenamiento (src/services/storage)
+ * @param {Object} deps.driverNotification - Notificaciones a conductores
+ */
+function createDriverDocumentService({ drivers, driverDocuments, storage, driverNotification }) {
+  const listarDelConductor = async (driverId) => {
+    const { data: documentos, error } = await driverDocuments.listByDriver(driverId);
+    if (error) {
+      throw error;
+    }
+    return documentos || [];
+  };
+
+  /**
+   * Guarda el archivo y registra el documento como pendiente de revisión.
+   * Reemplaza al documento pendiente anterior del mismo tipo.
+   *
+   * @param {string} driverId
+   * @param {Object} documento - { tipo, expiresAt (YYYY-MM-DD), contenido (Buffer), contentType } ya validados
+   */
+  async function subirDocumento(driverId, { tipo, expiresAt, contenido, contentType }) {
+    const { data: driver, error: errorDriver } = await drivers.findByUserId(driverId);
+
+    if (errorDriver) {
+      throw errorDriver;
+    }
+
+    if (!driver) {
+      return errorDocumento("DRIVER_NOT_FOUND");
+    }
+
+    const clave = `${driverId}/${tipo}-${crypto.randomUUID()}.${EXTENSIONES[contentType]}`;
+    const { ref } = await storage.guardar({ clave, contenido, contentType });
+
+    const { error: errorReemplazo } = await driverDocuments.replacePending(driverId, tipo);
+    if (errorReemplazo) {
+      throw errorReemplazo;
+    }
+
+    const { data: creado, error } = await driverDocuments.create({
+      driver_id: driverId,
+      tipo,
+      archivo_ref: ref,
+      content_type: contentType,
+      tamano_bytes: contenido.length,
+      expires_at: expiresAt,
+      estado: "pendiente"
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: creado, error: null };
+  }
+
+  /**
+   * Documentos del conductor y su estado de aprobación.
+   */
+  async function listarDocumentos(driverId) {
+    const documentos = await listarDelConductor(driverId);
+    return { data: { documentos, verificacion: evaluarDocumentos(documentos) }, error: null };
+  }
+
+  /**
+   * Estado de aprobación del conductor (para permitir o no pasar a "disponible").
+   */
+  async function estadoVerificacion(driverId) {
+    return evaluarDocumentos(await listarDelConductor(driverId));
+  }
+
+  /**
+   * Documentos esperando revisión, más antiguos primero.
+   */
+  async function listarPendientes(limit) {
+    const { data: pendientes, error } = await driverDocuments.listPending(limit);
+    if (error) {
+      throw error;
+    }
+    return { data: pendientes || [], error: null };
+  }
+
+  /**
+   * Aprueba o rechaza un documento pendiente y avisa al conductor.
+   *
+   * @param {Object} admin - req.user del admin
+   * @param {string} documentId
+   * @param {Object} revision - { aprobar: boolean, motivo?: string } (motivo obligatorio al rechazar)
+   */
+  async function revisarDocumento(admin, documentId, { aprobar, motivo = null }) {
+    const { data: documento, error } = await driverDocuments.findById(documentId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!documento) {
+      return errorDocumento("DOCUMENT_NOT_FOUND");
+    }
+
+    if (documento.estado !== "pendiente") {
+      return errorDocumento("DOCUMENT_NOT_PENDING");
+    }
+
+    if (aprobar && documento.expires_at < hoy()) {
+      return errorDocumento("DOCUMENT_EXPIRED");
+    }
+
+    const { data: revisado, error: errorRevision } = await driverDocuments.reviewIfPending(documentId, {
+      estado: aprobar ? "aprobado" : "rechazado",
+      motivo_rechazo: aprobar ? null : motivo,
+      revisado_por: admin.userId,
+      revisado_at: new Date().toISOString()
+    });
+
+    if (errorRevision) {
+      throw errorRevision;
+    }
+
+    if (!revisado) {
+      return errorDocumento("DOCUMENT_NOT_PENDING");
+    }
+
+    driverNotification.notifyDriver(revisado.driver_id, aprobar ? "document_approved" : "document_rejected", {
+      documentId: revisado.id,
+      tipo: revisado.tipo,
+      reason: revisado.motivo_rechazo
+    });
+
+    return { data: revisado, error: null };
+  }
+
+  /**
+   * Documento y contenido de su archivo.
+   *
+   * @returns {Promise<{ data: { documento, contenido: Buffer }|null, error: Object|null }>}
+   */
+  async function obtenerArchivo(documentId) {
+    const { data: documento, error } = await driverDocuments.findById(documentId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!documento) {
+      return errorDocumento("DOCUMENT_NOT_FOUND");
+    }
+
+    const contenido = await storage.obtener(documento.archivo_ref);
+
+    return { data: { documento, contenido }, error: null };
+  }
+
+  return {
+    subirDocumento,
+    listarDocumentos,
+    estadoVerificacion,
+    listarPendientes,
+    revisarDocumento,
+    obtenerArchivo
+  };
+}
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  EXTENSIONES,
+  evaluarDocumentos,
+  createDriverDocumentService
+};
@@ -0,0 +1,117 @@
+const despacho = require("../config/despacho");
+
+const MOTIVO_SIN_SENAL = "sin_senal";
+
+/**
+ * Barrido de conductores sin señal (sin ubicación reciente, ver POST /driver/location).
+ *
+ * @param {Object} deps
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.dispatch - Servicio de despacho (retirar ofertas pendientes)
+ * @param {Object} deps.driverNotification - Servicio de notificaciones a conductores
+ */
+function createDriverHeartbeatService({ drivers, dispatch, driverNotification }) {
+  let barridoInterval = null;
+  let barridoEnCurso = false;
+
+  /**
+   * Pasa a "offline" a los conductores "disponible" sin señal por más de CONDUCTOR_SIN_SENAL_SEG
+   * y retira sus ofertas pendientes. Los "ocupado" tienen un viaje en curso: solo se marcan
+   * para revisión (heartbeat_flagged_at) y siguen ocupados.
+   *
+   * Es seguro con varias instancias: cada UPDATE filtra por estado, así que cada conductor
+   * lo devuelve solo la instancia que lo cambió.
+   *
+   * @returns {Promise<{ desconectados: Array<string>, marcados: Array<string> }>} user_id afectados
+   */
+  async function revisarConductoresSinSenal() {
+    const limite = new Date(Date.now() - despacho.sinSenalTimeoutSeg * 1000).toISOString();
+
+    const { data: desconectados, error } = await drivers.markStaleOffline(limite);
+    if (error) {
+      throw error;
+    }
+
+    for (const { user_id: driverId } of desconectados || []) {
+      console.log("[driverHeartbeat] Conductor sin señal pasado a offline:", driverId);
+
+      try {
+        await dispatch.retirarOfertasConductor(driverId, MOTIVO_SIN_SENAL);
+      } catch (errorOfertas) {
+        console.error("[driverHeartbeat] Error al retirar ofertas del conductor:", driverId, errorOfertas);
+      }
+
+      driverNotification.notifyDriver(driverId, "driver_set_offline", { reason: MOTIVO_SIN_SENAL });
+    }
+
+    const { data: marcados, error: errorMarcados } = await drivers.flagStaleBusy(limite);
+    if (errorMarcados) {
+      throw errorMarcados;
+    }
+
+    for (const marcado of marcados || []) {
+      console.warn(
+        "[driverHeartbeat] Conductor ocupado sin señal desde",
+        marcado.last_seen_at,
+        "marcado para revisión:",
+        marcado.user_id
+      );
+    }
+
+    return {
+      desconectados: (desconectados || []).map((d) => d.user_id),
+      marcados: (marcados || []).map((d) => d.user_id)
+    };
+  }
+
+  /**
+   * Inicia el barrido periódico de conductores sin señal.
+   */
+  function start() {
+    if (barridoInterval) {
+      console.log("[driverHeartbeat] Servicio ya iniciado.");
+      return;
+    }
+
+    barridoInterval = setInterval(async () => {
+      // Evitar barridos solapados en la misma instancia si uno tarda más que el intervalo
+      if (barridoEnCurso) {
+        return;
+      }
+      barridoEnCurso = true;
+      try {
+        await revisarConductoresSinSenal();
+      } catch (error) {
+        console.error("[driverHeartbeat] Error en barrido de conductores:", error);
+      } finally {
+        barridoEnCurso = false;
+      }
+    }, despacho.barridoSinSenalSeg * 1000);
+    barridoInterval.unref();
+
+    console.log(
+      "[driverHeartbeat] Servicio iniciado. Timeout:",
+      despacho.sinSenalTimeoutSeg,
+      "s, barrido cada",
+      despacho.barridoSinSenalSeg,
+      "s"
+    );
+  }
+
+  function stop() {
+    if (barridoInterval) {
+      clearInterval(barridoInterval);
+      barridoInterval = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    revisarConductoresSinSenal
+  };
+}
+
+module.exports = {
+  createDriverHeartbeatService
+};
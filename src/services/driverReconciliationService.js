@@ -0,0 +1,69 @@
+const despacho = require("../config/despacho");
+
+/**
+ * Reconciliación periódica de conductores.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.drivers - Repositorio de conductores
+ */
+function createDriverReconciliationService({ drivers }) {
+  let reconciliacionInterval = null;
+
+  /**
+   * Repara conductores marcados "ocupado" que no tienen ningún viaje asignado o en progreso
+   * (p. ej. por un fallo anterior a las transiciones transaccionales). Los deja "disponible".
+   *
+   * En Supabase usa reconcile_busy_drivers (supabase/trip_transitions.sql), que hace la
+   * verificación y el UPDATE en una sola sentencia.
+   *
+   * @returns {Promise<Array<string>>} user_id de los conductores reparados
+   */
+  async function reconciliarConductoresOcupados() {
+    const { data: reparados, error } = await drivers.reconcileBusy();
+
+    if (error) {
+      throw error;
+    }
+
+    const ids = (reparados || []).map((fila) => fila.user_id);
+    if (ids.length > 0) {
+      console.log("[driverReconciliation] Conductores ocupados sin viaje activo reparados:", ids);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Inicia la reconciliación periódica de conductores.
+   */
+  function start() {
+    if (reconciliacionInterval) {
+      console.log("[driverReconciliation] Servicio ya iniciado.");
+      return;
+    }
+
+    reconciliacionInterval = setInterval(() => {
+      reconciliarConductoresOcupados().catch((error) => {
+        console.error("[driverReconciliation] Error al reconciliar conductores:", error);
+      });
+    }, despacho.reconciliacionConductoresSeg * 1000);
+    reconciliacionInterval.unref();
+  }
+
+  function stop() {
+    if (reconciliacionInterval) {
+      clearInterval(reconciliacionInterval);
+      reconciliacionInterval = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    reconciliarConductoresOcupados
+  };
+}
+
+module.exports = {
+  createDriverReconciliationService
+};
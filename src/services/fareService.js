@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const tarifas = require("../config/tarifas");
+const { haversineKm } = require("../utils/geo");
+
+const TIPO_COTIZACION = "trip_quote";
+
+/**
+ * Redondea un monto a la fracción configurada de la moneda local.
+ * Se trabaja en céntimos enteros para evitar errores de coma flotante.
+ */
+const redondearMoneda = (monto) => {
+  const paso = Math.round(tarifas.redondeo * 100) || 1;
+  const centimos = Math.round(Math.round(monto * 100) / paso) * paso;
+  return centimos / 100;
+};
+
+/**
+ * Estima distancia (km) y duración (min) entre dos puntos.
+ * Usa Haversine multiplicado por el factor de ruta y la velocidad promedio configurada.
+ */
+const estimarRecorrido = (origen, destino) => {
+  const lineaRectaKm = haversineKm(origen.lat, origen.lng, destino.lat, destino.lng);
+  const distanciaKm = lineaRectaKm * tarifas.factorRuta;
+  const duracionMin = (distanciaKm / tarifas.velocidadPromedioKmh) * 60;
+
+  return {
+    distancia_km: Math.round(distanciaKm * 100) / 100,
+    duracion_min: Math.max(1, Math.ceil(duracionMin))
+  };
+};
+
+/**
+ * Calcula el desglose de la tarifa para una distancia y duración dadas.
+ *
+ * @param {Object} recorrido - { distancia_km, duracion_min }
+ * @returns {Object} Desglose: moneda, base, distancia, tiempo, subtotal, minima, total
+ */
+const calcularTarifa = ({ distancia_km, duracion_min }) => {
+  const montoDistancia = distancia_km * tarifas.porKm;
+  const montoTiempo = duracion_min * tarifas.porMinuto;
+  const subtotal = tarifas.base + montoDistancia + montoTiempo;
+  const total = redondearMoneda(Math.max(subtotal, tarifas.minima));
+
+  return {
+    moneda: tarifas.moneda,
+    base: redondearMoneda(tarifas.base),
+    por_km: tarifas.porKm,
+    por_minuto: tarifas.porMinuto,
+    distancia: redondearMoneda(montoDistancia),
+    tiempo: redondearMoneda(montoTiempo),
+    subtotal: redondearMoneda(subtotal),
+    minima: redondearMoneda(tarifas.minima),
+    minima_aplicada: subtotal < tarifas.minima,
+    total
+  };
+};
+
+/**
+ * Espera del conductor en la recogida: minutos completos entre arrived_at y started_at.
+ * Se cobran los que superan la espera gratis, hasta el máximo cobrable.
+ *
+ * @param {Object} viaje - { arrived_at, started_at }
+ * @returns {Object} espera_min, espera_gratis_min, espera_cobrada_min, por_minuto_espera, espera (monto)
+ */
+const calcularEspera = ({ arrived_at, started_at }) => {
+  const esperaMin =
+    arrived_at && started_at ? Math.max(0, Math.floor((Date.parse(started_at) - Date.parse(arrived_at)) / 60000)) : 0;
+  const cobradaMin = Math.min(Math.max(0, esperaMin - tarifas.esperaGratisMin), tarifas.esperaMaximaCobrableMin);
+
+  return {
+    espera_min: esperaMin,
+    espera_gratis_min: tarifas.esperaGratisMin,
+    espera_cobrada_min: cobradaMin,
+    por_minuto_espera: tarifas.porMinutoEspera,
+    espera: redondearMoneda(cobradaMin * tarifas.porMinutoEspera)
+  };
+};
+
+/**
+ * Suma la espera del viaje a un desglose de tarifa (la mínima se aplica antes, sobre el recorrido).
+ */
+const agregarEspera = (desglose, viaje) => {
+  const espera = calcularEspera(viaje);
+  return { ...desglose, ...espera, total: redondearMoneda(desglose.total + espera.espera) };
+};
+
+/**
+ * Clave de firma de cotizaciones, derivada de JWT_SECRET.
+ * Es distinta de la clave de sesión para que un quoteId nunca sea aceptado como token de acceso.
+ */
+const obtenerClaveCotizacion = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET no está definido en las variables de entorno");
+  }
+  return crypto.createHmac("sha256", jwtSecret).update(TIPO_COTIZACION).digest("hex");
+};
+
+/**
+ * Genera una cotización firmada y con vencimiento para un pasajero.
+ *
+ * @param {string} pasajeroId
+ * @param {Object} origen - { lat, lng }
+ * @param {Object} destino - { lat, lng }
+ * @returns {Object} { quoteId, expiresAt, distancia_km, duracion_min, tarifa }
+ */
+const crearCotizacion = (pasajeroId, origen, destino) => {
+  const recorrido = estimarRecorrido(origen, destino);
+  const tarifa = calcularTarifa(recorrido);
+  const expiraEn = Math.floor(Date.now() / 1000) + tarifas.vigenciaCotizacionSeg;
+
+  const quoteId = jwt.sign(
+    {
+      typ: TIPO_COTIZACION,
+      sub: pasajeroId,
+      pickup: { lat: origen.lat, lng: origen.lng },
+      destination: { lat: destino.lat, lng: destino.lng },
+      distancia_km: recorrido.distancia_km,
+      duracion_min: recorrido.duracion_min,
+      tarifa,
+      exp: expiraEn
+    },
+    obtenerClaveCotizacion(),
+    { jwtid: crypto.randomUUID() }
+  );
+
+  return {
+    quoteId,
+    expiresAt: new Date(expiraEn * 1000).toISOString(),
+    distancia_km: recorrido.distancia_km,
+    duracion_min: recorrido.duracion_min,
+    tarifa
+  };
+};
+
+/**
+ * Verifica un quoteId recibido del cliente.
+ *
+ * @param {string} quoteId
+ * @param {string} pasajeroId - La cotización debe pertenecer a este pasajero
+ * @returns {{ cotizacion: Object|null, error: string|null }}
+ */
+const verificarCotizacion = (quoteId, pasajeroId) => {
+  if (typeof quoteId !== "string" || quoteId.length === 0) {
+    return { cotizacion: null, error: "quoteId no válido" };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(quoteId, obtenerClaveCotizacion());
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return { cotizacion: null, error: "La cotización expiró. Solicita una nueva" };
+    }
+    return { cotizacion: null, error: "Cotización no válida" };
+  }
+
+  if (payload.typ !== TIPO_COTIZACION || payload.sub !== pasajeroId) {
+    return { cotizacion: null, error: "Cotización no válida" };
+  }
+
+  return {
+    cotizacion: {
+      id: payload.jti,
+      pickup: payload.pickup,
+      destination: payload.destination,
+      distancia_km: payload.distancia_km,
+      duracion_min: payload.duracion_min,
+      tarifa: payload.tarifa
+    },
+    error: null
+  };
+};
+
+module.exports = {
+  estimarRecorrido,
+  calcularTarifa,
+  calcularEspera,
+  agregarEspera,
+  crearCotizacion,
+  verificarCotizacion
+};
@@ -0,0 +1,209 @@
+/**
+ * Construcción de servicios
+ *
+ * Crea todos los servicios sobre los repositorios inyectados. server.js los arranca
+ * (start) y app.js los pasa a los controladores.
+ */
+
+const { createPushGatewayService } = require("./pushGatewayService");
+const { createDriverNotificationService } = require("./driverNotificationService");
+const { createPassengerNotificationService } = require("./passengerNotificationService");
+const { createTripStateMachine } = require("./tripStateMachine");
+const { createDispatchService } = require("./dispatchService");
+const { createTripExpirationService } = require("./tripExpirationService");
+const { createDriverReconciliationService } = require("./driverReconciliationService");
+const { createDriverHeartbeatService } = require("./driverHeartbeatService");
+const { createAuthTokenService } = require("./authTokenService");
+const { createPasswordResetService } = require("./passwordResetService");
+const { createPhoneVerificationService } = require("./phoneVerificationService");
+const { createProfileService } = require("./profileService");
+const { createAdminService } = require("./adminService");
+const { createDriverDocumentService } = require("./driverDocumentService");
+const { createVehicleService } = require("./vehicleService");
+const { createTripRouteService } = require("./tripRouteService");
+const { createTripTrackingService } = require("./tripTrackingService");
+const { createTripAccessService } = require("./tripAccessService");
+const { createTripHistoryService } = require("./tripHistoryService");
+const { createRatingService } = require("./ratingService");
+const { createCancellationService } = require("./cancellationService");
+const { createTripArrivalService } = require("./tripArrivalService");
+const { createSender } = require("./senders");
+const { createStorage } = require("./storage");
+
+/**
+ * @param {Object} repositories - Resultado de createSupabaseRepositories o createMemoryRepositories
+ * @param {Object} [options]
+ * @param {Object|null} [options.realtime] - Cliente de Supabase para el canal de seguimiento de cada viaje
+ * @param {Object} [options.sender] - Adaptador de envío de códigos (por defecto el de CODE_SENDER)
+ * @param {Object} [options.storage] - Adaptador de almacenamiento de archivos (por defecto el de STORAGE_ADAPTER)
+ */
+const createServices = (
+  repositories,
+  { realtime = null, sender = createSender(), storage = createStorage() } = {}
+) => {
+  const pushGateway = createPushGatewayService({ pushEvents: repositories.pushEvents });
+  const driverNotification = createDriverNotificationService({ pushGateway });
+  const passengerNotification = createPassengerNotificationService({ pushGateway });
+
+  const tripStateMachine = createTripStateMachine({
+    trips: repositories.trips,
+    tripEvents: repositories.tripEvents,
+    pushGateway
+  });
+
+  const tripAccess = createTripAccessService({
+    tripStateMachine,
+    tripOffers: repositories.tripOffers,
+    users: repositories.users,
+    drivers: repositories.drivers
+  });
+
+  const tripHistory = createTripHistoryService({ trips: repositories.trips });
+
+  const ratings = createRatingService({
+    tripStateMachine,
+    tripRatings: repositories.tripRatings,
+    users: repositories.users,
+    drivers: repositories.drivers
+  });
+
+  const dispatch = createDispatchService({
+    trips: repositories.trips,
+    drivers: repositories.drivers,
+    tripOffers: repositories.tripOffers,
+    driverNotification
+  });
+
+  const tripExpiration = createTripExpirationService({
+    trips: repositories.trips,
+    tripStateMachine,
+    dispatch,
+    passengerNotification
+  });
+
+  const driverReconciliation = createDriverReconciliationService({
+    drivers: repositories.drivers
+  });
+
+  const driverHeartbeat = createDriverHeartbeatService({
+    drivers: repositories.drivers,
+    dispatch,
+    driverNotification
+  });
+
+  const authTokens = createAuthTokenService({
+    users: repositories.users,
+    authSessions: repositories.authSessions,
+    refreshTokens: repositories.refreshTokens,
+    pushGateway
+  });
+
+  const passwordReset = createPasswordResetService({
+    users: repositories.users,
+    passwordResetCodes: repositories.passwordResetCodes,
+    authTokens,
+    sender
+  });
+
+  const phoneVerification = createPhoneVerificationService({
+    users: repositories.users,
+    phoneVerificationCodes: repositories.phoneVerificationCodes,
+    sender
+  });
+
+  const profile = createProfileService({
+    users: repositories.users,
+    drivers: repositories.drivers,
+    emailChangeCodes: repositories.emailChangeCodes,
+    authTokens,
+    phoneVerification,
+    sender
+  });
+
+  const tripRoute = createTripRouteService({
+    trips: repositories.trips,
+    driverLocations: repositories.driverLocations
+  });
+
+  const cancellations = createCancellationService({
+    tripStateMachine,
+    drivers: repositories.drivers
+  });
+
+  const tripArrival = createTripArrivalService({
+    trips: repositories.trips,
+    drivers: repositories.drivers,
+    tripStateMachine
+  });
+
+  const tripTracking = createTripTrackingService({
+    trips: repositories.trips,
+    drivers: repositories.drivers,
+    realtime
+  });
+
+  const admin = createAdminService({
+    users: repositories.users,
+    drivers: repositories.drivers,
+    authTokens,
+    tripStateMachine,
+    tripRoute,
+    dispatch,
+    driverNotification,
+    passengerNotification
+  });
+
+  const driverDocuments = createDriverDocumentService({
+    drivers: repositories.drivers,
+    driverDocuments: repositories.driverDocuments,
+    storage,
+    driverNotification
+  });
+
+  const vehicles = createVehicleService({
+    drivers: repositories.drivers,
+    vehicles: repositories.vehicles
+  });
+
+  return {
+    authTokens,
+    passwordReset,
+    phoneVerification,
+    profile,
+    admin,
+    driverDocuments,
+    vehicles,
+    pushGateway,
+    driverNotification,
+    passengerNotification,
+    tripStateMachine,
+    tripAccess,
+    tripHistory,
+    ratings,
+    tripRoute,
+    tripTracking,
+    cancellations,
+    tripArrival,
+    dispatch,
+    tripExpiration,
+    driverReconciliation,
+    driverHeartbeat
+  };
+};
+
+/**
+ * Detiene los procesos en segundo plano de los servicios (intervalos y temporizadores).
+ */
+const stopServices = (services) => {
+  services.pushGateway.stop();
+  services.dispatch.stop();
+  services.tripExpiration.stop();
+  services.driverReconciliation.stop();
+  services.tripRoute.stop();
+  services.driverHeartbeat.stop();
+};
+
+module.exports = {
+  createServices,
+  stopServices
+};
@@ -0,0 +1,39 @@
+/**
+ * Servicio de notificaciones a pasajeros
+ * (viaje expirado, cambios relevantes de su viaje, etc.).
+ *
+ * Cada evento se publica en el gateway (GET /events) dirigido solo al pasajero indicado.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.pushGateway - Gateway de notificaciones (pushGatewayService)
+ */
+function createPassengerNotificationService({ pushGateway }) {
+  /**
+   * Envía un evento (sin esperar la entrega) a un pasajero específico.
+   *
+   * @param {string} pasajeroId - user_id del pasajero destinatario
+   * @param {string} event - Nombre del evento (ej: "trip_expired")
+   * @param {Object} payload - Datos del evento
+   */
+  function notifyPassenger(pasajeroId, event, payload) {
+    pushGateway
+      .publicar(pasajeroId, event, { ...payload, pasajeroId })
+      .then(({ error }) => {
+        if (error) {
+          throw error;
+        }
+        console.log("[passengerNotification] Enviado", event, "a pasajero:", pasajeroId);
+      })
+      .catch((error) => {
+        console.error("[passengerNotification] Error al enviar", event, "a pasajero:", pasajeroId, error);
+      });
+  }
+
+  return {
+    notifyPassenger
+  };
+}
+
+module.exports = {
+  createPassengerNotificationService
+};
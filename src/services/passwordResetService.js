@@ -0,0 +1,201 @@
+const bcrypt = require("bcryptjs");
+const authConfig = require("../config/auth");
+const { generarCodigo, hashCodigo, codigoCoincide } = require("../utils/codigos");
+
+const PROPOSITO = "password_reset";
+
+const ERRORES = {
+  RESET_CODE_INVALID: { status: 400, message: "Código inválido o expirado" },
+  RESET_CODE_ATTEMPTS_EXCEEDED: {
+    status: 429,
+    message: "Demasiados intentos fallidos. Solicita un código nuevo"
+  }
+};
+
+const errorReset = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/**
+ * Recuperación de contraseña con códigos de un solo uso.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.passwordResetCodes - Repositorio de códigos
+ * @param {Object} deps.authTokens - Servicio de sesiones (para revocar las sesiones abiertas)
+ * @param {Object} deps.sender - Adaptador de envío (src/services/senders)
+ */
+function createPasswordResetService({ users, passwordResetCodes, authTokens, sender }) {
+  /**
+   * Busca al usuario por email o teléfono. Devuelve { user, canal, destino }.
+   */
+  const buscarUsuario = async ({ email, telefono }) => {
+    const { data: user, error } = email ? await users.findByEmail(email) : await users.findByTelefono(telefono);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      user,
+      canal: email ? "email" : "sms",
+      destino: email || telefono
+    };
+  };
+
+  /**
+   * Motivo por el que el usuario no puede recibir otro código todavía, o null. Aplica la espera
+   * entre envíos (otpReenvioSeg) y el máximo de códigos por ventana: sin ellos, pedir un código
+   * nuevo tras agotar los intentos permitiría seguir probando códigos sin límite.
+   *
+   * @returns {Promise<string|null>} "cooldown", "maximo_por_ventana" o null
+   */
+  async function limiteEnvio(userId) {
+    const { data: ultimo, error } = await passwordResetCodes.findLatestByUser(userId);
+    if (error) {
+      throw error;
+    }
+
+    if (ultimo) {
+      const esperaMs = new Date(ultimo.created_at).getTime() + authConfig.otpReenvioSeg * 1000 - Date.now();
+      if (esperaMs > 0) {
+        return "cooldown";
+      }
+    }
+
+    const ventanaMs = authConfig.resetVentanaMin * 60 * 1000;
+    const { count, error: errorConteo } = await passwordResetCodes.countCreatedSince(
+      userId,
+      new Date(Date.now() - ventanaMs).toISOString()
+    );
+    if (errorConteo) {
+      throw errorConteo;
+    }
+
+    if (count >= authConfig.resetMaxCodigosPorVentana) {
+      return "maximo_por_ventana";
+    }
+
+    return null;
+  }
+
+  /**
+   * Genera y envía un código nuevo. Invalida los códigos anteriores del usuario.
+   * Si la cuenta no existe o pidió códigos demasiado seguido (limiteEnvio) no hace nada: el
+   * endpoint responde igual en todos los casos para no revelar qué cuentas existen.
+   *
+   * @param {Object} identificador - { email } o { telefono }
+   * @returns {Promise<boolean>} true si se envió un código
+   */
+  async function solicitarCodigo(identificador) {
+    const { user, canal, destino } = await buscarUsuario(identificador);
+
+    if (!user) {
+      return false;
+    }
+
+    const limite = await limiteEnvio(user.id);
+    if (limite) {
+      console.log("[passwordReset] Código no enviado por límite de envíos:", user.id, limite);
+      return false;
+    }
+
+    const { error: errorInvalidar } = await passwordResetCodes.invalidateActiveByUser(user.id);
+    if (errorInvalidar) {
+      throw errorInvalidar;
+    }
+
+    const codigo = generarCodigo(authConfig.resetCodigoLongitud);
+    const { error } = await passwordResetCodes.create({
+      user_id: user.id,
+      code_hash: hashCodigo(codigo, PROPOSITO),
+      canal,
+      expires_at: new Date(Date.now() + authConfig.resetCodigoTtlMin * 60 * 1000).toISOString()
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    await sender.enviar({
+      canal,
+      destino,
+      asunto: "Recupera tu contraseña",
+      mensaje: `Tu código para restablecer la contraseña es ${codigo}. Vence en ${authConfig.resetCodigoTtlMin} minutos.`
+    });
+
+    return true;
+  }
+
+  /**
+   * Verifica el código y guarda la nueva contraseña. Cierra todas las sesiones del usuario.
+   *
+   * @param {Object} params
+   * @param {string} [params.email]
+   * @param {string} [params.telefono]
+   * @param {string} params.codigo
+   * @param {string} params.password - Contraseña nueva (ya validada)
+   * @returns {Promise<{ data: Object|null, error: { status, code, message }|null }>}
+   */
+  async function restablecer({ email, telefono, codigo, password }) {
+    const { user } = await buscarUsuario({ email, telefono });
+
+    if (!user) {
+      return errorReset("RESET_CODE_INVALID");
+    }
+
+    const { data: activo, error } = await passwordResetCodes.findActiveByUser(user.id, new Date().toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    if (!activo) {
+      return errorReset("RESET_CODE_INVALID");
+    }
+
+    if (!codigoCoincide(codigo, activo.code_hash, PROPOSITO)) {
+      const agotado = activo.attempts + 1 >= authConfig.resetMaxIntentos;
+      const { error: errorIntento } = await passwordResetCodes.registerFailedAttempt(
+        activo.id,
+        activo.attempts,
+        agotado
+      );
+
+      if (errorIntento) {
+        throw errorIntento;
+      }
+
+      return errorReset(agotado ? "RESET_CODE_ATTEMPTS_EXCEEDED" : "RESET_CODE_INVALID");
+    }
+
+    // Consumir el código antes de cambiar la contraseña: solo una petición puede usarlo
+    const { data: consumido, error: errorConsumo } = await passwordResetCodes.markUsed(activo.id);
+
+    if (errorConsumo) {
+      throw errorConsumo;
+    }
+
+    if (!consumido) {
+      return errorReset("RESET_CODE_INVALID");
+    }
+
+    const passwordHasheada = await bcrypt.hash(password, 10);
+    const { data: actualizado, error: errorUpdate } = await users.updateById(user.id, { password: passwordHasheada });
+
+    if (errorUpdate) {
+      throw errorUpdate;
+    }
+
+    const sesionesCerradas = await authTokens.cerrarTodas(user.id, "password_reset");
+
+    return { data: { user: actualizado, sesionesCerradas }, error: null };
+  }
+
+  return {
+    solicitarCodigo,
+    restablecer
+  };
+}
+
+module.exports = {
+  createPasswordResetService
+};
@@ -0,0 +1,199 @@
+const authConfig = require("../config/auth");
+const { generarCodigo, hashCodigo, codigoCoincide } = require("../utils/codigos");
+
+const PROPOSITO = "phone_verification";
+
+const ERRORES = {
+  USER_NOT_FOUND: { status: 404, message: "Usuario no encontrado" },
+  PHONE_ALREADY_VERIFIED: { status: 409, message: "El teléfono ya está verificado" },
+  OTP_COOLDOWN: { status: 429, message: "Espera antes de solicitar otro código" },
+  OTP_INVALID: { status: 400, message: "Código inválido o expirado" },
+  OTP_ATTEMPTS_EXCEEDED: { status: 429, message: "Demasiados intentos fallidos. Solicita un código nuevo" },
+  PHONE_TAKEN: { status: 409, message: "Este teléfono ya está registrado" }
+};
+
+const errorOtp = (code, extra = {}) => ({ data: null, error: { ...ERRORES[code], code, ...extra } });
+
+/**
+ * Verificación del teléfono del usuario con códigos OTP enviados por SMS.
+ *
+ * También se usa para cambiar de número (POST /me/phone): el código se envía al número nuevo
+ * y users.telefono solo se reemplaza al verificarlo.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.phoneVerificationCodes - Repositorio de códigos OTP
+ * @param {Object} deps.sender - Adaptador de envío (src/services/senders)
+ */
+function createPhoneVerificationService({ users, phoneVerificationCodes, sender }) {
+  const leerUsuario = async (userId) => {
+    const { data: user, error } = await users.findById(userId);
+    if (error) {
+      throw error;
+    }
+    return user;
+  };
+
+  /**
+   * Envía un código OTP nuevo e invalida los anteriores.
+   * Respeta el tiempo de espera entre envíos (OTP_REENVIO_SEG).
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.telefono] - Número nuevo (cambio de teléfono); por defecto el actual
+   * @returns {Promise<{ data: { expiresAt, reenvioDisponibleEn }|null, error: Object|null }>}
+   */
+  async function enviarCodigo(userId, { telefono = null } = {}) {
+    const user = await leerUsuario(userId);
+
+    if (!user) {
+      return errorOtp("USER_NOT_FOUND");
+    }
+
+    const destino = telefono || user.telefono;
+
+    if (destino === user.telefono && user.telefono_verificado) {
+      return errorOtp("PHONE_ALREADY_VERIFIED");
+    }
+
+    const { data: ultimo, error: errorUltimo } = await phoneVerificationCodes.findLatestByUser(userId);
+
+    if (errorUltimo) {
+      throw errorUltimo;
+    }
+
+    if (ultimo) {
+      const esperaMs = new Date(ultimo.created_at).getTime() + authConfig.otpReenvioSeg * 1000 - Date.now();
+      if (esperaMs > 0) {
+        return errorOtp("OTP_COOLDOWN", { retryAfterSeg: Math.ceil(esperaMs / 1000) });
+      }
+    }
+
+    const { error: errorInvalidar } = await phoneVerificationCodes.invalidateActiveByUser(userId);
+    if (errorInvalidar) {
+      throw errorInvalidar;
+    }
+
+    const codigo = generarCodigo(authConfig.otpLongitud);
+    const expiresAt = new Date(Date.now() + authConfig.otpTtlMin * 60 * 1000).toISOString();
+
+    const { error } = await phoneVerificationCodes.create({
+      user_id: userId,
+      telefono: destino,
+      code_hash: hashCodigo(codigo, PROPOSITO),
+      expires_at: expiresAt
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    await sender.enviar({
+      canal: "sms",
+      destino,
+      mensaje: `Tu código de verificación de Mototaxi es ${codigo}. Vence en ${authConfig.otpTtlMin} minutos.`
+    });
+
+    return {
+      data: {
+        expiresAt,
+        reenvioDisponibleEn: new Date(Date.now() + authConfig.otpReenvioSeg * 1000).toISOString()
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Verifica el código OTP y marca como verificado el teléfono al que se envió.
+   * Si era un número nuevo, reemplaza users.telefono.
+   *
+   * @returns {Promise<{ data: Object|null, error: Object|null }>} data: usuario actualizado
+   */
+  async function verificarCodigo(userId, codigo) {
+    const user = await leerUsuario(userId);
+
+    if (!user) {
+      return errorOtp("USER_NOT_FOUND");
+    }
+
+    const { data: activo, error } = await phoneVerificationCodes.findActiveByUser(userId, new Date().toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    if (!activo && user.telefono_verificado) {
+      return errorOtp("PHONE_ALREADY_VERIFIED");
+    }
+
+    if (!activo) {
+      return errorOtp("OTP_INVALID");
+    }
+
+    if (!codigoCoincide(codigo, activo.code_hash, PROPOSITO)) {
+      const agotado = activo.attempts + 1 >= authConfig.otpMaxIntentos;
+      const { error: errorIntento } = await phoneVerificationCodes.registerFailedAttempt(
+        activo.id,
+        activo.attempts,
+        agotado
+      );
+
+      if (errorIntento) {
+        throw errorIntento;
+      }
+
+      return errorOtp(agotado ? "OTP_ATTEMPTS_EXCEEDED" : "OTP_INVALID");
+    }
+
+    const { data: consumido, error: errorConsumo } = await phoneVerificationCodes.markUsed(activo.id);
+
+    if (errorConsumo) {
+      throw errorConsumo;
+    }
+
+    if (!consumido) {
+      return errorOtp("OTP_INVALID");
+    }
+
+    const { data: actualizado, error: errorUpdate } = await users.updateById(userId, {
+      telefono: activo.telefono,
+      telefono_verificado: true,
+      telefono_verificado_at: new Date().toISOString()
+    });
+
+    if (errorUpdate) {
+      // 23505: otro usuario registró el número nuevo mientras tanto
+      if (errorUpdate.code === "23505") {
+        return errorOtp("PHONE_TAKEN");
+      }
+      throw errorUpdate;
+    }
+
+    return { data: actualizado, error: null };
+  }
+
+  /**
+   * Indica si el usuario tiene el teléfono verificado.
+   *
+   * @returns {Promise<{ data: boolean, error: Object|null }>}
+   */
+  async function telefonoVerificado(userId) {
+    const { data: user, error } = await users.findById(userId);
+
+    if (error) {
+      return { data: false, error };
+    }
+
+    return { data: Boolean(user && user.telefono_verificado), error: null };
+  }
+
+  return {
+    enviarCodigo,
+    verificarCodigo,
+    telefonoVerificado
+  };
+}
+
+module.exports = {
+  createPhoneVerificationService
+};
@@ -0,0 +1,338 @@
+const bcrypt = require("bcryptjs");
+const authConfig = require("../config/auth");
+const { generarCodigo, hashCodigo, codigoCoincide } = require("../utils/codigos");
+
+const PROPOSITO = "email_change";
+
+const ERRORES = {
+  USER_NOT_FOUND: { status: 404, message: "Usuario no encontrado" },
+  EMAIL_TAKEN: { status: 409, message: "Este email ya está registrado" },
+  PHONE_TAKEN: { status: 409, message: "Este teléfono ya está registrado" },
+  INVALID_PASSWORD: { status: 401, message: "La contraseña actual no es correcta" },
+  EMAIL_UNCHANGED: { status: 400, message: "El email nuevo es igual al actual" },
+  PHONE_UNCHANGED: { status: 400, message: "El teléfono nuevo es igual al actual" },
+  EMAIL_CODE_COOLDOWN: { status: 429, message: "Espera antes de solicitar otro código" },
+  EMAIL_CODE_INVALID: { status: 400, message: "Código inválido o expirado" },
+  EMAIL_CODE_ATTEMPTS_EXCEEDED: { status: 429, message: "Demasiados intentos fallidos. Solicita un código nuevo" }
+};
+
+const errorPerfil = (code, extra = {}) => ({ data: null, error: { ...ERRORES[code], code, ...extra } });
+
+/**
+ * Perfil del usuario autenticado (/me): datos, contraseña y cambios de email y teléfono.
+ *
+ * El email y el teléfono nuevos se guardan recién al verificarlos con un código
+ * enviado al destino nuevo; mientras tanto el usuario sigue con los actuales.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.emailChangeCodes - Repositorio de códigos de cambio de email
+ * @param {Object} deps.authTokens - Servicio de sesiones (para revocar las otras sesiones)
+ * @param {Object} deps.phoneVerification - Servicio de verificación de teléfono
+ * @param {Object} deps.sender - Adaptador de envío (src/services/senders)
+ */
+function createProfileService({ users, drivers, emailChangeCodes, authTokens, phoneVerification, sender }) {
+  const leerUsuario = async (userId) => {
+    const { data: user, error } = await users.findById(userId);
+    if (error) {
+      throw error;
+    }
+    return user;
+  };
+
+  /**
+   * Comprueba que el email y/o teléfono no pertenezcan a otro usuario.
+   * La usan el registro y los cambios de email y teléfono.
+   *
+   * @param {Object} datos - { email, telefono } (los ausentes no se comprueban)
+   * @param {string|null} [excluirUserId] - Usuario que puede tenerlos (el propio)
+   * @returns {Promise<{ data: true|null, error: Object|null }>}
+   */
+  async function verificarDisponibilidad({ email, telefono }, excluirUserId = null) {
+    if (email) {
+      const { data: userByEmail, error } = await users.findByEmail(email);
+
+      if (error) {
+        throw error;
+      }
+
+      if (userByEmail && userByEmail.id !== excluirUserId) {
+        return errorPerfil("EMAIL_TAKEN");
+      }
+    }
+
+    if (telefono) {
+      const { data: userByPhone, error } = await users.findByTelefono(telefono);
+
+      if (error) {
+        throw error;
+      }
+
+      if (userByPhone && userByPhone.id !== excluirUserId) {
+        return errorPerfil("PHONE_TAKEN");
+      }
+    }
+
+    return { data: true, error: null };
+  }
+
+  /**
+   * Comprueba la contraseña actual del usuario.
+   */
+  const passwordCorrecta = async (userId, password) => {
+    const { data: credenciales, error } = await users.findCredentialsById(userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return Boolean(credenciales) && (await bcrypt.compare(password, credenciales.password));
+  };
+
+  /**
+   * Perfil con roles y, si es conductor, su estado y última ubicación.
+   *
+   * @returns {Promise<{ data: Object|null, error: Object|null }>}
+   */
+  async function obtenerPerfil(userId) {
+    const user = await leerUsuario(userId);
+
+    if (!user) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    let conductor = null;
+
+    if ((user.roles || []).includes("conductor")) {
+      const { data: driver, error } = await drivers.findByUserId(userId);
+
+      if (error) {
+        throw error;
+      }
+
+      if (driver) {
+        conductor = { estado: driver.estado, lat: driver.lat ?? null, lng: driver.lng ?? null };
+      }
+    }
+
+    return { data: { ...user, roles: user.roles || [], conductor }, error: null };
+  }
+
+  /**
+   * Actualiza los datos editables sin verificación (nombre y foto).
+   *
+   * @param {string} userId
+   * @param {Object} cambios - { nombre?, foto_url? } ya validados
+   */
+  async function actualizarPerfil(userId, cambios) {
+    const { data: actualizado, error } = await users.updateById(userId, cambios);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!actualizado) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    return obtenerPerfil(userId);
+  }
+
+  /**
+   * Cambia la contraseña verificando la actual. Cierra las demás sesiones del usuario;
+   * la sesión desde la que se hizo el cambio sigue abierta.
+   *
+   * @returns {Promise<{ data: { sesionesCerradas }|null, error: Object|null }>}
+   */
+  async function cambiarPassword(userId, sessionId, actual, nueva) {
+    if (!(await passwordCorrecta(userId, actual))) {
+      return errorPerfil("INVALID_PASSWORD");
+    }
+
+    const passwordHasheada = await bcrypt.hash(nueva, 10);
+    const { data: actualizado, error } = await users.updateById(userId, { password: passwordHasheada });
+
+    if (error) {
+      throw error;
+    }
+
+    if (!actualizado) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    const sesionesCerradas = await authTokens.cerrarTodas(userId, "password_change", { excepto: sessionId });
+
+    return { data: { sesionesCerradas }, error: null };
+  }
+
+  /**
+   * Envía un código al email nuevo. El email del usuario no cambia hasta confirmarlo.
+   *
+   * @returns {Promise<{ data: { email, expiresAt }|null, error: Object|null }>}
+   */
+  async function solicitarCambioEmail(userId, email, password) {
+    const user = await leerUsuario(userId);
+
+    if (!user) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    if (!(await passwordCorrecta(userId, password))) {
+      return errorPerfil("INVALID_PASSWORD");
+    }
+
+    if (email === user.email) {
+      return errorPerfil("EMAIL_UNCHANGED");
+    }
+
+    const disponibilidad = await verificarDisponibilidad({ email }, userId);
+    if (disponibilidad.error) {
+      return disponibilidad;
+    }
+
+    const { data: ultimo, error: errorUltimo } = await emailChangeCodes.findLatestByUser(userId);
+
+    if (errorUltimo) {
+      throw errorUltimo;
+    }
+
+    if (ultimo) {
+      const esperaMs = new Date(ultimo.created_at).getTime() + authConfig.otpReenvioSeg * 1000 - Date.now();
+      if (esperaMs > 0) {
+        return errorPerfil("EMAIL_CODE_COOLDOWN", { retryAfterSeg: Math.ceil(esperaMs / 1000) });
+      }
+    }
+
+    const { error: errorInvalidar } = await emailChangeCodes.invalidateActiveByUser(userId);
+    if (errorInvalidar) {
+      throw errorInvalidar;
+    }
+
+    const codigo = generarCodigo(authConfig.otpLongitud);
+    const expiresAt = new Date(Date.now() + authConfig.otpTtlMin * 60 * 1000).toISOString();
+
+    const { error } = await emailChangeCodes.create({
+      user_id: userId,
+      email,
+      code_hash: hashCodigo(codigo, PROPOSITO),
+      expires_at: expiresAt
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    await sender.enviar({
+      canal: "email",
+      destino: email,
+      asunto: "Confirma tu nuevo email",
+      mensaje: `Tu código para confirmar el nuevo email es ${codigo}. Vence en ${authConfig.otpTtlMin} minutos.`
+    });
+
+    return { data: { email, expiresAt }, error: null };
+  }
+
+  /**
+   * Verifica el código enviado al email nuevo y lo guarda como email del usuario.
+   *
+   * @returns {Promise<{ data: Object|null, error: Object|null }>} Perfil actualizado
+   */
+  async function confirmarCambioEmail(userId, codigo) {
+    const { data: activo, error } = await emailChangeCodes.findActiveByUser(userId, new Date().toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    if (!activo) {
+      return errorPerfil("EMAIL_CODE_INVALID");
+    }
+
+    if (!codigoCoincide(codigo, activo.code_hash, PROPOSITO)) {
+      const agotado = activo.attempts + 1 >= authConfig.otpMaxIntentos;
+      const { error: errorIntento } = await emailChangeCodes.registerFailedAttempt(activo.id, activo.attempts, agotado);
+
+      if (errorIntento) {
+        throw errorIntento;
+      }
+
+      return errorPerfil(agotado ? "EMAIL_CODE_ATTEMPTS_EXCEEDED" : "EMAIL_CODE_INVALID");
+    }
+
+    const { data: consumido, error: errorConsumo } = await emailChangeCodes.markUsed(activo.id);
+
+    if (errorConsumo) {
+      throw errorConsumo;
+    }
+
+    if (!consumido) {
+      return errorPerfil("EMAIL_CODE_INVALID");
+    }
+
+    const { data: actualizado, error: errorUpdate } = await users.updateById(userId, { email: activo.email });
+
+    if (errorUpdate) {
+      // 23505: otro usuario registró ese email mientras tanto
+      if (errorUpdate.code === "23505") {
+        return errorPerfil("EMAIL_TAKEN");
+      }
+      throw errorUpdate;
+    }
+
+    if (!actualizado) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    return obtenerPerfil(userId);
+  }
+
+  /**
+   * Envía un código OTP al teléfono nuevo. Se confirma con POST /me/phone/verify
+   * (o /auth/phone/verify); hasta entonces el usuario conserva su teléfono actual.
+   *
+   * @returns {Promise<{ data: { telefono, expiresAt, reenvioDisponibleEn }|null, error: Object|null }>}
+   */
+  async function solicitarCambioTelefono(userId, telefono, password) {
+    const user = await leerUsuario(userId);
+
+    if (!user) {
+      return errorPerfil("USER_NOT_FOUND");
+    }
+
+    if (!(await passwordCorrecta(userId, password))) {
+      return errorPerfil("INVALID_PASSWORD");
+    }
+
+    if (telefono === user.telefono) {
+      return errorPerfil("PHONE_UNCHANGED");
+    }
+
+    const disponibilidad = await verificarDisponibilidad({ telefono }, userId);
+    if (disponibilidad.error) {
+      return disponibilidad;
+    }
+
+    const { data: envio, error } = await phoneVerification.enviarCodigo(userId, { telefono });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    return { data: { telefono, ...envio }, error: null };
+  }
+
+  return {
+    verificarDisponibilidad,
+    obtenerPerfil,
+    actualizarPerfil,
+    cambiarPassword,
+    solicitarCambioEmail,
+    confirmarCambioEmail,
+    solicitarCambioTelefono
+  };
+}
+
+module.exports = {
+  createProfileService
+};
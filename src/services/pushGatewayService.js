@@ -0,0 +1,368 @@
+const eventos = require("../config/eventos");
+
+/** Evento de control: el cliente perdió eventos y debe recargar su estado por la API REST */
+const EVENTO_RESINCRONIZAR = "resync";
+
+/** Evento de control: la sesión de la conexión se cerró (logout, revocación o suspensión) */
+const EVENTO_SESION_CERRADA = "session_closed";
+
+/**
+ * Gateway de notificaciones a los clientes móviles (GET /events).
+ *
+ * Cada evento va dirigido a un usuario y se guarda en push_events antes de entregarse, con
+ * un id creciente. Así el cliente que reconecta con Last-Event-ID recibe lo que se perdió, y
+ * los eventos publicados en otra instancia del servidor llegan por el sondeo periódico.
+ * El servicio no conoce el transporte: cada conexión trae sus funciones enviar/mantener/cerrar.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.pushEvents - Repositorio de eventos
+ */
+function createPushGatewayService({ pushEvents }) {
+  let sondeoInterval = null;
+  let keepaliveInterval = null;
+  let limpiezaInterval = null;
+  let sondeoEnCurso = false;
+
+  // userId → Set de conexiones abiertas en esta instancia
+  const conexiones = new Map();
+
+  // Id hasta el que el sondeo ya leyó todo (null: se toma el menor desdeId de las conexiones).
+  // Solo avanza sobre eventos más viejos que la ventana de sondeo: un id menor puede
+  // confirmarse después que uno mayor, y se relee hasta que sale de la ventana.
+  let cursorSondeo = null;
+
+  const enviarEvento = (conexion, evento) => {
+    conexion.vistos.set(evento.id, Date.now());
+    conexion.enviar({ id: evento.id, evento: evento.evento, payload: evento.payload });
+  };
+
+  /**
+   * Entrega un evento a una conexión una sola vez: se descartan los anteriores a la conexión
+   * (desdeId) y los ya entregados (vistos), aunque lleguen desordenados. Mientras se
+   * reproducen los eventos perdidos, los nuevos esperan en "pendientes".
+   */
+  const entregar = (conexion, evento) => {
+    if (conexion.reproduciendo) {
+      conexion.pendientes.push(evento);
+      return;
+    }
+    if (evento.id <= conexion.desdeId || conexion.vistos.has(evento.id)) {
+      return;
+    }
+    enviarEvento(conexion, evento);
+  };
+
+  /**
+   * Olvida los ids entregados antes de la ventana de sondeo: ya no se vuelven a leer.
+   */
+  const olvidarVistos = (conexion, limite) => {
+    for (const [id, entregado] of conexion.vistos) {
+      if (entregado < limite) {
+        conexion.vistos.delete(id);
+      }
+    }
+  };
+
+  const desconectar = (conexion) => {
+    const delUsuario = conexiones.get(conexion.userId);
+    if (!delUsuario) {
+      return;
+    }
+    delUsuario.delete(conexion);
+    if (delUsuario.size === 0) {
+      conexiones.delete(conexion.userId);
+    }
+  };
+
+  /**
+   * Registra una conexión y le reproduce los eventos posteriores a ultimoId.
+   * Sin ultimoId (primera conexión) solo recibe los eventos nuevos.
+   * Si se perdieron más eventos de los que se reproducen, envía "resync".
+   *
+   * @param {string} userId - Destinatario de los eventos
+   * @param {Object} transporte
+   * @param {string|null} transporte.sesionId - Sesión del access token (para cerrarSesiones)
+   * @param {number|null} transporte.ultimoId - Last-Event-ID del cliente
+   * @param {Function} transporte.enviar - Escribe { id, evento, payload } en la conexión
+   * @param {Function} transporte.mantener - Escribe un keepalive
+   * @param {Function} transporte.cerrar - Cierra la conexión desde el servidor
+   * @returns {Promise<Function>} Función para quitar la conexión del gateway
+   */
+  async function conectar(userId, { sesionId = null, ultimoId = null, enviar, mantener, cerrar }) {
+    const conexion = {
+      userId,
+      sesionId,
+      desdeId: 0,
+      vistos: new Map(),
+      enviar,
+      mantener,
+      cerrar,
+      reproduciendo: true,
+      pendientes: []
+    };
+
+    if (!conexiones.has(userId)) {
+      conexiones.set(userId, new Set());
+    }
+    conexiones.get(userId).add(conexion);
+
+    try {
+      if (ultimoId === null) {
+        const { data: ultimo, error } = await pushEvents.findLastId({ userId });
+        if (error) {
+          throw error;
+        }
+        conexion.desdeId = ultimo || 0;
+      } else {
+        conexion.desdeId = ultimoId;
+        await reproducir(conexion);
+      }
+    } catch (error) {
+      desconectar(conexion);
+      throw error;
+    }
+
+    conexion.reproduciendo = false;
+    for (const pendiente of conexion.pendientes.sort((a, b) => a.id - b.id)) {
+      entregar(conexion, pendiente);
+    }
+    conexion.pendientes = [];
+
+    return () => desconectar(conexion);
+  }
+
+  async function reproducir(conexion) {
+    const limite = eventos.reproduccionMaxEventos;
+    const { data: perdidos, error } = await pushEvents.listByUserAfter(conexion.userId, conexion.desdeId, limite + 1);
+    if (error) {
+      throw error;
+    }
+
+    if (perdidos.length <= limite) {
+      for (const evento of perdidos) {
+        enviarEvento(conexion, evento);
+      }
+      return;
+    }
+
+    const { data: ultimo, error: errorUltimo } = await pushEvents.findLastId({ userId: conexion.userId });
+    if (errorUltimo) {
+      throw errorUltimo;
+    }
+    const desde = conexion.desdeId;
+    conexion.desdeId = ultimo;
+    conexion.enviar({ id: ultimo, evento: EVENTO_RESINCRONIZAR, payload: { desde } });
+  }
+
+  /**
+   * Guarda un evento para un usuario y lo entrega a sus conexiones en esta instancia.
+   *
+   * @param {string} userId - Destinatario
+   * @param {string} evento - Nombre del evento (ej: "new_trip_request")
+   * @param {Object} payload - Datos del evento
+   * @returns {Promise<{ data: Object|null, error: Object|null }>}
+   */
+  async function publicar(userId, evento, payload) {
+    const { data: guardado, error } = await pushEvents.create({ user_id: userId, evento, payload });
+    if (error) {
+      return { data: null, error };
+    }
+
+    for (const conexion of conexiones.get(userId) || []) {
+      entregar(conexion, guardado);
+    }
+
+    return { data: guardado, error: null };
+  }
+
+  /**
+   * Entrega a las conexiones locales los eventos que publicaron otras instancias.
+   *
+   * Lee push_events solo por id (sin filtrar por usuario: la lista de conectados no entra en
+   * la consulta) y reparte cada evento a las conexiones de su usuario. Desde el cursor vuelve
+   * a leer los eventos de la ventana de sondeo, porque los ids no se confirman en orden: la
+   * deduplicación por conexión evita repetirlos. Sigue leyendo mientras las páginas vengan llenas.
+   */
+  async function sincronizar() {
+    if (conexiones.size === 0) {
+      return;
+    }
+
+    if (cursorSondeo === null) {
+      const desdeIds = [];
+      for (const delUsuario of conexiones.values()) {
+        for (const conexion of delUsuario) {
+          if (!conexion.reproduciendo) {
+            desdeIds.push(conexion.desdeId);
+          }
+        }
+      }
+      if (desdeIds.length === 0) {
+        return;
+      }
+      cursorSondeo = Math.min(...desdeIds);
+    }
+
+    const limite = eventos.reproduccionMaxEventos;
+    const ventanaDesde = Date.now() - eventos.ventanaSondeoSeg * 1000;
+    let nuevos;
+    do {
+      const { data, error } = await pushEvents.listAfter(cursorSondeo, limite);
+      if (error) {
+        throw error;
+      }
+      nuevos = data;
+
+      for (const evento of nuevos) {
+        for (const conexion of conexiones.get(evento.user_id) || []) {
+          entregar(conexion, evento);
+        }
+      }
+
+      for (const evento of nuevos) {
+        if (Date.parse(evento.created_at) >= ventanaDesde) {
+          break;
+        }
+        cursorSondeo = evento.id;
+      }
+      // Página llena de eventos recientes: se avanza igual para no releerla sin fin
+      if (nuevos.length === limite && cursorSondeo < nuevos[nuevos.length - 1].id) {
+        cursorSondeo = nuevos[nuevos.length - 1].id;
+      }
+    } while (nuevos.length === limite);
+
+    for (const delUsuario of conexiones.values()) {
+      for (const conexion of delUsuario) {
+        olvidarVistos(conexion, ventanaDesde - eventos.ventanaSondeoSeg * 1000);
+      }
+    }
+  }
+
+  /**
+   * Cierra las conexiones de esta instancia abiertas con las sesiones indicadas, avisando
+   * antes con "session_closed". Las de otras instancias se cierran al verificar la sesión
+   * en su siguiente keepalive (ver events.controller).
+   *
+   * @param {string} userId
+   * @param {Array<string>} sesionIds - Sesiones revocadas
+   * @returns {number} Conexiones cerradas
+   */
+  function cerrarSesiones(userId, sesionIds) {
+    const afectadas = [...(conexiones.get(userId) || [])].filter((conexion) => sesionIds.includes(conexion.sesionId));
+    for (const conexion of afectadas) {
+      conexion.enviar({ id: null, evento: EVENTO_SESION_CERRADA, payload: {} });
+      conexion.cerrar();
+      desconectar(conexion);
+    }
+    return afectadas.length;
+  }
+
+  /**
+   * Borra los eventos que ya no se reproducen (fuera del período de retención).
+   */
+  async function limpiarEventosVencidos() {
+    const limite = new Date(Date.now() - eventos.retencionMin * 60 * 1000).toISOString();
+    const { error } = await pushEvents.deleteCreatedBefore(limite);
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Envía un keepalive a cada conexión abierta en esta instancia.
+   */
+  function mantenerConexiones() {
+    for (const delUsuario of conexiones.values()) {
+      for (const conexion of delUsuario) {
+        conexion.mantener();
+      }
+    }
+  }
+
+  /** Conexiones abiertas en esta instancia (todas o de un usuario) */
+  function contarConexiones(userId) {
+    if (userId) {
+      return conexiones.get(userId)?.size || 0;
+    }
+    let total = 0;
+    for (const delUsuario of conexiones.values()) {
+      total += delUsuario.size;
+    }
+    return total;
+  }
+
+  /**
+   * Inicia el sondeo de eventos de otras instancias, los keepalive y la limpieza.
+   */
+  function start() {
+    if (sondeoInterval) {
+      console.log("[pushGateway] Servicio ya iniciado.");
+      return;
+    }
+
+    sondeoInterval = setInterval(() => {
+      if (sondeoEnCurso) {
+        return;
+      }
+      sondeoEnCurso = true;
+      sincronizar()
+        .catch((error) => {
+          console.error("[pushGateway] Error al leer eventos de otras instancias:", error);
+        })
+        .finally(() => {
+          sondeoEnCurso = false;
+        });
+    }, eventos.sondeoSeg * 1000);
+    sondeoInterval.unref();
+
+    keepaliveInterval = setInterval(mantenerConexiones, eventos.keepaliveSeg * 1000);
+    keepaliveInterval.unref();
+
+    limpiezaInterval = setInterval(() => {
+      limpiarEventosVencidos().catch((error) => {
+        console.error("[pushGateway] Error al borrar eventos vencidos:", error);
+      });
+    }, eventos.retencionMin * 60 * 1000);
+    limpiezaInterval.unref();
+  }
+
+  /**
+   * Detiene los intervalos y cierra las conexiones abiertas (los clientes reconectan a otra instancia).
+   */
+  function stop() {
+    for (const intervalo of [sondeoInterval, keepaliveInterval, limpiezaInterval]) {
+      if (intervalo) {
+        clearInterval(intervalo);
+      }
+    }
+    sondeoInterval = null;
+    keepaliveInterval = null;
+    limpiezaInterval = null;
+
+    for (const delUsuario of conexiones.values()) {
+      for (const conexion of delUsuario) {
+        conexion.cerrar();
+      }
+    }
+    conexiones.clear();
+    cursorSondeo = null;
+  }
+
+  return {
+    start,
+    stop,
+    conectar,
+    publicar,
+    cerrarSesiones,
+    mantenerConexiones,
+    sincronizar,
+    limpiarEventosVencidos,
+    contarConexiones
+  };
+}
+
+module.exports = {
+  EVENTO_RESINCRONIZAR,
+  EVENTO_SESION_CERRADA,
+  createPushGatewayService
+};
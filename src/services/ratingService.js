@@ -0,0 +1,259 @@
+const calificaciones = require("../config/calificaciones");
+
+/** Etiquetas que el pasajero puede poner al conductor */
+const TAGS_CONDUCTOR = [
+  "amable",
+  "puntual",
+  "conduccion_segura",
+  "vehiculo_limpio",
+  "buena_ruta",
+  "impuntual",
+  "conduccion_brusca",
+  "vehiculo_sucio",
+  "ruta_larga",
+  "mal_trato"
+];
+
+/** Etiquetas que el conductor puede poner al pasajero */
+const TAGS_PASAJERO = ["amable", "puntual", "respetuoso", "impuntual", "mal_trato", "dejo_basura"];
+
+const TAGS_POR_ROL = { conductor: TAGS_CONDUCTOR, pasajero: TAGS_PASAJERO };
+
+const COMENTARIO_MAX = 500;
+
+const ERRORES = {
+  TRIP_NOT_FINISHED: { status: 409, message: "Solo se pueden calificar viajes finalizados" },
+  RATING_WINDOW_CLOSED: { status: 409, message: "Ya no se puede calificar este viaje" },
+  INVALID_TAGS: { status: 400, message: "tags contiene etiquetas no válidas" },
+  ALREADY_RATED: { status: 409, message: "Ya calificaste este viaje" }
+};
+
+const errorCalificacion = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/**
+ * Lee el body de POST /trip/:id/rating.
+ * Body: { estrellas (1 a 5), tags (opcional, lista), comentario (opcional) }
+ *
+ * @returns {{ calificacion: Object|null, mensaje: string|null }}
+ */
+const leerCalificacion = (body) => {
+  const { estrellas, tags = [], comentario = null } = body || {};
+
+  if (!Number.isInteger(estrellas) || estrellas < 1 || estrellas > 5) {
+    return { calificacion: null, mensaje: "estrellas debe ser un entero entre 1 y 5" };
+  }
+
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    return { calificacion: null, mensaje: "tags debe ser una lista de etiquetas" };
+  }
+
+  if (comentario !== null && (typeof comentario !== "string" || comentario.length > COMENTARIO_MAX)) {
+    return { calificacion: null, mensaje: `comentario debe ser un texto de hasta ${COMENTARIO_MAX} caracteres` };
+  }
+
+  return {
+    calificacion: { estrellas, tags: [...new Set(tags)], comentario: comentario?.trim() || null },
+    mensaje: null
+  };
+};
+
+/**
+ * Calificación que ven los demás: el promedio solo con suficientes calificaciones.
+ *
+ * @param {Object|null} fila - Usuario (rol pasajero) o conductor, con rating_promedio y rating_cantidad
+ * @returns {{ promedio: number|null, cantidad: number }}
+ */
+const calificacionPublica = (fila) => {
+  const cantidad = fila?.rating_cantidad || 0;
+  const suficientes = cantidad >= calificaciones.minimoParaPromedio;
+  return {
+    promedio: suficientes && fila.rating_promedio !== null ? Number(fila.rating_promedio) : null,
+    cantidad
+  };
+};
+
+/**
+ * Calificaciones entre pasajero y conductor después de un viaje finalizado.
+ *
+ * Cada participante califica a la otra parte una vez por viaje, dentro de la ventana desde
+ * finished_at. Con cada calificación se recalcula el promedio móvil de quien la recibe
+ * (users para pasajeros, drivers para conductores) y se marca para revisión del admin al
+ * conductor que queda por debajo del umbral.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.tripStateMachine - Máquina de estados (lectura del viaje)
+ * @param {Object} deps.tripRatings - Repositorio de calificaciones
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.drivers - Repositorio de conductores
+ */
+function createRatingService({ tripStateMachine, tripRatings, users, drivers }) {
+  /**
+   * Promedio móvil de las últimas calificaciones recibidas en un rol y total de calificaciones.
+   */
+  async function promedioReciente(rateeId, rol) {
+    const { data: recientes, error } = await tripRatings.listRecentByRatee(
+      rateeId,
+      rol,
+      calificaciones.promedioUltimas
+    );
+    if (error) {
+      throw error;
+    }
+
+    const { count, error: errorConteo } = await tripRatings.countByRatee(rateeId, rol);
+    if (errorConteo) {
+      throw errorConteo;
+    }
+
+    if (recientes.length === 0) {
+      return { rating_promedio: null, rating_cantidad: 0 };
+    }
+
+    const suma = recientes.reduce((total, { estrellas }) => total + estrellas, 0);
+    return {
+      rating_promedio: Math.round((suma / recientes.length) * 100) / 100,
+      rating_cantidad: count
+    };
+  }
+
+  async function actualizarPasajero(pasajeroId) {
+    const resumen = await promedioReciente(pasajeroId, "pasajero");
+    const { error } = await users.updateById(pasajeroId, resumen);
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza el promedio del conductor y su marca de revisión: se marca al quedar por debajo
+   * del umbral (con el mínimo de calificaciones) y se desmarca al superarlo.
+   */
+  async function actualizarConductor(conductorId) {
+    const { data: conductor, error } = await drivers.findByUserId(conductorId);
+    if (error) {
+      throw error;
+    }
+    if (!conductor) {
+      return;
+    }
+
+    const resumen = await promedioReciente(conductorId, "conductor");
+    const bajo =
+      resumen.rating_cantidad >= calificaciones.minimoParaPromedio &&
+      resumen.rating_promedio < calificaciones.umbralRevisionConductor;
+
+    const cambios = { ...resumen, rating_flagged_at: null };
+    if (bajo) {
+      cambios.rating_flagged_at = conductor.rating_flagged_at || new Date().toISOString();
+      if (!conductor.rating_flagged_at) {
+        console.log("[ratings] Conductor marcado por calificación baja:", conductorId, resumen.rating_promedio);
+      }
+    }
+
+    const { error: errorActualizacion } = await drivers.updateByUserId(conductorId, cambios);
+    if (errorActualizacion) {
+      throw errorActualizacion;
+    }
+  }
+
+  /**
+   * Califica a la otra parte de un viaje finalizado.
+   *
+   * @param {Object} user - req.user (pasajero o conductor del viaje)
+   * @param {string} tripId
+   * @param {Object} calificacion - Resultado de leerCalificacion
+   * @returns {Promise<{ data: Object|null, error: { status, code?, message }|null }>}
+   */
+  async function calificarViaje(user, tripId, { estrellas, tags, comentario }) {
+    const { data: viaje, error: errorViaje } = await tripStateMachine.obtenerViaje(tripId);
+    if (errorViaje) {
+      return { data: null, error: errorViaje };
+    }
+
+    let rolCalificado;
+    let rateeId;
+    if (viaje.pasajero_id === user.userId) {
+      rolCalificado = "conductor";
+      rateeId = viaje.conductor_id;
+    } else if (viaje.conductor_id && viaje.conductor_id === user.userId) {
+      rolCalificado = "pasajero";
+      rateeId = viaje.pasajero_id;
+    } else {
+      return { data: null, error: { status: 403, message: "No participaste en este viaje" } };
+    }
+
+    if (viaje.estado !== "finalizado") {
+      return errorCalificacion("TRIP_NOT_FINISHED");
+    }
+
+    const cierre = new Date(viaje.finished_at).getTime() + calificaciones.ventanaHoras * 60 * 60 * 1000;
+    if (Date.now() > cierre) {
+      return errorCalificacion("RATING_WINDOW_CLOSED");
+    }
+
+    if (tags.some((tag) => !TAGS_POR_ROL[rolCalificado].includes(tag))) {
+      const { error } = errorCalificacion("INVALID_TAGS");
+      return {
+        data: null,
+        error: { ...error, message: `${error.message}. Valores permitidos: ${TAGS_POR_ROL[rolCalificado].join(", ")}` }
+      };
+    }
+
+    const { data: guardada, error } = await tripRatings.create({
+      trip_id: viaje.id,
+      rater_id: user.userId,
+      ratee_id: rateeId,
+      rol_calificado: rolCalificado,
+      estrellas,
+      tags,
+      comentario
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorCalificacion("ALREADY_RATED");
+      }
+      throw error;
+    }
+
+    // La calificación ya quedó guardada: si falla el recálculo se registra y se responde igual.
+    // Cada recálculo lee todas las calificaciones, así que el siguiente corrige el promedio.
+    try {
+      if (rolCalificado === "conductor") {
+        await actualizarConductor(rateeId);
+      } else {
+        await actualizarPasajero(rateeId);
+      }
+    } catch (errorResumen) {
+      console.error("[ratings] Error al recalcular la calificación de:", rateeId, errorResumen);
+    }
+
+    return { data: guardada, error: null };
+  }
+
+  /**
+   * Calificación pública de un conductor (para el pasajero al asignarse el viaje).
+   *
+   * @returns {Promise<{ promedio: number|null, cantidad: number }>}
+   */
+  async function calificacionConductor(conductorId) {
+    const { data: conductor, error } = await drivers.findByUserId(conductorId);
+    if (error) {
+      throw error;
+    }
+    return calificacionPublica(conductor);
+  }
+
+  return {
+    calificarViaje,
+    calificacionConductor
+  };
+}
+
+module.exports = {
+  TAGS_CONDUCTOR,
+  TAGS_PASAJERO,
+  leerCalificacion,
+  calificacionPublica,
+  createRatingService
+};
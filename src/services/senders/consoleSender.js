@@ -0,0 +1,11 @@
+/**
+ * Sender de desarrollo: escribe cada mensaje en los logs del servidor.
+ * No usar en producción (los códigos quedan en los logs).
+ */
+const createConsoleSender = () => ({
+  async enviar({ canal, destino, asunto, mensaje }) {
+    console.log(`[sender:console] ${canal} → ${destino}${asunto ? ` | ${asunto}` : ""} | ${mensaje}`);
+  }
+});
+
+module.exports = createConsoleSender;
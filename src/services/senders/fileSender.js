@@ -0,0 +1,16 @@
+const fs = require("fs/promises");
+
+/**
+ * Sender de desarrollo: agrega cada mensaje como una línea JSON al archivo indicado.
+ *
+ * @param {Object} options
+ * @param {string} options.archivo - Ruta del archivo de salida
+ */
+const createFileSender = ({ archivo }) => ({
+  async enviar({ canal, destino, asunto, mensaje }) {
+    const linea = JSON.stringify({ fecha: new Date().toISOString(), canal, destino, asunto: asunto || null, mensaje });
+    await fs.appendFile(archivo, linea + "\n", "utf8");
+  }
+});
+
+module.exports = createFileSender;
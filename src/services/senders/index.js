@@ -0,0 +1,35 @@
+/**
+ * Adaptadores de envío de mensajes (códigos de un solo uso).
+ *
+ * Todos implementan la misma interfaz:
+ *   enviar({ canal, destino, asunto?, mensaje }) → Promise<void>
+ * - canal: "email" | "sms"
+ * - destino: email o teléfono del usuario
+ *
+ * Para agregar un proveedor (SMS, email) se crea otro adaptador con esa interfaz
+ * y se registra en ADAPTADORES.
+ */
+
+const mensajeria = require("../../config/mensajeria");
+const createConsoleSender = require("./consoleSender");
+const createFileSender = require("./fileSender");
+
+const ADAPTADORES = {
+  console: () => createConsoleSender(),
+  file: () => createFileSender({ archivo: mensajeria.archivo })
+};
+
+/**
+ * Crea el sender configurado en CODE_SENDER.
+ */
+const createSender = (nombre = mensajeria.sender) => {
+  const crear = ADAPTADORES[nombre];
+  if (!crear) {
+    throw new Error(`CODE_SENDER no válido: ${nombre}. Valores permitidos: ${Object.keys(ADAPTADORES).join(", ")}`);
+  }
+  return crear();
+};
+
+module.exports = {
+  createSender
+};
@@ -0,0 +1,36 @@
+/**
+ * Adaptadores de almacenamiento de archivos (documentos de conductores).
+ *
+ * Todos implementan la misma interfaz:
+ *   guardar({ clave, contenido, contentType }) → Promise<{ ref }>
+ *   obtener(ref) → Promise<Buffer>
+ * - clave: ruta lógica del archivo (p. ej. "<driverId>/licencia-<uuid>.pdf")
+ * - ref: referencia que se guarda en la base de datos para leerlo después
+ *
+ * Para agregar un proveedor (Supabase Storage, S3) se crea otro adaptador con esa
+ * interfaz y se registra en ADAPTADORES.
+ */
+
+const almacenamiento = require("../../config/almacenamiento");
+const createLocalStorage = require("./localStorage");
+
+const ADAPTADORES = {
+  local: () => createLocalStorage({ directorio: almacenamiento.directorio })
+};
+
+/**
+ * Crea el almacenamiento configurado en STORAGE_ADAPTER.
+ */
+const createStorage = (nombre = almacenamiento.adapter) => {
+  const crear = ADAPTADORES[nombre];
+  if (!crear) {
+    throw new Error(
+      `STORAGE_ADAPTER no válido: ${nombre}. Valores permitidos: ${Object.keys(ADAPTADORES).join(", ")}`
+    );
+  }
+  return crear();
+};
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,37 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Almacenamiento de desarrollo: guarda cada archivo en disco bajo el directorio indicado.
+ * La referencia devuelta es la ruta relativa al directorio.
+ *
+ * @param {Object} options
+ * @param {string} options.directorio - Directorio raíz de los archivos
+ */
+const createLocalStorage = ({ directorio }) => {
+  const raiz = path.resolve(directorio);
+
+  /** Ruta absoluta de una referencia; rechaza referencias que salgan del directorio */
+  const rutaDe = (ref) => {
+    const ruta = path.resolve(raiz, ref);
+    if (!ruta.startsWith(raiz + path.sep)) {
+      throw new Error("Referencia de archivo no válida: " + ref);
+    }
+    return ruta;
+  };
+
+  return {
+    async guardar({ clave, contenido }) {
+      const ruta = rutaDe(clave);
+      await fs.mkdir(path.dirname(ruta), { recursive: true });
+      await fs.writeFile(ruta, contenido);
+      return { ref: clave };
+    },
+
+    async obtener(ref) {
+      return fs.readFile(rutaDe(ref));
+    }
+  };
+};
+
+module.exports = createLocalStorage;
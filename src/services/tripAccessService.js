@@ -0,0 +1,211 @@
+/**
+ * Autorización de lectura de viajes.
+ *
+ * Decide con qué acceso lee un usuario un viaje y arma la respuesta según ese acceso:
+ * - admin: el viaje completo
+ * - pasajero / conductor del viaje: sus datos y los de la otra parte con su calificación
+ *   (teléfono solo mientras el viaje está asignado o en progreso)
+ * - ofertado: conductor con una oferta vigente del viaje; ve el recorrido y la tarifa, pero no
+ *   quién es el pasajero hasta aceptar
+ */
+const { calificacionPublica } = require("./ratingService");
+
+const ACCESOS = {
+  ADMIN: "admin",
+  PASAJERO: "pasajero",
+  CONDUCTOR: "conductor",
+  OFERTADO: "ofertado"
+};
+
+const TODOS_LOS_ACCESOS = Object.values(ACCESOS);
+
+/** Estados en los que los participantes ven el teléfono del otro */
+const ESTADOS_CON_CONTACTO = ["asignado", "en_progreso"];
+
+/** Campos que ve cualquiera con acceso al viaje */
+const CAMPOS_PUBLICOS = [
+  "id",
+  "estado",
+  "pickup_lat",
+  "pickup_lng",
+  "pickup_address",
+  "pickup_reference",
+  "destination_lat",
+  "destination_lng",
+  "destination_address",
+  "quoted_fare",
+  "fare_currency",
+  "estimated_distance_km",
+  "estimated_duration_min",
+  "created_at"
+];
+
+/** Campos que además ven el pasajero y el conductor del viaje */
+const CAMPOS_PARTICIPANTES = [
+  "pasajero_id",
+  "conductor_id",
+  "vehicle_id",
+  "vehiculo",
+  "fare_breakdown",
+  "accepted_at",
+  "arrived_at",
+  "started_at",
+  "finished_at",
+  "cancelled_at",
+  "cancelled_by",
+  "cancel_reason",
+  "cancellation_fee",
+  "driven_distance_km",
+  "final_fare",
+  "final_fare_breakdown"
+];
+
+const elegir = (viaje, campos) => {
+  const resultado = {};
+  for (const campo of campos) {
+    resultado[campo] = viaje[campo] ?? null;
+  }
+  return resultado;
+};
+
+const sinPermiso = () => ({
+  data: null,
+  error: { status: 403, message: "No tienes permisos para ver este viaje" }
+});
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.tripStateMachine - Máquina de estados (lectura del viaje)
+ * @param {Object} deps.tripOffers - Repositorio de ofertas
+ * @param {Object} deps.users - Repositorio de usuarios
+ * @param {Object} deps.drivers - Repositorio de conductores (calificación del conductor)
+ */
+function createTripAccessService({ tripStateMachine, tripOffers, users, drivers }) {
+  /**
+   * Acceso del usuario al viaje y, si es un conductor ofertado, su oferta vigente.
+   *
+   * @param {Object} viaje
+   * @param {Object} user - req.user
+   * @returns {Promise<{ acceso: string|null, oferta: Object|null }>}
+   */
+  async function resolverAcceso(viaje, user) {
+    if ((user.roles || []).includes("admin")) {
+      return { acceso: ACCESOS.ADMIN, oferta: null };
+    }
+    if (viaje.pasajero_id === user.userId) {
+      return { acceso: ACCESOS.PASAJERO, oferta: null };
+    }
+    if (viaje.conductor_id && viaje.conductor_id === user.userId) {
+      return { acceso: ACCESOS.CONDUCTOR, oferta: null };
+    }
+
+    if (viaje.estado === "buscando") {
+      const { data: oferta, error } = await tripOffers.findPending(viaje.id, user.userId, new Date().toISOString());
+      if (error) {
+        throw error;
+      }
+      if (oferta) {
+        return { acceso: ACCESOS.OFERTADO, oferta };
+      }
+    }
+
+    return { acceso: null, oferta: null };
+  }
+
+  /**
+   * Lee un viaje verificando que el usuario tenga uno de los accesos permitidos.
+   *
+   * @param {string} tripId
+   * @param {Object} user - req.user
+   * @param {Object} [opciones]
+   * @param {Array<string>} [opciones.permitidos] - Accesos aceptados (por defecto todos)
+   * @returns {Promise<{ data: { viaje, acceso, oferta }|null, error: { status, message }|null }>}
+   */
+  async function leerViaje(tripId, user, { permitidos = TODOS_LOS_ACCESOS } = {}) {
+    const { data: viaje, error } = await tripStateMachine.obtenerViaje(tripId);
+    if (error) {
+      return { data: null, error };
+    }
+
+    const { acceso, oferta } = await resolverAcceso(viaje, user);
+    if (!acceso || !permitidos.includes(acceso)) {
+      return sinPermiso();
+    }
+
+    return { data: { viaje, acceso, oferta }, error: null };
+  }
+
+  /**
+   * Datos públicos de la otra parte del viaje (teléfono solo si conTelefono).
+   * La calificación del pasajero está en users y la del conductor en drivers.
+   */
+  async function contacto(userId, { conTelefono, esConductor }) {
+    const { data: usuario, error } = await users.findById(userId);
+    if (error) {
+      throw error;
+    }
+    if (!usuario) {
+      return null;
+    }
+
+    let calificado = usuario;
+    if (esConductor) {
+      const { data: conductor, error: errorConductor } = await drivers.findByUserId(userId);
+      if (errorConductor) {
+        throw errorConductor;
+      }
+      calificado = conductor;
+    }
+
+    return {
+      id: usuario.id,
+      nombre: usuario.nombre || null,
+      foto_url: usuario.foto_url || null,
+      telefono: conTelefono ? usuario.telefono || null : null,
+      calificacion: calificacionPublica(calificado)
+    };
+  }
+
+  /**
+   * Respuesta del viaje según el acceso del usuario.
+   *
+   * @returns {Promise<Object>}
+   */
+  async function proyectarViaje({ viaje, acceso, oferta }) {
+    if (acceso === ACCESOS.ADMIN) {
+      return { ...viaje, acceso };
+    }
+
+    if (acceso === ACCESOS.OFERTADO) {
+      return {
+        ...elegir(viaje, CAMPOS_PUBLICOS),
+        acceso,
+        oferta: { offerId: oferta.id, expiresAt: oferta.expires_at, distancia_km: oferta.distancia_km }
+      };
+    }
+
+    const conTelefono = ESTADOS_CON_CONTACTO.includes(viaje.estado);
+    const resultado = { ...elegir(viaje, CAMPOS_PUBLICOS), ...elegir(viaje, CAMPOS_PARTICIPANTES), acceso };
+
+    if (acceso === ACCESOS.PASAJERO) {
+      resultado.conductor = viaje.conductor_id
+        ? await contacto(viaje.conductor_id, { conTelefono, esConductor: true })
+        : null;
+    } else {
+      resultado.pasajero = await contacto(viaje.pasajero_id, { conTelefono, esConductor: false });
+    }
+
+    return resultado;
+  }
+
+  return {
+    resolverAcceso,
+    leerViaje,
+    proyectarViaje
+  };
+}
+
+module.exports = {
+  ACCESOS,
+  createTripAccessService
+};
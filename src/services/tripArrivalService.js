@@ -0,0 +1,131 @@
+const llegada = require("../config/llegada");
+const tarifas = require("../config/tarifas");
+const { haversineKm } = require("../utils/geo");
+
+const ERRORES = {
+  NOT_TRIP_DRIVER: { status: 403, message: "Solo el conductor asignado puede marcar la llegada" },
+  TRIP_NOT_ASSIGNED: { status: 409, message: "Solo se puede marcar la llegada en un viaje asignado" },
+  ALREADY_ARRIVED: { status: 409, message: "La llegada a la recogida ya fue registrada" },
+  DRIVER_NOT_AT_PICKUP: { status: 409, message: "Debes estar en el punto de recogida" },
+  TRIP_STATE_CHANGED: { status: 409, message: "El viaje ya no está disponible (estado cambió)" }
+};
+
+const errorLlegada = (code, message = ERRORES[code].message) => ({
+  data: null,
+  error: { status: ERRORES[code].status, code, message }
+});
+
+/**
+ * Distancia (metros) entre un punto y la recogida del viaje.
+ */
+const distanciaARecogida = (viaje, { lat, lng }) =>
+  Math.round(haversineKm(viaje.pickup_lat, viaje.pickup_lng, lat, lng) * 1000);
+
+/**
+ * Indica si el conductor envió su ubicación hace menos de la antigüedad máxima configurada.
+ *
+ * @param {Object|null} conductor - Fila de drivers
+ * @param {number} [ahora] - Fecha de referencia (ms)
+ */
+const ubicacionVigente = (conductor, ahora = Date.now()) =>
+  Boolean(conductor?.location_recorded_at) &&
+  ahora - Date.parse(conductor.location_recorded_at) <= llegada.ubicacionMaximaSeg * 1000;
+
+/**
+ * Indica si la ubicación actual del conductor es reciente y está dentro del radio de la recogida.
+ * Una ubicación vieja no cuenta: el conductor pudo irse después de enviarla.
+ *
+ * @param {Object} viaje - Con pickup_lat y pickup_lng
+ * @param {Object|null} conductor - Fila de drivers (lat/lng null si nunca envió su ubicación)
+ */
+const conductorEnRecogida = (viaje, conductor) =>
+  Boolean(conductor) &&
+  conductor.lat !== null &&
+  conductor.lng !== null &&
+  ubicacionVigente(conductor) &&
+  distanciaARecogida(viaje, conductor) <= llegada.radioRecogidaM;
+
+/**
+ * Llegada del conductor al punto de recogida (POST /trip/arrived).
+ *
+ * Valida la ubicación actual (y reciente) del conductor contra la recogida y guarda arrived_at, que inicia
+ * la espera gratis. La espera cobrada se suma al finalizar (tripRouteService.liquidarViaje).
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.drivers - Repositorio de conductores (ubicación actual)
+ * @param {Object} deps.tripStateMachine - Máquina de estados (lectura e historial del viaje)
+ */
+function createTripArrivalService({ trips, drivers, tripStateMachine }) {
+  /**
+   * @param {Object} user - req.user (conductor del viaje)
+   * @param {string} tripId
+   * @returns {Promise<{ data: { viaje, esperaGratisHasta }|null, error: { status, code?, message }|null }>}
+   */
+  async function marcarLlegada(user, tripId) {
+    const { data: viaje, error } = await tripStateMachine.obtenerViaje(tripId);
+    if (error) {
+      return { data: null, error };
+    }
+
+    if (!viaje.conductor_id || viaje.conductor_id !== user.userId) {
+      return errorLlegada("NOT_TRIP_DRIVER");
+    }
+    if (viaje.estado !== "asignado") {
+      return errorLlegada("TRIP_NOT_ASSIGNED");
+    }
+    if (viaje.arrived_at) {
+      return errorLlegada("ALREADY_ARRIVED");
+    }
+
+    const { data: conductor, error: errorConductor } = await drivers.findByUserId(user.userId);
+    if (errorConductor) {
+      throw errorConductor;
+    }
+    if (!conductorEnRecogida(viaje, conductor)) {
+      let detalle = "";
+      if (conductor && conductor.lat !== null) {
+        detalle = ubicacionVigente(conductor)
+          ? `. Estás a ${distanciaARecogida(viaje, conductor)} m (máximo ${llegada.radioRecogidaM} m)`
+          : ". Tu ubicación no está actualizada: envía tu posición actual";
+      }
+      return errorLlegada("DRIVER_NOT_AT_PICKUP", ERRORES.DRIVER_NOT_AT_PICKUP.message + detalle);
+    }
+
+    const { data: actualizado, error: errorActualizacion } = await trips.markArrived(
+      viaje.id,
+      new Date().toISOString()
+    );
+    if (errorActualizacion) {
+      throw errorActualizacion;
+    }
+    if (!actualizado) {
+      return errorLlegada("TRIP_STATE_CHANGED");
+    }
+
+    await tripStateMachine.registrarEvento({
+      tripId: viaje.id,
+      accion: "llegar",
+      estadoAnterior: viaje.estado,
+      estadoNuevo: actualizado.estado,
+      actor: "conductor",
+      actorId: user.userId,
+      metadata: { distancia_m: distanciaARecogida(viaje, conductor) }
+    });
+
+    const esperaGratisHasta = new Date(
+      Date.parse(actualizado.arrived_at) + tarifas.esperaGratisMin * 60 * 1000
+    ).toISOString();
+
+    return { data: { viaje: actualizado, esperaGratisHasta }, error: null };
+  }
+
+  return {
+    marcarLlegada
+  };
+}
+
+module.exports = {
+  conductorEnRecogida,
+  createTripArrivalService
+};
@@ -0,0 +1,124 @@
+const despacho = require("../config/despacho");
+const { camposTransicion } = require("./tripStateMachine");
+
+const MOTIVO_SIN_CONDUCTOR = "sin_conductor";
+
+/**
+ * Barrido de viajes atascados en "buscando".
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.tripStateMachine - Máquina de estados (historial de eventos)
+ * @param {Object} deps.dispatch - Servicio de despacho (cancelar ofertas pendientes)
+ * @param {Object} deps.passengerNotification - Servicio de notificaciones a pasajeros
+ */
+function createTripExpirationService({ trips, tripStateMachine, dispatch, passengerNotification }) {
+  let barridoInterval = null;
+  let barridoEnCurso = false;
+
+  /**
+   * Pasa a "expirado" los viajes que siguen en "buscando" después del timeout configurado.
+   *
+   * Es seguro con varias instancias del servidor: el UPDATE filtra por estado = 'buscando'
+   * (la misma guarda optimista de tripStateMachine), así que cada viaje solo lo devuelve,
+   * registra y notifica la instancia que lo cambió.
+   *
+   * @returns {Promise<Array>} Viajes expirados por esta instancia
+   */
+  async function expirarViajesSinConductor() {
+    const limite = new Date(Date.now() - despacho.busquedaTimeoutSeg * 1000).toISOString();
+
+    const { data: expirados, error } = await trips.updateStaleByEstado("buscando", limite, {
+      ...camposTransicion("expirar", "sistema"),
+      expiration_reason: MOTIVO_SIN_CONDUCTOR
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    for (const viaje of expirados || []) {
+      console.log("[tripExpiration] Viaje expirado sin conductor:", viaje.id);
+
+      // El viaje ya quedó expirado y ningún barrido lo vuelve a tomar: un error en un paso
+      // no debe cortar los demás ni los de los otros viajes del lote
+      try {
+        await tripStateMachine.registrarEvento({
+          tripId: viaje.id,
+          accion: "expirar",
+          estadoAnterior: "buscando",
+          estadoNuevo: "expirado",
+          actor: "sistema",
+          motivo: viaje.expiration_reason
+        });
+      } catch (errorEvento) {
+        console.error("[tripExpiration] Error al registrar el evento del viaje:", viaje.id, errorEvento);
+      }
+
+      try {
+        await dispatch.cancelarOfertasPendientes(viaje.id);
+      } catch (errorOfertas) {
+        console.error("[tripExpiration] Error al cancelar ofertas del viaje:", viaje.id, errorOfertas);
+      }
+
+      passengerNotification.notifyPassenger(viaje.pasajero_id, "trip_expired", {
+        tripId: viaje.id,
+        reason: viaje.expiration_reason,
+        expiredAt: viaje.expired_at
+      });
+    }
+
+    return expirados || [];
+  }
+
+  /**
+   * Inicia el barrido periódico de viajes atascados en "buscando".
+   */
+  function start() {
+    if (barridoInterval) {
+      console.log("[tripExpiration] Servicio ya iniciado.");
+      return;
+    }
+
+    barridoInterval = setInterval(async () => {
+      // Evitar barridos solapados en la misma instancia si uno tarda más que el intervalo
+      if (barridoEnCurso) {
+        return;
+      }
+      barridoEnCurso = true;
+      try {
+        await expirarViajesSinConductor();
+      } catch (error) {
+        console.error("[tripExpiration] Error en barrido de viajes:", error);
+      } finally {
+        barridoEnCurso = false;
+      }
+    }, despacho.barridoExpiracionSeg * 1000);
+    barridoInterval.unref();
+
+    console.log(
+      "[tripExpiration] Servicio iniciado. Timeout:",
+      despacho.busquedaTimeoutSeg,
+      "s, barrido cada",
+      despacho.barridoExpiracionSeg,
+      "s"
+    );
+  }
+
+  function stop() {
+    if (barridoInterval) {
+      clearInterval(barridoInterval);
+      barridoInterval = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    expirarViajesSinConductor
+  };
+}
+
+module.exports = {
+  createTripExpirationService
+};
@@ -0,0 +1,175 @@
+const { ESTADOS_VIAJE } = require("./tripStateMachine");
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 50;
+
+/** Quién pudo cancelar un viaje (columna cancelled_by) */
+const CANCELADO_POR = ["pasajero", "conductor", "admin"];
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Partes del cursor: van dentro del filtro or() de PostgREST, donde "," y "()" son sintaxis
+const CURSOR_FECHA_REGEX = /^[\dT:.+\- Z]+$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Cursor opaco de la página siguiente: (created_at, id) del último viaje devuelto.
+ */
+const codificarCursor = (viaje) =>
+  Buffer.from(JSON.stringify([viaje.created_at, viaje.id])).toString("base64url");
+
+const decodificarCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const fechaValida =
+      typeof createdAt === "string" && CURSOR_FECHA_REGEX.test(createdAt) && !Number.isNaN(Date.parse(createdAt));
+    if (!fechaValida || typeof id !== "string" || !UUID_REGEX.test(id)) {
+      return null;
+    }
+    return { created_at: createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fecha de la query: ISO con hora o solo fecha (YYYY-MM-DD, en UTC).
+ * Con comoLimiteExclusivo devuelve el primer instante posterior: el día siguiente si es solo
+ * fecha (abarca el día completo) o un milisegundo después si trae hora.
+ *
+ * @returns {string|null} ISO o null si no es válida
+ */
+const leerFecha = (valor, { comoLimiteExclusivo = false } = {}) => {
+  if (typeof valor !== "string" || Number.isNaN(Date.parse(valor))) {
+    return null;
+  }
+  const fecha = new Date(valor);
+  if (comoLimiteExclusivo) {
+    if (FECHA_REGEX.test(valor)) {
+      fecha.setUTCDate(fecha.getUTCDate() + 1);
+    } else {
+      fecha.setTime(fecha.getTime() + 1);
+    }
+  }
+  return fecha.toISOString();
+};
+
+/**
+ * Lee los filtros de GET /trip/pasajero y GET /trip/conductor (mismo contrato en ambos).
+ *
+ * Query: limit (1 a 50, por defecto 20), cursor (de la página anterior), estado (uno o varios
+ * separados por coma), desde y hasta (inclusive, sobre created_at), cancelado_por.
+ *
+ * @returns {{ filtros: Object|null, mensaje: string|null }}
+ */
+const leerFiltrosHistorial = (query) => {
+  const filtros = { limit: LIMITE_POR_DEFECTO, cursor: null, estados: null, desde: null, hasta: null, canceladoPor: null };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+      return { filtros: null, mensaje: `limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}` };
+    }
+    filtros.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    filtros.cursor = typeof query.cursor === "string" ? decodificarCursor(query.cursor) : null;
+    if (!filtros.cursor) {
+      return { filtros: null, mensaje: "cursor no válido" };
+    }
+  }
+
+  if (query.estado !== undefined) {
+    const estados = typeof query.estado === "string" ? query.estado.split(",").map((e) => e.trim()) : [];
+    if (estados.length === 0 || estados.some((e) => !ESTADOS_VIAJE.includes(e))) {
+      return { filtros: null, mensaje: `estado no válido. Valores permitidos: ${ESTADOS_VIAJE.join(", ")}` };
+    }
+    filtros.estados = [...new Set(estados)];
+  }
+
+  for (const [campo, opciones] of [["desde", {}], ["hasta", { comoLimiteExclusivo: true }]]) {
+    if (query[campo] === undefined) {
+      continue;
+    }
+    const fecha = leerFecha(query[campo], opciones);
+    if (!fecha) {
+      return { filtros: null, mensaje: `${campo} debe ser una fecha ISO (YYYY-MM-DD o con hora)` };
+    }
+    filtros[campo] = fecha;
+  }
+
+  if (filtros.desde && filtros.hasta && filtros.desde >= filtros.hasta) {
+    return { filtros: null, mensaje: "desde debe ser anterior a hasta" };
+  }
+
+  if (query.cancelado_por !== undefined) {
+    if (!CANCELADO_POR.includes(query.cancelado_por)) {
+      return { filtros: null, mensaje: `cancelado_por no válido. Valores permitidos: ${CANCELADO_POR.join(", ")}` };
+    }
+    filtros.canceladoPor = query.cancelado_por;
+  }
+
+  return { filtros, mensaje: null };
+};
+
+/**
+ * Historial de viajes de pasajeros y conductores: página por cursor y totales por estado.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ */
+function createTripHistoryService({ trips }) {
+  /**
+   * @param {Object} participante - { pasajeroId } o { conductorId }
+   * @param {Object} filtros - Resultado de leerFiltrosHistorial
+   * @returns {Promise<{ data: { viajes, paginacion, resumen }, error: null }>}
+   */
+  async function listarHistorial(participante, { limit, cursor, ...filtros }) {
+    const consulta = { ...participante, ...filtros };
+
+    // Un viaje de más para saber si hay otra página
+    const { data: pagina, error } = await trips.listHistory({ ...consulta, cursor, limit: limit + 1 });
+    if (error) {
+      throw error;
+    }
+
+    const { data: totales, error: errorTotales } = await trips.summarizeHistory(consulta);
+    if (errorTotales) {
+      throw errorTotales;
+    }
+
+    const hayMas = pagina.length > limit;
+    const viajes = pagina.slice(0, limit);
+
+    const porEstado = Object.fromEntries(ESTADOS_VIAJE.map((estado) => [estado, 0]));
+    for (const { estado, total } of totales || []) {
+      porEstado[estado] = Number(total);
+    }
+
+    return {
+      data: {
+        viajes,
+        paginacion: {
+          limit,
+          hayMas,
+          siguienteCursor: hayMas ? codificarCursor(viajes[viajes.length - 1]) : null
+        },
+        resumen: {
+          total: Object.values(porEstado).reduce((suma, total) => suma + total, 0),
+          por_estado: porEstado
+        }
+      },
+      error: null
+    };
+  }
+
+  return {
+    listarHistorial
+  };
+}
+
+module.exports = {
+  leerFiltrosHistorial,
+  createTripHistoryService
+};
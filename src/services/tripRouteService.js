@@ -0,0 +1,396 @@
+const recorrido = require("../config/recorrido");
+const { haversineKm } = require("../utils/geo");
+const { calcularTarifa, agregarEspera, estimarRecorrido } = require("./fareService");
+
+/** Estados del viaje en los que se guarda la ubicación del conductor */
+const ESTADOS_CON_RECORRIDO = ["asignado", "en_progreso"];
+
+/** Viajes recientes del conductor entre los que se busca el de cada punto de un lote */
+const VIAJES_POR_LOTE = 10;
+
+const redondearKm = (km) => Math.round(km * 1000) / 1000;
+
+/** Segundos desde finished_at antes de reintentar un viaje sin liquidar (deja terminar la liquidación en curso) */
+const MARGEN_REINTENTO_SEG = 30;
+
+const errorLote = (code, message) => ({ data: null, error: { status: 400, code, message } });
+
+/**
+ * Recorrido GeoJSON y distancia (km) de una lista de puntos en orden cronológico.
+ */
+const construirRecorrido = (puntos) => {
+  let distanciaKm = 0;
+  for (let i = 1; i < puntos.length; i++) {
+    distanciaKm += haversineKm(puntos[i - 1].lat, puntos[i - 1].lng, puntos[i].lat, puntos[i].lng);
+  }
+
+  return {
+    // GeoJSON usa [lng, lat]
+    ruta: { type: "LineString", coordinates: puntos.map((p) => [p.lng, p.lat]) },
+    distancia_km: redondearKm(distanciaKm),
+    puntos: puntos.length
+  };
+};
+
+/**
+ * Valida un lote de puntos capturados sin conexión (POST /driver/location/batch).
+ *
+ * Rechaza el lote entero si los recordedAt no son estrictamente crecientes o alguno está en
+ * el futuro. Los saltos imposibles (velocidad respecto del último punto aceptado mayor a
+ * RECORRIDO_VELOCIDAD_MAXIMA_KMH) se descartan punto a punto, porque suelen ser fallas del GPS.
+ *
+ * @param {Array<Object>} puntos - [{ lat, lng, recordedAt (ISO), accuracy, speed, heading }] con formato ya validado
+ * @returns {{ data: { aceptados: Array<Object>, rechazados: Array<{ indice, motivo }> }|null, error: Object|null }}
+ */
+const validarLote = (puntos) => {
+  const limiteFuturo = Date.now() + recorrido.toleranciaRelojSeg * 1000;
+
+  for (let i = 0; i < puntos.length; i++) {
+    const fecha = Date.parse(puntos[i].recordedAt);
+    if (fecha > limiteFuturo) {
+      return errorLote("BATCH_FUTURE_TIMESTAMP", `El punto ${i} tiene un recordedAt en el futuro`);
+    }
+    if (i > 0 && fecha <= Date.parse(puntos[i - 1].recordedAt)) {
+      return errorLote("BATCH_NOT_MONOTONIC", `recordedAt debe ser estrictamente creciente (punto ${i})`);
+    }
+  }
+
+  const aceptados = [];
+  const rechazados = [];
+
+  puntos.forEach((punto, indice) => {
+    const anterior = aceptados[aceptados.length - 1];
+    if (anterior) {
+      const horas = (Date.parse(punto.recordedAt) - Date.parse(anterior.recordedAt)) / 3600000;
+      const km = haversineKm(anterior.lat, anterior.lng, punto.lat, punto.lng);
+      if (km / horas > recorrido.velocidadMaximaKmh) {
+        rechazados.push({ indice, motivo: "salto_imposible" });
+        return;
+      }
+    }
+    aceptados.push(punto);
+  });
+
+  return { data: { aceptados, rechazados }, error: null };
+};
+
+/**
+ * Historial de ubicaciones de los viajes: registro de puntos, recorrido y tarifa final.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.driverLocations - Repositorio del historial de ubicaciones
+ */
+function createTripRouteService({ trips, driverLocations }) {
+  let reintentoInterval = null;
+  let reintentoEnCurso = false;
+
+  /**
+   * Indica si el punto nuevo aporta al recorrido respecto del último guardado.
+   */
+  const debeGuardarse = (ultimo, punto, estadoViaje, fecha) => {
+    const segundos = ultimo ? (Date.parse(fecha) - Date.parse(ultimo.recorded_at)) / 1000 : 0;
+    // Sin punto anterior, en otro estado del viaje o anterior a él (lote atrasado): se guarda
+    if (!ultimo || ultimo.estado_viaje !== estadoViaje || segundos < 0) {
+      return true;
+    }
+    const metros = haversineKm(ultimo.lat, ultimo.lng, punto.lat, punto.lng) * 1000;
+    return segundos >= recorrido.intervaloMinimoSeg && metros >= recorrido.distanciaMinimaM;
+  };
+
+  /**
+   * Guarda la ubicación en el historial del viaje activo del conductor.
+   * Se descarta si no tiene viaje activo, si la precisión es mala o si llega antes del
+   * intervalo mínimo o sin moverse lo suficiente desde el último punto.
+   *
+   * @param {string} driverId
+   * @param {Object} punto - { lat, lng, accuracy?, speed?, heading? } ya validados
+   * @returns {Promise<{ data: Object|null, error: null }>} Punto guardado o null si se descartó
+   */
+  async function registrarUbicacion(driverId, { lat, lng, accuracy = null, speed = null, heading = null }) {
+    const { data: activos, error } = await trips.findByConductorAndEstados(driverId, ESTADOS_CON_RECORRIDO);
+    if (error) {
+      throw error;
+    }
+
+    const viaje = (activos || [])[0];
+    if (!viaje || (accuracy !== null && accuracy > recorrido.precisionMaximaM)) {
+      return { data: null, error: null };
+    }
+
+    const fecha = new Date().toISOString();
+
+    const { data: ultimo, error: errorUltimo } = await driverLocations.findLastByTrip(viaje.id);
+    if (errorUltimo) {
+      throw errorUltimo;
+    }
+
+    if (!debeGuardarse(ultimo, { lat, lng }, viaje.estado, fecha)) {
+      return { data: null, error: null };
+    }
+
+    const { data: guardado, error: errorCreacion } = await driverLocations.create({
+      driver_id: driverId,
+      trip_id: viaje.id,
+      estado_viaje: viaje.estado,
+      lat,
+      lng,
+      accuracy_m: accuracy,
+      speed_mps: speed,
+      heading,
+      recorded_at: fecha
+    });
+
+    if (errorCreacion) {
+      throw errorCreacion;
+    }
+
+    return { data: guardado, error: null };
+  }
+
+  /**
+   * Agrega al historial los puntos de un lote capturado sin conexión. Cada punto va al viaje
+   * que el conductor tenía en ese momento (según accepted_at, started_at y el cierre del viaje);
+   * los puntos fuera de un viaje, imprecisos o demasiado seguidos no se guardan.
+   *
+   * @param {string} driverId
+   * @param {Array<Object>} puntos - Puntos aceptados por validarLote, en orden cronológico
+   * @returns {Promise<{ data: { guardados: number }, error: null }>}
+   */
+  async function registrarLote(driverId, puntos) {
+    const hasta = puntos[puntos.length - 1].recordedAt;
+
+    const { data: viajes, error } = await trips.listAcceptedByConductorBefore(driverId, hasta, VIAJES_POR_LOTE);
+    if (error) {
+      throw error;
+    }
+
+    const viajeEn = (instante) =>
+      (viajes || []).find((v) => {
+        const cierre = v.finished_at || v.cancelled_at;
+        return Date.parse(v.accepted_at) <= instante && (!cierre || instante <= Date.parse(cierre));
+      });
+
+    // Último punto de cada viaje (guardado o de este lote) para filtrar por frecuencia
+    const ultimos = new Map();
+    const filas = [];
+
+    for (const { lat, lng, recordedAt, accuracy = null, speed = null, heading = null } of puntos) {
+      const fecha = new Date(recordedAt).toISOString();
+      const instante = Date.parse(fecha);
+      const viaje = viajeEn(instante);
+      if (!viaje || (accuracy !== null && accuracy > recorrido.precisionMaximaM)) {
+        continue;
+      }
+
+      if (!ultimos.has(viaje.id)) {
+        const { data: ultimo, error: errorUltimo } = await driverLocations.findLastByTrip(viaje.id);
+        if (errorUltimo) {
+          throw errorUltimo;
+        }
+        ultimos.set(viaje.id, ultimo);
+      }
+
+      const estadoViaje =
+        viaje.started_at && Date.parse(viaje.started_at) <= instante ? "en_progreso" : "asignado";
+      if (!debeGuardarse(ultimos.get(viaje.id), { lat, lng }, estadoViaje, fecha)) {
+        continue;
+      }
+
+      const fila = {
+        driver_id: driverId,
+        trip_id: viaje.id,
+        estado_viaje: estadoViaje,
+        lat,
+        lng,
+        accuracy_m: accuracy,
+        speed_mps: speed,
+        heading,
+        recorded_at: fecha
+      };
+      filas.push(fila);
+      ultimos.set(viaje.id, fila);
+    }
+
+    if (filas.length > 0) {
+      const { error: errorCreacion } = await driverLocations.createMany(filas);
+      if (errorCreacion) {
+        throw errorCreacion;
+      }
+    }
+
+    return { data: { guardados: filas.length }, error: null };
+  }
+
+  /**
+   * Recorrido del viaje con el pasajero (puntos "en_progreso").
+   *
+   * @returns {Promise<{ ruta: Object, distancia_km: number, puntos: number }>}
+   */
+  async function obtenerRecorrido(tripId) {
+    const { data: puntos, error } = await driverLocations.listByTrip(tripId, { estadoViaje: "en_progreso" });
+    if (error) {
+      throw error;
+    }
+    return construirRecorrido(puntos || []);
+  }
+
+  /**
+   * Desglose de la tarifa final. Con al menos dos puntos del recorrido usa la distancia
+   * recorrida y la duración real; si no, lo cotizado, y sin cotización la estimación de
+   * recogida a destino (o la tarifa mínima si el viaje no tiene coordenadas).
+   * En todos los casos se suman los minutos de espera en la recogida que superan la espera gratis.
+   */
+  async function calcularLiquidacion(viaje) {
+    const { distancia_km, puntos } = await obtenerRecorrido(viaje.id);
+    const duracionMin = Math.max(1, Math.ceil((Date.parse(viaje.finished_at) - Date.parse(viaje.started_at)) / 60000));
+
+    let desglose;
+    if (puntos >= 2) {
+      desglose = {
+        ...calcularTarifa({ distancia_km, duracion_min: duracionMin }),
+        distancia_km,
+        duracion_min: duracionMin,
+        fuente: "recorrido"
+      };
+    } else if (viaje.fare_breakdown) {
+      desglose = {
+        ...viaje.fare_breakdown,
+        distancia_km: viaje.estimated_distance_km,
+        duracion_min: viaje.estimated_duration_min,
+        fuente: "cotizacion"
+      };
+    } else {
+      const conCoordenadas = [viaje.pickup_lat, viaje.pickup_lng, viaje.destination_lat, viaje.destination_lng].every(
+        (valor) => valor !== null && valor !== undefined
+      );
+      const estimado = conCoordenadas
+        ? estimarRecorrido(
+            { lat: viaje.pickup_lat, lng: viaje.pickup_lng },
+            { lat: viaje.destination_lat, lng: viaje.destination_lng }
+          )
+        : { distancia_km: 0, duracion_min: 0 };
+      desglose = { ...calcularTarifa(estimado), ...estimado, fuente: "estimacion" };
+    }
+
+    return { distancia_km, desglose: agregarEspera(desglose, viaje) };
+  }
+
+  /**
+   * Guarda la tarifa final de un viaje finalizado. Lanza el error si no se pudo guardar.
+   *
+   * @returns {Promise<Object|null>} Viaje liquidado o null si ya no está finalizado
+   */
+  async function liquidar(viaje) {
+    const { distancia_km, desglose } = await calcularLiquidacion(viaje);
+
+    const { data: liquidado, error } = await trips.updateIfEstado(viaje.id, "finalizado", {
+      driven_distance_km: distancia_km,
+      final_fare: desglose.total,
+      final_fare_breakdown: desglose,
+      fare_currency: desglose.moneda
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return liquidado;
+  }
+
+  /**
+   * Calcula y guarda la tarifa final de un viaje recién finalizado (ver calcularLiquidacion).
+   *
+   * La finalización ya está confirmada: un fallo aquí no la revierte. El viaje queda con
+   * final_fare en null y liquidarPendientes lo reintenta.
+   *
+   * @param {Object} viaje - Fila de trips en "finalizado"
+   * @returns {Promise<Object>} Viaje con driven_distance_km, final_fare y final_fare_breakdown
+   */
+  async function liquidarViaje(viaje) {
+    try {
+      return (await liquidar(viaje)) || viaje;
+    } catch (error) {
+      console.error("[tripRoute] Error al calcular la tarifa final del viaje (se reintentará):", viaje.id, error);
+      return viaje;
+    }
+  }
+
+  /**
+   * Reintenta la tarifa final de los viajes finalizados que quedaron sin liquidar.
+   *
+   * @returns {Promise<Array<string>>} Ids de los viajes liquidados
+   */
+  async function liquidarPendientes() {
+    const limite = new Date(Date.now() - MARGEN_REINTENTO_SEG * 1000).toISOString();
+    const { data: pendientes, error } = await trips.listUnsettled(limite, recorrido.loteLiquidacion);
+    if (error) {
+      throw error;
+    }
+
+    const liquidados = [];
+    for (const viaje of pendientes || []) {
+      try {
+        if (await liquidar(viaje)) {
+          liquidados.push(viaje.id);
+        }
+      } catch (errorViaje) {
+        console.error("[tripRoute] Error al reintentar la tarifa final del viaje:", viaje.id, errorViaje);
+      }
+    }
+
+    if (liquidados.length > 0) {
+      console.log("[tripRoute] Viajes finalizados liquidados en el reintento:", liquidados);
+    }
+
+    return liquidados;
+  }
+
+  /**
+   * Inicia el reintento periódico de viajes sin liquidar.
+   */
+  function start() {
+    if (reintentoInterval) {
+      console.log("[tripRoute] Servicio ya iniciado.");
+      return;
+    }
+
+    reintentoInterval = setInterval(async () => {
+      if (reintentoEnCurso) {
+        return;
+      }
+      reintentoEnCurso = true;
+      try {
+        await liquidarPendientes();
+      } catch (error) {
+        console.error("[tripRoute] Error al reintentar liquidaciones:", error);
+      } finally {
+        reintentoEnCurso = false;
+      }
+    }, recorrido.reintentoLiquidacionSeg * 1000);
+    reintentoInterval.unref();
+  }
+
+  function stop() {
+    if (reintentoInterval) {
+      clearInterval(reintentoInterval);
+      reintentoInterval = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    registrarUbicacion,
+    registrarLote,
+    obtenerRecorrido,
+    liquidarViaje,
+    liquidarPendientes
+  };
+}
+
+module.exports = {
+  construirRecorrido,
+  validarLote,
+  createTripRouteService
+};
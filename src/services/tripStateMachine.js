@@ -0,0 +1,390 @@
+/** Estados válidos del viaje */
+const ESTADOS_VIAJE = ["buscando", "asignado", "en_progreso", "finalizado", "cancelado", "expirado"];
+
+/** Estados en los que el viaje sigue activo */
+const ESTADOS_ACTIVOS = ["buscando", "asignado", "en_progreso"];
+
+/**
+ * Transiciones permitidas.
+ *
+ * - hacia: estado destino
+ * - desde: por tipo de actor, estados desde los que puede aplicar la transición
+ *   (pasajero = pasajero del viaje, conductor = conductor del viaje o candidato al aceptar,
+ *   sistema = procesos internos como el barrido de expiración,
+ *   admin = operaciones forzadas desde /admin para viajes trabados)
+ * - timestamp: columna que se llena con la fecha de la transición
+ * - columnaActor: (opcional) columna donde se guarda el tipo de actor que aplicó la transición
+ * - requiere: columnas que deben existir en el viaje antes de la transición
+ * - rpc: (opcional) función de Postgres que aplica la transición en una sola transacción
+ *   cuando también cambia otras tablas (drivers, trip_offers). Ver supabase/trip_transitions.sql
+ */
+const TRANSICIONES = {
+  aceptar: {
+    hacia: "asignado",
+    desde: { conductor: ["buscando"] },
+    timestamp: "accepted_at",
+    requiere: [],
+    rpc: "accept_trip",
+    sinPermiso: "Solo los conductores pueden aceptar viajes"
+  },
+  iniciar: {
+    hacia: "en_progreso",
+    desde: { conductor: ["asignado"] },
+    timestamp: "started_at",
+    requiere: ["conductor_id", "accepted_at"],
+    sinPermiso: "Solo el conductor asignado puede iniciar este viaje"
+  },
+  finalizar: {
+    hacia: "finalizado",
+    desde: { conductor: ["en_progreso"], admin: ["en_progreso"] },
+    timestamp: "finished_at",
+    requiere: ["conductor_id", "started_at"],
+    rpc: "finish_trip",
+    sinPermiso: "Solo el conductor asignado puede finalizar este viaje"
+  },
+  cancelar: {
+    hacia: "cancelado",
+    desde: {
+      pasajero: ["buscando", "asignado"],
+      conductor: ["asignado", "en_progreso"],
+      admin: ["buscando", "asignado", "en_progreso"]
+    },
+    timestamp: "cancelled_at",
+    columnaActor: "cancelled_by",
+    requiere: [],
+    rpc: "cancel_trip",
+    sinPermiso: "No tienes permisos para cancelar este viaje"
+  },
+  expirar: {
+    hacia: "expirado",
+    desde: { sistema: ["buscando"] },
+    timestamp: "expired_at",
+    requiere: [],
+    sinPermiso: "Solo el sistema puede expirar un viaje"
+  }
+};
+
+/**
+ * Códigos de conflicto devueltos por las funciones de supabase/trip_transitions.sql
+ */
+const CONFLICTOS_RPC = {
+  TRIP_NOT_FOUND: { status: 404, message: "Viaje no encontrado" },
+  TRIP_STATE_CHANGED: { status: 409, message: "El viaje ya no está disponible (estado cambió)" },
+  TRIP_ALREADY_TAKEN: { status: 409, message: "Otro conductor ya aceptó este viaje" },
+  NOT_TRIP_DRIVER: { status: 403, message: "Solo el conductor asignado puede modificar este viaje" },
+  DRIVER_NOT_FOUND: { status: 404, message: "Conductor no encontrado en el sistema" },
+  DRIVER_NOT_AVAILABLE: { status: 400, message: "El conductor no está disponible" },
+  DRIVER_HAS_ACTIVE_TRIP: { status: 409, message: "Ya tienes un viaje activo. No puedes aceptar otro." },
+  OFFER_NOT_AVAILABLE: { status: 409, message: "No tienes una oferta vigente para este viaje" },
+  VEHICLE_REQUIRED: { status: 409, message: "Registra y activa un vehículo antes de aceptar viajes" }
+};
+
+/**
+ * Tipos de actor que cumple el usuario respecto de un viaje.
+ * Sin usuario (procesos internos) el actor es "sistema".
+ * Con user.comoAdmin (rutas /admin) el único actor posible es "admin", aunque el admin
+ * también sea pasajero o conductor del viaje.
+ *
+ * @param {string} accion - Clave de TRANSICIONES
+ * @param {Object} viaje - Fila de trips
+ * @param {Object|null} user - req.user ({ userId, roles }) o null
+ * @returns {Array<string>}
+ */
+const resolverActores = (accion, viaje, user) => {
+  if (!user) {
+    return ["sistema"];
+  }
+
+  const roles = user.roles || [];
+
+  if (user.comoAdmin) {
+    return roles.includes("admin") ? ["admin"] : [];
+  }
+  const actores = [];
+
+  if (roles.includes("pasajero") && viaje.pasajero_id === user.userId) {
+    actores.push("pasajero");
+  }
+
+  const esConductorDelViaje = viaje.conductor_id && viaje.conductor_id === user.userId;
+  const esCandidato = accion === "aceptar";
+  if (roles.includes("conductor") && (esConductorDelViaje || esCandidato)) {
+    actores.push("conductor");
+  }
+
+  return actores;
+};
+
+/**
+ * Valida si un usuario puede aplicar una transición sobre un viaje (sin escribir nada).
+ *
+ * @returns {{ actor: string|null, error: { status: number, message: string }|null }}
+ */
+const validarTransicion = (accion, viaje, user) => {
+  const transicion = TRANSICIONES[accion];
+  if (!transicion) {
+    return { actor: null, error: { status: 500, message: "Transición desconocida: " + accion } };
+  }
+
+  const actoresPermitidos = resolverActores(accion, viaje, user).filter((a) => transicion.desde[a]);
+  if (actoresPermitidos.length === 0) {
+    return { actor: null, error: { status: 403, message: transicion.sinPermiso } };
+  }
+
+  const actor = actoresPermitidos.find((a) => transicion.desde[a].includes(viaje.estado));
+  if (!actor && accion === "aceptar" && viaje.conductor_id && viaje.conductor_id !== user.userId) {
+    return {
+      actor: null,
+      error: { status: 409, code: "TRIP_ALREADY_TAKEN", message: CONFLICTOS_RPC.TRIP_ALREADY_TAKEN.message }
+    };
+  }
+
+  if (!actor) {
+    const estadosValidos = [...new Set(actoresPermitidos.flatMap((a) => transicion.desde[a]))];
+    return {
+      actor: null,
+      error: {
+        status: 400,
+        message:
+          `Transición de estado no válida. No se puede ${accion} un viaje en estado '${viaje.estado}'. ` +
+          `Estados permitidos: ${estadosValidos.join(", ")}`
+      }
+    };
+  }
+
+  const faltantes = transicion.requiere.filter((campo) => viaje[campo] === undefined || viaje[campo] === null);
+  if (faltantes.length > 0) {
+    return {
+      actor: null,
+      error: { status: 409, message: "El viaje está incompleto para esta transición: falta " + faltantes.join(", ") }
+    };
+  }
+
+  return { actor, error: null };
+};
+
+/**
+ * Columnas que escribe una transición (estado destino, su timestamp y el actor si corresponde).
+ */
+const camposTransicion = (accion, actor, fecha = new Date().toISOString()) => {
+  const transicion = TRANSICIONES[accion];
+  const campos = {
+    estado: transicion.hacia,
+    [transicion.timestamp]: fecha
+  };
+  if (transicion.columnaActor) {
+    campos[transicion.columnaActor] = actor;
+  }
+  return campos;
+};
+
+/**
+ * Crea la máquina de estados de viajes sobre los repositorios inyectados.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.tripEvents - Repositorio de historial de viajes
+ * @param {Object} deps.pushGateway - Gateway de notificaciones (avisa cada cambio a los participantes)
+ */
+function createTripStateMachine({ trips, tripEvents, pushGateway }) {
+  /**
+   * Registra una fila de historial en trip_events.
+   * Un fallo aquí se registra en logs pero no revierte la transición ya aplicada.
+   */
+  const registrarEvento = async ({ tripId, accion, estadoAnterior, estadoNuevo, actor, actorId, motivo, metadata }) => {
+    const { error } = await tripEvents.create({
+      trip_id: tripId,
+      accion,
+      estado_anterior: estadoAnterior,
+      estado_nuevo: estadoNuevo,
+      actor_tipo: actor,
+      actor_id: actorId || null,
+      motivo: motivo || null,
+      metadata: metadata || null
+    });
+
+    if (error) {
+      console.error("[tripStateMachine] Error al registrar evento del viaje:", tripId, accion, error);
+    }
+  };
+
+  /**
+   * Avisa el cambio de estado al pasajero y, si ya tiene, al conductor del viaje (evento "trip_updated").
+   * Como el historial, un fallo aquí no revierte la transición.
+   */
+  const notificarParticipantes = async (viaje, estadoAnterior, accion, actor) => {
+    const payload = { tripId: viaje.id, accion, estado: viaje.estado, estadoAnterior, actor };
+    const destinatarios = [viaje.pasajero_id, viaje.conductor_id].filter(Boolean);
+
+    for (const userId of destinatarios) {
+      const { error } = await pushGateway.publicar(userId, "trip_updated", payload);
+      if (error) {
+        console.error("[tripStateMachine] Error al notificar el cambio del viaje:", viaje.id, accion, error);
+      }
+    }
+  };
+
+  /**
+   * Lee un viaje por id.
+   *
+   * @returns {Promise<{ data: Object|null, error: { status: number, message: string }|null }>}
+   */
+  const obtenerViaje = async (tripId) => {
+    const { data: viaje, error } = await trips.findById(tripId);
+
+    if (error) {
+      console.error("Error al consultar viaje:", error);
+      return { data: null, error: { status: 500, message: "Error interno" } };
+    }
+
+    if (!viaje) {
+      return { data: null, error: { status: 404, message: "Viaje no encontrado" } };
+    }
+
+    return { data: viaje, error: null };
+  };
+
+  /**
+   * Ejecuta una transición transaccional (supabase/trip_transitions.sql) y traduce su código de resultado.
+   *
+   * @returns {Promise<{ data: Object|null, error: { status: number, code?: string, message: string }|null }>}
+   */
+  const aplicarTransicionRpc = async (rpc, previo, actor, actorId, motivo, parametrosRpc) => {
+    const { data: resultado, error } = await trips.runTransition(rpc, {
+      ...parametrosRpc,
+      p_trip_id: previo.id,
+      p_estado_esperado: previo.estado,
+      p_actor_tipo: actor,
+      p_actor_id: actorId,
+      p_motivo: motivo || null
+    });
+
+    if (error) {
+      console.error(`Error en RPC ${rpc}:`, error);
+      return { data: null, error: { status: 500, message: "Error interno" } };
+    }
+
+    if (!resultado || resultado.codigo !== "OK") {
+      const codigo = resultado ? resultado.codigo : "TRIP_STATE_CHANGED";
+      const conflicto = CONFLICTOS_RPC[codigo] || { status: 409, message: "No se pudo aplicar la transición" };
+      return { data: null, error: { status: conflicto.status, code: codigo, message: conflicto.message } };
+    }
+
+    return { data: resultado.trip, error: null };
+  };
+
+  /**
+   * Aplica una transición de estado sobre un viaje.
+   *
+   * El UPDATE filtra por el estado leído (concurrencia optimista): si otro proceso cambió
+   * el viaje entretanto, no se actualiza nada y se devuelve 409.
+   * Las transiciones con "rpc" se delegan a Postgres, que además actualiza drivers/trip_offers
+   * y escribe trip_events en la misma transacción (en ese caso "cambios" no se usa).
+   *
+   * @param {Object} params
+   * @param {string} params.tripId
+   * @param {string} params.accion - Clave de TRANSICIONES
+   * @param {Object|null} params.user - req.user o null para el sistema
+   * @param {Object} [params.cambios] - Columnas adicionales a escribir (ej: conductor_id)
+   * @param {string} [params.motivo] - Motivo que se guarda en el historial
+   * @param {Object} [params.parametrosRpc] - Parámetros propios de la función (ej: p_cargo en cancel_trip)
+   * @param {Object} [params.viaje] - Viaje ya leído (evita una consulta extra)
+   * @returns {Promise<{ data: Object|null, previo: Object|null, actor: string|null, error: Object|null }>}
+   */
+  const aplicarTransicion = async ({
+    tripId,
+    accion,
+    user,
+    cambios = {},
+    motivo = null,
+    parametrosRpc = {},
+    viaje = null
+  }) => {
+    let previo = viaje;
+    if (!previo) {
+      const { data, error } = await obtenerViaje(tripId);
+      if (error) {
+        return { data: null, previo: null, actor: null, error };
+      }
+      previo = data;
+    }
+
+    const { actor, error: errorValidacion } = validarTransicion(accion, previo, user);
+    if (errorValidacion) {
+      return { data: null, previo, actor: null, error: errorValidacion };
+    }
+
+    const transicion = TRANSICIONES[accion];
+    const actorId = user ? user.userId : null;
+
+    if (transicion.rpc) {
+      const { data: actualizado, error } = await aplicarTransicionRpc(
+        transicion.rpc,
+        previo,
+        actor,
+        actorId,
+        motivo,
+        parametrosRpc
+      );
+      if (!error) {
+        await notificarParticipantes(actualizado, previo.estado, accion, actor);
+      }
+      return { data: actualizado, previo, actor, error };
+    }
+
+    const { data: actualizado, error: errorActualizacion } = await trips.updateIfEstado(previo.id, previo.estado, {
+      ...cambios,
+      ...camposTransicion(accion, actor)
+    });
+
+    if (errorActualizacion) {
+      console.error("Error al actualizar viaje:", errorActualizacion);
+      return { data: null, previo, actor, error: { status: 500, message: "Error interno" } };
+    }
+
+    if (!actualizado) {
+      return {
+        data: null,
+        previo,
+        actor,
+        error: { status: 409, code: "TRIP_STATE_CHANGED", message: CONFLICTOS_RPC.TRIP_STATE_CHANGED.message }
+      };
+    }
+
+    await registrarEvento({
+      tripId: previo.id,
+      accion,
+      estadoAnterior: previo.estado,
+      estadoNuevo: actualizado.estado,
+      actor,
+      actorId,
+      motivo
+    });
+    await notificarParticipantes(actualizado, previo.estado, accion, actor);
+
+    return { data: actualizado, previo, actor, error: null };
+  };
+
+  /**
+   * Historial de transiciones de un viaje, en orden cronológico.
+   */
+  const obtenerEventos = async (tripId) => {
+    return tripEvents.listByTrip(tripId);
+  };
+
+  return {
+    registrarEvento,
+    obtenerViaje,
+    aplicarTransicion,
+    obtenerEventos
+  };
+}
+
+module.exports = {
+  ESTADOS_VIAJE,
+  ESTADOS_ACTIVOS,
+  TRANSICIONES,
+  validarTransicion,
+  camposTransicion,
+  createTripStateMachine
+};
@@ -0,0 +1,173 @@
+const jwt = require("jsonwebtoken");
+const seguimiento = require("../config/seguimiento");
+const { estimarRecorrido } = require("./fareService");
+
+/** Estados del viaje en los que el pasajero sigue al conductor */
+const ESTADOS_CON_SEGUIMIENTO = ["asignado", "en_progreso"];
+
+const EVENTO_UBICACION = "driver_location";
+
+/** Canal privado del viaje; solo su pasajero y su conductor pueden unirse (supabase/trip_tracking.sql) */
+const nombreCanal = (tripId) => `trip-tracking:${tripId}`;
+
+/**
+ * ETA del conductor: hasta la recogida mientras el viaje está asignado, hasta el destino
+ * cuando está en progreso. Usa la misma estimación que la cotización (fareService).
+ *
+ * @param {Object} viaje - Viaje con estado, pickup_lat/lng y destination_lat/lng
+ * @param {{ lat: number, lng: number }} posicion - Posición actual del conductor
+ * @returns {{ hacia: string, distancia_km: number, duracion_min: number, llegada_estimada: string }|null}
+ *   null si el viaje en progreso no tiene destino
+ */
+const calcularEta = (viaje, posicion) => {
+  const enProgreso = viaje.estado === "en_progreso";
+  const objetivo = enProgreso
+    ? { lat: viaje.destination_lat, lng: viaje.destination_lng }
+    : { lat: viaje.pickup_lat, lng: viaje.pickup_lng };
+
+  if (objetivo.lat == null || objetivo.lng == null) {
+    return null;
+  }
+
+  const { distancia_km, duracion_min } = estimarRecorrido(posicion, objetivo);
+
+  return {
+    hacia: enProgreso ? "destino" : "recogida",
+    distancia_km,
+    duracion_min,
+    llegada_estimada: new Date(Date.now() + duracion_min * 60 * 1000).toISOString()
+  };
+};
+
+/**
+ * Seguimiento del viaje en tiempo real: publica cada ubicación del conductor, con su ETA,
+ * en el canal privado del viaje mientras está asignado o en progreso.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.trips - Repositorio de viajes
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object|null} deps.realtime - Cliente de Supabase para Realtime; sin él solo se registra en logs
+ */
+function createTripTrackingService({ trips, drivers, realtime = null }) {
+  /**
+   * Envía la ubicación por la API REST de Realtime. El canal se crea solo para el envío:
+   * el servidor no necesita unirse a cada viaje activo.
+   */
+  async function enviar(tripId, payload) {
+    if (!realtime) {
+      console.log("[tripTracking] Sin cliente realtime, no se envía", EVENTO_UBICACION, "del viaje:", tripId);
+      return;
+    }
+
+    const canal = realtime.channel(nombreCanal(tripId), { config: { private: true } });
+    try {
+      await canal.httpSend(EVENTO_UBICACION, payload);
+    } finally {
+      await realtime.removeChannel(canal);
+    }
+  }
+
+  /**
+   * Publica la ubicación del conductor en el canal de su viaje activo, si tiene uno.
+   *
+   * @param {string} driverId - user_id del conductor
+   * @param {Object} punto - { lat, lng, speed?, heading?, recordedAt? }
+   * @returns {Promise<{ data: Object|null, error: null }>} Payload publicado o null si no tiene viaje activo
+   */
+  async function publicarUbicacion(driverId, { lat, lng, speed = null, heading = null, recordedAt = null }) {
+    const { data: activos, error } = await trips.findByConductorAndEstados(driverId, ESTADOS_CON_SEGUIMIENTO);
+    if (error) {
+      throw error;
+    }
+
+    const viaje = (activos || [])[0];
+    if (!viaje) {
+      return { data: null, error: null };
+    }
+
+    const payload = {
+      tripId: viaje.id,
+      estado: viaje.estado,
+      lat,
+      lng,
+      speed,
+      heading,
+      recordedAt: recordedAt || new Date().toISOString(),
+      eta: calcularEta(viaje, { lat, lng })
+    };
+
+    await enviar(viaje.id, payload);
+
+    return { data: payload, error: null };
+  }
+
+  /**
+   * Estado actual del seguimiento de un viaje (GET /trip/:id/tracking): canal, última
+   * ubicación conocida del conductor y ETA. Incluye un token de Realtime para el usuario.
+   *
+   * @param {Object} viaje - Viaje ya leído (el controlador valida que el usuario participa)
+   * @param {string} userId - Usuario que se suscribirá al canal
+   * @returns {Promise<{ data: Object|null, error: Object|null }>}
+   */
+  async function obtenerSeguimiento(viaje, userId) {
+    if (!ESTADOS_CON_SEGUIMIENTO.includes(viaje.estado)) {
+      return {
+        data: null,
+        error: {
+          status: 409,
+          code: "TRIP_NOT_TRACKABLE",
+          message: `El viaje no se puede seguir en estado "${viaje.estado}"`
+        }
+      };
+    }
+
+    const { data: driver, error } = await drivers.findByUserId(viaje.conductor_id);
+    if (error) {
+      throw error;
+    }
+
+    const conUbicacion = driver && driver.lat != null && driver.lng != null;
+    const posicion = conUbicacion ? { lat: driver.lat, lng: driver.lng } : null;
+
+    return {
+      data: {
+        tripId: viaje.id,
+        estado: viaje.estado,
+        canal: nombreCanal(viaje.id),
+        evento: EVENTO_UBICACION,
+        ...emitirTokenRealtime(userId),
+        conductor: posicion && { ...posicion, recordedAt: driver.location_recorded_at || null },
+        eta: posicion && calcularEta(viaje, posicion)
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Token corto para que el cliente se una al canal privado con la anon key.
+   * Realtime lo valida con el JWT secret del proyecto y las políticas RLS leen auth.uid() (sub).
+   * Sin SUPABASE_JWT_SECRET devuelve null y el cliente debe usar su propia sesión de Supabase.
+   */
+  function emitirTokenRealtime(userId) {
+    const secreto = process.env.SUPABASE_JWT_SECRET;
+    if (!secreto) {
+      return { realtimeToken: null, realtimeTokenExpiresAt: null };
+    }
+
+    const expiraEn = Math.floor(Date.now() / 1000) + seguimiento.tokenRealtimeTtlSeg;
+    const realtimeToken = jwt.sign({ sub: userId, role: "authenticated", aud: "authenticated", exp: expiraEn }, secreto);
+
+    return { realtimeToken, realtimeTokenExpiresAt: new Date(expiraEn * 1000).toISOString() };
+  }
+
+  return {
+    publicarUbicacion,
+    obtenerSeguimiento
+  };
+}
+
+module.exports = {
+  ESTADOS_CON_SEGUIMIENTO,
+  calcularEta,
+  createTripTrackingService
+};
@@ -0,0 +1,177 @@
+/**
+ * Vehículos de los conductores. Cada conductor tiene como máximo uno activo,
+ * que es el que accept_trip asigna al viaje.
+ */
+
+const ERRORES = {
+  DRIVER_NOT_FOUND: {
+    status: 404,
+    message: "Conductor no encontrado en el sistema. Regístrate primero con POST /driver/register"
+  },
+  VEHICLE_NOT_FOUND: { status: 404, message: "Vehículo no encontrado" },
+  PLATE_TAKEN: { status: 409, message: "Ya hay un vehículo registrado con esa placa" },
+  VEHICLE_IN_USE: {
+    status: 409,
+    message: "No puedes cambiar de vehículo activo ni eliminarlo mientras estás disponible o en un viaje. Pasa a offline primero"
+  },
+  VEHICLE_CONFLICT: { status: 409, message: "Tus vehículos cambiaron mientras se procesaba la solicitud. Inténtalo de nuevo" }
+};
+
+const errorVehiculo = (code) => ({ data: null, error: { ...ERRORES[code], code } });
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.drivers - Repositorio de conductores
+ * @param {Object} deps.vehicles - Repositorio de vehículos
+ */
+function createVehicleService({ drivers, vehicles }) {
+  const obtenerConductor = async (driverId) => {
+    const { data: driver, error } = await drivers.findByUserId(driverId);
+    if (error) {
+      throw error;
+    }
+    return driver;
+  };
+
+  /**
+   * Distingue la placa duplicada de la carrera por el vehículo activo (ambas son 23505).
+   */
+  const errorUnico = async (placa, vehicleId = null) => {
+    const { data: existente, error } = await vehicles.findByPlaca(placa);
+    if (error) {
+      throw error;
+    }
+    return existente && existente.id !== vehicleId ? errorVehiculo("PLATE_TAKEN") : errorVehiculo("VEHICLE_CONFLICT");
+  };
+
+  /**
+   * Vehículos del conductor, más antiguos primero.
+   */
+  async function listarVehiculos(driverId) {
+    const { data, error } = await vehicles.listByDriver(driverId);
+    if (error) {
+      throw error;
+    }
+    return { data: data || [], error: null };
+  }
+
+  /**
+   * Vehículo activo del conductor o null.
+   */
+  async function vehiculoActivo(driverId) {
+    const { data, error } = await vehicles.findActiveByDriver(driverId);
+    if (error) {
+      throw error;
+    }
+    return data || null;
+  }
+
+  /**
+   * Registra un vehículo. El primero del conductor queda activo.
+   *
+   * @param {string} driverId
+   * @param {Object} datos - { placa (normalizada), marca, modelo, color, anio, cascos } ya validados
+   */
+  async function registrarVehiculo(driverId, datos) {
+    const driver = await obtenerConductor(driverId);
+    if (!driver) {
+      return errorVehiculo("DRIVER_NOT_FOUND");
+    }
+
+    const activo = await vehiculoActivo(driverId);
+
+    const { data: creado, error } = await vehicles.create({ ...datos, driver_id: driverId, activo: !activo });
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorUnico(datos.placa);
+      }
+      throw error;
+    }
+
+    return { data: creado, error: null };
+  }
+
+  /**
+   * Actualiza los datos de un vehículo del conductor. Los viajes ya aceptados
+   * conservan la copia que se guardó al aceptarlos.
+   */
+  async function actualizarVehiculo(driverId, vehicleId, cambios) {
+    const { data: actualizado, error } = await vehicles.updateByIdAndDriver(vehicleId, driverId, cambios);
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorUnico(cambios.placa, vehicleId);
+      }
+      throw error;
+    }
+
+    if (!actualizado) {
+      return errorVehiculo("VEHICLE_NOT_FOUND");
+    }
+
+    return { data: actualizado, error: null };
+  }
+
+  /**
+   * Marca el vehículo como el activo del conductor y desactiva el anterior, en una sola
+   * transacción (activate_vehicle). Solo se puede cambiar estando offline, para no cambiar
+   * de vehículo en medio de un viaje.
+   */
+  async function activarVehiculo(driverId, vehicleId) {
+    const { data: resultado, error } = await vehicles.activateForDriver(vehicleId, driverId);
+    if (error) {
+      throw error;
+    }
+
+    if (resultado.codigo !== "OK") {
+      return errorVehiculo(resultado.codigo);
+    }
+
+    return { data: resultado.vehicle, error: null };
+  }
+
+  /**
+   * Elimina un vehículo. El activo solo se puede eliminar estando offline;
+   * el conductor queda sin vehículo activo hasta que active otro.
+   */
+  async function eliminarVehiculo(driverId, vehicleId) {
+    const { data: vehiculo, error } = await vehicles.findByIdAndDriver(vehicleId, driverId);
+    if (error) {
+      throw error;
+    }
+    if (!vehiculo) {
+      return errorVehiculo("VEHICLE_NOT_FOUND");
+    }
+
+    if (vehiculo.activo) {
+      const driver = await obtenerConductor(driverId);
+      if (driver && driver.estado !== "offline") {
+        return errorVehiculo("VEHICLE_IN_USE");
+      }
+    }
+
+    const { data: eliminado, error: errorEliminar } = await vehicles.deleteByIdAndDriver(vehicleId, driverId);
+    if (errorEliminar) {
+      throw errorEliminar;
+    }
+    if (!eliminado) {
+      return errorVehiculo("VEHICLE_NOT_FOUND");
+    }
+
+    return { data: eliminado, error: null };
+  }
+
+  return {
+    listarVehiculos,
+    vehiculoActivo,
+    registrarVehiculo,
+    actualizarVehiculo,
+    activarVehiculo,
+    eliminarVehiculo
+  };
+}
+
+module.exports = {
+  createVehicleService
+};
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+
+/**
+ * Códigos numéricos de un solo uso (recuperación de contraseña, verificación de teléfono).
+ */
+
+/**
+ * Genera un código numérico aleatorio con ceros a la izquierda (ej: "042917").
+ *
+ * @param {number} longitud - Cantidad de dígitos
+ * @returns {string}
+ */
+const generarCodigo = (longitud) => {
+  const max = 10 ** longitud;
+  return String(crypto.randomInt(0, max)).padStart(longitud, "0");
+};
+
+/**
+ * Hash del código para guardarlo en la base de datos.
+ * Es un HMAC con una clave derivada de JWT_SECRET y del propósito: sin el secreto del servidor
+ * no se puede probar el millón de combinaciones contra una copia de la tabla.
+ *
+ * @param {string} codigo
+ * @param {string} proposito - Ej: "password_reset"
+ * @returns {string} Hash en hexadecimal
+ */
+const hashCodigo = (codigo, proposito) => {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET no está definido en las variables de entorno");
+  }
+  const clave = crypto.createHmac("sha256", jwtSecret).update(proposito).digest();
+  return crypto.createHmac("sha256", clave).update(String(codigo)).digest("hex");
+};
+
+/**
+ * Compara un código recibido con su hash guardado en tiempo constante.
+ */
+const codigoCoincide = (codigo, hashGuardado, proposito) => {
+  const recibido = Buffer.from(hashCodigo(codigo, proposito), "hex");
+  const guardado = Buffer.from(hashGuardado, "hex");
+  return recibido.length === guardado.length && crypto.timingSafeEqual(recibido, guardado);
+};
+
+module.exports = {
+  generarCodigo,
+  hashCodigo,
+  codigoCoincide
+};
@@ -0,0 +1,15 @@
+/**
+ * Lectura de variables de entorno numéricas con valor por defecto.
+ *
+ * @param {string} nombre - Nombre de la variable de entorno
+ * @param {number} porDefecto - Valor si la variable no existe o no es un número
+ * @returns {number}
+ */
+const numeroEnv = (nombre, porDefecto) => {
+  const valor = Number(process.env[nombre]);
+  return Number.isFinite(valor) && process.env[nombre] !== "" ? valor : porDefecto;
+};
+
+module.exports = {
+  numeroEnv
+};
@@ -0,0 +1,103 @@
+/**
+ * Utilidades geográficas compartidas por controladores y servicios.
+ *
+ * - parseLocation: valida y normaliza un punto { lat, lng, address, reference }
+ * - haversineKm: distancia en km entre dos puntos (misma fórmula que get_nearby_drivers.sql)
+ */
+
+const MAX_TEXTO_UBICACION = 255;
+
+/** Radio medio de la Tierra en km (R = 6371, igual que en supabase/get_nearby_drivers.sql) */
+const RADIO_TIERRA_KM = 6371;
+
+const radians = (grados) => (grados * Math.PI) / 180;
+
+/**
+ * Normaliza un texto opcional de ubicación (dirección o referencia).
+ * Devuelve null si viene vacío.
+ */
+const normalizarTexto = (valor) => {
+  if (valor === undefined || valor === null) {
+    return null;
+  }
+  if (typeof valor !== "string") {
+    return undefined;
+  }
+  const texto = valor.trim();
+  if (texto.length === 0) {
+    return null;
+  }
+  return texto.slice(0, MAX_TEXTO_UBICACION);
+};
+
+/**
+ * Valida un punto geográfico recibido en el body.
+ *
+ * @param {Object} input - { lat, lng, address, reference }
+ * @param {string} nombre - Nombre del campo para los mensajes de error (ej: "pickup")
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+const parseLocation = (input, nombre) => {
+  if (!input || typeof input !== "object") {
+    return { value: null, error: `${nombre} es requerido` };
+  }
+
+  const { lat, lng, address, reference } = input;
+
+  if (lat === undefined || lat === null || lat === "" || lng === undefined || lng === null || lng === "") {
+    return { value: null, error: `${nombre}: lat y lng son requeridos` };
+  }
+
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) {
+    return { value: null, error: `${nombre}: lat y lng deben ser números` };
+  }
+
+  if (latNum < -90 || latNum > 90) {
+    return { value: null, error: `${nombre}: lat debe estar entre -90 y 90` };
+  }
+
+  if (lngNum < -180 || lngNum > 180) {
+    return { value: null, error: `${nombre}: lng debe estar entre -180 y 180` };
+  }
+
+  const addressTexto = normalizarTexto(address);
+  const referenceTexto = normalizarTexto(reference);
+
+  if (addressTexto === undefined || referenceTexto === undefined) {
+    return { value: null, error: `${nombre}: address y reference deben ser texto` };
+  }
+
+  return {
+    value: {
+      lat: latNum,
+      lng: lngNum,
+      address: addressTexto,
+      reference: referenceTexto
+    },
+    error: null
+  };
+};
+
+/**
+ * Distancia Haversine en km entre dos puntos.
+ *
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distancia en km
+ */
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const a =
+    Math.pow(Math.sin(radians(lat2 - lat1) / 2), 2) +
+    Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.pow(Math.sin(radians(lng2 - lng1) / 2), 2);
+  return RADIO_TIERRA_KM * 2 * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  parseLocation,
+  haversineKm
+};
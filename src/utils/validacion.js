@@ -0,0 +1,44 @@
+/**
+ * Validaciones compartidas por los controladores (auth, /me, vehículos).
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LONGITUD_MINIMA_PASSWORD = 6;
+
+const LONGITUD_MAXIMA_URL = 500;
+
+// Placa normalizada: 5 a 7 letras o dígitos, con al menos una letra y un dígito (p. ej. 1234AB, AB1234)
+const PLACA_REGEX = /^(?=.*[A-Z])(?=.*\d)[A-Z0-9]{5,7}$/;
+
+const esEmailValido = (email) => typeof email === "string" && EMAIL_REGEX.test(email);
+
+/**
+ * URL http(s) absoluta, para la foto de perfil.
+ */
+const esUrlValida = (valor) => {
+  if (typeof valor !== "string" || valor.length > LONGITUD_MAXIMA_URL) {
+    return false;
+  }
+  try {
+    const url = new URL(valor);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Placa en mayúsculas y sin espacios ni guiones ("1234-ab" → "1234AB"); null si no es texto.
+ */
+const normalizarPlaca = (placa) => (typeof placa === "string" ? placa.toUpperCase().replace(/[\s-]/g, "") : null);
+
+const esPlacaValida = (placa) => typeof placa === "string" && PLACA_REGEX.test(placa);
+
+module.exports = {
+  LONGITUD_MINIMA_PASSWORD,
+  esEmailValido,
+  esUrlValida,
+  normalizarPlaca,
+  esPlacaValida
+};
@@ -0,0 +1,18 @@
+-- Rol admin y suspensión de cuentas (rutas /admin).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- El rol admin no se puede elegir en POST /auth/register; se asigna a mano:
+--   UPDATE users SET roles = array_append(roles, 'admin') WHERE email = 'operaciones@ejemplo.com';
+-- El usuario debe iniciar sesión de nuevo para que el rol llegue a su token.
+--
+-- Una cuenta suspendida no puede iniciar sesión ni renovar tokens, y verifyToken
+-- rechaza sus access tokens vigentes (403 ACCOUNT_SUSPENDED).
+--
+-- Después de esta migración vuelve a ejecutar get_nearby_drivers.sql para que el despacho
+-- no ofrezca viajes a conductores suspendidos.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_reason text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_by uuid REFERENCES users (id);
+
+CREATE INDEX IF NOT EXISTS users_created_at_idx ON users (created_at DESC);
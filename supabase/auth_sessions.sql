@@ -0,0 +1,36 @@
+-- Sesiones de login y refresh tokens rotativos (POST /auth/refresh, /auth/logout, /auth/logout-all).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada login crea una sesión (familia de refresh tokens). El access token lleva el id de la
+-- sesión (claim "sid") y verifyToken rechaza las sesiones revocadas.
+-- Los refresh tokens se guardan solo como hash SHA-256 y se usan una sola vez: reutilizar uno
+-- ya usado revoca toda la sesión.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_id_idx ON auth_sessions (user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL REFERENCES auth_sessions (id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_session_id_idx ON refresh_tokens (session_id);
+
+-- Solo el backend (service_role, que ignora RLS) lee y escribe sesiones y tokens: RLS activo
+-- sin políticas y sin privilegios para los roles de la API pública.
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE auth_sessions FROM anon, authenticated;
+REVOKE ALL ON TABLE refresh_tokens FROM anon, authenticated;
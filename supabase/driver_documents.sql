@@ -0,0 +1,34 @@
+-- Documentos de conductores y su revisión (PUT /driver/documents/:tipo, rutas /admin/documents).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- El archivo se guarda con el adaptador de STORAGE_ADAPTER (src/services/storage);
+-- aquí solo queda su referencia (archivo_ref).
+--
+-- Un conductor puede pasar a "disponible" cuando cada tipo requerido (licencia, soat,
+-- tarjeta_propiedad, dni) tiene un documento aprobado que no venció.
+-- Subir otro documento del mismo tipo reemplaza al pendiente anterior; los aprobados
+-- siguen valiendo hasta su vencimiento (renovación sin perder la aprobación).
+
+CREATE TABLE IF NOT EXISTS driver_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  driver_id uuid NOT NULL REFERENCES drivers (user_id) ON DELETE CASCADE,
+  tipo text NOT NULL CHECK (tipo IN ('licencia', 'soat', 'tarjeta_propiedad', 'dni')),
+  archivo_ref text NOT NULL,
+  content_type text NOT NULL,
+  tamano_bytes integer NOT NULL,
+  expires_at date NOT NULL,
+  estado text NOT NULL DEFAULT 'pendiente'
+    CHECK (estado IN ('pendiente', 'aprobado', 'rechazado', 'reemplazado')),
+  motivo_rechazo text,
+  revisado_por uuid REFERENCES users (id),
+  revisado_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS driver_documents_driver_id_created_at_idx
+  ON driver_documents (driver_id, created_at DESC);
+
+-- Cola de revisión del panel de administración
+CREATE INDEX IF NOT EXISTS driver_documents_pendientes_idx
+  ON driver_documents (created_at)
+  WHERE estado = 'pendiente';
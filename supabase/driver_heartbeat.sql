@@ -0,0 +1,21 @@
+-- Señal de vida de los conductores y desconexión automática.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- POST /driver/location (y /driver/status) actualizan last_seen_at. El barrido de
+-- driverHeartbeatService pasa a "offline" a los conductores "disponible" sin señal por
+-- CONDUCTOR_SIN_SENAL_SEG; a los "ocupado" solo los marca para revisión (heartbeat_flagged_at),
+-- porque tienen un viaje en curso. La marca se borra con la siguiente ubicación.
+--
+-- Después de esta migración vuelve a ejecutar get_nearby_drivers.sql para que el despacho
+-- ignore a los conductores sin señal reciente.
+
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS last_seen_at timestamptz;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS heartbeat_flagged_at timestamptz;
+
+-- Los conductores existentes arrancan con señal "ahora": si no vuelven a enviar su
+-- ubicación, el barrido los desconecta pasado el timeout.
+UPDATE drivers SET last_seen_at = now() WHERE last_seen_at IS NULL;
+ALTER TABLE drivers ALTER COLUMN last_seen_at SET DEFAULT now();
+ALTER TABLE drivers ALTER COLUMN last_seen_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS drivers_estado_last_seen_at_idx ON drivers (estado, last_seen_at);
@@ -0,0 +1,10 @@
+-- Lotes de ubicaciones capturadas sin conexión (POST /driver/location/batch).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Requiere driver_locations.sql. location_recorded_at es el momento en que se capturó la
+-- ubicación actual (lat, lng): un lote atrasado no pisa una ubicación más reciente.
+
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS location_recorded_at timestamptz;
+
+-- Buscar el viaje al que pertenece cada punto del lote
+CREATE INDEX IF NOT EXISTS trips_conductor_accepted_at_idx ON trips (conductor_id, accepted_at DESC);
@@ -0,0 +1,35 @@
+-- Historial de ubicaciones de los conductores durante sus viajes y tarifa final.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- POST /driver/location guarda el punto si el conductor tiene un viaje asignado o en progreso
+-- (ya filtrado por precisión y frecuencia, ver src/config/recorrido.js). GET /trip/:id/route
+-- arma el recorrido con los puntos "en_progreso" y al finalizar se cobra por esa distancia.
+
+CREATE TABLE IF NOT EXISTS driver_locations (
+  id bigserial PRIMARY KEY,
+  driver_id uuid NOT NULL REFERENCES drivers (user_id) ON DELETE CASCADE,
+  trip_id uuid NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+  -- Estado del viaje cuando se registró el punto (asignado: yendo al recojo)
+  estado_viaje text NOT NULL CHECK (estado_viaje IN ('asignado', 'en_progreso')),
+  lat double precision NOT NULL,
+  lng double precision NOT NULL,
+  accuracy_m double precision,
+  speed_mps double precision,
+  heading double precision,
+  recorded_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS driver_locations_trip_recorded_idx ON driver_locations (trip_id, recorded_at);
+
+-- Distancia recorrida según el historial y tarifa cobrada al finalizar.
+-- final_fare_breakdown es el desglose de fareService.calcularTarifa más distancia_km,
+-- duracion_min y fuente ("recorrido"; "cotizacion" si no hubo puntos suficientes, o
+-- "estimacion" de recogida a destino si además no había cotización).
+-- Un viaje finalizado con final_fare en null quedó sin liquidar y tripRouteService lo reintenta.
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS driven_distance_km double precision,
+  ADD COLUMN IF NOT EXISTS final_fare numeric(10, 2),
+  ADD COLUMN IF NOT EXISTS final_fare_breakdown jsonb;
+
+CREATE INDEX IF NOT EXISTS trips_sin_liquidar_idx ON trips (finished_at)
+  WHERE estado = 'finalizado' AND final_fare IS NULL;
@@ -1,11 +1,22 @@
 -- Función para obtener conductores disponibles más cercanos al pasajero.
 -- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
 --
--- Requiere que la tabla drivers tenga columnas: user_id, estado, lat, lng
+-- Requiere que la tabla drivers tenga columnas: user_id, estado, lat, lng, last_seen_at
+-- (driver_heartbeat.sql) y users.suspended_at (admin.sql): los conductores suspendidos
+-- nunca son candidatos.
+--
+-- max_results: cantidad máxima de conductores (por defecto 5). El despacho secuencial
+-- (dispatchService) pide más candidatos para poder saltar a los que ya recibieron oferta.
+-- seen_since: descarta a los conductores sin señal desde ese instante (null = sin filtro).
+
+DROP FUNCTION IF EXISTS get_nearby_drivers(double precision, double precision);
+DROP FUNCTION IF EXISTS get_nearby_drivers(double precision, double precision, integer);
 
 CREATE OR REPLACE FUNCTION get_nearby_drivers(
   passenger_lat double precision,
-  passenger_lng double precision
+  passenger_lng double precision,
+  max_results integer DEFAULT 5,
+  seen_since timestamptz DEFAULT NULL
 )
 RETURNS TABLE (
   user_id uuid,
@@ -27,9 +38,12 @@ AS $$
       * power(sin(radians(d.lng - passenger_lng) / 2), 2)
     )))::double precision AS distancia_km
   FROM drivers d
+  JOIN users u ON u.id = d.user_id
   WHERE d.estado = 'disponible'
+    AND u.suspended_at IS NULL
     AND d.lat IS NOT NULL
     AND d.lng IS NOT NULL
+    AND (seen_since IS NULL OR d.last_seen_at >= seen_since)
   ORDER BY distancia_km
-  LIMIT 5;
+  LIMIT max_results;
 $$;
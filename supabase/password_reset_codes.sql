@@ -0,0 +1,33 @@
+-- Códigos de un solo uso para recuperar la contraseña (POST /auth/password/forgot y /reset).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Solo se guarda el HMAC del código (src/utils/codigos.js). Cada código vence a los
+-- RESET_CODIGO_TTL_MIN minutos, sirve una sola vez y se invalida tras RESET_MAX_INTENTOS fallos.
+-- Pedir un código nuevo invalida los anteriores del usuario. Entre dos pedidos deben pasar
+-- OTP_REENVIO_SEG segundos y cada usuario puede pedir RESET_MAX_CODIGOS_POR_VENTANA códigos
+-- cada RESET_VENTANA_MIN minutos.
+
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  canal text NOT NULL CHECK (canal IN ('email', 'sms')),
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  invalidated_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_codes_user_activos_idx
+  ON password_reset_codes (user_id, created_at DESC)
+  WHERE used_at IS NULL AND invalidated_at IS NULL;
+
+-- Último código y conteo por ventana, en cualquier estado
+CREATE INDEX IF NOT EXISTS password_reset_codes_user_created_idx
+  ON password_reset_codes (user_id, created_at DESC);
+
+-- Solo el backend (service_role) accede a los códigos: RLS sin políticas y sin privilegios
+-- para los roles de la API pública.
+ALTER TABLE password_reset_codes ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE password_reset_codes FROM anon, authenticated;
@@ -0,0 +1,33 @@
+-- Verificación del teléfono con códigos OTP (POST /auth/phone/send-code y /auth/phone/verify).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Solo se guarda el HMAC del código (src/utils/codigos.js). Cada código vence a los
+-- OTP_TTL_MIN minutos, sirve una sola vez y se invalida tras OTP_MAX_INTENTOS fallos.
+-- Entre dos envíos deben pasar OTP_REENVIO_SEG segundos.
+-- Solicitar o aceptar viajes exige telefono_verificado = true.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS telefono_verificado boolean NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS telefono_verificado_at timestamptz;
+
+-- Opcional: dar por verificados los teléfonos de los usuarios que ya existían
+-- UPDATE users SET telefono_verificado = true, telefono_verificado_at = now() WHERE telefono_verificado = false;
+
+CREATE TABLE IF NOT EXISTS phone_verification_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  telefono text NOT NULL,
+  code_hash text NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  invalidated_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS phone_verification_codes_user_id_created_at_idx
+  ON phone_verification_codes (user_id, created_at DESC);
+
+-- Solo el backend (service_role) accede a los códigos OTP: RLS sin políticas y sin privilegios
+-- para los roles de la API pública.
+ALTER TABLE phone_verification_codes ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE phone_verification_codes FROM anon, authenticated;
@@ -0,0 +1,21 @@
+-- Eventos del gateway de notificaciones (GET /events, Server-Sent Events).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada evento va dirigido a un solo usuario (ofertas al conductor, cambios del viaje a sus
+-- participantes). El id creciente es el "id" del evento SSE: al reconectar, el cliente envía
+-- Last-Event-ID y recibe los eventos posteriores que sigan dentro del período de retención.
+-- Las instancias del servidor leen aquí los eventos publicados por las demás.
+
+CREATE TABLE IF NOT EXISTS push_events (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  evento text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Reproducción por usuario a partir del último id recibido
+CREATE INDEX IF NOT EXISTS push_events_user_id_id_idx ON push_events (user_id, id);
+
+-- Limpieza de eventos fuera del período de retención
+CREATE INDEX IF NOT EXISTS push_events_created_at_idx ON push_events (created_at);
@@ -0,0 +1,8 @@
+-- Llegada del conductor a la recogida (POST /trip/arrived).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- arrived_at se marca una sola vez mientras el viaje está asignado. Desde ahí corre la espera
+-- gratis; los minutos de espera hasta started_at que la superan se suman a la tarifa final
+-- (tripRouteService.liquidarViaje) y el pasajero no presentado se cuenta desde esta fecha.
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS arrived_at timestamptz;
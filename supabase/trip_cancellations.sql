@@ -0,0 +1,25 @@
+-- Motivos y cargos de cancelación, y tasa de cancelación por usuario.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+-- Después de esta migración vuelve a ejecutar trip_transitions.sql.
+--
+-- cancel_trip guarda el motivo (código de cancellationService) y el cargo al pasajero.
+-- cancel_trip y finish_trip cuentan cada viaje cerrado con conductor asignado: en users para el
+-- pasajero y en drivers para el conductor (como las calificaciones de trip_ratings.sql).
+-- Las cancelaciones en "buscando" no cuentan: nadie fue a buscar al pasajero.
+
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancel_reason text;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS cancellation_fee numeric(10, 2);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS viajes_cerrados integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS cancelaciones integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tasa_cancelacion numeric(4, 3)
+  GENERATED ALWAYS AS (CASE WHEN viajes_cerrados > 0 THEN round(cancelaciones::numeric / viajes_cerrados, 3) END) STORED;
+
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS viajes_cerrados integer NOT NULL DEFAULT 0;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS cancelaciones integer NOT NULL DEFAULT 0;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS tasa_cancelacion numeric(4, 3)
+  GENERATED ALWAYS AS (CASE WHEN viajes_cerrados > 0 THEN round(cancelaciones::numeric / viajes_cerrados, 3) END) STORED;
+
+-- Revisión del admin (GET /admin/cancellations): mayor tasa primero
+CREATE INDEX IF NOT EXISTS users_tasa_cancelacion_idx ON users (tasa_cancelacion DESC) WHERE tasa_cancelacion > 0;
+CREATE INDEX IF NOT EXISTS drivers_tasa_cancelacion_idx ON drivers (tasa_cancelacion DESC) WHERE tasa_cancelacion > 0;
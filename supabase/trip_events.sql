@@ -0,0 +1,20 @@
+-- Historial de transiciones de estado de los viajes (tripStateMachine).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada transición aplicada (aceptar, iniciar, finalizar, cancelar, expirar) escribe una fila.
+-- GET /trip/:id/events devuelve la línea de tiempo en orden cronológico.
+
+CREATE TABLE IF NOT EXISTS trip_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id uuid NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+  accion text NOT NULL,
+  estado_anterior text,
+  estado_nuevo text NOT NULL,
+  actor_tipo text NOT NULL,
+  actor_id uuid,
+  motivo text,
+  metadata jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS trip_events_trip_id_created_at_idx ON trip_events (trip_id, created_at);
@@ -0,0 +1,42 @@
+-- Historial paginado de viajes (GET /trip/pasajero y GET /trip/conductor).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- El historial se pagina por cursor (created_at, id) en orden descendente: los índices
+-- cubren el filtro por participante y ese orden.
+
+CREATE INDEX IF NOT EXISTS trips_pasajero_created_at_idx ON trips (pasajero_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS trips_conductor_created_at_idx ON trips (conductor_id, created_at DESC, id DESC);
+
+-- Totales por estado del historial con los mismos filtros que la lista (sin el cursor).
+-- Se pasa p_pasajero_id o p_conductor_id; los filtros en null no se aplican.
+-- p_hasta es exclusivo. No filtra por el usuario autenticado: solo la ejecuta el backend.
+CREATE OR REPLACE FUNCTION trip_history_summary(
+  p_pasajero_id uuid DEFAULT NULL,
+  p_conductor_id uuid DEFAULT NULL,
+  p_estados text[] DEFAULT NULL,
+  p_desde timestamptz DEFAULT NULL,
+  p_hasta timestamptz DEFAULT NULL,
+  p_cancelled_by text DEFAULT NULL
+)
+RETURNS TABLE (
+  estado text,
+  total bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.estado, count(*) AS total
+  FROM trips t
+  WHERE (p_pasajero_id IS NULL OR t.pasajero_id = p_pasajero_id)
+    AND (p_conductor_id IS NULL OR t.conductor_id = p_conductor_id)
+    AND (p_estados IS NULL OR t.estado = ANY (p_estados))
+    AND (p_desde IS NULL OR t.created_at >= p_desde)
+    AND (p_hasta IS NULL OR t.created_at < p_hasta)
+    AND (p_cancelled_by IS NULL OR t.cancelled_by = p_cancelled_by)
+  GROUP BY t.estado;
+$$;
+
+REVOKE EXECUTE ON FUNCTION trip_history_summary(uuid, uuid, text[], timestamptz, timestamptz, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION trip_history_summary(uuid, uuid, text[], timestamptz, timestamptz, text)
+  TO service_role;
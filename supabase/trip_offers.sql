@@ -0,0 +1,44 @@
+-- Ofertas de viaje del despacho secuencial (dispatchService).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada fila es una oferta de un viaje a un conductor. Se ofrece a un conductor a la vez:
+-- el índice único parcial garantiza una sola oferta pendiente por viaje, incluso con
+-- varias instancias del servidor procesando el mismo viaje.
+
+CREATE TABLE IF NOT EXISTS trip_offers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id uuid NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+  driver_id uuid NOT NULL,
+  estado text NOT NULL DEFAULT 'pendiente'
+    CHECK (estado IN ('pendiente', 'aceptada', 'rechazada', 'expirada', 'cancelada')),
+  orden integer NOT NULL,
+  distancia_km double precision,
+  motivo text,
+  offered_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  responded_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS trip_offers_una_pendiente_por_viaje
+  ON trip_offers (trip_id) WHERE estado = 'pendiente';
+
+CREATE UNIQUE INDEX IF NOT EXISTS trip_offers_trip_driver_key
+  ON trip_offers (trip_id, driver_id);
+
+CREATE INDEX IF NOT EXISTS trip_offers_driver_id_idx ON trip_offers (driver_id);
+
+-- Tasa de aceptación por conductor
+CREATE OR REPLACE VIEW driver_offer_stats AS
+SELECT
+  driver_id,
+  count(*) AS ofertas,
+  count(*) FILTER (WHERE estado = 'aceptada') AS aceptadas,
+  count(*) FILTER (WHERE estado = 'rechazada') AS rechazadas,
+  count(*) FILTER (WHERE estado = 'expirada') AS expiradas,
+  round(
+    count(*) FILTER (WHERE estado = 'aceptada')::numeric
+    / NULLIF(count(*) FILTER (WHERE estado <> 'cancelada'), 0),
+    3
+  ) AS tasa_aceptacion
+FROM trip_offers
+GROUP BY driver_id;
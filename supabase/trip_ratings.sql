@@ -0,0 +1,30 @@
+-- Calificaciones entre pasajero y conductor después de un viaje finalizado
+-- (POST /trip/:id/rating). Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada participante califica una sola vez por viaje. El promedio móvil (últimas
+-- CALIFICACION_PROMEDIO_ULTIMAS calificaciones) y el total recibido (rating_cantidad) se guardan
+-- en users para el rol pasajero y en drivers para el rol conductor. rating_flagged_at marca a los conductores por debajo de
+-- CALIFICACION_UMBRAL_REVISION para revisión del admin (GET /admin/drivers/low-rated).
+
+CREATE TABLE IF NOT EXISTS trip_ratings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id uuid NOT NULL REFERENCES trips (id) ON DELETE CASCADE,
+  rater_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  ratee_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  rol_calificado text NOT NULL CHECK (rol_calificado IN ('pasajero', 'conductor')),
+  estrellas smallint NOT NULL CHECK (estrellas BETWEEN 1 AND 5),
+  tags text[] NOT NULL DEFAULT '{}',
+  comentario text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT trip_ratings_trip_rater_key UNIQUE (trip_id, rater_id)
+);
+
+-- Promedio móvil: últimas calificaciones recibidas en un rol
+CREATE INDEX IF NOT EXISTS trip_ratings_ratee_idx ON trip_ratings (ratee_id, rol_calificado, created_at DESC);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_promedio numeric(3, 2);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_cantidad integer NOT NULL DEFAULT 0;
+
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS rating_promedio numeric(3, 2);
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS rating_cantidad integer NOT NULL DEFAULT 0;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS rating_flagged_at timestamptz;
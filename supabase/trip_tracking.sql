@@ -0,0 +1,26 @@
+-- Seguimiento del viaje en tiempo real (canal privado "trip-tracking:<trip_id>").
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- El servidor publica la ubicación del conductor con la service role key, que no pasa por RLS.
+-- Los clientes se unen al canal como privado ({ config: { private: true } }) y Realtime
+-- solo los deja recibir si esta política lo permite: el pasajero y el conductor del viaje,
+-- mientras está asignado o en progreso. Sin política de INSERT nadie más puede publicar.
+
+ALTER TABLE realtime.messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "participantes reciben el seguimiento del viaje" ON realtime.messages;
+
+CREATE POLICY "participantes reciben el seguimiento del viaje"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND EXISTS (
+      SELECT 1
+      FROM trips t
+      WHERE realtime.topic() = 'trip-tracking:' || t.id::text
+        AND (t.pasajero_id = auth.uid() OR t.conductor_id = auth.uid())
+        AND t.estado IN ('asignado', 'en_progreso')
+    )
+  );
@@ -0,0 +1,271 @@
+-- Transiciones de viaje que modifican varias tablas en una sola transacción.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Requiere: trips, drivers, trip_offers (trip_offers.sql), trip_events (trip_events.sql),
+-- vehicles (vehicles.sql) y las columnas de trip_cancellations.sql.
+--
+-- Todas las funciones reciben (p_trip_id, p_estado_esperado, p_actor_tipo, p_actor_id, p_motivo)
+-- y devuelven jsonb (cancel_trip además recibe p_motivo_codigo y p_cargo):
+--   { "codigo": "OK", "trip": { ...fila actualizada... } }
+--   { "codigo": "<CONFLICTO>" }
+-- tripStateMachine traduce cada código a un status HTTP.
+--
+-- Las funciones confían en el actor y los montos que reciben: solo el backend (service_role)
+-- puede ejecutarlas, nunca los clientes con la anon key o un JWT de usuario.
+--
+-- Códigos posibles:
+--   TRIP_NOT_FOUND, TRIP_STATE_CHANGED, TRIP_ALREADY_TAKEN, NOT_TRIP_DRIVER,
+--   DRIVER_NOT_FOUND, DRIVER_NOT_AVAILABLE, DRIVER_HAS_ACTIVE_TRIP, OFFER_NOT_AVAILABLE,
+--   VEHICLE_REQUIRED
+
+-- Conductor acepta un viaje: buscando → asignado, consume su oferta, pasa a "ocupado"
+-- y el viaje queda con su vehículo activo.
+CREATE OR REPLACE FUNCTION accept_trip(
+  p_trip_id uuid,
+  p_estado_esperado text,
+  p_actor_tipo text,
+  p_actor_id uuid,
+  p_motivo text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_trip trips%ROWTYPE;
+  v_driver drivers%ROWTYPE;
+  v_vehicle vehicles%ROWTYPE;
+BEGIN
+  -- Bloquear primero al conductor y luego el viaje (mismo orden en todas las funciones)
+  SELECT * INTO v_driver FROM drivers WHERE user_id = p_actor_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'DRIVER_NOT_FOUND');
+  END IF;
+
+  IF v_driver.estado <> 'disponible' THEN
+    RETURN jsonb_build_object('codigo', 'DRIVER_NOT_AVAILABLE', 'estado_conductor', v_driver.estado);
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM trips
+    WHERE conductor_id = p_actor_id AND estado IN ('asignado', 'en_progreso')
+  ) THEN
+    RETURN jsonb_build_object('codigo', 'DRIVER_HAS_ACTIVE_TRIP');
+  END IF;
+
+  SELECT * INTO v_vehicle FROM vehicles WHERE driver_id = p_actor_id AND activo;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'VEHICLE_REQUIRED');
+  END IF;
+
+  SELECT * INTO v_trip FROM trips WHERE id = p_trip_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'TRIP_NOT_FOUND');
+  END IF;
+
+  IF v_trip.estado <> p_estado_esperado THEN
+    IF v_trip.conductor_id IS NOT NULL AND v_trip.conductor_id <> p_actor_id THEN
+      RETURN jsonb_build_object('codigo', 'TRIP_ALREADY_TAKEN');
+    END IF;
+    RETURN jsonb_build_object('codigo', 'TRIP_STATE_CHANGED', 'estado', v_trip.estado);
+  END IF;
+
+  UPDATE trip_offers
+  SET estado = 'aceptada', responded_at = now()
+  WHERE trip_id = p_trip_id
+    AND driver_id = p_actor_id
+    AND estado = 'pendiente'
+    AND expires_at > now();
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'OFFER_NOT_AVAILABLE');
+  END IF;
+
+  UPDATE trips
+  SET estado = 'asignado',
+      conductor_id = p_actor_id,
+      accepted_at = now(),
+      vehicle_id = v_vehicle.id,
+      vehiculo = jsonb_build_object(
+        'placa', v_vehicle.placa,
+        'marca', v_vehicle.marca,
+        'modelo', v_vehicle.modelo,
+        'color', v_vehicle.color,
+        'anio', v_vehicle.anio,
+        'cascos', v_vehicle.cascos
+      )
+  WHERE id = p_trip_id
+  RETURNING * INTO v_trip;
+
+  UPDATE drivers SET estado = 'ocupado' WHERE user_id = p_actor_id;
+
+  INSERT INTO trip_events (trip_id, accion, estado_anterior, estado_nuevo, actor_tipo, actor_id, motivo)
+  VALUES (p_trip_id, 'aceptar', p_estado_esperado, 'asignado', p_actor_tipo, p_actor_id, p_motivo);
+
+  RETURN jsonb_build_object('codigo', 'OK', 'trip', to_jsonb(v_trip));
+END;
+$$;
+
+-- Cuenta un viaje cerrado con conductor en la tasa de cancelación del pasajero y del conductor
+-- (ver trip_cancellations.sql).
+CREATE OR REPLACE FUNCTION contar_viaje_cerrado(
+  p_pasajero_id uuid,
+  p_conductor_id uuid,
+  p_cancela_pasajero boolean,
+  p_cancela_conductor boolean
+)
+RETURNS void
+LANGUAGE sql
+AS $$
+  UPDATE users
+  SET viajes_cerrados = viajes_cerrados + 1,
+      cancelaciones = cancelaciones + CASE WHEN p_cancela_pasajero THEN 1 ELSE 0 END
+  WHERE id = p_pasajero_id;
+
+  UPDATE drivers
+  SET viajes_cerrados = viajes_cerrados + 1,
+      cancelaciones = cancelaciones + CASE WHEN p_cancela_conductor THEN 1 ELSE 0 END
+  WHERE user_id = p_conductor_id;
+$$;
+
+-- Se finaliza el viaje: en_progreso → finalizado y el conductor vuelve a "disponible".
+CREATE OR REPLACE FUNCTION finish_trip(
+  p_trip_id uuid,
+  p_estado_esperado text,
+  p_actor_tipo text,
+  p_actor_id uuid,
+  p_motivo text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_trip trips%ROWTYPE;
+  v_conductor_id uuid;
+BEGIN
+  SELECT conductor_id INTO v_conductor_id FROM trips WHERE id = p_trip_id;
+  IF v_conductor_id IS NOT NULL THEN
+    PERFORM 1 FROM drivers WHERE user_id = v_conductor_id FOR UPDATE;
+  END IF;
+
+  SELECT * INTO v_trip FROM trips WHERE id = p_trip_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'TRIP_NOT_FOUND');
+  END IF;
+
+  IF p_actor_tipo = 'conductor' AND v_trip.conductor_id IS DISTINCT FROM p_actor_id THEN
+    RETURN jsonb_build_object('codigo', 'NOT_TRIP_DRIVER');
+  END IF;
+
+  IF v_trip.estado <> p_estado_esperado OR v_trip.conductor_id IS DISTINCT FROM v_conductor_id THEN
+    RETURN jsonb_build_object('codigo', 'TRIP_STATE_CHANGED', 'estado', v_trip.estado);
+  END IF;
+
+  UPDATE trips
+  SET estado = 'finalizado', finished_at = now()
+  WHERE id = p_trip_id
+  RETURNING * INTO v_trip;
+
+  UPDATE drivers SET estado = 'disponible' WHERE user_id = v_conductor_id AND estado = 'ocupado';
+
+  PERFORM contar_viaje_cerrado(v_trip.pasajero_id, v_conductor_id, false, false);
+
+  INSERT INTO trip_events (trip_id, accion, estado_anterior, estado_nuevo, actor_tipo, actor_id, motivo)
+  VALUES (p_trip_id, 'finalizar', p_estado_esperado, 'finalizado', p_actor_tipo, p_actor_id, p_motivo);
+
+  RETURN jsonb_build_object('codigo', 'OK', 'trip', to_jsonb(v_trip));
+END;
+$$;
+
+-- Firma anterior, sin motivo ni cargo
+DROP FUNCTION IF EXISTS cancel_trip(uuid, text, text, uuid, text);
+
+-- Pasajero o conductor cancela el viaje: → cancelado y, si había conductor, vuelve a "disponible".
+-- Guarda el motivo y el cargo al pasajero que calculó cancellationService.
+CREATE OR REPLACE FUNCTION cancel_trip(
+  p_trip_id uuid,
+  p_estado_esperado text,
+  p_actor_tipo text,
+  p_actor_id uuid,
+  p_motivo text DEFAULT NULL,
+  p_motivo_codigo text DEFAULT NULL,
+  p_cargo numeric DEFAULT 0
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_trip trips%ROWTYPE;
+  v_conductor_id uuid;
+  v_no_presentado boolean := p_motivo_codigo = 'pasajero_no_se_presento';
+BEGIN
+  SELECT conductor_id INTO v_conductor_id FROM trips WHERE id = p_trip_id;
+  IF v_conductor_id IS NOT NULL THEN
+    PERFORM 1 FROM drivers WHERE user_id = v_conductor_id FOR UPDATE;
+  END IF;
+
+  SELECT * INTO v_trip FROM trips WHERE id = p_trip_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'TRIP_NOT_FOUND');
+  END IF;
+
+  IF v_trip.estado <> p_estado_esperado OR v_trip.conductor_id IS DISTINCT FROM v_conductor_id THEN
+    RETURN jsonb_build_object('codigo', 'TRIP_STATE_CHANGED', 'estado', v_trip.estado);
+  END IF;
+
+  UPDATE trips
+  SET estado = 'cancelado',
+      cancelled_at = now(),
+      cancelled_by = p_actor_tipo,
+      cancel_reason = p_motivo_codigo,
+      cancellation_fee = COALESCE(p_cargo, 0)
+  WHERE id = p_trip_id
+  RETURNING * INTO v_trip;
+
+  IF v_conductor_id IS NOT NULL THEN
+    UPDATE drivers SET estado = 'disponible' WHERE user_id = v_conductor_id AND estado = 'ocupado';
+
+    -- El pasajero que no se presentó cuenta como cancelación suya, no del conductor
+    PERFORM contar_viaje_cerrado(
+      v_trip.pasajero_id,
+      v_conductor_id,
+      p_actor_tipo = 'pasajero' OR v_no_presentado,
+      p_actor_tipo = 'conductor' AND NOT v_no_presentado
+    );
+  END IF;
+
+  INSERT INTO trip_events (trip_id, accion, estado_anterior, estado_nuevo, actor_tipo, actor_id, motivo)
+  VALUES (p_trip_id, 'cancelar', p_estado_esperado, 'cancelado', p_actor_tipo, p_actor_id, p_motivo);
+
+  RETURN jsonb_build_object('codigo', 'OK', 'trip', to_jsonb(v_trip));
+END;
+$$;
+
+-- Reconciliación: conductores "ocupado" sin viaje activo vuelven a "disponible".
+-- Devuelve los user_id reparados.
+CREATE OR REPLACE FUNCTION reconcile_busy_drivers()
+RETURNS TABLE (user_id uuid)
+LANGUAGE sql
+AS $$
+  UPDATE drivers d
+  SET estado = 'disponible'
+  WHERE d.estado = 'ocupado'
+    AND NOT EXISTS (
+      SELECT 1 FROM trips t
+      WHERE t.conductor_id = d.user_id
+        AND t.estado IN ('asignado', 'en_progreso')
+    )
+  RETURNING d.user_id;
+$$;
+
+-- Solo el backend ejecuta las transiciones
+REVOKE EXECUTE ON FUNCTION accept_trip(uuid, text, text, uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION contar_viaje_cerrado(uuid, uuid, boolean, boolean) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION finish_trip(uuid, text, text, uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_trip(uuid, text, text, uuid, text, text, numeric) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reconcile_busy_drivers() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION accept_trip(uuid, text, text, uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION contar_viaje_cerrado(uuid, uuid, boolean, boolean) TO service_role;
+GRANT EXECUTE ON FUNCTION finish_trip(uuid, text, text, uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION cancel_trip(uuid, text, text, uuid, text, text, numeric) TO service_role;
+GRANT EXECUTE ON FUNCTION reconcile_busy_drivers() TO service_role;
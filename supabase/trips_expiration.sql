@@ -0,0 +1,18 @@
+-- Estado terminal "expirado" para viajes que nadie aceptó.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- tripExpirationService mueve a "expirado" los viajes que siguen en "buscando"
+-- después de BUSQUEDA_TIMEOUT_SEG y guarda el motivo en expiration_reason.
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS expired_at timestamptz,
+  ADD COLUMN IF NOT EXISTS expiration_reason text;
+
+ALTER TABLE trips
+  DROP CONSTRAINT IF EXISTS trips_estado_check,
+  ADD CONSTRAINT trips_estado_check CHECK (
+    estado IN ('buscando', 'asignado', 'en_progreso', 'finalizado', 'cancelado', 'expirado')
+  );
+
+-- El barrido filtra por estado y antigüedad
+CREATE INDEX IF NOT EXISTS trips_estado_created_at_idx ON trips (estado, created_at);
@@ -0,0 +1,15 @@
+-- Precio cotizado en la tabla trips (POST /trip/quote + POST /trip/request con quoteId).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- quote_id es el identificador (jti) de la cotización firmada; es único para que
+-- una misma cotización no pueda usarse en dos viajes.
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS quote_id uuid,
+  ADD COLUMN IF NOT EXISTS quoted_fare numeric(10, 2),
+  ADD COLUMN IF NOT EXISTS fare_currency char(3),
+  ADD COLUMN IF NOT EXISTS fare_breakdown jsonb,
+  ADD COLUMN IF NOT EXISTS estimated_distance_km double precision,
+  ADD COLUMN IF NOT EXISTS estimated_duration_min integer;
+
+CREATE UNIQUE INDEX IF NOT EXISTS trips_quote_id_key ON trips (quote_id) WHERE quote_id IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Columnas de recogida y destino en la tabla trips.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- requestTrip guarda aquí el punto de recogida (obligatorio) y el destino (opcional);
+-- driverNotificationService usa pickup_lat/pickup_lng para buscar conductores cercanos.
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS pickup_lat double precision,
+  ADD COLUMN IF NOT EXISTS pickup_lng double precision,
+  ADD COLUMN IF NOT EXISTS pickup_address text,
+  ADD COLUMN IF NOT EXISTS pickup_reference text,
+  ADD COLUMN IF NOT EXISTS destination_lat double precision,
+  ADD COLUMN IF NOT EXISTS destination_lng double precision,
+  ADD COLUMN IF NOT EXISTS destination_address text;
+
+ALTER TABLE trips
+  DROP CONSTRAINT IF EXISTS trips_pickup_coords_check,
+  ADD CONSTRAINT trips_pickup_coords_check CHECK (
+    (pickup_lat IS NULL OR pickup_lat BETWEEN -90 AND 90)
+    AND (pickup_lng IS NULL OR pickup_lng BETWEEN -180 AND 180)
+  );
+
+ALTER TABLE trips
+  DROP CONSTRAINT IF EXISTS trips_destination_coords_check,
+  ADD CONSTRAINT trips_destination_coords_check CHECK (
+    (destination_lat IS NULL OR destination_lat BETWEEN -90 AND 90)
+    AND (destination_lng IS NULL OR destination_lng BETWEEN -180 AND 180)
+  );
@@ -0,0 +1,30 @@
+-- Perfil del usuario (/me): foto y cambio de email con verificación.
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Requiere phone_verification.sql (el cambio de teléfono reutiliza phone_verification_codes:
+-- el código se envía al número nuevo y solo al verificarlo se reemplaza users.telefono).
+--
+-- El cambio de email funciona igual: se envía un código al email nuevo y users.email
+-- solo cambia al confirmarlo.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS foto_url text;
+
+CREATE TABLE IF NOT EXISTS email_change_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  email text NOT NULL,
+  code_hash text NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  invalidated_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS email_change_codes_user_id_created_at_idx
+  ON email_change_codes (user_id, created_at DESC);
+
+-- Solo el backend (service_role) accede a los códigos de cambio de email: RLS sin políticas
+-- y sin privilegios para los roles de la API pública.
+ALTER TABLE email_change_codes ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE email_change_codes FROM anon, authenticated;
@@ -0,0 +1,81 @@
+-- Vehículos de los conductores (rutas /driver/vehicles).
+-- Ejecutar en el SQL Editor de Supabase (Dashboard > SQL Editor).
+--
+-- Cada conductor tiene como máximo un vehículo activo; es el que se asigna al viaje
+-- al aceptarlo (accept_trip copia sus datos en trips.vehiculo).
+-- Después de esta migración vuelve a ejecutar trip_transitions.sql.
+--
+-- La placa se guarda normalizada (mayúsculas, sin espacios ni guiones) y es única.
+
+CREATE TABLE IF NOT EXISTS vehicles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  driver_id uuid NOT NULL REFERENCES drivers (user_id) ON DELETE CASCADE,
+  placa text NOT NULL UNIQUE,
+  marca text NOT NULL,
+  modelo text NOT NULL,
+  color text NOT NULL,
+  anio integer NOT NULL,
+  cascos integer NOT NULL CHECK (cascos > 0),
+  activo boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS vehicles_driver_id_idx ON vehicles (driver_id);
+
+-- Un solo vehículo activo por conductor
+CREATE UNIQUE INDEX IF NOT EXISTS vehicles_un_activo_por_conductor
+  ON vehicles (driver_id)
+  WHERE activo;
+
+-- Vehículo con el que se hizo el viaje. vehiculo guarda una copia de sus datos
+-- (placa, marca, modelo, color, anio, cascos) para que el historial no cambie si se edita.
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS vehicle_id uuid REFERENCES vehicles (id) ON DELETE SET NULL;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS vehiculo jsonb;
+
+-- Cambia el vehículo activo del conductor en una sola transacción: desactiva el anterior y
+-- activa el indicado. Solo estando offline (o sin fila en drivers); la fila del conductor
+-- queda bloqueada para que no pase a disponible en medio del cambio.
+-- Devuelve { "codigo": "OK", "vehicle": { ... } }, { "codigo": "VEHICLE_NOT_FOUND" }
+-- o { "codigo": "VEHICLE_IN_USE" }.
+CREATE OR REPLACE FUNCTION activate_vehicle(
+  p_driver_id uuid,
+  p_vehicle_id uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_estado text;
+  v_vehicle vehicles%ROWTYPE;
+BEGIN
+  SELECT estado INTO v_estado FROM drivers WHERE user_id = p_driver_id FOR UPDATE;
+
+  SELECT * INTO v_vehicle FROM vehicles WHERE id = p_vehicle_id AND driver_id = p_driver_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('codigo', 'VEHICLE_NOT_FOUND');
+  END IF;
+
+  IF v_vehicle.activo THEN
+    RETURN jsonb_build_object('codigo', 'OK', 'vehicle', to_jsonb(v_vehicle));
+  END IF;
+
+  IF v_estado IS NOT NULL AND v_estado <> 'offline' THEN
+    RETURN jsonb_build_object('codigo', 'VEHICLE_IN_USE');
+  END IF;
+
+  UPDATE vehicles
+  SET activo = false, updated_at = now()
+  WHERE driver_id = p_driver_id AND activo;
+
+  UPDATE vehicles
+  SET activo = true, updated_at = now()
+  WHERE id = p_vehicle_id
+  RETURNING * INTO v_vehicle;
+
+  RETURN jsonb_build_object('codigo', 'OK', 'vehicle', to_jsonb(v_vehicle));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION activate_vehicle(uuid, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION activate_vehicle(uuid, uuid) TO service_role;
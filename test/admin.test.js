@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+describe("Rutas /admin", () => {
+  let ctx;
+  let admin;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+    admin = await ctx.registrarAdmin();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  /** Viaje aceptado por un conductor y, si se indica, iniciado */
+  const viajeConConductor = async ({ iniciar = false } = {}) => {
+    const conductor = await ctx.registrarConductorDisponible();
+    const pasajero = await ctx.registrarPasajero();
+    const viaje = await ctx.solicitarViaje(pasajero);
+    await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+    if (iniciar) {
+      await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+    }
+    return { conductor, pasajero, viaje };
+  };
+
+  it("exige el rol admin", async () => {
+    const pasajero = await ctx.registrarPasajero();
+
+    const sinToken = await ctx.request("GET", "/admin/users");
+    assert.equal(sinToken.status, 401);
+
+    const sinRol = await ctx.request("GET", "/admin/users", { token: pasajero.token });
+    assert.equal(sinRol.status, 403);
+  });
+
+  it("lista y busca usuarios con paginación", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+    await ctx.registrarPasajero();
+
+    const todos = await ctx.request("GET", "/admin/users?limit=2", { token: admin.token });
+    assert.equal(todos.status, 200);
+    assert.equal(todos.body.data.total, 3);
+    assert.equal(todos.body.data.usuarios.length, 2);
+    assert.ok(todos.body.data.usuarios.every((u) => u.password === undefined));
+
+    const porEmail = await ctx.request("GET", `/admin/users?q=${encodeURIComponent(conductor.email)}`, { token: admin.token });
+    assert.deepEqual(porEmail.body.data.usuarios.map((u) => u.id), [conductor.id]);
+
+    const porRol = await ctx.request("GET", "/admin/users?rol=conductor", { token: admin.token });
+    assert.deepEqual(porRol.body.data.usuarios.map((u) => u.id), [conductor.id]);
+
+    const invalido = await ctx.request("GET", "/admin/users?limit=0", { token: admin.token });
+    assert.equal(invalido.status, 400);
+  });
+
+  it("suspende una cuenta: cierra sus sesiones, bloquea el login y la saca del despacho", async () => {
+    const conductor = await ctx.registrarConductorDisponible();
+
+    const sinMotivo = await ctx.request("POST", `/admin/users/${conductor.id}/suspend`, { token: admin.token, body: {} });
+    assert.equal(sinMotivo.status, 400);
+
+    const res = await ctx.request("POST", `/admin/users/${conductor.id}/suspend`, {
+      token: admin.token,
+      body: { motivo: "Reportes de conducta" }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.sesionesCerradas, 1);
+    assert.equal(ctx.estadoConductor(conductor.id), "offline");
+
+    const login = await ctx.request("POST", "/auth/login", {
+      body: { email: conductor.email, password: conductor.password }
+    });
+    assert.equal(login.status, 403);
+    assert.equal(login.body.code, "ACCOUNT_SUSPENDED");
+
+    const renovar = await ctx.request("POST", "/auth/refresh", { body: { refreshToken: conductor.refreshToken } });
+    assert.equal(renovar.status, 401);
+
+    const otraVez = await ctx.request("POST", `/admin/users/${conductor.id}/suspend`, {
+      token: admin.token,
+      body: { motivo: "Otra vez" }
+    });
+    assert.equal(otraVez.status, 409);
+
+    const reactivado = await ctx.request("POST", `/admin/users/${conductor.id}/reactivate`, { token: admin.token });
+    assert.equal(reactivado.status, 200);
+    assert.equal(reactivado.body.data.suspended_at, null);
+
+    const loginReactivado = await ctx.request("POST", "/auth/login", {
+      body: { email: conductor.email, password: conductor.password }
+    });
+    assert.equal(loginReactivado.status, 200);
+  });
+
+  it("verifyToken rechaza los tokens vigentes de un usuario suspendido", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    ctx.repositories.store.users.find((u) => u.id === pasajero.id).suspended_at = new Date().toISOString();
+
+    const res = await ctx.request("GET", "/me", { token: pasajero.token });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "ACCOUNT_SUSPENDED");
+  });
+
+  it("un admin no puede suspenderse a sí mismo", async () => {
+    const res = await ctx.request("POST", `/admin/users/${admin.id}/suspend`, {
+      token: admin.token,
+      body: { motivo: "Prueba" }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "CANNOT_SUSPEND_SELF");
+  });
+
+  it("fuerza a un conductor disponible a offline y retira su oferta pendiente", async () => {
+    const conductor = await ctx.registrarConductorDisponible();
+    const pasajero = await ctx.registrarPasajero();
+    const viaje = await ctx.solicitarViaje(pasajero);
+
+    const res = await ctx.request("POST", `/admin/drivers/${conductor.id}/offline`, { token: admin.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(ctx.estadoConductor(conductor.id), "offline");
+    const oferta = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id);
+    assert.equal(oferta.estado, "cancelada");
+
+    const noExiste = await ctx.request("POST", `/admin/drivers/${pasajero.id}/offline`, { token: admin.token });
+    assert.equal(noExiste.status, 404);
+  });
+
+  it("no pasa a offline a un conductor en viaje", async () => {
+    const { conductor } = await viajeConConductor();
+
+    const res = await ctx.request("POST", `/admin/drivers/${conductor.id}/offline`, { token: admin.token });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "DRIVER_HAS_ACTIVE_TRIP");
+    assert.equal(ctx.estadoConductor(conductor.id), "ocupado");
+  });
+
+  it("ve cualquier viaje con su historial", async () => {
+    const { viaje } = await viajeConConductor();
+
+    const res = await ctx.request("GET", `/admin/trips/${viaje.id}`, { token: admin.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.estado, "asignado");
+    assert.deepEqual(res.body.data.eventos.map((e) => e.accion), ["solicitar", "aceptar"]);
+  });
+
+  it("cancela un viaje en progreso con motivo y libera al conductor", async () => {
+    const { conductor, viaje } = await viajeConConductor({ iniciar: true });
+
+    const res = await ctx.request("POST", `/admin/trips/${viaje.id}/cancel`, {
+      token: admin.token,
+      body: { motivo: "Viaje trabado" }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.estado, "cancelado");
+    assert.equal(res.body.data.cancelled_by, "admin");
+    assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+
+    const evento = ctx.repositories.store.trip_events.find((e) => e.trip_id === viaje.id && e.accion === "cancelar");
+    assert.equal(evento.actor_tipo, "admin");
+    assert.equal(evento.actor_id, admin.id);
+    assert.equal(evento.motivo, "Viaje trabado");
+
+    const otraVez = await ctx.request("POST", `/admin/trips/${viaje.id}/cancel`, {
+      token: admin.token,
+      body: { motivo: "Viaje trabado" }
+    });
+    assert.equal(otraVez.status, 400);
+  });
+
+  it("finaliza un viaje en progreso y rechaza finalizar uno sin iniciar", async () => {
+    const { viaje } = await viajeConConductor();
+
+    const sinIniciar = await ctx.request("POST", `/admin/trips/${viaje.id}/finish`, {
+      token: admin.token,
+      body: { motivo: "El conductor no lo cerró" }
+    });
+    assert.equal(sinIniciar.status, 400);
+
+    const { conductor, viaje: enProgreso } = await viajeConConductor({ iniciar: true });
+    const res = await ctx.request("POST", `/admin/trips/${enProgreso.id}/finish`, {
+      token: admin.token,
+      body: { motivo: "El conductor no lo cerró" }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.estado, "finalizado");
+    assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+  });
+});
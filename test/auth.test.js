@@ -0,0 +1,307 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+describe("POST /auth/register", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await iniciarApp();
+  });
+
+  after(() => ctx.cerrar());
+
+  const datosValidos = (extra = {}) => ({
+    email: "ana@prueba.com",
+    password: "secreto123",
+    nombre: "Ana",
+    telefono: "987654321",
+    roles: ["pasajero"],
+    ...extra
+  });
+
+  it("registra un usuario y no devuelve la contraseña", async () => {
+    const res = await ctx.request("POST", "/auth/register", { body: datosValidos() });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.email, "ana@prueba.com");
+    assert.deepEqual(res.body.data.roles, ["pasajero"]);
+    assert.equal(res.body.data.password, undefined);
+
+    const guardado = ctx.repositories.store.users.find((u) => u.email === "ana@prueba.com");
+    assert.notEqual(guardado.password, "secreto123");
+  });
+
+  it("crea el registro de conductor en estado offline para el rol conductor", async () => {
+    const res = await ctx.request("POST", "/auth/register", {
+      body: datosValidos({ email: "beto@prueba.com", telefono: "911111111", roles: ["conductor"] })
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(ctx.estadoConductor(res.body.data.id), "offline");
+  });
+
+  it("rechaza datos incompletos", async () => {
+    const res = await ctx.request("POST", "/auth/register", { body: { email: "x@prueba.com" } });
+    assert.equal(res.status, 400);
+  });
+
+  it("exige roles como array no vacío de valores permitidos", async () => {
+    const sinRoles = await ctx.request("POST", "/auth/register", { body: datosValidos({ roles: undefined }) });
+    assert.equal(sinRoles.status, 400);
+
+    const noArray = await ctx.request("POST", "/auth/register", { body: datosValidos({ roles: "pasajero" }) });
+    assert.equal(noArray.status, 400);
+
+    const vacio = await ctx.request("POST", "/auth/register", { body: datosValidos({ roles: [] }) });
+    assert.equal(vacio.status, 400);
+
+    const invalido = await ctx.request("POST", "/auth/register", { body: datosValidos({ roles: ["admin"] }) });
+    assert.equal(invalido.status, 400);
+    assert.match(invalido.body.message, /admin/);
+  });
+
+  it("valida el formato del email y la longitud de la contraseña", async () => {
+    const email = await ctx.request("POST", "/auth/register", { body: datosValidos({ email: "no-es-email" }) });
+    assert.equal(email.status, 400);
+
+    const password = await ctx.request("POST", "/auth/register", { body: datosValidos({ password: "123" }) });
+    assert.equal(password.status, 400);
+  });
+
+  it("responde 409 si el email o el teléfono ya están registrados", async () => {
+    const email = await ctx.request("POST", "/auth/register", {
+      body: datosValidos({ telefono: "900000999" })
+    });
+    assert.equal(email.status, 409);
+    assert.equal(email.body.message, "Este email ya está registrado");
+
+    const telefono = await ctx.request("POST", "/auth/register", {
+      body: datosValidos({ email: "otra@prueba.com" })
+    });
+    assert.equal(telefono.status, 409);
+    assert.equal(telefono.body.message, "Este teléfono ya está registrado");
+  });
+});
+
+describe("POST /auth/login", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await iniciarApp();
+    await ctx.request("POST", "/auth/register", {
+      body: {
+        email: "carla@prueba.com",
+        password: "secreto123",
+        nombre: "Carla",
+        telefono: "955555555",
+        roles: ["pasajero", "conductor"]
+      }
+    });
+  });
+
+  after(() => ctx.cerrar());
+
+  it("devuelve un token con userId, email y roles", async () => {
+    const res = await ctx.request("POST", "/auth/login", {
+      body: { email: "carla@prueba.com", password: "secreto123" }
+    });
+
+    assert.equal(res.status, 200);
+    const payload = jwt.verify(res.body.data.token, process.env.JWT_SECRET);
+    assert.equal(payload.userId, res.body.data.id);
+    assert.equal(payload.email, "carla@prueba.com");
+    assert.deepEqual(payload.roles, ["pasajero", "conductor"]);
+    assert.ok(payload.sid);
+    assert.ok(res.body.data.refreshToken);
+    assert.equal(res.body.data.expiresIn, payload.exp - payload.iat);
+  });
+
+  it("responde 401 con contraseña incorrecta o email desconocido", async () => {
+    const password = await ctx.request("POST", "/auth/login", {
+      body: { email: "carla@prueba.com", password: "incorrecta" }
+    });
+    assert.equal(password.status, 401);
+
+    const email = await ctx.request("POST", "/auth/login", {
+      body: { email: "nadie@prueba.com", password: "secreto123" }
+    });
+    assert.equal(email.status, 401);
+  });
+
+  it("responde 400 si faltan credenciales", async () => {
+    const res = await ctx.request("POST", "/auth/login", { body: { email: "carla@prueba.com" } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("Sesiones: /auth/refresh, /auth/logout, /auth/logout-all", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await iniciarApp();
+  });
+
+  after(() => ctx.cerrar());
+
+  const renovar = (refreshToken) => ctx.request("POST", "/auth/refresh", { body: { refreshToken } });
+
+  it("renueva el access token y rota el refresh token", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const res = await renovar(usuario.refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.token);
+    assert.notEqual(res.body.data.refreshToken, usuario.refreshToken);
+
+    const acceso = await ctx.request("GET", "/trip/pasajero", { token: res.body.data.token });
+    assert.equal(acceso.status, 200);
+
+    const siguiente = await renovar(res.body.data.refreshToken);
+    assert.equal(siguiente.status, 200);
+  });
+
+  it("guarda solo el hash del refresh token", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const guardados = ctx.repositories.store.refresh_tokens.filter((t) => t.user_id === usuario.id);
+    assert.equal(guardados.length, 1);
+    assert.notEqual(guardados[0].token_hash, usuario.refreshToken);
+    assert.ok(!JSON.stringify(ctx.repositories.store).includes(usuario.refreshToken));
+  });
+
+  it("reutilizar un refresh token revoca toda la sesión", async () => {
+    const usuario = await ctx.registrarPasajero();
+    const rotado = await renovar(usuario.refreshToken);
+
+    const reutilizado = await renovar(usuario.refreshToken);
+    assert.equal(reutilizado.status, 401);
+    assert.equal(reutilizado.body.code, "REFRESH_TOKEN_REUSED");
+
+    // El token legítimo más reciente de la familia también deja de servir
+    const familia = await renovar(rotado.body.data.refreshToken);
+    assert.equal(familia.status, 401);
+    assert.equal(familia.body.code, "SESSION_REVOKED");
+
+    const acceso = await ctx.request("GET", "/trip/pasajero", { token: rotado.body.data.token });
+    assert.equal(acceso.status, 401);
+  });
+
+  it("renovaciones simultáneas con el mismo token: como mucho una gana", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const respuestas = await Promise.all([renovar(usuario.refreshToken), renovar(usuario.refreshToken)]);
+
+    assert.ok(respuestas.filter((r) => r.status === 200).length <= 1);
+    assert.ok(respuestas.some((r) => r.status === 401));
+  });
+
+  it("rechaza refresh tokens desconocidos, expirados o ausentes", async () => {
+    const ausente = await ctx.request("POST", "/auth/refresh", { body: {} });
+    assert.equal(ausente.status, 400);
+
+    const desconocido = await renovar("no-existe");
+    assert.equal(desconocido.status, 401);
+    assert.equal(desconocido.body.code, "REFRESH_TOKEN_INVALID");
+
+    const usuario = await ctx.registrarPasajero();
+    const guardado = ctx.repositories.store.refresh_tokens.find((t) => t.user_id === usuario.id);
+    guardado.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const expirado = await renovar(usuario.refreshToken);
+    assert.equal(expirado.status, 401);
+    assert.equal(expirado.body.code, "REFRESH_TOKEN_EXPIRED");
+  });
+
+  it("logout revoca solo la sesión actual", async () => {
+    const usuario = await ctx.registrarPasajero();
+    const otroDispositivo = await ctx.request("POST", "/auth/login", {
+      body: { email: usuario.email, password: usuario.password }
+    });
+
+    const res = await ctx.request("POST", "/auth/logout", { token: usuario.token });
+    assert.equal(res.status, 200);
+
+    const acceso = await ctx.request("GET", "/trip/pasajero", { token: usuario.token });
+    assert.equal(acceso.status, 401);
+    assert.equal(acceso.body.code, "SESSION_REVOKED");
+
+    const refresh = await renovar(usuario.refreshToken);
+    assert.equal(refresh.status, 401);
+
+    const otro = await ctx.request("GET", "/trip/pasajero", { token: otroDispositivo.body.data.token });
+    assert.equal(otro.status, 200);
+  });
+
+  it("logout-all revoca todas las sesiones del usuario", async () => {
+    const usuario = await ctx.registrarPasajero();
+    const otroDispositivo = await ctx.request("POST", "/auth/login", {
+      body: { email: usuario.email, password: usuario.password }
+    });
+
+    const res = await ctx.request("POST", "/auth/logout-all", { token: usuario.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.sesionesCerradas, 2);
+
+    const otro = await ctx.request("GET", "/trip/pasajero", { token: otroDispositivo.body.data.token });
+    assert.equal(otro.status, 401);
+
+    const refresh = await renovar(otroDispositivo.body.data.refreshToken);
+    assert.equal(refresh.status, 401);
+  });
+
+  it("logout exige token", async () => {
+    const res = await ctx.request("POST", "/auth/logout");
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("Middlewares de autenticación", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await iniciarApp();
+  });
+
+  after(() => ctx.cerrar());
+
+  it("rechaza peticiones sin token, con formato inválido o con token alterado", async () => {
+    const sinToken = await ctx.request("GET", "/trip/pasajero");
+    assert.equal(sinToken.status, 401);
+
+    const formato = await ctx.request("GET", "/trip/pasajero", { headers: { Authorization: "Token abc" } });
+    assert.equal(formato.status, 401);
+
+    const alterado = await ctx.request("GET", "/trip/pasajero", { token: "a.b.c" });
+    assert.equal(alterado.status, 401);
+  });
+
+  it("rechaza tokens firmados sin sesión", async () => {
+    const token = jwt.sign({ userId: "u1", roles: ["pasajero"] }, process.env.JWT_SECRET, { expiresIn: 60 });
+    const res = await ctx.request("GET", "/trip/pasajero", { token });
+    assert.equal(res.status, 401);
+  });
+
+  it("rechaza tokens expirados", async () => {
+    const token = jwt.sign({ userId: "u1", roles: ["pasajero"] }, process.env.JWT_SECRET, { expiresIn: -10 });
+    const res = await ctx.request("GET", "/trip/pasajero", { token });
+    assert.equal(res.status, 401);
+    assert.match(res.body.message, /expirado/);
+  });
+
+  it("GET /test/conductor exige el rol conductor", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const conductor = await ctx.registrar(["conductor"]);
+
+    const denegado = await ctx.request("GET", "/test/conductor", { token: pasajero.token });
+    assert.equal(denegado.status, 403);
+
+    const permitido = await ctx.request("GET", "/test/conductor", { token: conductor.token });
+    assert.equal(permitido.status, 200);
+    assert.equal(permitido.body.data.userId, conductor.id);
+  });
+});
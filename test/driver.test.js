@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+describe("Rutas /driver", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await iniciarApp();
+  });
+
+  after(() => ctx.cerrar());
+
+  it("exigen token", async () => {
+    for (const ruta of ["/driver/register", "/driver/status", "/driver/location"]) {
+      const res = await ctx.request("POST", ruta, { body: {} });
+      assert.equal(res.status, 401, ruta);
+    }
+  });
+
+  it("POST /driver/register crea el conductor offline y responde 409 si ya existe", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const creado = await ctx.request("POST", "/driver/register", { token: usuario.token });
+    assert.equal(creado.status, 201);
+    assert.equal(creado.body.data.estado, "offline");
+
+    const repetido = await ctx.request("POST", "/driver/register", { token: usuario.token });
+    assert.equal(repetido.status, 409);
+  });
+
+  it("POST /driver/status actualiza el estado y valida los valores permitidos", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+
+    const sinEstado = await ctx.request("POST", "/driver/status", { token: conductor.token, body: {} });
+    assert.equal(sinEstado.status, 400);
+
+    const invalido = await ctx.request("POST", "/driver/status", {
+      token: conductor.token,
+      body: { estado: "volando" }
+    });
+    assert.equal(invalido.status, 400);
+
+    ctx.aprobarDocumentos(conductor.id);
+    ctx.agregarVehiculo(conductor.id);
+    const actualizado = await ctx.request("POST", "/driver/status", {
+      token: conductor.token,
+      body: { estado: "disponible" }
+    });
+    assert.equal(actualizado.status, 200);
+    assert.equal(actualizado.body.message, "Estado del conductor actualizado");
+    assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+  });
+
+  it("POST /driver/status crea el registro si el usuario aún no es conductor", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const res = await ctx.request("POST", "/driver/status", { token: usuario.token, body: { estado: "offline" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Estado del conductor registrado");
+    assert.equal(ctx.estadoConductor(usuario.id), "offline");
+  });
+
+  it("POST /driver/location guarda lat/lng numéricos", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+
+    const faltante = await ctx.request("POST", "/driver/location", { token: conductor.token, body: { lat: 1 } });
+    assert.equal(faltante.status, 400);
+
+    const texto = await ctx.request("POST", "/driver/location", {
+      token: conductor.token,
+      body: { lat: "-12.04", lng: "-77.04" }
+    });
+    assert.equal(texto.status, 400);
+
+    const ok = await ctx.request("POST", "/driver/location", {
+      token: conductor.token,
+      body: { lat: -12.04, lng: -77.04 }
+    });
+    assert.equal(ok.status, 200);
+
+    const driver = ctx.repositories.store.drivers.find((d) => d.user_id === conductor.id);
+    assert.equal(driver.lat, -12.04);
+    assert.equal(driver.lng, -77.04);
+  });
+});
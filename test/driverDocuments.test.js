@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+const { TIPOS_DOCUMENTO } = require("../src/services/driverDocumentService");
+
+/** Fecha YYYY-MM-DD a "dias" días de hoy */
+const enDias = (dias) => new Date(Date.now() + dias * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe("Documentos de conductores y aprobación", () => {
+  let ctx;
+  let admin;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+    admin = await ctx.registrarAdmin();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  const subir = (
+    conductor,
+    tipo,
+    { expiresAt = enDias(365), contenido = "%PDF-1.4 documento", tipoArchivo = "application/pdf" } = {}
+  ) =>
+    ctx.request("PUT", `/driver/documents/${tipo}?expiresAt=${expiresAt}`, {
+      token: conductor.token,
+      raw: Buffer.from(contenido),
+      headers: { "Content-Type": tipoArchivo }
+    });
+
+  const aprobar = (documentId) => ctx.request("POST", `/admin/documents/${documentId}/approve`, { token: admin.token });
+
+  const pasarADisponible = (conductor) =>
+    ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+
+  it("un conductor nuevo no puede pasar a disponible sin documentos aprobados", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+
+    const res = await pasarADisponible(conductor);
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "DRIVER_NOT_APPROVED");
+    assert.deepEqual(res.body.data.requisitos.map((r) => r.estado), ["faltante", "faltante", "faltante", "faltante"]);
+    assert.equal(ctx.estadoConductor(conductor.id), "offline");
+  });
+
+  it("sube documentos, el admin los aprueba y el conductor puede trabajar", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+    const ids = [];
+
+    for (const tipo of TIPOS_DOCUMENTO) {
+      const res = await subir(conductor, tipo);
+      assert.equal(res.status, 201, tipo);
+      assert.equal(res.body.data.estado, "pendiente");
+      ids.push(res.body.data.id);
+    }
+
+    const pendientes = await ctx.request("GET", "/admin/documents/pending", { token: admin.token });
+    assert.equal(pendientes.body.data.length, 4);
+
+    const archivo = await ctx.request("GET", `/admin/documents/${ids[0]}/file`, { token: admin.token });
+    assert.equal(archivo.status, 200);
+    assert.equal(archivo.headers.get("content-type"), "application/pdf");
+    assert.equal(archivo.body, "%PDF-1.4 documento");
+
+    for (const id of ids.slice(0, 3)) {
+      assert.equal((await aprobar(id)).status, 200);
+    }
+    assert.equal((await pasarADisponible(conductor)).status, 403);
+
+    await aprobar(ids[3]);
+    ctx.agregarVehiculo(conductor.id);
+    const res = await pasarADisponible(conductor);
+    assert.equal(res.status, 200);
+    assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+
+    const propios = await ctx.request("GET", "/driver/documents", { token: conductor.token });
+    assert.equal(propios.body.data.verificacion.aprobado, true);
+  });
+
+  it("valida tipo, vencimiento y formato del archivo", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+
+    assert.equal((await subir(conductor, "pasaporte")).status, 400);
+    assert.equal((await subir(conductor, "licencia", { expiresAt: "2030-02-30" })).status, 400);
+    assert.equal((await subir(conductor, "licencia", { expiresAt: enDias(-1) })).status, 400);
+    assert.equal((await subir(conductor, "licencia", { tipoArchivo: "text/plain" })).status, 400);
+
+    const pasajero = await ctx.registrarPasajero();
+    assert.equal((await subir(pasajero, "licencia")).status, 403);
+  });
+
+  it("el admin rechaza un documento con motivo y el conductor sube otro", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+    const subido = await subir(conductor, "soat");
+
+    const sinMotivo = await ctx.request("POST", `/admin/documents/${subido.body.data.id}/reject`, {
+      token: admin.token,
+      body: {}
+    });
+    assert.equal(sinMotivo.status, 400);
+
+    const rechazado = await ctx.request("POST", `/admin/documents/${subido.body.data.id}/reject`, {
+      token: admin.token,
+      body: { motivo: "Imagen ilegible" }
+    });
+    assert.equal(rechazado.status, 200);
+    assert.equal(rechazado.body.data.motivo_rechazo, "Imagen ilegible");
+
+    const revisarOtraVez = await aprobar(subido.body.data.id);
+    assert.equal(revisarOtraVez.status, 409);
+
+    const propios = await ctx.request("GET", "/driver/documents", { token: conductor.token });
+    const soat = propios.body.data.verificacion.requisitos.find((r) => r.tipo === "soat");
+    assert.equal(soat.estado, "rechazado");
+
+    await subir(conductor, "soat");
+    const despues = await ctx.request("GET", "/driver/documents", { token: conductor.token });
+    assert.equal(despues.body.data.verificacion.requisitos.find((r) => r.tipo === "soat").estado, "pendiente");
+  });
+
+  it("un documento nuevo reemplaza al pendiente anterior del mismo tipo", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+    const primero = await subir(conductor, "dni");
+    await subir(conductor, "dni");
+
+    const res = await aprobar(primero.body.data.id);
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "DOCUMENT_NOT_PENDING");
+  });
+
+  it("no puede pasar a disponible con un documento aprobado vencido", async () => {
+    const conductor = await ctx.registrar(["conductor"]);
+    ctx.aprobarDocumentos(conductor.id);
+    const licencia = ctx.repositories.store.driver_documents.find(
+      (d) => d.driver_id === conductor.id && d.tipo === "licencia"
+    );
+    licencia.expires_at = enDias(-1);
+
+    const res = await pasarADisponible(conductor);
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.data.requisitos.map((r) => [r.tipo, r.estado]), [["licencia", "vencido"]]);
+  });
+});
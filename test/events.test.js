@@ -0,0 +1,226 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+const eventos = require("../src/config/eventos");
+
+describe("Gateway de eventos /events", () => {
+  let ctx;
+  const abiertos = [];
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+  });
+
+  afterEach(async () => {
+    abiertos.splice(0).forEach((stream) => stream.cerrar());
+    await ctx.cerrar();
+  });
+
+  const abrir = async (usuario, opciones) => {
+    const stream = await ctx.abrirEventos(usuario.token, opciones);
+    abiertos.push(stream);
+    return stream;
+  };
+
+  /** Da tiempo a que lleguen eventos que no deberían llegar */
+  const pausa = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  it("exige token y un Last-Event-ID numérico", async () => {
+    const sinToken = await ctx.abrirEventos(null);
+    assert.equal(sinToken.status, 401);
+
+    const pasajero = await ctx.registrarPasajero();
+    const invalido = await ctx.abrirEventos(pasajero.token, { ultimoId: "abc" });
+    assert.equal(invalido.status, 400);
+  });
+
+  it("entrega cada oferta solo a su conductor y los cambios del viaje solo a sus participantes", async () => {
+    const primero = await ctx.registrarConductorDisponible();
+    const segundo = await ctx.registrarConductorDisponible();
+    const pasajero = await ctx.registrarPasajero();
+    const otroPasajero = await ctx.registrarPasajero();
+    const streams = new Map();
+    for (const usuario of [primero, segundo, pasajero, otroPasajero]) {
+      streams.set(usuario.id, await abrir(usuario));
+    }
+
+    const viaje = await ctx.solicitarViaje(pasajero);
+    const oferta = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id);
+    const ofertado = oferta.driver_id === primero.id ? primero : segundo;
+    const noOfertado = ofertado === primero ? segundo : primero;
+
+    const [nuevaOferta] = await streams.get(ofertado.id).esperar(1);
+    assert.equal(nuevaOferta.evento, "new_trip_request");
+    assert.equal(nuevaOferta.payload.tripId, viaje.id);
+
+    await ctx.request("POST", "/trip/accept", { token: ofertado.token, body: { tripId: viaje.id } });
+
+    const delPasajero = await streams.get(pasajero.id).esperar(2);
+    const actualizado = delPasajero.find((e) => e.evento === "trip_updated");
+    assert.deepEqual(
+      { tripId: actualizado.payload.tripId, estado: actualizado.payload.estado, accion: actualizado.payload.accion },
+      { tripId: viaje.id, estado: "asignado", accion: "aceptar" }
+    );
+    assert.ok(delPasajero.some((e) => e.evento === "trip_accepted"));
+
+    await pausa();
+    assert.equal(streams.get(noOfertado.id).eventos.length, 0);
+    assert.equal(streams.get(otroPasajero.id).eventos.length, 0);
+  });
+
+  it("al reconectar con Last-Event-ID reproduce solo los eventos perdidos, en orden", async () => {
+    const conductor = await ctx.registrarConductorDisponible();
+    const pasajero = await ctx.registrarPasajero();
+    const viaje = await ctx.solicitarViaje(pasajero);
+
+    const primera = await abrir(pasajero);
+    await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+    const recibidos = await primera.esperar(2);
+    const ultimoId = recibidos[recibidos.length - 1].id;
+    primera.cerrar();
+
+    for (const ruta of ["/trip/start", "/trip/finish"]) {
+      await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: viaje.id } });
+    }
+
+    const reconexion = await abrir(pasajero, { ultimoId });
+    const perdidos = await reconexion.esperar(2);
+    assert.deepEqual(
+      perdidos.map((e) => e.payload.estado),
+      ["en_progreso", "finalizado"]
+    );
+    assert.ok(perdidos.every((e) => e.id > ultimoId));
+    assert.ok(perdidos[0].id < perdidos[1].id);
+
+    // Sin Last-Event-ID no se reproduce el historial
+    const nueva = await abrir(pasajero);
+    await pausa();
+    assert.equal(nueva.eventos.length, 0);
+  });
+
+  it("entrega los eventos publicados por otra instancia del servidor", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const stream = await abrir(pasajero);
+
+    await ctx.services.pushGateway.sincronizar();
+    // Otra instancia solo escribe en push_events
+    await ctx.repositories.pushEvents.create({ user_id: pasajero.id, evento: "trip_expired", payload: { tripId: "t1" } });
+    await ctx.services.pushGateway.sincronizar();
+
+    const [evento] = await stream.esperar(1);
+    assert.equal(evento.evento, "trip_expired");
+    assert.equal(evento.payload.tripId, "t1");
+  });
+
+  it("no pierde eventos de otra instancia publicados antes del primer sondeo", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    await ctx.services.pushGateway.sincronizar();
+
+    const stream = await abrir(pasajero);
+    await ctx.repositories.pushEvents.create({ user_id: pasajero.id, evento: "trip_expired", payload: { tripId: "t1" } });
+    await ctx.services.pushGateway.sincronizar();
+
+    const [evento] = await stream.esperar(1);
+    assert.equal(evento.payload.tripId, "t1");
+  });
+
+  it("lee los eventos de otra instancia por id y sigue mientras las páginas vengan llenas", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const otro = await ctx.registrarPasajero();
+    const stream = await abrir(pasajero);
+    await ctx.services.pushGateway.sincronizar();
+
+    const { pushEvents } = ctx.repositories;
+    const consultas = [];
+    const listAfter = pushEvents.listAfter;
+    pushEvents.listAfter = (...args) => {
+      consultas.push(args);
+      return listAfter.apply(pushEvents, args);
+    };
+    const reproduccionMaxEventos = eventos.reproduccionMaxEventos;
+    eventos.reproduccionMaxEventos = 2;
+
+    try {
+      for (let i = 0; i < 4; i++) {
+        await pushEvents.create({ user_id: otro.id, evento: "ajeno", payload: {} });
+      }
+      await pushEvents.create({ user_id: pasajero.id, evento: "propio", payload: {} });
+      await ctx.services.pushGateway.sincronizar();
+    } finally {
+      pushEvents.listAfter = listAfter;
+      eventos.reproduccionMaxEventos = reproduccionMaxEventos;
+    }
+
+    assert.equal(consultas.length, 3);
+    const [evento] = await stream.esperar(1);
+    assert.equal(evento.evento, "propio");
+    await pausa();
+    assert.equal(stream.eventos.length, 1);
+  });
+
+  it("entrega una sola vez los eventos confirmados fuera de orden por otra instancia", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const stream = await abrir(pasajero);
+    await ctx.services.pushGateway.sincronizar();
+
+    const { data: primero } = await ctx.repositories.pushEvents.create({ user_id: pasajero.id, evento: "a", payload: {} });
+    await ctx.repositories.pushEvents.create({ user_id: pasajero.id, evento: "b", payload: {} });
+    // El de id menor todavía no se confirmó cuando se lee el de id mayor
+    const store = ctx.repositories.store;
+    store.push_events = store.push_events.filter((e) => e.id !== primero.id);
+    await ctx.services.pushGateway.sincronizar();
+    await stream.esperar(1);
+
+    store.push_events.push(primero);
+    store.push_events.sort((a, b) => a.id - b.id);
+    await ctx.services.pushGateway.sincronizar();
+    await ctx.services.pushGateway.sincronizar();
+
+    await stream.esperar(2);
+    await pausa();
+    assert.deepEqual(stream.eventos.map((e) => e.evento), ["b", "a"]);
+  });
+
+  it("cierra el stream de la sesión que hace logout y deja abierto el de otra sesión", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const login = await ctx.request("POST", "/auth/login", { body: { email: pasajero.email, password: pasajero.password } });
+    const otraSesion = await abrir({ token: login.body.data.token });
+    const stream = await abrir(pasajero);
+
+    const logout = await ctx.request("POST", "/auth/logout", { token: pasajero.token });
+    assert.equal(logout.status, 200);
+
+    await stream.esperarCierre();
+    assert.deepEqual(stream.eventos.map((e) => e.evento), ["session_closed"]);
+    assert.equal(ctx.services.pushGateway.contarConexiones(pasajero.id), 1);
+    assert.equal(otraSesion.eventos.length, 0);
+  });
+
+  it("cierra los streams del usuario suspendido por un admin", async () => {
+    const admin = await ctx.registrarAdmin();
+    const pasajero = await ctx.registrarPasajero();
+    const stream = await abrir(pasajero);
+
+    await ctx.request("POST", `/admin/users/${pasajero.id}/suspend`, {
+      token: admin.token,
+      body: { motivo: "fraude" }
+    });
+
+    await stream.esperarCierre();
+    assert.equal(stream.eventos[0].evento, "session_closed");
+    assert.equal(ctx.services.pushGateway.contarConexiones(pasajero.id), 0);
+  });
+
+  it("cierra en el keepalive los streams de sesiones revocadas en otra instancia", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const stream = await abrir(pasajero);
+
+    // Otra instancia solo escribe en auth_sessions
+    await ctx.repositories.authSessions.revokeAllByUser(pasajero.id, "logout_all");
+    ctx.services.pushGateway.mantenerConexiones();
+
+    await stream.esperarCierre();
+    assert.equal(stream.eventos[0].evento, "session_closed");
+  });
+});
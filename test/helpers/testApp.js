@@ -0,0 +1,327 @@
+/**
+ * Arnés de pruebas de integración.
+ *
+ * Levanta src/app.js sobre repositorios en memoria (sin red ni Supabase) en un puerto libre
+ * y expone helpers para hacer peticiones HTTP y preparar usuarios.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "jwt-secret-de-pruebas";
+
+const crypto = require("crypto");
+
+const createApp = require("../../src/app");
+const { createMemoryRepositories } = require("../../src/repositories");
+const { createServices, stopServices } = require("../../src/services");
+const { TIPOS_DOCUMENTO } = require("../../src/services/driverDocumentService");
+
+// Punto de recogida por defecto (Lima) y un destino cercano
+const PICKUP = { lat: -12.0464, lng: -77.0428, address: "Plaza de Armas" };
+const DESTINO = { lat: -12.0621, lng: -77.0365, address: "Parque de la Reserva" };
+
+let contadorUsuarios = 0;
+
+/**
+ * Crea una aplicación nueva con su propio almacenamiento en memoria.
+ *
+ * @returns {Promise<Object>} { repositories, services, request, registrar, ..., cerrar }
+ */
+const iniciarApp = async () => {
+  const repositories = createMemoryRepositories();
+
+  // Sender que guarda los mensajes en vez de enviarlos (códigos de un solo uso)
+  const mensajes = [];
+  const sender = {
+    async enviar(mensaje) {
+      mensajes.push(mensaje);
+    }
+  };
+
+  // Almacenamiento de archivos en memoria (documentos de conductores)
+  const archivos = new Map();
+  const storage = {
+    async guardar({ clave, contenido }) {
+      archivos.set(clave, contenido);
+      return { ref: clave };
+    },
+    async obtener(ref) {
+      return archivos.get(ref);
+    }
+  };
+
+  const services = createServices(repositories, { sender, storage });
+  const app = createApp({ repositories, services });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Petición HTTP a la app. Devuelve { status, body, headers }.
+   * body se envía como JSON; raw (Buffer) se envía tal cual con el Content-Type de headers.
+   */
+  const request = async (method, path, { body, raw, token, headers = {} } = {}) => {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: raw !== undefined ? raw : body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const texto = await res.text();
+    let json = null;
+    try {
+      json = texto ? JSON.parse(texto) : null;
+    } catch (error) {
+      json = texto;
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  };
+
+  /**
+   * Abre GET /events y acumula los eventos SSE recibidos en "eventos" ({ id, evento, payload }).
+   * esperar(n) espera hasta tener n eventos; cerrar() corta la conexión.
+   */
+  const abrirEventos = async (token, { ultimoId } = {}) => {
+    const controlador = new AbortController();
+    const res = await fetch(baseUrl + "/events", {
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(ultimoId !== undefined ? { "Last-Event-ID": String(ultimoId) } : {})
+      },
+      signal: controlador.signal
+    });
+
+    const eventos = [];
+    let terminado = false;
+    const leer = async () => {
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const fragmento of res.body) {
+        buffer += decoder.decode(fragmento, { stream: true });
+        let fin;
+        while ((fin = buffer.indexOf("\n\n")) !== -1) {
+          const campos = {};
+          for (const linea of buffer.slice(0, fin).split("\n")) {
+            const separador = linea.indexOf(": ");
+            if (separador > 0) {
+              campos[linea.slice(0, separador)] = linea.slice(separador + 2);
+            }
+          }
+          buffer = buffer.slice(fin + 2);
+          if (campos.event) {
+            eventos.push({
+              id: campos.id !== undefined ? Number(campos.id) : null,
+              evento: campos.event,
+              payload: JSON.parse(campos.data)
+            });
+          }
+        }
+      }
+      terminado = true;
+    };
+    if (res.status === 200) {
+      leer().catch(() => {});
+    } else {
+      await res.text();
+    }
+
+    const esperar = async (cantidad) => {
+      const limite = Date.now() + 2000;
+      while (eventos.length < cantidad) {
+        if (Date.now() > limite) {
+          throw new Error(`Se esperaban ${cantidad} eventos, llegaron ${eventos.length}: ${JSON.stringify(eventos)}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return eventos;
+    };
+
+    /** Espera a que el servidor cierre el stream */
+    const esperarCierre = async () => {
+      const limite = Date.now() + 2000;
+      while (!terminado) {
+        if (Date.now() > limite) {
+          throw new Error("El servidor no cerró el stream");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    return { status: res.status, eventos, esperar, esperarCierre, cerrar: () => controlador.abort() };
+  };
+
+  /** Último código numérico enviado a un destino (email o teléfono) */
+  const ultimoCodigo = (destino) => {
+    const mensaje = [...mensajes].reverse().find((m) => m.destino === destino);
+    return mensaje ? mensaje.mensaje.match(/\d{4,}/)[0] : null;
+  };
+
+  /**
+   * Registra e inicia sesión con un usuario nuevo. Por defecto también verifica su teléfono
+   * con el código enviado al registrarse ({ verificarTelefono: false } para omitirlo).
+   * Devuelve { id, token, refreshToken, email, password, telefono }.
+   */
+  const registrar = async (roles = ["pasajero"], extra = {}, { verificarTelefono = true } = {}) => {
+    contadorUsuarios += 1;
+    const datos = {
+      email: `usuario${contadorUsuarios}@prueba.com`,
+      password: "secreto123",
+      nombre: `Usuario ${contadorUsuarios}`,
+      telefono: `9000000${String(contadorUsuarios).padStart(2, "0")}`,
+      roles,
+      ...extra
+    };
+
+    const registro = await request("POST", "/auth/register", { body: datos });
+    if (registro.status !== 201) {
+      throw new Error(`Registro falló (${registro.status}): ${JSON.stringify(registro.body)}`);
+    }
+
+    const login = await request("POST", "/auth/login", {
+      body: { email: datos.email, password: datos.password }
+    });
+    if (login.status !== 200) {
+      throw new Error(`Login falló (${login.status}): ${JSON.stringify(login.body)}`);
+    }
+
+    if (verificarTelefono) {
+      const verificacion = await request("POST", "/auth/phone/verify", {
+        token: login.body.data.token,
+        body: { code: ultimoCodigo(datos.telefono) }
+      });
+      if (verificacion.status !== 200) {
+        throw new Error(`Verificación de teléfono falló (${verificacion.status}): ${JSON.stringify(verificacion.body)}`);
+      }
+    }
+
+    return {
+      id: registro.body.data.id,
+      token: login.body.data.token,
+      refreshToken: login.body.data.refreshToken,
+      email: datos.email,
+      password: datos.password,
+      telefono: datos.telefono
+    };
+  };
+
+  const registrarPasajero = () => registrar(["pasajero"]);
+
+  /**
+   * Usuario con rol admin (el registro no lo permite: se asigna en el almacenamiento y se inicia sesión de nuevo).
+   */
+  const registrarAdmin = async () => {
+    const usuario = await registrar(["pasajero"]);
+    repositories.store.users.find((u) => u.id === usuario.id).roles = ["admin"];
+    const login = await request("POST", "/auth/login", { body: { email: usuario.email, password: usuario.password } });
+    return { ...usuario, token: login.body.data.token, refreshToken: login.body.data.refreshToken };
+  };
+
+  /**
+   * Da por aprobados y vigentes (un año) todos los documentos del conductor.
+   */
+  const aprobarDocumentos = (userId) => {
+    const vence = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const tipo of TIPOS_DOCUMENTO) {
+      repositories.store.driver_documents.push({
+        id: crypto.randomUUID(),
+        driver_id: userId,
+        tipo,
+        archivo_ref: `${userId}/${tipo}.pdf`,
+        content_type: "application/pdf",
+        tamano_bytes: 1,
+        expires_at: vence,
+        estado: "aprobado",
+        motivo_rechazo: null,
+        revisado_por: null,
+        revisado_at: new Date().toISOString(),
+        created_at: new Date().toISOString()
+      });
+    }
+  };
+
+  let placas = 0;
+
+  /**
+   * Agrega un vehículo activo al conductor (con placa única). Devuelve el vehículo.
+   */
+  const agregarVehiculo = (userId) => {
+    placas += 1;
+    const vehiculo = {
+      id: crypto.randomUUID(),
+      driver_id: userId,
+      placa: `${String(placas).padStart(4, "0")}AB`,
+      marca: "Bajaj",
+      modelo: "RE",
+      color: "Rojo",
+      anio: 2022,
+      cascos: 2,
+      activo: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    repositories.store.vehicles.push(vehiculo);
+    return vehiculo;
+  };
+
+  /**
+   * Conductor registrado, con documentos aprobados, vehículo activo, disponible y con
+   * ubicación (por defecto en el punto de recogida).
+   */
+  const registrarConductorDisponible = async (ubicacion = PICKUP) => {
+    const conductor = await registrar(["conductor"]);
+    aprobarDocumentos(conductor.id);
+    agregarVehiculo(conductor.id);
+    await request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+    await request("POST", "/driver/location", {
+      token: conductor.token,
+      body: { lat: ubicacion.lat, lng: ubicacion.lng }
+    });
+    return conductor;
+  };
+
+  /**
+   * Pasajero solicita un viaje desde PICKUP. Devuelve el viaje creado.
+   */
+  const solicitarViaje = async (pasajero, body = { pickup: PICKUP, destination: DESTINO }) => {
+    const res = await request("POST", "/trip/request", { token: pasajero.token, body });
+    if (res.status !== 201) {
+      throw new Error(`Solicitud de viaje falló (${res.status}): ${JSON.stringify(res.body)}`);
+    }
+    return res.body.data.trip;
+  };
+
+  /** Estado actual de un conductor en el almacenamiento en memoria */
+  const estadoConductor = (userId) => repositories.store.drivers.find((d) => d.user_id === userId)?.estado;
+
+  const cerrar = async () => {
+    stopServices(services);
+    await new Promise((resolve) => server.close(resolve));
+  };
+
+  return {
+    repositories,
+    services,
+    request,
+    abrirEventos,
+    registrar,
+    registrarPasajero,
+    registrarAdmin,
+    aprobarDocumentos,
+    agregarVehiculo,
+    registrarConductorDisponible,
+    solicitarViaje,
+    estadoConductor,
+    mensajes,
+    ultimoCodigo,
+    cerrar
+  };
+};
+
+module.exports = {
+  iniciarApp,
+  PICKUP,
+  DESTINO
+};
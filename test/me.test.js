@@ -0,0 +1,179 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+describe("Perfil: /me", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  /** Simula que el último código OTP se envió hace más tiempo que la espera entre envíos */
+  const vencerEsperaOtp = (usuario) => {
+    ctx.repositories.store.phone_verification_codes
+      .filter((c) => c.user_id === usuario.id)
+      .forEach((c) => {
+        c.created_at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      });
+  };
+
+  it("exige autenticación", async () => {
+    const res = await ctx.request("GET", "/me");
+    assert.equal(res.status, 401);
+  });
+
+  it("devuelve el perfil con roles y el estado del conductor", async () => {
+    const pasajero = await ctx.registrarPasajero();
+    const conductor = await ctx.registrarConductorDisponible();
+
+    const perfilPasajero = await ctx.request("GET", "/me", { token: pasajero.token });
+    assert.equal(perfilPasajero.status, 200);
+    assert.equal(perfilPasajero.body.data.email, pasajero.email);
+    assert.deepEqual(perfilPasajero.body.data.roles, ["pasajero"]);
+    assert.equal(perfilPasajero.body.data.conductor, null);
+    assert.equal(perfilPasajero.body.data.password, undefined);
+
+    const perfilConductor = await ctx.request("GET", "/me", { token: conductor.token });
+    assert.equal(perfilConductor.status, 200);
+    assert.equal(perfilConductor.body.data.conductor.estado, "disponible");
+  });
+
+  it("actualiza nombre y foto y valida los campos", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const res = await ctx.request("PATCH", "/me", {
+      token: usuario.token,
+      body: { nombre: "  Ana Torres ", foto_url: "https://cdn.ejemplo.com/ana.jpg" }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, "Ana Torres");
+    assert.equal(res.body.data.foto_url, "https://cdn.ejemplo.com/ana.jpg");
+
+    const fotoInvalida = await ctx.request("PATCH", "/me", { token: usuario.token, body: { foto_url: "javascript:alert(1)" } });
+    assert.equal(fotoInvalida.status, 400);
+
+    const vacio = await ctx.request("PATCH", "/me", { token: usuario.token, body: { email: "otro@prueba.com" } });
+    assert.equal(vacio.status, 400);
+
+    const sinFoto = await ctx.request("PATCH", "/me", { token: usuario.token, body: { foto_url: null } });
+    assert.equal(sinFoto.body.data.foto_url, null);
+  });
+
+  it("cambia la contraseña con la actual y cierra las demás sesiones", async () => {
+    const usuario = await ctx.registrarPasajero();
+    const otroDispositivo = await ctx.request("POST", "/auth/login", {
+      body: { email: usuario.email, password: usuario.password }
+    });
+
+    const incorrecta = await ctx.request("POST", "/me/password", {
+      token: usuario.token,
+      body: { currentPassword: "otra-clave", newPassword: "nueva12345" }
+    });
+    assert.equal(incorrecta.status, 401);
+    assert.equal(incorrecta.body.code, "INVALID_PASSWORD");
+
+    const res = await ctx.request("POST", "/me/password", {
+      token: usuario.token,
+      body: { currentPassword: usuario.password, newPassword: "nueva12345" }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.sesionesCerradas, 1);
+
+    // La sesión actual sigue abierta; la del otro dispositivo no
+    assert.equal((await ctx.request("GET", "/me", { token: usuario.token })).status, 200);
+    const revocada = await ctx.request("GET", "/me", { token: otroDispositivo.body.data.token });
+    assert.equal(revocada.status, 401);
+    assert.equal(revocada.body.code, "SESSION_REVOKED");
+
+    const loginNuevo = await ctx.request("POST", "/auth/login", { body: { email: usuario.email, password: "nueva12345" } });
+    assert.equal(loginNuevo.status, 200);
+  });
+
+  it("cambia el email solo después de verificar el código enviado al email nuevo", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const solicitud = await ctx.request("POST", "/me/email", {
+      token: usuario.token,
+      body: { email: "nuevo@prueba.com", currentPassword: usuario.password }
+    });
+    assert.equal(solicitud.status, 200);
+
+    const antes = await ctx.request("GET", "/me", { token: usuario.token });
+    assert.equal(antes.body.data.email, usuario.email);
+
+    const incorrecto = await ctx.request("POST", "/me/email/verify", { token: usuario.token, body: { code: "000000" } });
+    assert.equal(incorrecto.status, 400);
+    assert.equal(incorrecto.body.code, "EMAIL_CODE_INVALID");
+
+    const res = await ctx.request("POST", "/me/email/verify", {
+      token: usuario.token,
+      body: { code: ctx.ultimoCodigo("nuevo@prueba.com") }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.email, "nuevo@prueba.com");
+
+    const login = await ctx.request("POST", "/auth/login", { body: { email: "nuevo@prueba.com", password: usuario.password } });
+    assert.equal(login.status, 200);
+  });
+
+  it("rechaza un email o teléfono que ya pertenece a otro usuario", async () => {
+    const usuario = await ctx.registrarPasajero();
+    const otro = await ctx.registrarPasajero();
+
+    const email = await ctx.request("POST", "/me/email", {
+      token: usuario.token,
+      body: { email: otro.email, currentPassword: usuario.password }
+    });
+    assert.equal(email.status, 409);
+    assert.equal(email.body.code, "EMAIL_TAKEN");
+
+    const telefono = await ctx.request("POST", "/me/phone", {
+      token: usuario.token,
+      body: { telefono: otro.telefono, currentPassword: usuario.password }
+    });
+    assert.equal(telefono.status, 409);
+    assert.equal(telefono.body.code, "PHONE_TAKEN");
+
+    // El registro usa la misma comprobación
+    const registro = await ctx.request("POST", "/auth/register", {
+      body: { email: otro.email, password: "secreto123", nombre: "Repetido", telefono: "911111111", roles: ["pasajero"] }
+    });
+    assert.equal(registro.status, 409);
+    assert.equal(registro.body.message, "Este email ya está registrado");
+  });
+
+  it("cambia el teléfono al verificar el código enviado al número nuevo", async () => {
+    const usuario = await ctx.registrarPasajero();
+    vencerEsperaOtp(usuario);
+
+    const sinPassword = await ctx.request("POST", "/me/phone", {
+      token: usuario.token,
+      body: { telefono: "955555555", currentPassword: "incorrecta" }
+    });
+    assert.equal(sinPassword.status, 401);
+
+    const solicitud = await ctx.request("POST", "/me/phone", {
+      token: usuario.token,
+      body: { telefono: "955555555", currentPassword: usuario.password }
+    });
+    assert.equal(solicitud.status, 200);
+    assert.equal(ctx.mensajes.at(-1).destino, "955555555");
+
+    // Hasta verificarlo conserva el teléfono anterior, que sigue verificado
+    const antes = await ctx.request("GET", "/me", { token: usuario.token });
+    assert.equal(antes.body.data.telefono, usuario.telefono);
+    assert.equal(antes.body.data.telefono_verificado, true);
+
+    const res = await ctx.request("POST", "/me/phone/verify", {
+      token: usuario.token,
+      body: { code: ctx.ultimoCodigo("955555555") }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.telefono, "955555555");
+    assert.equal(res.body.data.telefono_verificado, true);
+  });
+});
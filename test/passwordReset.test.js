@@ -0,0 +1,194 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+const ASUNTO_RESET = "Recupera tu contraseña";
+
+describe("Recuperación de contraseña: /auth/password/forgot y /auth/password/reset", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  const olvide = (body) => ctx.request("POST", "/auth/password/forgot", { body });
+  const restablecer = (body) => ctx.request("POST", "/auth/password/reset", { body });
+
+  /** Simula que los códigos enviados se pidieron los segundos dados antes */
+  const atrasarCodigos = (segundos) => {
+    ctx.repositories.store.password_reset_codes.forEach((c) => {
+      c.created_at = new Date(Date.parse(c.created_at) - segundos * 1000).toISOString();
+    });
+  };
+
+  it("envía un código por email y permite cambiar la contraseña una sola vez", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    const res = await olvide({ email: usuario.email });
+    assert.equal(res.status, 200);
+
+    const enviados = ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET);
+    assert.equal(enviados.length, 1);
+    assert.equal(enviados[0].canal, "email");
+    const codigo = ctx.ultimoCodigo(usuario.email);
+    assert.match(codigo, /^\d{6}$/);
+
+    // Solo se guarda el hash
+    const guardado = ctx.repositories.store.password_reset_codes[0];
+    assert.notEqual(guardado.code_hash, codigo);
+
+    const cambio = await restablecer({ email: usuario.email, code: codigo, password: "nueva123" });
+    assert.equal(cambio.status, 200);
+
+    const loginViejo = await ctx.request("POST", "/auth/login", {
+      body: { email: usuario.email, password: usuario.password }
+    });
+    assert.equal(loginViejo.status, 401);
+
+    const loginNuevo = await ctx.request("POST", "/auth/login", { body: { email: usuario.email, password: "nueva123" } });
+    assert.equal(loginNuevo.status, 200);
+
+    const reutilizado = await restablecer({ email: usuario.email, code: codigo, password: "otra1234" });
+    assert.equal(reutilizado.status, 400);
+    assert.equal(reutilizado.body.code, "RESET_CODE_INVALID");
+  });
+
+  it("acepta el teléfono como identificador y envía por sms", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    await olvide({ telefono: usuario.telefono });
+
+    assert.equal(ctx.mensajes.find((m) => m.asunto === ASUNTO_RESET).canal, "sms");
+    const cambio = await restablecer({
+      telefono: usuario.telefono,
+      code: ctx.ultimoCodigo(usuario.telefono),
+      password: "nueva123"
+    });
+    assert.equal(cambio.status, 200);
+  });
+
+  it("responde igual para cuentas inexistentes y no envía nada", async () => {
+    const res = await olvide({ email: "nadie@prueba.com" });
+
+    assert.equal(res.status, 200);
+    assert.equal(ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET).length, 0);
+  });
+
+  it("revoca las sesiones abiertas", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+
+    await restablecer({ email: usuario.email, code: ctx.ultimoCodigo(usuario.email), password: "nueva123" });
+
+    const acceso = await ctx.request("GET", "/trip/pasajero", { token: usuario.token });
+    assert.equal(acceso.status, 401);
+
+    const refresh = await ctx.request("POST", "/auth/refresh", { body: { refreshToken: usuario.refreshToken } });
+    assert.equal(refresh.status, 401);
+  });
+
+  it("invalida el código tras demasiados intentos fallidos", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+    const codigo = ctx.ultimoCodigo(usuario.email);
+    const incorrecto = codigo === "000000" ? "111111" : "000000";
+
+    for (let i = 0; i < 4; i++) {
+      const res = await restablecer({ email: usuario.email, code: incorrecto, password: "nueva123" });
+      assert.equal(res.status, 400);
+    }
+
+    const ultimo = await restablecer({ email: usuario.email, code: incorrecto, password: "nueva123" });
+    assert.equal(ultimo.status, 429);
+    assert.equal(ultimo.body.code, "RESET_CODE_ATTEMPTS_EXCEEDED");
+
+    const correctoTarde = await restablecer({ email: usuario.email, code: codigo, password: "nueva123" });
+    assert.equal(correctoTarde.status, 400);
+  });
+
+  it("un código nuevo invalida el anterior", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+    const primero = ctx.ultimoCodigo(usuario.email);
+    atrasarCodigos(61);
+    await olvide({ email: usuario.email });
+    const segundo = ctx.ultimoCodigo(usuario.email);
+
+    if (primero !== segundo) {
+      const viejo = await restablecer({ email: usuario.email, code: primero, password: "nueva123" });
+      assert.equal(viejo.status, 400);
+    }
+
+    const nuevo = await restablecer({ email: usuario.email, code: segundo, password: "nueva123" });
+    assert.equal(nuevo.status, 200);
+  });
+
+  it("aplica la espera entre envíos y no reinicia los intentos", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+    const codigo = ctx.ultimoCodigo(usuario.email);
+    const incorrecto = codigo === "000000" ? "111111" : "000000";
+    await restablecer({ email: usuario.email, code: incorrecto, password: "nueva123" });
+
+    const reenvio = await olvide({ email: usuario.email });
+    assert.equal(reenvio.status, 200);
+    assert.equal(ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET).length, 1);
+
+    // El código vigente conserva su intento fallido
+    assert.equal(ctx.repositories.store.password_reset_codes[0].attempts, 1);
+    assert.equal(ctx.repositories.store.password_reset_codes[0].invalidated_at, null);
+  });
+
+  it("limita los códigos por usuario dentro de la ventana", async () => {
+    const usuario = await ctx.registrarPasajero();
+
+    for (let i = 0; i < 5; i++) {
+      atrasarCodigos(61);
+      const res = await olvide({ email: usuario.email });
+      assert.equal(res.status, 200);
+    }
+
+    atrasarCodigos(61);
+    const excedido = await olvide({ email: usuario.email });
+    assert.equal(excedido.status, 200);
+    assert.equal(ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET).length, 5);
+
+    // Fuera de la ventana se puede volver a pedir
+    atrasarCodigos(60 * 60);
+    assert.equal((await olvide({ email: usuario.email })).status, 200);
+    assert.equal(ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET).length, 6);
+  });
+
+  it("responde igual a una cuenta limitada que a una inexistente", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+
+    const limitada = await olvide({ email: usuario.email });
+    const inexistente = await olvide({ email: "nadie@prueba.com" });
+
+    assert.equal(limitada.status, inexistente.status);
+    assert.deepEqual(limitada.body, inexistente.body);
+    assert.equal(limitada.headers.get("retry-after"), null);
+    assert.equal(inexistente.headers.get("retry-after"), null);
+    assert.equal(ctx.mensajes.filter((m) => m.asunto === ASUNTO_RESET).length, 1);
+  });
+
+  it("rechaza códigos vencidos", async () => {
+    const usuario = await ctx.registrarPasajero();
+    await olvide({ email: usuario.email });
+    ctx.repositories.store.password_reset_codes[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const res = await restablecer({ email: usuario.email, code: ctx.ultimoCodigo(usuario.email), password: "nueva123" });
+    assert.equal(res.status, 400);
+  });
+
+  it("valida los datos de entrada", async () => {
+    assert.equal((await olvide({})).status, 400);
+    assert.equal((await restablecer({ email: "a@prueba.com", code: "123456" })).status, 400);
+    assert.equal((await restablecer({ email: "a@prueba.com", code: 123456, password: "nueva123" })).status, 400);
+    assert.equal((await restablecer({ email: "a@prueba.com", code: "123456", password: "123" })).status, 400);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp, PICKUP } = require("./helpers/testApp");
+
+describe("Verificación de teléfono: /auth/phone/send-code y /auth/phone/verify", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  const sinVerificar = (roles = ["pasajero"]) => ctx.registrar(roles, {}, { verificarTelefono: false });
+  const enviar = (usuario) => ctx.request("POST", "/auth/phone/send-code", { token: usuario.token });
+  const verificar = (usuario, code) => ctx.request("POST", "/auth/phone/verify", { token: usuario.token, body: { code } });
+
+  /** Simula que el último código se envió hace más tiempo que la espera entre envíos */
+  const vencerEspera = (usuario) => {
+    ctx.repositories.store.phone_verification_codes
+      .filter((c) => c.user_id === usuario.id)
+      .forEach((c) => {
+        c.created_at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      });
+  };
+
+  it("el registro envía un código por SMS y deja el teléfono sin verificar", async () => {
+    const usuario = await sinVerificar();
+
+    const sms = ctx.mensajes.filter((m) => m.destino === usuario.telefono);
+    assert.equal(sms.length, 1);
+    assert.equal(sms[0].canal, "sms");
+
+    const login = await ctx.request("POST", "/auth/login", {
+      body: { email: usuario.email, password: usuario.password }
+    });
+    assert.equal(login.body.data.telefono_verificado, false);
+
+    const guardado = ctx.repositories.store.phone_verification_codes[0];
+    assert.notEqual(guardado.code_hash, ctx.ultimoCodigo(usuario.telefono));
+  });
+
+  it("verifica el teléfono con el código correcto", async () => {
+    const usuario = await sinVerificar();
+
+    const res = await verificar(usuario, ctx.ultimoCodigo(usuario.telefono));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.telefono_verificado, true);
+    assert.equal(ctx.repositories.store.users.find((u) => u.id === usuario.id).telefono_verificado, true);
+
+    const otraVez = await enviar(usuario);
+    assert.equal(otraVez.status, 409);
+    assert.equal(otraVez.body.code, "PHONE_ALREADY_VERIFIED");
+  });
+
+  it("exige esperar entre envíos", async () => {
+    const usuario = await sinVerificar();
+
+    const inmediato = await enviar(usuario);
+    assert.equal(inmediato.status, 429);
+    assert.equal(inmediato.body.code, "OTP_COOLDOWN");
+    assert.ok(inmediato.body.retryAfterSeg > 0);
+
+    vencerEspera(usuario);
+    const reenvio = await enviar(usuario);
+    assert.equal(reenvio.status, 200);
+    assert.ok(reenvio.body.data.expiresAt);
+  });
+
+  it("un reenvío invalida el código anterior", async () => {
+    const usuario = await sinVerificar();
+    const primero = ctx.ultimoCodigo(usuario.telefono);
+
+    vencerEspera(usuario);
+    await enviar(usuario);
+    const segundo = ctx.ultimoCodigo(usuario.telefono);
+
+    if (primero !== segundo) {
+      const viejo = await verificar(usuario, primero);
+      assert.equal(viejo.status, 400);
+    }
+
+    const nuevo = await verificar(usuario, segundo);
+    assert.equal(nuevo.status, 200);
+  });
+
+  it("invalida el código tras demasiados intentos fallidos", async () => {
+    const usuario = await sinVerificar();
+    const codigo = ctx.ultimoCodigo(usuario.telefono);
+    const incorrecto = codigo === "000000" ? "111111" : "000000";
+
+    for (let i = 0; i < 4; i++) {
+      const res = await verificar(usuario, incorrecto);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "OTP_INVALID");
+    }
+
+    const ultimo = await verificar(usuario, incorrecto);
+    assert.equal(ultimo.status, 429);
+    assert.equal(ultimo.body.code, "OTP_ATTEMPTS_EXCEEDED");
+
+    const correctoTarde = await verificar(usuario, codigo);
+    assert.equal(correctoTarde.status, 400);
+  });
+
+  it("rechaza códigos vencidos y peticiones sin código o sin token", async () => {
+    const usuario = await sinVerificar();
+    ctx.repositories.store.phone_verification_codes[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const vencido = await verificar(usuario, ctx.ultimoCodigo(usuario.telefono));
+    assert.equal(vencido.status, 400);
+
+    const sinCodigo = await ctx.request("POST", "/auth/phone/verify", { token: usuario.token, body: {} });
+    assert.equal(sinCodigo.status, 400);
+
+    const sinToken = await ctx.request("POST", "/auth/phone/send-code");
+    assert.equal(sinToken.status, 401);
+  });
+
+  it("bloquea solicitar y aceptar viajes hasta verificar el teléfono", async () => {
+    const conductor = await sinVerificar(["conductor"]);
+    ctx.aprobarDocumentos(conductor.id);
+    ctx.agregarVehiculo(conductor.id);
+    await ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+    await ctx.request("POST", "/driver/location", { token: conductor.token, body: { lat: PICKUP.lat, lng: PICKUP.lng } });
+    const pasajero = await sinVerificar();
+
+    const solicitud = await ctx.request("POST", "/trip/request", { token: pasajero.token, body: { pickup: PICKUP } });
+    assert.equal(solicitud.status, 403);
+    assert.equal(solicitud.body.code, "PHONE_NOT_VERIFIED");
+
+    await verificar(pasajero, ctx.ultimoCodigo(pasajero.telefono));
+    const viaje = await ctx.solicitarViaje(pasajero, { pickup: PICKUP });
+
+    const aceptar = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+    assert.equal(aceptar.status, 403);
+    assert.equal(aceptar.body.code, "PHONE_NOT_VERIFIED");
+
+    await verificar(conductor, ctx.ultimoCodigo(conductor.telefono));
+    const aceptado = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+    assert.equal(aceptado.status, 200);
+  });
+});
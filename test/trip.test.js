@@ -0,0 +1,1387 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { iniciarApp, PICKUP, DESTINO } = require("./helpers/testApp");
+const { calcularTarifa, estimarRecorrido } = require("../src/services/fareService");
+const { createTripTrackingService } = require("../src/services/tripTrackingService");
+const calificaciones = require("../src/config/calificaciones");
+const despacho = require("../src/config/despacho");
+
+// Punto a ~1 km del PICKUP para ordenar candidatos por distancia
+const CERCA = { lat: PICKUP.lat + 0.009, lng: PICKUP.lng };
+
+describe("Rutas /trip", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  /** Pasajero con un viaje en "asignado" a un conductor disponible */
+  const viajeAsignado = async () => {
+    const conductor = await ctx.registrarConductorDisponible();
+    const pasajero = await ctx.registrarPasajero();
+    const viaje = await ctx.solicitarViaje(pasajero);
+    const aceptado = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+    assert.equal(aceptado.status, 200);
+    return { conductor, pasajero, viaje: aceptado.body.data };
+  };
+
+  /** Igual que viajeAsignado pero ya en "en_progreso" */
+  const viajeEnProgreso = async () => {
+    const datos = await viajeAsignado();
+    const iniciado = await ctx.request("POST", "/trip/start", {
+      token: datos.conductor.token,
+      body: { tripId: datos.viaje.id }
+    });
+    assert.equal(iniciado.status, 200);
+    return { ...datos, viaje: iniciado.body.data };
+  };
+
+  describe("control de roles", () => {
+    it("rechaza con 403 las rutas de pasajero para conductores y viceversa", async () => {
+      const pasajero = await ctx.registrarPasajero();
+      const conductor = await ctx.registrar(["conductor"]);
+
+      const casos = [
+        ["GET", "/trip/pasajero", conductor],
+        ["GET", "/trip/conductor", pasajero],
+        ["POST", "/trip/quote", conductor],
+        ["POST", "/trip/request", conductor],
+        ["POST", "/trip/accept", pasajero],
+        ["POST", "/trip/reject", pasajero],
+        ["POST", "/trip/start", pasajero],
+        ["POST", "/trip/finish", pasajero],
+        ["POST", "/trip/no-show", pasajero]
+      ];
+
+      for (const [method, ruta, usuario] of casos) {
+        const res = await ctx.request(method, ruta, { token: usuario.token, body: method === "POST" ? {} : undefined });
+        assert.equal(res.status, 403, `${method} ${ruta}`);
+        assert.match(res.body.message, /Acceso denegado/);
+      }
+    });
+
+    it("exige token en todas las rutas", async () => {
+      const rutas = [
+        ["GET", "/trip/pasajero"],
+        ["GET", "/trip/conductor"],
+        ["GET", "/trip/123"],
+        ["GET", "/trip/123/events"],
+        ["POST", "/trip/quote"],
+        ["POST", "/trip/request"],
+        ["POST", "/trip/accept"],
+        ["POST", "/trip/reject"],
+        ["POST", "/trip/arrived"],
+        ["POST", "/trip/start"],
+        ["POST", "/trip/finish"],
+        ["POST", "/trip/cancel"],
+        ["POST", "/trip/no-show"]
+      ];
+
+      for (const [method, ruta] of rutas) {
+        const res = await ctx.request(method, ruta);
+        assert.equal(res.status, 401, `${method} ${ruta}`);
+      }
+    });
+  });
+
+  describe("POST /trip/quote", () => {
+    it("devuelve distancia, duración, tarifa y un quoteId con vencimiento", async () => {
+      const pasajero = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/quote", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.quoteId);
+      assert.ok(res.body.data.distancia_km > 0);
+      assert.ok(res.body.data.tarifa.total >= res.body.data.tarifa.minima);
+      assert.ok(new Date(res.body.data.expiresAt) > new Date());
+    });
+
+    it("valida pickup y destination", async () => {
+      const pasajero = await ctx.registrarPasajero();
+
+      const sinDestino = await ctx.request("POST", "/trip/quote", { token: pasajero.token, body: { pickup: PICKUP } });
+      assert.equal(sinDestino.status, 400);
+
+      const fueraDeRango = await ctx.request("POST", "/trip/quote", {
+        token: pasajero.token,
+        body: { pickup: { lat: 200, lng: 0 }, destination: DESTINO }
+      });
+      assert.equal(fueraDeRango.status, 400);
+    });
+  });
+
+  describe("POST /trip/request", () => {
+    it("crea el viaje en buscando y ofrece al conductor más cercano", async () => {
+      const lejano = await ctx.registrarConductorDisponible(CERCA);
+      const cercano = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/request", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.trip.estado, "buscando");
+      assert.equal(res.body.data.trip.pasajero_id, pasajero.id);
+      assert.equal(res.body.data.conductoresCercanos.length, 2);
+
+      const ofertas = ctx.repositories.store.trip_offers.filter((o) => o.trip_id === res.body.data.trip.id);
+      assert.equal(ofertas.length, 1);
+      assert.equal(ofertas[0].driver_id, cercano.id);
+      assert.notEqual(ofertas[0].driver_id, lejano.id);
+    });
+
+    it("acepta lat/lng en el body por compatibilidad", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/request", {
+        token: pasajero.token,
+        body: { lat: PICKUP.lat, lng: PICKUP.lng }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.trip.destination_lat, null);
+    });
+
+    it("responde 503 si no hay conductores disponibles", async () => {
+      const pasajero = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/request", { token: pasajero.token, body: { pickup: PICKUP } });
+
+      assert.equal(res.status, 503);
+      assert.equal(ctx.repositories.store.trips.length, 0);
+    });
+
+    it("responde 409 si el pasajero ya tiene un viaje activo", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      await ctx.solicitarViaje(pasajero);
+
+      const res = await ctx.request("POST", "/trip/request", { token: pasajero.token, body: { pickup: PICKUP } });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.message, "Ya tienes un viaje activo");
+    });
+
+    it("fija el precio cotizado y no permite reutilizar la cotización", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const cotizacion = await ctx.request("POST", "/trip/quote", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+      const { quoteId, tarifa } = cotizacion.body.data;
+
+      const viaje = await ctx.solicitarViaje(pasajero, { pickup: PICKUP, quoteId });
+      assert.equal(viaje.quoted_fare, tarifa.total);
+      assert.equal(viaje.destination_lat, DESTINO.lat);
+
+      await ctx.request("POST", "/trip/cancel", {
+        token: pasajero.token,
+        body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+      });
+
+      const reutilizada = await ctx.request("POST", "/trip/request", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, quoteId }
+      });
+      assert.equal(reutilizada.status, 409);
+      assert.equal(reutilizada.body.message, "La cotización ya fue utilizada");
+    });
+
+    it("rechaza cotizaciones de otro pasajero o con otra ubicación", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const otro = await ctx.registrarPasajero();
+      const cotizacion = await ctx.request("POST", "/trip/quote", {
+        token: otro.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+      const { quoteId } = cotizacion.body.data;
+
+      const ajena = await ctx.request("POST", "/trip/request", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, quoteId }
+      });
+      assert.equal(ajena.status, 400);
+
+      const otraUbicacion = await ctx.request("POST", "/trip/request", {
+        token: otro.token,
+        body: { pickup: CERCA, quoteId }
+      });
+      assert.equal(otraUbicacion.status, 400);
+      assert.equal(otraUbicacion.body.message, "La ubicación no coincide con la cotización");
+    });
+  });
+
+  describe("ciclo de vida", () => {
+    it("request → accept → start → finish con historial completo", async () => {
+      const { conductor, pasajero, viaje } = await viajeAsignado();
+
+      assert.equal(viaje.estado, "asignado");
+      assert.equal(viaje.conductor_id, conductor.id);
+      assert.equal(ctx.estadoConductor(conductor.id), "ocupado");
+
+      const iniciado = await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(iniciado.status, 200);
+      assert.equal(iniciado.body.data.estado, "en_progreso");
+
+      const finalizado = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(finalizado.status, 200);
+      assert.equal(finalizado.body.data.estado, "finalizado");
+      assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+
+      const eventos = await ctx.request("GET", `/trip/${viaje.id}/events`, { token: pasajero.token });
+      assert.equal(eventos.status, 200);
+      assert.deepEqual(
+        eventos.body.data.eventos.map((e) => e.accion),
+        ["solicitar", "aceptar", "iniciar", "finalizar"]
+      );
+
+      const historialPasajero = await ctx.request("GET", "/trip/pasajero", { token: pasajero.token });
+      assert.deepEqual(historialPasajero.body.data.viajes.map((t) => t.id), [viaje.id]);
+
+      const historialConductor = await ctx.request("GET", "/trip/conductor", { token: conductor.token });
+      assert.deepEqual(historialConductor.body.data.viajes.map((t) => t.id), [viaje.id]);
+    });
+
+    it("GET /trip/:id devuelve el viaje o 404", async () => {
+      const { pasajero, viaje } = await viajeAsignado();
+
+      const encontrado = await ctx.request("GET", `/trip/${viaje.id}`, { token: pasajero.token });
+      assert.equal(encontrado.status, 200);
+      assert.equal(encontrado.body.data.id, viaje.id);
+
+      const inexistente = await ctx.request("GET", "/trip/00000000-0000-0000-0000-000000000000", {
+        token: pasajero.token
+      });
+      assert.equal(inexistente.status, 404);
+    });
+
+    it("GET /trip/:id solo lo ven los participantes, el conductor ofertado y los admins", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const otroConductor = await ctx.registrar(["conductor"]);
+      const pasajero = await ctx.registrarPasajero();
+      const tercero = await ctx.registrarPasajero();
+      const admin = await ctx.registrarAdmin();
+      const viaje = await ctx.solicitarViaje(pasajero);
+      const leer = (usuario) => ctx.request("GET", `/trip/${viaje.id}`, { token: usuario.token });
+
+      const ofertado = await leer(conductor);
+      assert.equal(ofertado.status, 200);
+      assert.equal(ofertado.body.data.acceso, "ofertado");
+      assert.equal(ofertado.body.data.pickup_lat, viaje.pickup_lat);
+      assert.equal(ofertado.body.data.pasajero_id, undefined);
+      assert.equal(ofertado.body.data.pasajero, undefined);
+      assert.ok(ofertado.body.data.oferta.offerId);
+
+      assert.equal((await leer(otroConductor)).status, 403);
+      assert.equal((await leer(tercero)).status, 403);
+
+      const buscando = await leer(pasajero);
+      assert.equal(buscando.body.data.conductor, null);
+
+      await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+
+      const delPasajero = await leer(pasajero);
+      assert.equal(delPasajero.body.data.acceso, "pasajero");
+      assert.equal(delPasajero.body.data.conductor.id, conductor.id);
+      assert.equal(delPasajero.body.data.conductor.telefono, conductor.telefono);
+
+      const delConductor = await leer(conductor);
+      assert.equal(delConductor.body.data.acceso, "conductor");
+      assert.equal(delConductor.body.data.pasajero.telefono, pasajero.telefono);
+
+      const delAdmin = await leer(admin);
+      assert.equal(delAdmin.body.data.acceso, "admin");
+      assert.equal(delAdmin.body.data.pasajero_id, pasajero.id);
+      assert.equal((await ctx.request("GET", `/trip/${viaje.id}/events`, { token: admin.token })).status, 200);
+
+      for (const ruta of ["/trip/start", "/trip/finish"]) {
+        await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: viaje.id } });
+      }
+      const finalizado = await leer(pasajero);
+      assert.equal(finalizado.body.data.conductor.id, conductor.id);
+      assert.equal(finalizado.body.data.conductor.telefono, null);
+    });
+
+    it("GET /trip/:id/events solo para participantes", async () => {
+      const { viaje } = await viajeAsignado();
+      const ajeno = await ctx.registrarPasajero();
+
+      const res = await ctx.request("GET", `/trip/${viaje.id}/events`, { token: ajeno.token });
+      assert.equal(res.status, 403);
+    });
+
+    it("exige tripId en accept, reject, start, finish y cancel", async () => {
+      const conductor = await ctx.registrar(["conductor"]);
+      for (const ruta of ["/trip/accept", "/trip/reject", "/trip/start", "/trip/finish", "/trip/cancel"]) {
+        const res = await ctx.request("POST", ruta, { token: conductor.token, body: {} });
+        assert.equal(res.status, 400, ruta);
+      }
+    });
+  });
+
+  describe("historial de viajes", () => {
+    /** Viajes ya cerrados del pasajero (y del conductor), uno por día desde el 1 de octubre */
+    const sembrarHistorial = (pasajeroId, conductorId) => {
+      const viajes = [
+        { estado: "finalizado" },
+        { estado: "cancelado", cancelled_by: "pasajero" },
+        { estado: "finalizado" },
+        { estado: "cancelado", cancelled_by: "conductor" },
+        { estado: "expirado", sinConductor: true }
+      ];
+      return viajes.map(({ sinConductor, ...campos }, i) => {
+        const fila = {
+          id: crypto.randomUUID(),
+          pasajero_id: pasajeroId,
+          conductor_id: sinConductor ? null : conductorId,
+          created_at: `2026-10-0${i + 1}T12:00:00.000Z`,
+          cancelled_by: null,
+          final_fare: null,
+          driven_distance_km: null,
+          ...campos
+        };
+        ctx.repositories.store.trips.push(fila);
+        return fila;
+      });
+    };
+
+    it("pagina por cursor del más reciente al más antiguo con totales por estado", async () => {
+      const pasajero = await ctx.registrarPasajero();
+      const sembrados = sembrarHistorial(pasajero.id, crypto.randomUUID());
+      const pagina = (query) => ctx.request("GET", `/trip/pasajero?${query}`, { token: pasajero.token });
+
+      const ids = [];
+      let query = "limit=2";
+      for (const esperados of [2, 2, 1]) {
+        const res = await pagina(query);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.viajes.length, esperados);
+        ids.push(...res.body.data.viajes.map((v) => v.id));
+        query = `limit=2&cursor=${res.body.data.paginacion.siguienteCursor}`;
+        assert.equal(res.body.data.paginacion.hayMas, esperados === 2);
+      }
+      assert.deepEqual(ids, sembrados.map((v) => v.id).reverse());
+
+      const primera = await pagina("limit=2");
+      assert.equal(primera.body.data.viajes[0].pasajero_id, undefined);
+      assert.deepEqual(primera.body.data.resumen, {
+        total: 5,
+        por_estado: { buscando: 0, asignado: 0, en_progreso: 0, finalizado: 2, cancelado: 2, expirado: 1 }
+      });
+    });
+
+    it("filtra por estado, fechas y quién canceló con el mismo contrato para conductores", async () => {
+      const pasajero = await ctx.registrarPasajero();
+      const conductor = await ctx.registrar(["conductor"]);
+      const sembrados = sembrarHistorial(pasajero.id, conductor.id);
+
+      const cancelados = await ctx.request("GET", "/trip/pasajero?estado=cancelado&cancelado_por=pasajero", {
+        token: pasajero.token
+      });
+      assert.deepEqual(cancelados.body.data.viajes.map((v) => v.id), [sembrados[1].id]);
+      assert.equal(cancelados.body.data.resumen.total, 1);
+
+      const delConductor = await ctx.request(
+        "GET",
+        "/trip/conductor?estado=finalizado,cancelado&desde=2026-10-02&hasta=2026-10-03",
+        { token: conductor.token }
+      );
+      assert.deepEqual(delConductor.body.data.viajes.map((v) => v.id), [sembrados[2].id, sembrados[1].id]);
+      assert.equal(delConductor.body.data.resumen.por_estado.cancelado, 1);
+
+      const invalidas = [
+        "estado=perdido",
+        "cursor=abc",
+        "limit=0",
+        "limit=500",
+        "desde=ayer",
+        "cancelado_por=sistema",
+        "desde=2026-10-05&hasta=2026-10-01"
+      ];
+      for (const query of invalidas) {
+        const res = await ctx.request("GET", `/trip/conductor?${query}`, { token: conductor.token });
+        assert.equal(res.status, 400, query);
+      }
+    });
+  });
+
+  describe("transiciones inválidas", () => {
+    it("no permite iniciar ni finalizar un viaje en buscando", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      // Sin conductor asignado, nadie es "conductor del viaje"
+      const iniciar = await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(iniciar.status, 403);
+
+      const finalizar = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(finalizar.status, 403);
+    });
+
+    it("no permite finalizar un viaje asignado ni iniciar uno en progreso", async () => {
+      const { conductor, viaje } = await viajeAsignado();
+
+      const finalizar = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(finalizar.status, 400);
+      assert.match(finalizar.body.message, /No se puede finalizar un viaje en estado 'asignado'/);
+
+      await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+
+      const reiniciar = await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(reiniciar.status, 400);
+    });
+
+    it("no permite aceptar un viaje finalizado ni cancelarlo", async () => {
+      const { conductor, pasajero, viaje } = await viajeEnProgreso();
+      await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+
+      const aceptar = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(aceptar.status, 400);
+
+      const cancelar = await ctx.request("POST", "/trip/cancel", {
+        token: pasajero.token,
+        body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+      });
+      assert.equal(cancelar.status, 400);
+    });
+
+    it("solo el conductor asignado puede iniciar o finalizar", async () => {
+      const { viaje } = await viajeAsignado();
+      const otro = await ctx.registrarConductorDisponible();
+
+      const iniciar = await ctx.request("POST", "/trip/start", { token: otro.token, body: { tripId: viaje.id } });
+      assert.equal(iniciar.status, 403);
+    });
+
+    it("el pasajero no puede cancelar un viaje en progreso, el conductor sí", async () => {
+      const { conductor, pasajero, viaje } = await viajeEnProgreso();
+
+      const pasajeroCancela = await ctx.request("POST", "/trip/cancel", {
+        token: pasajero.token,
+        body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+      });
+      assert.equal(pasajeroCancela.status, 400);
+
+      const conductorCancela = await ctx.request("POST", "/trip/cancel", {
+        token: conductor.token,
+        body: { tripId: viaje.id, motivo: "problema_vehiculo" }
+      });
+      assert.equal(conductorCancela.status, 200);
+      assert.equal(conductorCancela.body.data.cancelled_by, "conductor");
+      assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+    });
+
+    it("un tercero no puede cancelar el viaje", async () => {
+      const { viaje } = await viajeAsignado();
+      const ajeno = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/cancel", {
+        token: ajeno.token,
+        body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+      });
+      assert.equal(res.status, 403);
+    });
+
+    it("responde 404 al operar sobre un viaje inexistente", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+
+      const res = await ctx.request("POST", "/trip/accept", {
+        token: conductor.token,
+        body: { tripId: "00000000-0000-0000-0000-000000000000" }
+      });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("ofertas y aceptación", () => {
+    it("un conductor sin oferta vigente no puede aceptar", async () => {
+      await ctx.registrarConductorDisponible();
+      const lejano = await ctx.registrarConductorDisponible(CERCA);
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const res = await ctx.request("POST", "/trip/accept", { token: lejano.token, body: { tripId: viaje.id } });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, "OFFER_NOT_AVAILABLE");
+    });
+
+    it("al rechazar la oferta pasa al siguiente conductor", async () => {
+      const cercano = await ctx.registrarConductorDisponible();
+      const lejano = await ctx.registrarConductorDisponible(CERCA);
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const rechazo = await ctx.request("POST", "/trip/reject", {
+        token: cercano.token,
+        body: { tripId: viaje.id, motivo: "Muy lejos" }
+      });
+      assert.equal(rechazo.status, 200);
+      assert.equal(rechazo.body.data.estado, "rechazada");
+
+      const repetido = await ctx.request("POST", "/trip/reject", { token: cercano.token, body: { tripId: viaje.id } });
+      assert.equal(repetido.status, 409);
+
+      const aceptado = await ctx.request("POST", "/trip/accept", { token: lejano.token, body: { tripId: viaje.id } });
+      assert.equal(aceptado.status, 200);
+      assert.equal(aceptado.body.data.conductor_id, lejano.id);
+    });
+
+    it("una oferta vencida pasa al siguiente conductor", async () => {
+      const cercano = await ctx.registrarConductorDisponible();
+      const lejano = await ctx.registrarConductorDisponible(CERCA);
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const oferta = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id);
+      await ctx.services.dispatch.expirarOferta(oferta.id);
+
+      const tarde = await ctx.request("POST", "/trip/accept", { token: cercano.token, body: { tripId: viaje.id } });
+      assert.equal(tarde.status, 409);
+
+      const aceptado = await ctx.request("POST", "/trip/accept", { token: lejano.token, body: { tripId: viaje.id } });
+      assert.equal(aceptado.status, 200);
+    });
+
+    it("un conductor con viaje activo no puede aceptar otro", async () => {
+      const { conductor } = await viajeAsignado();
+      const pasajero = await ctx.registrarPasajero();
+      await ctx.registrarConductorDisponible();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const res = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "DRIVER_NOT_AVAILABLE");
+    });
+
+    it("cancelar un viaje en buscando cancela su oferta pendiente", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const res = await ctx.request("POST", "/trip/cancel", {
+        token: pasajero.token,
+        body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.cancelled_by, "pasajero");
+      const oferta = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id);
+      assert.equal(oferta.estado, "cancelada");
+    });
+  });
+
+  describe("carreras de aceptación", () => {
+    it("aceptaciones simultáneas del mismo conductor: solo una gana", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const respuestas = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } })
+        )
+      );
+
+      assert.equal(respuestas.filter((r) => r.status === 200).length, 1);
+      assert.ok(respuestas.filter((r) => r.status !== 200).every((r) => r.status === 409 || r.status === 400));
+
+      const eventos = ctx.repositories.store.trip_events.filter((e) => e.trip_id === viaje.id && e.accion === "aceptar");
+      assert.equal(eventos.length, 1);
+      assert.equal(ctx.estadoConductor(conductor.id), "ocupado");
+    });
+
+    it("aceptaciones simultáneas de varios conductores: el viaje queda con un solo conductor", async () => {
+      const conductores = [];
+      for (let i = 0; i < 4; i++) {
+        conductores.push(await ctx.registrarConductorDisponible({ lat: PICKUP.lat + i * 0.001, lng: PICKUP.lng }));
+      }
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const respuestas = await Promise.all(
+        conductores.map((c) => ctx.request("POST", "/trip/accept", { token: c.token, body: { tripId: viaje.id } }))
+      );
+
+      const ganadores = respuestas.filter((r) => r.status === 200);
+      assert.equal(ganadores.length, 1);
+      assert.ok(respuestas.filter((r) => r.status !== 200).every((r) => r.status === 409));
+
+      const final = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      assert.equal(final.estado, "asignado");
+      assert.equal(final.conductor_id, ganadores[0].body.data.conductor_id);
+
+      const ocupados = conductores.filter((c) => ctx.estadoConductor(c.id) === "ocupado");
+      assert.deepEqual(ocupados.map((c) => c.id), [final.conductor_id]);
+    });
+
+    it("aceptación y cancelación simultáneas dejan un estado coherente", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      await Promise.all([
+        ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } }),
+        ctx.request("POST", "/trip/cancel", {
+          token: pasajero.token,
+          body: { tripId: viaje.id, motivo: "cambio_de_planes" }
+        })
+      ]);
+
+      const final = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      assert.ok(["asignado", "cancelado"].includes(final.estado));
+      const esperado = final.estado === "asignado" ? "ocupado" : "disponible";
+      assert.equal(ctx.estadoConductor(conductor.id), esperado);
+    });
+  });
+
+  describe("recorrido del viaje", () => {
+    /** Envía la ubicación del conductor como si hubieran pasado 10 s desde el punto anterior */
+    const enviarUbicacion = async (conductor, punto) => {
+      for (const guardado of ctx.repositories.store.driver_locations) {
+        guardado.recorded_at = new Date(Date.parse(guardado.recorded_at) - 10000).toISOString();
+      }
+      return ctx.request("POST", "/driver/location", { token: conductor.token, body: punto });
+    };
+
+    it("guarda el recorrido, lo devuelve como LineString y cobra la distancia recorrida", async () => {
+      const { conductor, pasajero, viaje } = await viajeEnProgreso();
+      const tercero = await ctx.registrarPasajero();
+
+      await enviarUbicacion(conductor, { lat: PICKUP.lat, lng: PICKUP.lng, accuracy: 8, speed: 0, heading: 0 });
+      await enviarUbicacion(conductor, { lat: PICKUP.lat + 0.009, lng: PICKUP.lng, accuracy: 8, speed: 6.5, heading: 0 });
+      // Muy imprecisa: se descarta
+      await enviarUbicacion(conductor, { lat: PICKUP.lat + 0.05, lng: PICKUP.lng, accuracy: 500 });
+      await enviarUbicacion(conductor, { lat: PICKUP.lat + 0.018, lng: PICKUP.lng, accuracy: 8 });
+      // Enseguida del anterior: se descarta por frecuencia
+      await ctx.request("POST", "/driver/location", {
+        token: conductor.token,
+        body: { lat: PICKUP.lat + 0.019, lng: PICKUP.lng }
+      });
+
+      const ruta = await ctx.request("GET", `/trip/${viaje.id}/route`, { token: pasajero.token });
+      assert.equal(ruta.status, 200);
+      assert.equal(ruta.body.data.ruta.type, "LineString");
+      assert.deepEqual(ruta.body.data.ruta.coordinates, [
+        [PICKUP.lng, PICKUP.lat],
+        [PICKUP.lng, PICKUP.lat + 0.009],
+        [PICKUP.lng, PICKUP.lat + 0.018]
+      ]);
+      const distancia = ruta.body.data.distancia_km;
+      assert.ok(Math.abs(distancia - 2.0) < 0.01, String(distancia));
+
+      const ajeno = await ctx.request("GET", `/trip/${viaje.id}/route`, { token: tercero.token });
+      assert.equal(ajeno.status, 403);
+
+      const finalizado = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(finalizado.body.data.driven_distance_km, distancia);
+      assert.equal(finalizado.body.data.final_fare_breakdown.fuente, "recorrido");
+      assert.equal(finalizado.body.data.final_fare, calcularTarifa({ distancia_km: distancia, duracion_min: 1 }).total);
+    });
+
+    it("valida accuracy, speed y heading", async () => {
+      const { conductor } = await viajeEnProgreso();
+
+      const res = await ctx.request("POST", "/driver/location", {
+        token: conductor.token,
+        body: { lat: PICKUP.lat, lng: PICKUP.lng, heading: 400 }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(ctx.repositories.store.driver_locations.length, 0);
+    });
+
+    it("agrega lotes capturados sin conexión al recorrido y descarta saltos imposibles", async () => {
+      const { conductor, pasajero, viaje } = await viajeEnProgreso();
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      const haceMin = (min) => new Date(Date.now() - min * 60000).toISOString();
+      fila.accepted_at = haceMin(12);
+      fila.started_at = haceMin(10);
+      const driver = ctx.repositories.store.drivers.find((d) => d.user_id === conductor.id);
+      driver.location_recorded_at = haceMin(13);
+
+      const lote = await ctx.request("POST", "/driver/location/batch", {
+        token: conductor.token,
+        body: {
+          points: [
+            { lat: PICKUP.lat, lng: PICKUP.lng, recordedAt: haceMin(11), accuracy: 5 },
+            { lat: PICKUP.lat, lng: PICKUP.lng, recordedAt: haceMin(9) },
+            { lat: PICKUP.lat + 0.009, lng: PICKUP.lng, recordedAt: haceMin(8) },
+            // ~55 km en 30 s
+            { lat: PICKUP.lat + 0.5, lng: PICKUP.lng, recordedAt: haceMin(7.5) },
+            { lat: PICKUP.lat + 0.018, lng: PICKUP.lng, recordedAt: haceMin(7) }
+          ]
+        }
+      });
+
+      assert.equal(lote.status, 200);
+      assert.deepEqual(lote.body.data, {
+        recibidos: 5,
+        guardados: 4,
+        rechazados: [{ indice: 3, motivo: "salto_imposible" }],
+        ubicacionActualizada: true
+      });
+      assert.equal(driver.lat, PICKUP.lat + 0.018);
+
+      // El primer punto es anterior al inicio: queda como "asignado" y fuera del recorrido
+      const ruta = await ctx.request("GET", `/trip/${viaje.id}/route`, { token: pasajero.token });
+      assert.equal(ruta.body.data.puntos, 3);
+      assert.ok(Math.abs(ruta.body.data.distancia_km - 2.0) < 0.01);
+
+      // Un lote atrasado no pisa la ubicación enviada en vivo
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: { lat: PICKUP.lat, lng: PICKUP.lng } });
+      const atrasado = await ctx.request("POST", "/driver/location/batch", {
+        token: conductor.token,
+        body: { points: [{ lat: PICKUP.lat + 0.02, lng: PICKUP.lng, recordedAt: haceMin(6) }] }
+      });
+      assert.equal(atrasado.body.data.ubicacionActualizada, false);
+      assert.equal(driver.lat, PICKUP.lat);
+    });
+
+    it("rechaza lotes con fechas desordenadas, futuras o mal formados", async () => {
+      const { conductor } = await viajeEnProgreso();
+      const lote = (points) => ctx.request("POST", "/driver/location/batch", { token: conductor.token, body: { points } });
+      const hace = (seg) => new Date(Date.now() - seg * 1000).toISOString();
+
+      const desordenado = await lote([
+        { lat: PICKUP.lat, lng: PICKUP.lng, recordedAt: hace(10) },
+        { lat: PICKUP.lat, lng: PICKUP.lng, recordedAt: hace(20) }
+      ]);
+      assert.equal(desordenado.status, 400);
+      assert.equal(desordenado.body.code, "BATCH_NOT_MONOTONIC");
+
+      const futuro = await lote([{ lat: PICKUP.lat, lng: PICKUP.lng, recordedAt: hace(-3600) }]);
+      assert.equal(futuro.body.code, "BATCH_FUTURE_TIMESTAMP");
+
+      assert.equal((await lote([])).status, 400);
+      assert.equal((await lote([{ lat: PICKUP.lat, lng: PICKUP.lng }])).status, 400);
+      assert.equal((await lote([{ lat: 95, lng: PICKUP.lng, recordedAt: hace(1) }])).status, 400);
+      assert.equal(ctx.repositories.store.driver_locations.length, 0);
+    });
+
+    it("sin recorrido registrado cobra el precio cotizado", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const cotizacion = await ctx.request("POST", "/trip/quote", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+      const viaje = await ctx.solicitarViaje(pasajero, { pickup: PICKUP, quoteId: cotizacion.body.data.quoteId });
+      for (const ruta of ["/trip/accept", "/trip/start", "/trip/finish"]) {
+        await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: viaje.id } });
+      }
+
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      assert.equal(fila.final_fare, cotizacion.body.data.tarifa.total);
+      assert.equal(fila.final_fare_breakdown.fuente, "cotizacion");
+      assert.equal(fila.driven_distance_km, 0);
+    });
+
+    it("sin recorrido ni cotización cobra la estimación de recogida a destino", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const conDestino = await ctx.solicitarViaje(pasajero);
+      for (const ruta of ["/trip/accept", "/trip/start", "/trip/finish"]) {
+        await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: conDestino.id } });
+      }
+
+      const fila = ctx.repositories.store.trips.find((t) => t.id === conDestino.id);
+      assert.equal(fila.final_fare, calcularTarifa(estimarRecorrido(PICKUP, DESTINO)).total);
+      assert.equal(fila.final_fare_breakdown.fuente, "estimacion");
+
+      // Sin destino: tarifa mínima
+      const sinDestino = await ctx.solicitarViaje(pasajero, { pickup: PICKUP });
+      for (const ruta of ["/trip/accept", "/trip/start", "/trip/finish"]) {
+        await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: sinDestino.id } });
+      }
+
+      const filaSinDestino = ctx.repositories.store.trips.find((t) => t.id === sinDestino.id);
+      assert.equal(filaSinDestino.final_fare, calcularTarifa({ distancia_km: 0, duracion_min: 0 }).minima);
+      assert.equal(filaSinDestino.final_fare_breakdown.minima_aplicada, true);
+    });
+
+    it("reintenta la tarifa final si falla al guardarse", async () => {
+      const { conductor, viaje } = await viajeEnProgreso();
+      const { trips } = ctx.repositories;
+      const updateIfEstado = trips.updateIfEstado;
+      trips.updateIfEstado = async () => ({ data: null, error: new Error("fallo de red") });
+
+      const finalizado = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      trips.updateIfEstado = updateIfEstado;
+      assert.equal(finalizado.status, 200);
+      assert.equal(finalizado.body.data.estado, "finalizado");
+      assert.equal(finalizado.body.data.final_fare, null);
+
+      // Recién finalizado: se deja terminar la liquidación en curso
+      assert.deepEqual(await ctx.services.tripRoute.liquidarPendientes(), []);
+
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      fila.finished_at = new Date(Date.parse(fila.finished_at) - 60000).toISOString();
+      assert.deepEqual(await ctx.services.tripRoute.liquidarPendientes(), [viaje.id]);
+      assert.ok(fila.final_fare > 0);
+      assert.deepEqual(await ctx.services.tripRoute.liquidarPendientes(), []);
+    });
+  });
+
+  describe("seguimiento del viaje", () => {
+    it("devuelve la ubicación del conductor con ETA a la recogida y luego al destino", async () => {
+      const { conductor, pasajero, viaje } = await viajeAsignado();
+      const tercero = await ctx.registrarPasajero();
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: CERCA });
+
+      const asignado = await ctx.request("GET", `/trip/${viaje.id}/tracking`, { token: pasajero.token });
+      assert.equal(asignado.status, 200);
+      assert.equal(asignado.body.data.canal, `trip-tracking:${viaje.id}`);
+      assert.deepEqual(
+        { lat: asignado.body.data.conductor.lat, lng: asignado.body.data.conductor.lng },
+        CERCA
+      );
+      assert.equal(asignado.body.data.eta.hacia, "recogida");
+      assert.equal(asignado.body.data.eta.distancia_km, estimarRecorrido(CERCA, PICKUP).distancia_km);
+
+      await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+      const enProgreso = await ctx.request("GET", `/trip/${viaje.id}/tracking`, { token: conductor.token });
+      assert.equal(enProgreso.body.data.eta.hacia, "destino");
+      assert.equal(enProgreso.body.data.eta.distancia_km, estimarRecorrido(CERCA, DESTINO).distancia_km);
+
+      const ajeno = await ctx.request("GET", `/trip/${viaje.id}/tracking`, { token: tercero.token });
+      assert.equal(ajeno.status, 403);
+
+      await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      const finalizado = await ctx.request("GET", `/trip/${viaje.id}/tracking`, { token: pasajero.token });
+      assert.equal(finalizado.status, 409);
+      assert.equal(finalizado.body.code, "TRIP_NOT_TRACKABLE");
+    });
+
+    it("publica cada ubicación en el canal privado del viaje activo del conductor", async () => {
+      const enviados = [];
+      const realtime = {
+        channel: (nombre, opciones) => ({
+          httpSend: async (evento, payload) => enviados.push({ nombre, opciones, evento, payload })
+        }),
+        removeChannel: async () => {}
+      };
+      const tripTracking = createTripTrackingService({
+        // El viaje activo ya trae lo necesario para la ETA: no se vuelve a leer
+        trips: { ...ctx.repositories.trips, findById: async () => assert.fail("findById no debería llamarse") },
+        drivers: ctx.repositories.drivers,
+        realtime
+      });
+      const { conductor, viaje } = await viajeAsignado();
+      const libre = await ctx.registrarConductorDisponible();
+
+      const { data: publicado } = await tripTracking.publicarUbicacion(conductor.id, { ...CERCA, heading: 90 });
+      assert.equal(publicado.eta.hacia, "recogida");
+      assert.equal(publicado.eta.distancia_km, estimarRecorrido(CERCA, PICKUP).distancia_km);
+      assert.equal(enviados.length, 1);
+      assert.equal(enviados[0].nombre, `trip-tracking:${viaje.id}`);
+      assert.deepEqual(enviados[0].opciones, { config: { private: true } });
+      assert.equal(enviados[0].evento, "driver_location");
+      assert.equal(enviados[0].payload.heading, 90);
+
+      const { data: sinViaje } = await tripTracking.publicarUbicacion(libre.id, CERCA);
+      assert.equal(sinViaje, null);
+      assert.equal(enviados.length, 1);
+    });
+  });
+
+  describe("llegada a la recogida", () => {
+    const llegar = (conductor, tripId) =>
+      ctx.request("POST", "/trip/arrived", { token: conductor.token, body: { tripId } });
+
+    it("marca la llegada una vez, solo desde la recogida, y avisa al pasajero", async () => {
+      const { conductor, pasajero, viaje } = await viajeAsignado();
+      const notificaciones = [];
+      ctx.services.passengerNotification.notifyPassenger = (...args) => notificaciones.push(args);
+
+      const porPasajero = await ctx.request("POST", "/trip/arrived", { token: pasajero.token, body: { tripId: viaje.id } });
+      assert.equal(porPasajero.status, 403);
+
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: CERCA });
+      const lejos = await llegar(conductor, viaje.id);
+      assert.equal(lejos.status, 409);
+      assert.equal(lejos.body.code, "DRIVER_NOT_AT_PICKUP");
+      assert.match(lejos.body.message, /Estás a \d+ m/);
+
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: PICKUP });
+      const llegada = await llegar(conductor, viaje.id);
+      assert.equal(llegada.status, 200);
+      assert.ok(llegada.body.data.arrived_at);
+      assert.equal(
+        Date.parse(llegada.body.data.espera_gratis_hasta) - Date.parse(llegada.body.data.arrived_at),
+        3 * 60 * 1000
+      );
+      assert.deepEqual(notificaciones, [
+        [
+          pasajero.id,
+          "driver_arrived",
+          { tripId: viaje.id, arrivedAt: llegada.body.data.arrived_at, esperaGratisHasta: llegada.body.data.espera_gratis_hasta }
+        ]
+      ]);
+
+      const repetida = await llegar(conductor, viaje.id);
+      assert.equal(repetida.status, 409);
+      assert.equal(repetida.body.code, "ALREADY_ARRIVED");
+
+      const visto = await ctx.request("GET", `/trip/${viaje.id}`, { token: pasajero.token });
+      assert.equal(visto.body.data.arrived_at, llegada.body.data.arrived_at);
+      const eventos = await ctx.request("GET", `/trip/${viaje.id}/events`, { token: pasajero.token });
+      assert.ok(eventos.body.data.eventos.some((e) => e.accion === "llegar"));
+
+      const otro = await viajeEnProgreso();
+      const enProgreso = await llegar(otro.conductor, otro.viaje.id);
+      assert.equal(enProgreso.status, 409);
+      assert.equal(enProgreso.body.code, "TRIP_NOT_ASSIGNED");
+    });
+
+    it("rechaza la llegada con una ubicación vieja aunque sea la de la recogida", async () => {
+      const { conductor, viaje } = await viajeAsignado();
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: PICKUP });
+      const driver = ctx.repositories.store.drivers.find((d) => d.user_id === conductor.id);
+      driver.location_recorded_at = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+
+      const vieja = await llegar(conductor, viaje.id);
+      assert.equal(vieja.status, 409);
+      assert.equal(vieja.body.code, "DRIVER_NOT_AT_PICKUP");
+      assert.match(vieja.body.message, /no está actualizada/);
+
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: PICKUP });
+      assert.equal((await llegar(conductor, viaje.id)).status, 200);
+    });
+
+    it("suma a la tarifa final los minutos de espera que superan la espera gratis", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const cotizacion = await ctx.request("POST", "/trip/quote", {
+        token: pasajero.token,
+        body: { pickup: PICKUP, destination: DESTINO }
+      });
+      const viaje = await ctx.solicitarViaje(pasajero, { pickup: PICKUP, quoteId: cotizacion.body.data.quoteId });
+      await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal((await llegar(conductor, viaje.id)).status, 200);
+      ctx.repositories.store.trips.find((t) => t.id === viaje.id).arrived_at = new Date(
+        Date.now() - 10 * 60 * 1000
+      ).toISOString();
+
+      await ctx.request("POST", "/trip/start", { token: conductor.token, body: { tripId: viaje.id } });
+      const finalizado = await ctx.request("POST", "/trip/finish", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(finalizado.status, 200);
+
+      const desglose = finalizado.body.data.final_fare_breakdown;
+      assert.equal(desglose.espera_min, 10);
+      assert.equal(desglose.espera_cobrada_min, 7);
+      assert.equal(desglose.espera, 2.1);
+      assert.equal(finalizado.body.data.final_fare, Math.round((cotizacion.body.data.tarifa.total + 2.1) * 100) / 100);
+    });
+  });
+
+  describe("cancelaciones", () => {
+    /** Viaje asignado a un conductor ya registrado (para no depender del orden de las ofertas) */
+    const asignarA = async (conductor, pasajero) => {
+      const viaje = await ctx.solicitarViaje(pasajero);
+      const aceptado = await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(aceptado.status, 200);
+      return aceptado.body.data;
+    };
+
+    const cancelar = (usuario, tripId, body) =>
+      ctx.request("POST", "/trip/cancel", { token: usuario.token, body: { tripId, ...body } });
+
+    it("exige un motivo válido para quien cancela y cobra al pasajero pasada la gracia", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+
+      const enGracia = await asignarA(conductor, pasajero);
+      assert.equal((await cancelar(pasajero, enGracia.id, {})).status, 400);
+      assert.equal((await cancelar(pasajero, enGracia.id, { motivo: "otro" })).status, 400);
+      const ajeno = await cancelar(pasajero, enGracia.id, { motivo: "problema_vehiculo" });
+      assert.equal(ajeno.status, 400);
+      assert.equal(ajeno.body.code, "INVALID_CANCEL_REASON");
+
+      const sinCargo = await cancelar(pasajero, enGracia.id, { motivo: "otro", detalle: "Me equivoqué de destino" });
+      assert.equal(sinCargo.status, 200);
+      assert.equal(sinCargo.body.data.cancel_reason, "otro");
+      assert.equal(sinCargo.body.data.cancellation_fee, 0);
+      const { data: eventos } = await ctx.services.tripStateMachine.obtenerEventos(enGracia.id);
+      assert.equal(eventos[eventos.length - 1].motivo, "otro: Me equivoqué de destino");
+
+      const tardio = await asignarA(conductor, pasajero);
+      ctx.repositories.store.trips.find((t) => t.id === tardio.id).accepted_at = new Date(
+        Date.now() - 3 * 60 * 1000
+      ).toISOString();
+      const conCargo = await cancelar(pasajero, tardio.id, { motivo: "conductor_demora" });
+      assert.equal(conCargo.body.data.cancellation_fee, 3);
+
+      const delConductor = await asignarA(conductor, pasajero);
+      const porConductor = await cancelar(conductor, delConductor.id, { motivo: "problema_vehiculo" });
+      assert.equal(porConductor.status, 200);
+      assert.equal(porConductor.body.data.cancellation_fee, 0);
+
+      const { data: usuario } = await ctx.repositories.users.findById(pasajero.id);
+      assert.deepEqual(
+        { viajes: usuario.viajes_cerrados, cancelaciones: usuario.cancelaciones, tasa: usuario.tasa_cancelacion },
+        { viajes: 3, cancelaciones: 2, tasa: 0.667 }
+      );
+      const { data: registro } = await ctx.repositories.drivers.findByUserId(conductor.id);
+      assert.deepEqual({ viajes: registro.viajes_cerrados, cancelaciones: registro.cancelaciones }, { viajes: 3, cancelaciones: 1 });
+    });
+
+    it("el conductor marca al pasajero como no presentado solo tras esperar desde su llegada", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await asignarA(conductor, pasajero);
+      const noShow = () => ctx.request("POST", "/trip/no-show", { token: conductor.token, body: { tripId: viaje.id } });
+
+      const sinLlegada = await noShow();
+      assert.equal(sinLlegada.status, 409);
+      assert.equal(sinLlegada.body.code, "DRIVER_NOT_ARRIVED");
+
+      const llegada = await ctx.request("POST", "/trip/arrived", { token: conductor.token, body: { tripId: viaje.id } });
+      assert.equal(llegada.status, 200);
+      const pronto = await noShow();
+      assert.equal(pronto.status, 409);
+      assert.equal(pronto.body.code, "NO_SHOW_TOO_EARLY");
+
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      fila.arrived_at = new Date(Date.now() - 6 * 60 * 1000).toISOString();
+      await ctx.repositories.drivers.updateByUserId(conductor.id, CERCA);
+      const lejos = await noShow();
+      assert.equal(lejos.status, 409);
+      assert.equal(lejos.body.code, "DRIVER_NOT_AT_PICKUP");
+
+      // En la recogida, pero con una ubicación vieja: pudo haberse ido después de enviarla
+      await ctx.repositories.drivers.updateByUserId(conductor.id, {
+        lat: PICKUP.lat,
+        lng: PICKUP.lng,
+        location_recorded_at: new Date(Date.now() - 5 * 60 * 1000).toISOString()
+      });
+      const vieja = await noShow();
+      assert.equal(vieja.status, 409);
+      assert.equal(vieja.body.code, "DRIVER_NOT_AT_PICKUP");
+
+      await ctx.request("POST", "/driver/location", { token: conductor.token, body: PICKUP });
+      const notificaciones = [];
+      ctx.services.passengerNotification.notifyPassenger = (...args) => notificaciones.push(args);
+
+      const marcado = await noShow();
+      assert.equal(marcado.status, 200);
+      assert.equal(marcado.body.data.cancelled_by, "conductor");
+      assert.equal(marcado.body.data.cancel_reason, "pasajero_no_se_presento");
+      assert.equal(marcado.body.data.cancellation_fee, 5);
+      assert.deepEqual(notificaciones, [[pasajero.id, "trip_no_show", { tripId: viaje.id, cargo: 5 }]]);
+
+      // Cuenta como cancelación del pasajero, no del conductor
+      const { data: usuario } = await ctx.repositories.users.findById(pasajero.id);
+      assert.equal(usuario.cancelaciones, 1);
+      const { data: registro } = await ctx.repositories.drivers.findByUserId(conductor.id);
+      assert.equal(registro.cancelaciones, 0);
+      assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+
+      const admin = await ctx.registrarAdmin();
+      assert.equal((await ctx.request("GET", "/admin/cancellations", { token: admin.token })).status, 400);
+      Object.assign(ctx.repositories.store.users.find((u) => u.id === pasajero.id), {
+        viajes_cerrados: 10,
+        cancelaciones: 4,
+        tasa_cancelacion: 0.4
+      });
+      const revision = await ctx.request("GET", "/admin/cancellations?rol=pasajero", { token: admin.token });
+      assert.deepEqual(revision.body.data.map((u) => u.id), [pasajero.id]);
+      const conductores = await ctx.request("GET", "/admin/cancellations?rol=conductor", { token: admin.token });
+      assert.deepEqual(conductores.body.data, []);
+    });
+  });
+
+  describe("calificaciones", () => {
+    /** Viaje finalizado entre un conductor y un pasajero (nuevos si no se indican) */
+    const viajeFinalizado = async ({ conductor, pasajero } = {}) => {
+      conductor = conductor || (await ctx.registrarConductorDisponible());
+      pasajero = pasajero || (await ctx.registrarPasajero());
+      const viaje = await ctx.solicitarViaje(pasajero);
+      for (const ruta of ["/trip/accept", "/trip/start", "/trip/finish"]) {
+        const res = await ctx.request("POST", ruta, { token: conductor.token, body: { tripId: viaje.id } });
+        assert.equal(res.status, 200, ruta);
+      }
+      return { conductor, pasajero, viaje };
+    };
+
+    const calificar = (usuario, tripId, body) =>
+      ctx.request("POST", `/trip/${tripId}/rating`, { token: usuario.token, body });
+
+    it("los participantes se califican una vez, solo en viajes finalizados y dentro de la ventana", async () => {
+      const activo = await viajeEnProgreso();
+      const enCurso = await calificar(activo.pasajero, activo.viaje.id, { estrellas: 5 });
+      assert.equal(enCurso.status, 409);
+      assert.equal(enCurso.body.code, "TRIP_NOT_FINISHED");
+      await ctx.request("POST", "/trip/finish", { token: activo.conductor.token, body: { tripId: activo.viaje.id } });
+
+      const { conductor, pasajero, viaje } = await viajeFinalizado({ conductor: activo.conductor });
+      const tercero = await ctx.registrarPasajero();
+
+      assert.equal((await calificar(pasajero, viaje.id, { estrellas: 6 })).status, 400);
+      assert.equal((await calificar(pasajero, viaje.id, { estrellas: 4, tags: "amable" })).status, 400);
+      const tagAjeno = await calificar(pasajero, viaje.id, { estrellas: 4, tags: ["dejo_basura"] });
+      assert.equal(tagAjeno.status, 400);
+      assert.equal(tagAjeno.body.code, "INVALID_TAGS");
+      assert.equal((await calificar(tercero, viaje.id, { estrellas: 4 })).status, 403);
+      assert.equal((await calificar(pasajero, crypto.randomUUID(), { estrellas: 4 })).status, 404);
+
+      const delPasajero = await calificar(pasajero, viaje.id, {
+        estrellas: 4,
+        tags: ["amable", "puntual"],
+        comentario: "  Buen viaje  "
+      });
+      assert.equal(delPasajero.status, 201);
+      assert.equal(delPasajero.body.data.ratee_id, conductor.id);
+      assert.equal(delPasajero.body.data.rol_calificado, "conductor");
+      assert.equal(delPasajero.body.data.comentario, "Buen viaje");
+
+      const repetida = await calificar(pasajero, viaje.id, { estrellas: 5 });
+      assert.equal(repetida.status, 409);
+      assert.equal(repetida.body.code, "ALREADY_RATED");
+
+      const delConductor = await calificar(conductor, viaje.id, { estrellas: 5, tags: ["respetuoso"] });
+      assert.equal(delConductor.status, 201);
+      assert.equal(delConductor.body.data.ratee_id, pasajero.id);
+
+      const { data: usuario } = await ctx.repositories.users.findById(pasajero.id);
+      assert.deepEqual({ promedio: usuario.rating_promedio, cantidad: usuario.rating_cantidad }, { promedio: 5, cantidad: 1 });
+
+      // Fuera de la ventana
+      const viejo = await viajeFinalizado({ conductor });
+      await ctx.repositories.trips.updateIfEstado(viejo.viaje.id, "finalizado", {
+        finished_at: new Date(Date.now() - 73 * 60 * 60 * 1000).toISOString()
+      });
+      const tarde = await calificar(viejo.pasajero, viejo.viaje.id, { estrellas: 5 });
+      assert.equal(tarde.status, 409);
+      assert.equal(tarde.body.code, "RATING_WINDOW_CLOSED");
+    });
+
+    it("muestra el promedio desde el mínimo de calificaciones y marca a los conductores bajo el umbral", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const admin = await ctx.registrarAdmin();
+
+      let viaje;
+      for (let i = 0; i < 5; i++) {
+        ({ viaje } = await viajeFinalizado({ conductor, pasajero }));
+        assert.equal((await calificar(pasajero, viaje.id, { estrellas: i === 0 ? 5 : 3 })).status, 201);
+
+        const visto = await ctx.request("GET", `/trip/${viaje.id}`, { token: pasajero.token });
+        const esperado = i < 4 ? { promedio: null, cantidad: i + 1 } : { promedio: 3.4, cantidad: 5 };
+        assert.deepEqual(visto.body.data.conductor.calificacion, esperado);
+      }
+
+      const marcados = await ctx.request("GET", "/admin/drivers/low-rated", { token: admin.token });
+      assert.equal(marcados.status, 200);
+      assert.deepEqual(marcados.body.data.map((d) => d.user_id), [conductor.id]);
+      assert.ok(marcados.body.data[0].rating_flagged_at);
+
+      // Al asignarse un viaje, el pasajero recibe la calificación del conductor
+      const notificaciones = [];
+      ctx.services.passengerNotification.notifyPassenger = (...args) => notificaciones.push(args);
+      const nuevo = await ctx.solicitarViaje(pasajero);
+      await ctx.request("POST", "/trip/accept", { token: conductor.token, body: { tripId: nuevo.id } });
+      assert.deepEqual(notificaciones[0][2].calificacionConductor, { promedio: 3.4, cantidad: 5 });
+    });
+
+    it("guarda la calificación aunque falle el recálculo y el siguiente lo corrige", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const primero = await viajeFinalizado({ conductor, pasajero });
+      const segundo = await viajeFinalizado({ conductor, pasajero });
+
+      const { drivers } = ctx.repositories;
+      const updateByUserId = drivers.updateByUserId;
+      drivers.updateByUserId = async () => ({ data: null, error: new Error("sin conexión") });
+      try {
+        const guardada = await calificar(pasajero, primero.viaje.id, { estrellas: 2 });
+        assert.equal(guardada.status, 201);
+      } finally {
+        drivers.updateByUserId = updateByUserId;
+      }
+
+      const repetida = await calificar(pasajero, primero.viaje.id, { estrellas: 2 });
+      assert.equal(repetida.body.code, "ALREADY_RATED");
+
+      assert.equal((await calificar(pasajero, segundo.viaje.id, { estrellas: 4 })).status, 201);
+      const { data: registro } = await drivers.findByUserId(conductor.id);
+      assert.deepEqual({ promedio: registro.rating_promedio, cantidad: registro.rating_cantidad }, { promedio: 3, cantidad: 2 });
+    });
+
+    it("promedia solo las últimas calificaciones pero guarda el total recibido", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const promedioUltimas = calificaciones.promedioUltimas;
+      calificaciones.promedioUltimas = 2;
+
+      try {
+        for (const estrellas of [5, 1, 2]) {
+          const { viaje } = await viajeFinalizado({ conductor, pasajero });
+          assert.equal((await calificar(pasajero, viaje.id, { estrellas })).status, 201);
+        }
+      } finally {
+        calificaciones.promedioUltimas = promedioUltimas;
+      }
+
+      const { data: registro } = await ctx.repositories.drivers.findByUserId(conductor.id);
+      assert.deepEqual({ promedio: registro.rating_promedio, cantidad: registro.rating_cantidad }, { promedio: 1.5, cantidad: 3 });
+    });
+  });
+
+  describe("servicios en segundo plano", () => {
+    it("expira viajes que siguen en buscando después del timeout", async () => {
+      await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      fila.created_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+      const expirados = await ctx.services.tripExpiration.expirarViajesSinConductor();
+
+      assert.deepEqual(expirados.map((t) => t.id), [viaje.id]);
+      assert.equal(fila.estado, "expirado");
+      assert.equal(fila.expiration_reason, "sin_conductor");
+
+      const nuevo = await ctx.request("POST", "/trip/request", { token: pasajero.token, body: { pickup: PICKUP } });
+      assert.equal(nuevo.status, 201);
+    });
+
+    it("no reintenta el despacho sin candidatos después del timeout de búsqueda", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+      const fila = ctx.repositories.store.trips.find((t) => t.id === viaje.id);
+      fila.created_at = new Date(Date.now() - (despacho.busquedaTimeoutSeg + 1) * 1000).toISOString();
+
+      const { trips } = ctx.repositories;
+      const findById = trips.findById;
+      const reintentoSinCandidatosSeg = despacho.reintentoSinCandidatosSeg;
+      let lecturas = 0;
+      trips.findById = (...args) => {
+        lecturas += 1;
+        return findById.apply(trips, args);
+      };
+      despacho.reintentoSinCandidatosSeg = 0;
+
+      try {
+        const rechazo = await ctx.request("POST", "/trip/reject", { token: conductor.token, body: { tripId: viaje.id } });
+        assert.equal(rechazo.status, 200);
+        const tras = lecturas;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.equal(lecturas, tras);
+      } finally {
+        trips.findById = findById;
+        despacho.reintentoSinCandidatosSeg = reintentoSinCandidatosSeg;
+      }
+      assert.equal(fila.estado, "buscando");
+    });
+
+    it("completa el cierre de cada viaje expirado aunque falle el registro del evento", async () => {
+      await ctx.registrarConductorDisponible();
+      await ctx.registrarConductorDisponible(CERCA);
+      const pasajeros = [await ctx.registrarPasajero(), await ctx.registrarPasajero()];
+      const viajes = [];
+      for (const pasajero of pasajeros) {
+        viajes.push(await ctx.solicitarViaje(pasajero));
+      }
+      const haceUnaHora = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      ctx.repositories.store.trips.forEach((t) => {
+        t.created_at = haceUnaHora;
+      });
+
+      const { tripEvents } = ctx.repositories;
+      const create = tripEvents.create;
+      tripEvents.create = async () => {
+        throw new Error("sin conexión");
+      };
+      try {
+        const expirados = await ctx.services.tripExpiration.expirarViajesSinConductor();
+        assert.equal(expirados.length, 2);
+      } finally {
+        tripEvents.create = create;
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const { store } = ctx.repositories;
+      for (const [i, viaje] of viajes.entries()) {
+        assert.ok(store.trip_offers.filter((o) => o.trip_id === viaje.id).every((o) => o.estado === "cancelada"));
+        assert.ok(store.push_events.some((e) => e.user_id === pasajeros[i].id && e.evento === "trip_expired"));
+      }
+    });
+
+    it("repara conductores ocupados sin viaje activo", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      await ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "ocupado" } });
+
+      const reparados = await ctx.services.driverReconciliation.reconciliarConductoresOcupados();
+
+      assert.deepEqual(reparados, [conductor.id]);
+      assert.equal(ctx.estadoConductor(conductor.id), "disponible");
+    });
+
+    it("desconecta a los conductores disponibles sin señal y solo marca a los ocupados", async () => {
+      const { conductor: enViaje } = await viajeAsignado();
+      const sinSenal = await ctx.registrarConductorDisponible();
+      const activo = await ctx.registrarConductorDisponible(CERCA);
+      const pasajero = await ctx.registrarPasajero();
+      const viaje = await ctx.solicitarViaje(pasajero);
+      const oferta = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id);
+      assert.equal(oferta.driver_id, sinSenal.id);
+
+      const haceUnaHora = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      for (const { id } of [sinSenal, enViaje]) {
+        ctx.repositories.store.drivers.find((d) => d.user_id === id).last_seen_at = haceUnaHora;
+      }
+
+      const resultado = await ctx.services.driverHeartbeat.revisarConductoresSinSenal();
+
+      assert.deepEqual(resultado, { desconectados: [sinSenal.id], marcados: [enViaje.id] });
+      assert.equal(ctx.estadoConductor(sinSenal.id), "offline");
+      assert.equal(ctx.estadoConductor(enViaje.id), "ocupado");
+      assert.equal(ctx.estadoConductor(activo.id), "disponible");
+
+      // Su oferta pendiente pasa al siguiente conductor
+      assert.equal(oferta.estado, "cancelada");
+      const siguiente = ctx.repositories.store.trip_offers.find((o) => o.trip_id === viaje.id && o.estado === "pendiente");
+      assert.equal(siguiente.driver_id, activo.id);
+
+      const admin = await ctx.registrarAdmin();
+      const marcados = await ctx.request("GET", "/admin/drivers/flagged", { token: admin.token });
+      assert.deepEqual(marcados.body.data.map((d) => d.user_id), [enViaje.id]);
+
+      // Al volver a enviar su ubicación se borra la marca
+      await ctx.request("POST", "/driver/location", { token: enViaje.token, body: { lat: PICKUP.lat, lng: PICKUP.lng } });
+      const sinMarcas = await ctx.request("GET", "/admin/drivers/flagged", { token: admin.token });
+      assert.deepEqual(sinMarcas.body.data, []);
+    });
+
+    it("no ofrece viajes a conductores sin señal reciente", async () => {
+      const conductor = await ctx.registrarConductorDisponible();
+      ctx.repositories.store.drivers.find((d) => d.user_id === conductor.id).last_seen_at = new Date(
+        Date.now() - 60 * 60 * 1000
+      ).toISOString();
+      const pasajero = await ctx.registrarPasajero();
+
+      const res = await ctx.request("POST", "/trip/request", { token: pasajero.token, body: { pickup: PICKUP } });
+
+      assert.equal(res.status, 503);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { iniciarApp } = require("./helpers/testApp");
+
+const VEHICULO = { placa: "1234-ab", marca: "Bajaj", modelo: "RE 4S", color: "Rojo", anio: 2021, cascos: 2 };
+
+describe("Vehículos del conductor", () => {
+  let ctx;
+  let conductor;
+
+  beforeEach(async () => {
+    ctx = await iniciarApp();
+    conductor = await ctx.registrar(["conductor"]);
+    await ctx.request("POST", "/driver/register", { token: conductor.token });
+  });
+
+  afterEach(() => ctx.cerrar());
+
+  const crear = (body, usuario = conductor) => ctx.request("POST", "/driver/vehicles", { token: usuario.token, body });
+
+  it("registra vehículos: el primero queda activo y la placa se normaliza", async () => {
+    const primero = await crear(VEHICULO);
+    assert.equal(primero.status, 201);
+    assert.equal(primero.body.data.placa, "1234AB");
+    assert.equal(primero.body.data.activo, true);
+
+    const segundo = await crear({ ...VEHICULO, placa: "AB 5678" });
+    assert.equal(segundo.status, 201);
+    assert.equal(segundo.body.data.activo, false);
+
+    const lista = await ctx.request("GET", "/driver/vehicles", { token: conductor.token });
+    assert.deepEqual(lista.body.data.map((v) => v.placa), ["1234AB", "AB5678"]);
+  });
+
+  it("valida los datos y rechaza placas duplicadas", async () => {
+    for (const invalido of [
+      { ...VEHICULO, placa: "12-34" },
+      { ...VEHICULO, placa: "ABCDEF" },
+      { ...VEHICULO, marca: " " },
+      { ...VEHICULO, anio: 1990 },
+      { ...VEHICULO, cascos: 1 },
+      { ...VEHICULO, cascos: "2" }
+    ]) {
+      assert.equal((await crear(invalido)).status, 400, JSON.stringify(invalido));
+    }
+
+    await crear(VEHICULO);
+    const otro = await ctx.registrar(["conductor"]);
+    await ctx.request("POST", "/driver/register", { token: otro.token });
+
+    const duplicada = await crear({ ...VEHICULO, placa: "1234 AB" }, otro);
+    assert.equal(duplicada.status, 409);
+    assert.equal(duplicada.body.code, "PLATE_TAKEN");
+
+    const pasajero = await ctx.registrarPasajero();
+    assert.equal((await crear(VEHICULO, pasajero)).status, 403);
+  });
+
+  it("actualiza, cambia el activo y elimina solo estando offline", async () => {
+    const primero = (await crear(VEHICULO)).body.data;
+    const segundo = (await crear({ ...VEHICULO, placa: "5678CD" })).body.data;
+
+    const editado = await ctx.request("PATCH", `/driver/vehicles/${segundo.id}`, {
+      token: conductor.token,
+      body: { color: "Azul" }
+    });
+    assert.equal(editado.status, 200);
+    assert.equal(editado.body.data.color, "Azul");
+
+    const placaTomada = await ctx.request("PATCH", `/driver/vehicles/${segundo.id}`, {
+      token: conductor.token,
+      body: { placa: "1234AB" }
+    });
+    assert.equal(placaTomada.body.code, "PLATE_TAKEN");
+
+    const activado = await ctx.request("POST", `/driver/vehicles/${segundo.id}/activate`, { token: conductor.token });
+    assert.equal(activado.status, 200);
+    const lista = await ctx.request("GET", "/driver/vehicles", { token: conductor.token });
+    assert.deepEqual(lista.body.data.map((v) => v.activo), [false, true]);
+
+    ctx.aprobarDocumentos(conductor.id);
+    await ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+
+    const enUso = await ctx.request("DELETE", `/driver/vehicles/${segundo.id}`, { token: conductor.token });
+    assert.equal(enUso.status, 409);
+    assert.equal(enUso.body.code, "VEHICLE_IN_USE");
+    const cambio = await ctx.request("POST", `/driver/vehicles/${primero.id}/activate`, { token: conductor.token });
+    assert.equal(cambio.body.code, "VEHICLE_IN_USE");
+    // El cambio rechazado no deja al conductor sin vehículo activo
+    const sinCambios = await ctx.request("GET", "/driver/vehicles", { token: conductor.token });
+    assert.deepEqual(sinCambios.body.data.map((v) => v.activo), [false, true]);
+
+    const inactivo = await ctx.request("DELETE", `/driver/vehicles/${primero.id}`, { token: conductor.token });
+    assert.equal(inactivo.status, 200);
+
+    const ajeno = await ctx.registrar(["conductor"]);
+    const noEncontrado = await ctx.request("PATCH", `/driver/vehicles/${segundo.id}`, {
+      token: ajeno.token,
+      body: { color: "Verde" }
+    });
+    assert.equal(noEncontrado.status, 404);
+    const activarAjeno = await ctx.request("POST", `/driver/vehicles/${segundo.id}/activate`, { token: ajeno.token });
+    assert.equal(activarAjeno.body.code, "VEHICLE_NOT_FOUND");
+  });
+
+  it("exige un vehículo activo para pasar a disponible", async () => {
+    ctx.aprobarDocumentos(conductor.id);
+
+    const sinVehiculo = await ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+    assert.equal(sinVehiculo.status, 403);
+    assert.equal(sinVehiculo.body.code, "VEHICLE_REQUIRED");
+
+    await crear(VEHICULO);
+    const conVehiculo = await ctx.request("POST", "/driver/status", { token: conductor.token, body: { estado: "disponible" } });
+    assert.equal(conVehiculo.status, 200);
+  });
+
+  it("asigna el vehículo activo al aceptar y se lo informa al pasajero", async () => {
+    const disponible = await ctx.registrarConductorDisponible();
+    const vehiculo = ctx.repositories.store.vehicles.find((v) => v.driver_id === disponible.id);
+    const pasajero = await ctx.registrarPasajero();
+    const viaje = await ctx.solicitarViaje(pasajero);
+
+    const notificaciones = [];
+    ctx.services.passengerNotification.notifyPassenger = (...args) => notificaciones.push(args);
+
+    const aceptado = await ctx.request("POST", "/trip/accept", { token: disponible.token, body: { tripId: viaje.id } });
+    assert.equal(aceptado.status, 200);
+    assert.equal(aceptado.body.data.vehicle_id, vehiculo.id);
+    assert.equal(aceptado.body.data.vehiculo.placa, vehiculo.placa);
+
+    assert.deepEqual(notificaciones, [
+      [
+        pasajero.id,
+        "trip_accepted",
+        {
+          tripId: viaje.id,
+          conductorId: disponible.id,
+          vehiculo: aceptado.body.data.vehiculo,
+          calificacionConductor: { promedio: null, cantidad: 0 }
+        }
+      ]
+    ]);
+
+    const visto = await ctx.request("GET", `/trip/${viaje.id}`, { token: pasajero.token });
+    assert.deepEqual(visto.body.data.vehiculo, aceptado.body.data.vehiculo);
+  });
+});